@@ -1 +1,11 @@
-module.exports = {};
+// Commands that may auto-run in allowlist mode until the user edits the list.
+const DEFAULT_ALLOWED_COMMANDS = [
+    'npm test',
+    'npm run lint',
+    'git status',
+    'git diff',
+    'ls',
+    'pytest ...'
+];
+
+module.exports = { DEFAULT_ALLOWED_COMMANDS };
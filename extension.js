@@ -1,5 +1,16 @@
 const vscode = require('vscode');
 const path = require('path');
+const { DEFAULT_ALLOWED_COMMANDS } = require('./config');
+const { WorkspacePolicy, POLICY_FILE_NAME } = require('./main_scripts/workspace-policy');
+const { AuditLog } = require('./main_scripts/audit-log');
+const { resolveEndpoint, describeEndpoint } = require('./main_scripts/cdp-endpoint');
+const { LeaderElection } = require('./main_scripts/leader-election');
+const { ReviewQueue, allowPatternsFor } = require('./main_scripts/review-queue');
+const { NotificationThrottle } = require('./main_scripts/notification-throttle');
+const { StuckWatchdog, RECOVERY_METHODS } = require('./main_scripts/stuck-watchdog');
+const { ActivationSchedule, validateSchedule, formatTransitionTime } = require('./main_scripts/activation-schedule');
+const { ActionBudget } = require('./main_scripts/action-budget');
+const ButtonRules = require('./main_scripts/buttons/rules');
 
 let SettingsPanel = null;
 function getSettingsPanel() {
@@ -16,6 +27,20 @@ function getSettingsPanel() {
 const GLOBAL_STATE_KEY = 'auto-accept-enabled-global';
 const FREQ_STATE_KEY = 'auto-accept-frequency';
 const BANNED_COMMANDS_KEY = 'auto-accept-banned-commands';
+const ALLOWED_COMMANDS_KEY = 'auto-accept-allowed-commands';
+const SAFETY_MODE_KEY = 'auto-accept-safety-mode';
+const SHADOW_MODE_KEY = 'auto-accept-shadow-mode';
+const BUTTON_RULES_KEY = 'auto-accept-button-rules';
+const ENABLED_ACTIONS_KEY = 'auto-accept-enabled-actions';
+const SCHEDULES_KEY = 'auto-accept-schedules';
+const SCHEDULE_CHECK_INTERVAL_MS = 30000;
+const ACTION_LABELS = {
+    file_edit: 'File edits',
+    terminal_command: 'Terminal commands',
+    retry: 'Retry',
+    permission: 'Permissions'
+};
+const MAX_SHADOW_EVENTS = 50;
 const ROI_STATS_KEY = 'auto-accept-roi-stats';
 const SECONDS_PER_CLICK = 5;
 const LOCK_KEY = 'auto-accept-instance-lock';
@@ -23,9 +48,15 @@ const HEARTBEAT_KEY = 'auto-accept-instance-heartbeat';
 const INSTANCE_ID = Math.random().toString(36).substring(7);
 
 let isEnabled = false;
-let isLockedOut = false;
+let isLockedOut = false; // Another window is the leader and drives CDP
 let pollFrequency = 1000;
 let bannedCommands = [];
+let allowedCommands = [];
+let safetyMode = 'denylist'; // 'denylist' | 'allowlist'
+let buttonRules = []; // User rules, evaluated before the IDE defaults
+let enabledActions = {}; // Action type -> false when switched off; missing means on
+let shadowModeEnabled = false;
+let recentShadowEvents = [];
 
 let backgroundModeEnabled = false;
 const BACKGROUND_DONT_SHOW_KEY = 'auto-accept-background-dont-show';
@@ -43,6 +74,20 @@ let globalContext;
 
 let cdpHandler;
 let relauncher;
+let workspacePolicy;
+let auditLog;
+let reviewQueue;
+let watchdog;
+let watchdogSettings = { recovery: RECOVERY_METHODS[0], continueMessage: 'continue' };
+let activationSchedule;
+let actionBudget;
+let activityHoldMs = 5000; // 0 keeps auto-accepting while the user works in a page
+let detectionSettings = { detection: 'observer', safetyNetInterval: 10000 };
+let activePages = new Map(); // Page id -> what the user is doing there
+let scheduleTimer;
+let election;
+let cdpEndpoint = resolveEndpoint();
+let blockThrottle = new NotificationThrottle();
 
 function log(message) {
     try {
@@ -110,6 +155,11 @@ async function activate(context) {
             'chmod -R 777 /'
         ];
         bannedCommands = context.globalState.get(BANNED_COMMANDS_KEY, defaultBannedCommands);
+        allowedCommands = context.globalState.get(ALLOWED_COMMANDS_KEY, DEFAULT_ALLOWED_COMMANDS);
+        safetyMode = context.globalState.get(SAFETY_MODE_KEY, 'denylist');
+        shadowModeEnabled = context.globalState.get(SHADOW_MODE_KEY, false);
+        buttonRules = context.globalState.get(BUTTON_RULES_KEY, []);
+        enabledActions = context.globalState.get(ENABLED_ACTIONS_KEY, {});
 
         currentIDE = detectIDE();
 
@@ -119,6 +169,23 @@ async function activate(context) {
         log(`Auto Accept: Activating...`);
         log(`Auto Accept: Detected environment: ${currentIDE.toUpperCase()}`);
 
+        workspacePolicy = new WorkspacePolicy(log);
+        auditLog = new AuditLog(context.globalStorageUri.fsPath, log);
+        reviewQueue = new ReviewQueue(log);
+        reviewQueue.on('changed', () => updateStatusBar());
+        watchdog = new StuckWatchdog({ logger: log });
+        watchdog.on('recovered', () => recordRecovery(context));
+        activationSchedule = new ActivationSchedule(context.globalState.get(SCHEDULES_KEY, []), log);
+        actionBudget = new ActionBudget({ logger: log });
+        actionBudget.on('exhausted', (entry) => notifyBudgetExhausted(entry));
+        actionBudget.on('changed', () => {
+            updateStatusBar();
+            if (isEnabled) syncSessions().catch(() => { });
+        });
+
+        loadWorkspacePolicy();
+        watchWorkspacePolicy(context);
+
         vscode.window.onDidChangeWindowState(async (e) => {
             if (cdpHandler && cdpHandler.setFocusState) {
                 await cdpHandler.setFocusState(e.focused);
@@ -135,6 +202,14 @@ async function activate(context) {
             const { Relauncher, BASE_CDP_PORT } = require('./main_scripts/relauncher');
 
             cdpHandler = new CDPHandler(BASE_CDP_PORT, BASE_CDP_PORT + 10, log);
+            cdpHandler.on('pageEvent', handlePageEvent);
+            // A fresh script re-reports whatever it is still holding
+            cdpHandler.on('pageInjected', (pageId) => {
+                reviewQueue.removePage(pageId);
+                if (activePages.delete(pageId)) updateStatusBar();
+            });
+            cdpHandler.on('scriptUpgraded', ({ pageId, from, to }) => log(`Upgraded the script on ${pageId} from ${from} to ${to}`));
+            cdpHandler.on('connectionHealth', () => updateStatusBar());
 
             try {
                 const logPath = path.join(context.extensionPath, 'auto-accept-cdp.log');
@@ -145,6 +220,16 @@ async function activate(context) {
             }
 
             relauncher = new Relauncher(log);
+            applyCDPEndpoint();
+            watchCDPEndpoint(context);
+            applyWatchdogSettings();
+            watchWatchdogSettings(context);
+            applyBudgetSettings();
+            watchBudgetSettings(context);
+            applyActivitySettings();
+            watchActivitySettings(context);
+            applyDetectionSettings();
+            watchDetectionSettings(context);
             log(`CDP handlers initialized for ${currentIDE}.`);
         } catch (err) {
             log(`Failed to initialize CDP handlers: ${err.message}`);
@@ -156,11 +241,34 @@ async function activate(context) {
 
         context.subscriptions.push(
             vscode.commands.registerCommand('auto-accept.toggle', () => handleToggle(context)),
+            vscode.commands.registerCommand('auto-accept.toggleShadow', () => handleShadowToggle(context)),
+            vscode.commands.registerCommand('auto-accept.getShadowState', () => ({
+                enabled: shadowModeEnabled,
+                running: isEnabled,
+                events: recentShadowEvents
+            })),
             vscode.commands.registerCommand('auto-accept.relaunch', () => handleRelaunch()),
             vscode.commands.registerCommand('auto-accept.updateFrequency', (freq) => handleFrequencyUpdate(context, freq)),
             vscode.commands.registerCommand('auto-accept.toggleBackground', () => handleBackgroundToggle(context)),
             vscode.commands.registerCommand('auto-accept.updateBannedCommands', (commands) => handleBannedCommandsUpdate(context, commands)),
             vscode.commands.registerCommand('auto-accept.getBannedCommands', () => bannedCommands),
+            vscode.commands.registerCommand('auto-accept.updateAllowedCommands', (commands) => handleAllowedCommandsUpdate(context, commands)),
+            vscode.commands.registerCommand('auto-accept.updateSafetyMode', (mode) => handleSafetyModeUpdate(context, mode)),
+            vscode.commands.registerCommand('auto-accept.getEffectivePolicy', () => getEffectiveSettings()),
+            vscode.commands.registerCommand('auto-accept.getButtonRules', () => ({
+                ide: currentIDE,
+                userRules: buttonRules,
+                defaultRules: ButtonRules.getDefaultRules(currentIDE)
+            })),
+            vscode.commands.registerCommand('auto-accept.updateButtonRules', (rules) => handleButtonRulesUpdate(context, rules)),
+            vscode.commands.registerCommand('auto-accept.getEnabledActions', () => getEnabledActions()),
+            vscode.commands.registerCommand('auto-accept.setActionEnabled', (type, enabled) => handleActionEnabledUpdate(context, type, enabled)),
+            vscode.commands.registerCommand('auto-accept.getSchedules', () => getSchedules()),
+            vscode.commands.registerCommand('auto-accept.updateSchedules', (list) => handleSchedulesUpdate(context, list)),
+            vscode.commands.registerCommand('auto-accept.resetBudgets', () => actionBudget.resetSession()),
+            vscode.commands.registerCommand('auto-accept.openAuditLog', () => handleOpenAuditLog()),
+            vscode.commands.registerCommand('auto-accept.reviewPending', () => handleReviewPending(context)),
+            vscode.commands.registerCommand('auto-accept.getConnectionHealth', () => getConnectionHealth()),
             vscode.commands.registerCommand('auto-accept.getROIStats', async () => {
                 const stats = await loadROIStats(context);
                 const timeSavedSeconds = stats.clicksThisWeek * SECONDS_PER_CLICK;
@@ -189,6 +297,10 @@ async function activate(context) {
             log(`Error in environment check: ${err.message}`);
         }
 
+        await checkSchedules(context);
+        scheduleTimer = setInterval(() => checkSchedules(context).catch(e => log(`Schedule check failed: ${e.message}`)), SCHEDULE_CHECK_INTERVAL_MS);
+        context.subscriptions.push({ dispose: () => clearInterval(scheduleTimer) });
+
         showVersionNotification(context);
 
         log('Auto Accept: Activation complete');
@@ -209,12 +321,12 @@ async function ensureCDPOrPrompt(showPrompt = false) {
     if (cdpAvailable) {
         log('CDP is active and available.');
     } else {
-        log('CDP not found on expected ports (9000-9030).');
+        log(`CDP not found on ${describeEndpoint(cdpEndpoint)}.`);
         if (showPrompt && relauncher) {
             log('Prompting user for relaunch...');
             await relauncher.showRelaunchPrompt();
         } else {
-            log('Skipping relaunch prompt (startup). User can click status bar to trigger.');
+            log('Skipping relaunch prompt (startup or schedule). User can click status bar to trigger.');
         }
     }
 }
@@ -229,7 +341,8 @@ async function checkEnvironmentAndStart() {
     updateStatusBar();
 }
 
-async function handleToggle(context) {
+// A scheduled toggle may run with nobody at the keyboard, so it never asks to relaunch
+async function handleToggle(context, { scheduled = false } = {}) {
     log('=== handleToggle CALLED ===');
     log(`  Previous isEnabled: ${isEnabled}`);
 
@@ -245,7 +358,9 @@ async function handleToggle(context) {
 
         if (isEnabled) {
             log('Auto Accept: Enabled');
-            ensureCDPOrPrompt(true).then(() => startPolling());
+            actionBudget.resetSession();
+            if (scheduled) log('Scheduled start: CDP problems are logged, not prompted for');
+            ensureCDPOrPrompt(!scheduled).then(() => startPolling());
             startStatsCollection(context);
             incrementSessionCount(context);
         } else {
@@ -260,6 +375,7 @@ async function handleToggle(context) {
             collectAndSaveStats(context).catch(() => { });
             stopPolling().catch(() => { });
         }
+        notifyShadowPanel();
 
         log('=== handleToggle COMPLETE ===');
     } catch (e) {
@@ -303,10 +419,468 @@ async function handleBannedCommandsUpdate(context, commands) {
     }
 }
 
-async function handleBackgroundToggle(context) {
+async function handleAllowedCommandsUpdate(context, commands) {
+    allowedCommands = Array.isArray(commands) ? commands : [];
+    await context.globalState.update(ALLOWED_COMMANDS_KEY, allowedCommands);
+    log(`Allowed commands updated: ${allowedCommands.length} patterns`);
+    if (isEnabled) {
+        await syncSessions();
+    }
+}
+
+async function handleSafetyModeUpdate(context, mode) {
+    safetyMode = mode === 'allowlist' ? 'allowlist' : 'denylist';
+    await context.globalState.update(SAFETY_MODE_KEY, safetyMode);
+    log(`Safety mode updated to: ${safetyMode}`);
+    if (isEnabled) {
+        await syncSessions();
+    }
+}
+
+// Rejects the whole list if any rule is invalid, so a typo never silently drops a rule
+async function handleButtonRulesUpdate(context, rules) {
+    const list = Array.isArray(rules) ? rules : [];
+    const errors = [];
+    list.forEach((rule, i) => {
+        ButtonRules.validateRule(rule).forEach(e => errors.push(`Rule ${i + 1}: ${e}`));
+    });
+    if (errors.length > 0) {
+        log(`Button rules rejected: ${errors.join('; ')}`);
+        return { ok: false, errors };
+    }
+
+    const usedIds = new Set(list.map(r => r.id).filter(Boolean));
+    let next = 1;
+    buttonRules = list.map((rule) => {
+        if (rule.id) return rule;
+        while (usedIds.has(`user-${next}`)) next++;
+        usedIds.add(`user-${next}`);
+        return { ...rule, id: `user-${next}` };
+    });
+    await context.globalState.update(BUTTON_RULES_KEY, buttonRules);
+    log(`Button rules updated: ${buttonRules.length} user rule(s)`);
+    if (isEnabled) {
+        await syncSessions();
+    }
+    return { ok: true, errors: [] };
+}
+
+function getEnabledActions() {
+    return ButtonRules.ACTION_TYPES.map(type => ({
+        type,
+        label: ACTION_LABELS[type],
+        enabled: enabledActions[type] !== false
+    }));
+}
+
+// Omitting `enabled` flips the switch, which is what the status bar tooltip links do
+async function handleActionEnabledUpdate(context, type, enabled) {
+    if (!ButtonRules.ACTION_TYPES.includes(type)) {
+        log(`Ignoring switch for unknown action type: ${type}`);
+        return getEnabledActions();
+    }
+    const next = typeof enabled === 'boolean' ? enabled : enabledActions[type] === false;
+    enabledActions = { ...enabledActions, [type]: next };
+    await context.globalState.update(ENABLED_ACTIONS_KEY, enabledActions);
+    log(`${ACTION_LABELS[type]} auto-accept ${next ? 'enabled' : 'disabled'}`);
+    if (isEnabled) {
+        await syncSessions();
+    }
+    updateStatusBar();
+    return getEnabledActions();
+}
+
+function getSchedules() {
+    const now = new Date();
+    const next = ['auto-accept', 'background']
+        .map(target => ({ target, transition: activationSchedule.nextTransition(target, now) }))
+        .filter(({ transition }) => transition)
+        .map(({ target, transition }) => ({ target, enabled: transition.enabled, at: formatTransitionTime(transition.at, now) }));
+    return { schedules: activationSchedule.schedules, next };
+}
+
+async function handleSchedulesUpdate(context, list) {
+    const schedules = Array.isArray(list) ? list : [];
+    const errors = [];
+    schedules.forEach((schedule, i) => {
+        validateSchedule(schedule).forEach(e => errors.push(`Schedule ${i + 1}: ${e}`));
+    });
+    if (errors.length > 0) {
+        log(`Schedules rejected: ${errors.join('; ')}`);
+        return { ok: false, errors };
+    }
+
+    await context.globalState.update(SCHEDULES_KEY, schedules);
+    activationSchedule.setSchedules(schedules);
+    log(`Schedules updated: ${schedules.length} schedule(s)`);
+    await checkSchedules(context);
+    return { ok: true, errors: [] };
+}
+
+// Goes through the same toggles as the status bar, and only when the state has to change
+async function checkSchedules(context) {
+    for (const { target, enabled } of activationSchedule.check(new Date())) {
+        if (target === 'auto-accept' && enabled !== isEnabled) {
+            log(`Schedule: turning Auto Accept ${enabled ? 'on' : 'off'}`);
+            await handleToggle(context, { scheduled: true });
+        } else if (target === 'background' && enabled !== backgroundModeEnabled) {
+            log(`Schedule: turning Background Mode ${enabled ? 'on' : 'off'}`);
+            await handleBackgroundToggle(context, { scheduled: true });
+        }
+    }
+    updateStatusBar();
+}
+
+function loadWorkspacePolicy() {
+    const folders = vscode.workspace.workspaceFolders;
+    // A checked-in policy only applies once the user trusts the workspace
+    if (!folders || folders.length === 0 || vscode.workspace.isTrusted === false) {
+        workspacePolicy.clear();
+        return;
+    }
+    workspacePolicy.load(folders[0].uri.fsPath);
+}
+
+function watchWorkspacePolicy(context) {
+    const reload = () => {
+        loadWorkspacePolicy();
+        log(`Workspace policy reloaded (${workspacePolicy.policy ? 'active' : 'none'})`);
+        const panel = getSettingsPanel();
+        if (panel && panel.currentPanel) {
+            panel.currentPanel.sendEffectivePolicy();
+        }
+        if (isEnabled) {
+            syncSessions().catch(() => { });
+        }
+    };
+
+    const watcher = vscode.workspace.createFileSystemWatcher(`**/${POLICY_FILE_NAME}`);
+    watcher.onDidChange(reload);
+    watcher.onDidCreate(reload);
+    watcher.onDidDelete(reload);
+    context.subscriptions.push(watcher);
+
+    context.subscriptions.push(vscode.workspace.onDidChangeWorkspaceFolders(reload));
+    if (vscode.workspace.onDidGrantWorkspaceTrust) {
+        context.subscriptions.push(vscode.workspace.onDidGrantWorkspaceTrust(reload));
+    }
+}
+
+function applyCDPEndpoint() {
+    const settings = vscode.workspace.getConfiguration('auto-accept.cdp');
+    cdpEndpoint = resolveEndpoint({
+        host: settings.get('host'),
+        ports: settings.get('ports'),
+        browserUrl: settings.get('browserUrl')
+    });
+    cdpEndpoint.warnings.forEach(w => log(`CDP settings: ${w}`));
+
+    if (cdpHandler) cdpHandler.setEndpoint(cdpEndpoint);
+    if (relauncher) relauncher.setEndpoint(cdpEndpoint);
+    log(`CDP endpoint: ${describeEndpoint(cdpEndpoint)}${cdpEndpoint.browserUrl ? ` via ${cdpEndpoint.browserUrl}` : ''}`);
+}
+
+function watchCDPEndpoint(context) {
+    context.subscriptions.push(vscode.workspace.onDidChangeConfiguration((e) => {
+        if (!e.affectsConfiguration('auto-accept.cdp')) return;
+        applyCDPEndpoint();
+        if (isEnabled) {
+            syncSessions().catch(() => { });
+        }
+    }));
+}
+
+function applyWatchdogSettings() {
+    const settings = vscode.workspace.getConfiguration('auto-accept.watchdog');
+    const recovery = settings.get('recovery');
+    watchdogSettings = {
+        recovery: RECOVERY_METHODS.includes(recovery) ? recovery : RECOVERY_METHODS[0],
+        continueMessage: String(settings.get('continueMessage') || '').trim()
+    };
+    const idleMinutes = Number(settings.get('idleMinutes'));
+    watchdog.configure({ idleMs: (Number.isFinite(idleMinutes) ? idleMinutes : 5) * 60 * 1000 });
+    log(`Watchdog: ${watchdog.idleMs > 0 ? `${watchdog.idleMs / 60000} min, ${watchdogSettings.recovery}` : 'off'}`);
+}
+
+function watchWatchdogSettings(context) {
+    context.subscriptions.push(vscode.workspace.onDidChangeConfiguration((e) => {
+        if (e.affectsConfiguration('auto-accept.watchdog')) applyWatchdogSettings();
+    }));
+}
+
+function applyBudgetSettings() {
+    const settings = vscode.workspace.getConfiguration('auto-accept.budgets');
+    const windowMinutes = Number(settings.get('windowMinutes'));
+    actionBudget.configure({
+        limits: {
+            maxClicksPerConversation: settings.get('maxClicksPerConversation'),
+            maxTerminalCommandsPerHour: settings.get('maxTerminalCommandsPerHour'),
+            maxFileEditsPerSession: settings.get('maxFileEditsPerSession')
+        },
+        windowMs: (Number.isFinite(windowMinutes) && windowMinutes > 0 ? windowMinutes : 60) * 60 * 1000
+    });
+    const { conversation, terminal, fileEdits } = actionBudget.limits;
+    log(`Budgets: ${actionBudget.hasLimits() ? `${conversation || '∞'} clicks/conversation, ${terminal || '∞'} commands/${actionBudget.windowMs / 60000} min, ${fileEdits || '∞'} edits/session` : 'off'}`);
+    updateStatusBar();
+}
+
+function watchBudgetSettings(context) {
+    context.subscriptions.push(vscode.workspace.onDidChangeConfiguration((e) => {
+        if (e.affectsConfiguration('auto-accept.budgets')) applyBudgetSettings();
+    }));
+}
+
+function applyActivitySettings() {
+    const seconds = Number(vscode.workspace.getConfiguration('auto-accept').get('pauseWhileActiveSeconds'));
+    activityHoldMs = Number.isFinite(seconds) && seconds > 0 ? Math.round(seconds * 1000) : 0;
+    log(`Pause while active: ${activityHoldMs ? `${activityHoldMs / 1000}s` : 'off'}`);
+}
+
+function watchActivitySettings(context) {
+    context.subscriptions.push(vscode.workspace.onDidChangeConfiguration((e) => {
+        if (!e.affectsConfiguration('auto-accept.pauseWhileActiveSeconds')) return;
+        applyActivitySettings();
+        if (isEnabled) syncSessions().catch(() => { });
+    }));
+}
+
+function applyDetectionSettings() {
+    const config = vscode.workspace.getConfiguration('auto-accept');
+    const seconds = Number(config.get('safetyNetSeconds'));
+    detectionSettings = {
+        detection: config.get('detection') === 'poll' ? 'poll' : 'observer',
+        safetyNetInterval: Number.isFinite(seconds) && seconds > 0 ? Math.round(seconds * 1000) : 10000
+    };
+    log(`Button detection: ${detectionSettings.detection}${detectionSettings.detection === 'observer' ? `, safety-net poll every ${detectionSettings.safetyNetInterval / 1000}s` : ''}`);
+}
+
+function watchDetectionSettings(context) {
+    context.subscriptions.push(vscode.workspace.onDidChangeConfiguration((e) => {
+        if (!e.affectsConfiguration('auto-accept.detection') && !e.affectsConfiguration('auto-accept.safetyNetSeconds')) return;
+        applyDetectionSettings();
+        if (isEnabled) syncSessions().catch(() => { });
+    }));
+}
+
+const BUDGET_SUBJECTS = {
+    conversation: (entry) => `clicks in "${entry.scope}"`,
+    terminal: () => 'terminal commands',
+    fileEdits: () => 'file edits'
+};
+
+async function notifyBudgetExhausted(entry) {
+    const resumes = entry.resetsAt
+        ? `It resumes at ${new Date(entry.resetsAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}.`
+        : 'It resumes when you turn Auto Accept off and on, or reset budgets.';
+    const choice = await vscode.window.showWarningMessage(
+        `Auto Accept paused ${BUDGET_SUBJECTS[entry.budget](entry)}: the budget of ${entry.limit} is used up. ${resumes}`,
+        'Reset Budgets',
+        'Edit Budgets'
+    );
+    if (choice === 'Reset Budgets') {
+        actionBudget.resetSession();
+    } else if (choice === 'Edit Budgets') {
+        await vscode.commands.executeCommand('workbench.action.openSettings', 'auto-accept.budgets');
+    }
+}
+
+// Tooltip lines with what is left of each budget that has a limit
+function describeBudgets() {
+    if (!actionBudget || !actionBudget.hasLimits()) return '';
+    const windowText = `${actionBudget.windowMs / 60000} min`;
+    const lines = actionBudget.getRemaining().map(({ budget, limit, used, scope }) => {
+        const left = Math.max(0, limit - used);
+        if (budget === 'conversation') return `${left} of ${limit} clicks left${scope ? ` in "${scope}"` : ' per conversation'}`;
+        if (budget === 'terminal') return `${left} of ${limit} terminal commands left in the last ${windowText}`;
+        return `${left} of ${limit} file edits left this session`;
+    });
+    return `\nBudget: ${lines.join('; ')}.`;
+}
+
+// Flag conversations that stopped changing before they were done, and try to get them going
+async function checkStuckAgents() {
+    if (!cdpHandler || !watchdog || watchdog.idleMs <= 0) return;
+
+    for (const { pageId, snapshot } of await cdpHandler.getConversationSnapshots()) {
+        const key = `${pageId}:${snapshot.tab || ''}`;
+        const verdict = watchdog.observe(key, snapshot);
+        if (!verdict) continue;
+
+        if (verdict.action === 'give-up') {
+            notifyStuck(pageId, snapshot, verdict, 'Recovery did not help.');
+            continue;
+        }
+        if (watchdogSettings.recovery === 'notify') {
+            watchdog.giveUp(key);
+            notifyStuck(pageId, snapshot, verdict, '');
+            continue;
+        }
+        if (shadowModeEnabled) {
+            log(`[Watchdog] Shadow mode: would try ${watchdogSettings.recovery} on "${snapshot.tab}"`);
+            continue;
+        }
+
+        const used = await cdpHandler.recoverConversation(pageId, watchdogSettings.recovery, watchdogSettings.continueMessage);
+        if (used) {
+            log(`[Watchdog] Tried ${used} on "${snapshot.tab}" (attempt ${verdict.attempt})`);
+        } else {
+            watchdog.giveUp(key);
+            notifyStuck(pageId, snapshot, verdict, 'There was no Retry button or chat input to recover with.');
+        }
+    }
+}
+
+async function notifyStuck(pageId, snapshot, verdict, outcome) {
+    const name = snapshot.tab ? `"${snapshot.tab}"` : 'A conversation';
+    const minutes = Math.max(1, Math.round(verdict.idleMs / 60000));
+    const error = snapshot.error ? ` and shows "${snapshot.error}"` : '';
+    const choice = await vscode.window.showWarningMessage(
+        `Auto Accept: ${name} has not changed for ${minutes} min${error}. ${outcome}`.trim(),
+        'Open Conversation'
+    );
+    if (choice === 'Open Conversation') {
+        const opened = cdpHandler && await cdpHandler.openConversation(pageId, snapshot.tab);
+        if (!opened) vscode.window.showInformationMessage('Auto Accept: That conversation is no longer open.');
+    }
+}
+
+async function recordRecovery(context) {
+    const stats = await loadROIStats(context);
+    stats.recoveriesThisWeek = (stats.recoveriesThisWeek || 0) + 1;
+    await context.globalState.update(ROI_STATS_KEY, stats);
+    log(`ROI Stats: Recovered conversations this week: ${stats.recoveriesThisWeek}`);
+}
+
+function getEffectiveSettings() {
+    return workspacePolicy.merge({
+        bannedCommands,
+        allowedCommands,
+        safetyMode,
+        pollFrequency
+    });
+}
+
+async function handleShadowToggle(context) {
+    shadowModeEnabled = !shadowModeEnabled;
+    recentShadowEvents = [];
+    await context.globalState.update(SHADOW_MODE_KEY, shadowModeEnabled);
+    log(`Shadow mode toggled: ${shadowModeEnabled}`);
+    updateStatusBar();
+
+    if (shadowModeEnabled) {
+        outputChannel.appendLine(`[${new Date().toLocaleTimeString()}] Shadow mode ON: buttons are evaluated but never clicked.`);
+        outputChannel.show(true);
+        if (!isEnabled) {
+            vscode.window.showInformationMessage('Auto Accept: Shadow mode is on. Turn Auto Accept ON to start the dry run.');
+        }
+    } else {
+        outputChannel.appendLine(`[${new Date().toLocaleTimeString()}] Shadow mode OFF: buttons will be clicked again.`);
+    }
+
+    if (isEnabled) {
+        await syncSessions();
+    }
+    notifyShadowPanel();
+}
+
+function notifyShadowPanel() {
+    const panel = getSettingsPanel();
+    if (panel && panel.currentPanel) {
+        panel.currentPanel.sendShadowState();
+    }
+}
+
+function reportShadowEvents(entries) {
+    const shadowEntries = entries.filter(e => e.outcome === 'would-click' || e.outcome === 'would-block');
+    if (shadowEntries.length === 0) return;
+
+    for (const entry of shadowEntries) {
+        const time = new Date(entry.timestamp).toLocaleTimeString();
+        const where = entry.tab ? ` in "${entry.tab}"` : '';
+        const command = entry.command ? ` → ${entry.command.substring(0, 120)}` : '';
+        const verdict = entry.outcome === 'would-click' ? 'WOULD CLICK' : `WOULD BLOCK (${entry.rule})`;
+        outputChannel.appendLine(`[${time}] [Shadow] ${verdict} "${entry.button}"${where}${command}`);
+    }
+
+    recentShadowEvents = [...shadowEntries.reverse(), ...recentShadowEvents].slice(0, MAX_SHADOW_EVENTS);
+    notifyShadowPanel();
+}
+
+// A blocked command leaves the agent waiting, so say so, at most once a minute per conversation
+function reportBlocked(entries) {
+    entries.filter(e => e.outcome === 'blocked').forEach(entry => {
+        const suppressed = blockThrottle.take(`${entry.pageId}:${entry.tab || ''}`);
+        if (suppressed !== null) notifyBlocked(globalContext, entry, suppressed);
+    });
+}
+
+async function notifyBlocked(context, entry, suppressed) {
+    const subject = entry.command ? `"${entry.command.substring(0, 120)}"` : `"${entry.button}"`;
+    const where = entry.tab ? ` in "${entry.tab}"` : '';
+    const more = suppressed > 0 ? ` ${suppressed} more blocked here since the last notice.` : '';
+    // Without a hold id (shadow mode, older page script) there is no button to run
+    const actions = entry.hold ? ['Run Once Anyway', 'Open Conversation', 'Edit Rule'] : ['Open Conversation', 'Edit Rule'];
+
+    const choice = await vscode.window.showWarningMessage(
+        `Auto Accept blocked ${subject}${where}: it matches the banned pattern "${entry.rule}".${more}`,
+        ...actions
+    );
+    if (choice === 'Run Once Anyway') {
+        await runBlockedOnce(entry, subject);
+    } else if (choice === 'Open Conversation') {
+        const opened = cdpHandler && await cdpHandler.openConversation(entry.pageId, entry.tab);
+        if (!opened) vscode.window.showInformationMessage('Auto Accept: That conversation is no longer open.');
+    } else if (choice === 'Edit Rule') {
+        await editBannedPattern(context, entry.rule);
+    }
+}
+
+async function runBlockedOnce(entry, subject) {
+    const confirm = await vscode.window.showWarningMessage(
+        `Run ${subject} once, even though it matches "${entry.rule}"?`,
+        { modal: true },
+        'Run Once'
+    );
+    if (confirm !== 'Run Once') return;
+
+    const delivered = cdpHandler && await cdpHandler.resolveReview(entry.pageId, entry.hold, 'override');
+    if (delivered) {
+        log(`[Blocked] Ran once by request: ${subject}`);
+    } else {
+        vscode.window.showInformationMessage('Auto Accept: That button is no longer there.');
+    }
+}
+
+// Workspace patterns live in .autoaccept.json; everything else is edited in Settings
+async function editBannedPattern(context, pattern) {
+    const effective = getEffectiveSettings();
+    const entry = effective.sources.bannedCommands.find(e => e.pattern === pattern);
+
+    if (entry && entry.source === 'workspace' && effective.policyFile) {
+        const doc = await vscode.workspace.openTextDocument(effective.policyFile);
+        const editor = await vscode.window.showTextDocument(doc);
+        const quoted = JSON.stringify(pattern);
+        const offset = doc.getText().indexOf(quoted);
+        if (offset >= 0) {
+            const range = new vscode.Range(doc.positionAt(offset), doc.positionAt(offset + quoted.length));
+            editor.selection = new vscode.Selection(range.start, range.end);
+            editor.revealRange(range);
+        }
+        return;
+    }
+
+    const panel = getSettingsPanel();
+    if (panel) {
+        panel.createOrShow(context.extensionUri, context);
+        panel.highlightBannedPattern(pattern);
+    }
+}
+
+// A schedule turning it on skips the confirmation: nobody may be there to answer
+async function handleBackgroundToggle(context, { scheduled = false } = {}) {
     log('Background toggle clicked');
 
-    const dontShowAgain = context.globalState.get(BACKGROUND_DONT_SHOW_KEY, false);
+    const dontShowAgain = context.globalState.get(BACKGROUND_DONT_SHOW_KEY, false) || scheduled;
 
     if (!dontShowAgain && !backgroundModeEnabled) {
         const choice = await vscode.window.showInformationMessage(
@@ -350,15 +924,39 @@ async function handleBackgroundToggle(context) {
     }
 }
 
+// This window's settings and workspace policy, as the pages of this window should run with them
+function getWindowConfig() {
+    const effective = getEffectiveSettings();
+    return {
+        pollInterval: effective.pollFrequency,
+        bannedCommands: effective.bannedCommands,
+        safetyMode: effective.safetyMode,
+        allowedCommands: effective.allowedCommands,
+        disabledButtonKinds: effective.disabledButtonKinds,
+        buttonRules: [...buttonRules, ...ButtonRules.getDefaultRules(currentIDE)],
+        enabledActions,
+        activityHoldMs,
+        ...detectionSettings,
+        shadowMode: shadowModeEnabled
+    };
+}
+
+// Followers only share their config; the leader starts each window's pages with the one that window shared
 async function syncSessions() {
+    const windowConfig = getWindowConfig();
+    if (election) {
+        await election.shareConfig(windowConfig).catch(e => log(`CDP Control: Could not share settings: ${e.message}`));
+    }
     if (cdpHandler && !isLockedOut) {
         log(`CDP: Syncing sessions (Mode: ${backgroundModeEnabled ? 'Background' : 'Simple'})...`);
         try {
+            cdpHandler.setWindowConfigs(election ? election.getWindowConfigs() : []);
             await cdpHandler.start({
+                ...windowConfig,
                 isBackgroundMode: backgroundModeEnabled,
-                pollInterval: pollFrequency,
                 ide: currentIDE,
-                bannedCommands: bannedCommands
+                budgetPause: actionBudget.getPause(),
+                budgetAllowance: actionBudget.getAllowance()
             });
         } catch (err) {
             log(`CDP: Sync error: ${err.message}`);
@@ -370,40 +968,79 @@ async function startPolling() {
     if (pollTimer) clearInterval(pollTimer);
     log('Auto Accept: Monitoring session...');
 
+    await electLeader();
     await syncSessions();
+    publishLeaderStatus();
 
     pollTimer = setInterval(async () => {
         if (!isEnabled) return;
 
-        const lockKey = `${currentIDE.toLowerCase()}-instance-lock`;
-        const activeInstance = globalContext.globalState.get(lockKey);
-        const myId = globalContext.extension.id;
-
-        if (activeInstance && activeInstance !== myId) {
-            const lastPing = globalContext.globalState.get(`${lockKey}-ping`);
-            if (lastPing && (Date.now() - lastPing) < 15000) {
-                if (!isLockedOut) {
-                    log(`CDP Control: Locked by another instance (${activeInstance}). Standby mode.`);
-                    isLockedOut = true;
-                    updateStatusBar();
-                }
-                return;
-            }
-        }
-
-        globalContext.globalState.update(lockKey, myId);
-        globalContext.globalState.update(`${lockKey}-ping`, Date.now());
-
-        if (isLockedOut) {
-            log('CDP Control: Lock acquired. Resuming control.');
-            isLockedOut = false;
+        if (await electLeader() !== 'leader') {
+            // The leader's status arrives through the shared lease
             updateStatusBar();
+            return;
         }
 
+        actionBudget.refresh();
+        await collectClicks();
         await syncSessions();
+        await flushAuditLog();
+        await collectReviews();
+        await checkStuckAgents();
+        publishLeaderStatus();
     }, 5000);
 }
 
+function getElection() {
+    if (!election) {
+        election = new LeaderElection({
+            state: globalContext.globalState,
+            key: `${currentIDE.toLowerCase()}-instance-lock`,
+            instanceId: INSTANCE_ID,
+            label: vscode.workspace.name || 'Untitled window',
+            logger: log
+        });
+        election.on('roleChanged', (role) => {
+            isLockedOut = role === 'follower';
+            // A follower must not keep clicking through sockets it opened as leader
+            if (isLockedOut && cdpHandler) {
+                cdpHandler.stop().catch(() => { });
+            }
+            updateStatusBar();
+        });
+    }
+    return election;
+}
+
+async function electLeader() {
+    try {
+        return await getElection().tick();
+    } catch (e) {
+        log(`CDP Control: Election failed: ${e.message}`);
+        return isLockedOut ? 'follower' : 'leader';
+    }
+}
+
+function getConnectionHealth() {
+    if (!cdpHandler) return null;
+    const leader = election && election.getLeader();
+    return {
+        ...cdpHandler.getConnectionHealth(),
+        leader: leader ? { label: leader.label, self: leader.id === INSTANCE_ID, status: leader.status } : null
+    };
+}
+
+function publishLeaderStatus() {
+    if (!cdpHandler || !election) return;
+    const health = cdpHandler.getConnectionHealth();
+    election.publishStatus({
+        pages: health.pages.length,
+        connected: health.pages.filter(p => p.connected).length,
+        injected: health.pages.filter(p => p.injected).length,
+        shadowMode: shadowModeEnabled
+    });
+}
+
 async function stopPolling() {
     if (pollTimer) {
         clearInterval(pollTimer);
@@ -413,10 +1050,215 @@ async function stopPolling() {
         clearInterval(statsCollectionTimer);
         statsCollectionTimer = null;
     }
+    await flushAuditLog();
+    activePages.clear();
     if (cdpHandler) await cdpHandler.stop();
+    if (election) await election.release();
     log('Auto Accept: Polling stopped');
 }
 
+// Events pushed by the injected script. Click/blocked tallies live in CDPHandler.
+function handlePageEvent(event) {
+    const page = event.pageId.substring(0, 8);
+    switch (event.type) {
+        case 'click':
+            actionBudget.record(event);
+            break;
+        case 'audit': {
+            const entry = { ...event.entry, pageId: event.pageId, ide: currentIDE };
+            auditLog.append([entry]);
+            reportShadowEvents([entry]);
+            reportBlocked([entry]);
+            break;
+        }
+        case 'review': {
+            const entry = reviewQueue.add(event.pageId, event.review);
+            if (entry) promptReview(globalContext, entry);
+            break;
+        }
+        case 'review-cleared':
+            reviewQueue.remove(`${event.pageId}:${event.id}`);
+            break;
+        case 'activity':
+            if (event.active) activePages.set(event.pageId, event.kind);
+            else activePages.delete(event.pageId);
+            updateStatusBar();
+            break;
+        case 'tab-switch':
+            log(`[Event] ${page}: switched to tab "${event.tab}"`);
+            break;
+        case 'error':
+            log(`[Event] ${page}: error in ${event.where}: ${event.message}`);
+            break;
+    }
+}
+
+// Reviews from pages without the push channel
+// Pushed clicks reach the budgets as they happen; polled pages queue theirs until now
+async function collectClicks() {
+    if (!cdpHandler) return;
+    try {
+        (await cdpHandler.drainClickEvents()).forEach(handlePageEvent);
+    } catch (e) {
+        log(`Click collection failed: ${e.message}`);
+    }
+}
+
+async function collectReviews() {
+    if (!cdpHandler || !reviewQueue) return;
+    try {
+        (await cdpHandler.drainReviewEvents()).forEach(handlePageEvent);
+    } catch (e) {
+        log(`Review collection failed: ${e.message}`);
+    }
+}
+
+const REVIEW_CHOICES = { 'Approve': 'approve', 'Deny': 'deny', 'Always Allow': 'always' };
+
+function describeReview(entry) {
+    const subject = entry.command ? `"${entry.command.substring(0, 120)}"` : `"${entry.button}"`;
+    return entry.tab ? `${subject} in "${entry.tab}"` : subject;
+}
+
+async function promptReview(context, entry) {
+    const choice = await vscode.window.showWarningMessage(
+        `Auto Accept: ${describeReview(entry)} is waiting for review.`,
+        ...Object.keys(REVIEW_CHOICES)
+    );
+    // Dismissed notifications stay in the queue for Review Waiting Actions
+    if (choice) await decideReview(context, entry.key, REVIEW_CHOICES[choice]);
+}
+
+function describeHoldReason(reason) {
+    if (reason === 'allowlist') return 'Not on the allowlist';
+    if (reason === 'no-command') return 'Its command could not be read';
+    return `Held by button rule ${reason.replace(/^rule:/, '')}`;
+}
+
+async function handleReviewPending(context) {
+    const entries = reviewQueue ? reviewQueue.list() : [];
+    if (entries.length === 0) {
+        vscode.window.showInformationMessage('Auto Accept: Nothing is waiting for review.');
+        return;
+    }
+
+    const picked = await vscode.window.showQuickPick(entries.map(entry => ({
+        label: entry.command || entry.button,
+        description: entry.tab || '',
+        detail: describeHoldReason(entry.reason),
+        entry
+    })), { placeHolder: 'Pick an action to review' });
+    if (!picked) return;
+
+    const choice = await vscode.window.showQuickPick(Object.keys(REVIEW_CHOICES), { placeHolder: describeReview(picked.entry) });
+    if (choice) await decideReview(context, picked.entry.key, REVIEW_CHOICES[choice]);
+}
+
+// decision: 'approve', 'deny' or 'always' (approve and write the pattern into the policy)
+async function decideReview(context, key, decision) {
+    const entry = reviewQueue.remove(key);
+    const delivered = entry && cdpHandler
+        ? await cdpHandler.resolveReview(entry.pageId, entry.id, decision === 'deny' ? 'deny' : 'approve')
+        : false;
+    if (!delivered) {
+        vscode.window.showInformationMessage('Auto Accept: That action is no longer waiting.');
+        return;
+    }
+    log(`[Review] ${decision}: ${describeReview(entry)}`);
+    if (decision === 'always') await alwaysAllow(context, entry);
+}
+
+// Allowlist holds learn the command's pattern; button rule holds get a click rule ahead of the rule that held them
+async function alwaysAllow(context, entry) {
+    if (entry.reason === 'allowlist' && entry.command) {
+        const patterns = allowPatternsFor(entry.command).filter(p => !allowedCommands.includes(p));
+        if (patterns.length === 0) {
+            vscode.window.showInformationMessage('Auto Accept: The allowlist already has this command.');
+            return;
+        }
+        // The allowlist is global: these run on their own in every workspace from now on
+        const confirm = await vscode.window.showWarningMessage(
+            `Add ${patterns.length === 1 ? 'this pattern' : `these ${patterns.length} patterns`} to your allowlist?`,
+            { modal: true, detail: `${patterns.join('\n')}\n\nA trailing $ allows exactly these arguments, nothing more.` },
+            'Add to Allowlist'
+        );
+        if (confirm !== 'Add to Allowlist') {
+            log('[Review] Approved once; the allowlist is unchanged');
+            return;
+        }
+        await handleAllowedCommandsUpdate(context, [...allowedCommands, ...patterns]);
+        vscode.window.showInformationMessage(`Auto Accept: Added ${patterns.map(p => `"${p}"`).join(', ')} to the allowlist.`);
+        return;
+    }
+    // A rule would not help: the button is held again until its command can be read
+    if (entry.reason === 'no-command') {
+        vscode.window.showInformationMessage('Auto Accept: Approved once. Run buttons whose command cannot be read are always held.');
+        return;
+    }
+    const rule = { match: { text: ButtonRules.normalizeLabel(entry.button) }, action: 'click', category: entry.category };
+    const result = await handleButtonRulesUpdate(context, [rule, ...buttonRules]);
+    if (result.ok) {
+        vscode.window.showInformationMessage(`Auto Accept: "${rule.match.text}" buttons will be clicked from now on.`);
+    } else {
+        log(`[Review] Could not add a button rule: ${result.errors.join('; ')}`);
+    }
+}
+
+async function flushAuditLog() {
+    if (!cdpHandler || !auditLog) return;
+    try {
+        const entries = (await cdpHandler.drainAuditEvents()).map(entry => ({ ...entry, ide: currentIDE }));
+        auditLog.append(entries);
+        reportShadowEvents(entries);
+        reportBlocked(entries);
+    } catch (e) {
+        log(`Audit flush failed: ${e.message}`);
+    }
+}
+
+async function handleOpenAuditLog() {
+    await flushAuditLog();
+
+    const choice = await vscode.window.showQuickPick([
+        { label: 'All entries', filter: null },
+        { label: 'Blocked or held', description: 'Banned commands and allowlist holds', filter: { outcomes: ['blocked', 'held'] } },
+        { label: 'Clicked', description: 'Clicked and verified buttons', filter: { outcomes: ['clicked', 'verified'] } },
+        { label: 'Reviewed', description: 'Approved or denied by you', filter: { outcomes: ['approved', 'denied'] } },
+        { label: 'Shadow mode', description: 'Would-click and would-block decisions', filter: { outcomes: ['would-click', 'would-block'] } },
+        { label: 'Last 24 hours', filter: { since: Date.now() - 24 * 60 * 60 * 1000 } },
+        { label: 'Search…', description: 'Match command, button, tab or rule text', search: true }
+    ], { placeHolder: 'Open Auto Accept audit log' });
+    if (!choice) return;
+
+    if (!choice.filter && !choice.search) {
+        if (auditLog.read().length === 0) {
+            vscode.window.showInformationMessage('Auto Accept: The audit log is empty.');
+            return;
+        }
+        const doc = await vscode.workspace.openTextDocument(vscode.Uri.file(auditLog.filePath));
+        await vscode.window.showTextDocument(doc, { preview: false });
+        return;
+    }
+
+    let filter = choice.filter;
+    if (choice.search) {
+        const text = await vscode.window.showInputBox({ prompt: 'Show audit entries containing…' });
+        if (!text) return;
+        filter = { text };
+    }
+
+    const entries = auditLog.read(filter);
+    if (entries.length === 0) {
+        vscode.window.showInformationMessage(`Auto Accept: No audit entries match "${choice.search ? filter.text : choice.label}".`);
+        return;
+    }
+    const doc = await vscode.workspace.openTextDocument({
+        content: entries.map(e => JSON.stringify(e)).join('\n') + '\n',
+        language: 'jsonl'
+    });
+    await vscode.window.showTextDocument(doc, { preview: false });
+}
+
 function getWeekStart() {
     const now = new Date();
     const dayOfWeek = now.getDay();
@@ -431,7 +1273,8 @@ async function loadROIStats(context) {
         weekStart: getWeekStart(),
         clicksThisWeek: 0,
         blockedThisWeek: 0,
-        sessionsThisWeek: 0
+        sessionsThisWeek: 0,
+        recoveriesThisWeek: 0
     };
 
     let stats = context.globalState.get(ROI_STATS_KEY, defaultStats);
@@ -465,8 +1308,8 @@ async function showWeeklySummaryNotification(context, lastWeekStats) {
     const message = `📊 Last week, Auto Accept saved you ${timeStr} by auto-clicking ${lastWeekStats.clicksThisWeek} buttons!`;
 
     let detail = '';
-    if (lastWeekStats.sessionsThisWeek > 0) {
-        detail += `Recovered ${lastWeekStats.sessionsThisWeek} stuck sessions. `;
+    if (lastWeekStats.recoveriesThisWeek > 0) {
+        detail += `Recovered ${lastWeekStats.recoveriesThisWeek} stuck sessions. `;
     }
     if (lastWeekStats.blockedThisWeek > 0) {
         detail += `Blocked ${lastWeekStats.blockedThisWeek} dangerous commands.`;
@@ -499,6 +1342,8 @@ async function showSessionSummaryNotification(context, summary) {
         `• ${summary.clicks} actions auto-accepted`,
         `• ${summary.terminalCommands} terminal commands`,
         `• ${summary.fileEdits} file edits`,
+        `• ${summary.retries} retries`,
+        `• ${summary.permissions} permission prompts`,
         `• ${summary.blocked} interruptions blocked`
     ];
 
@@ -603,8 +1448,48 @@ function startStatsCollection(context) {
     log('ROI Stats: Collection started (every 30s)');
 }
 
+function describeConnectionHealth(health) {
+    const connected = health.pages.filter(p => p.connected).length;
+    const injected = health.pages.filter(p => p.injected).length;
+    let text = `${connected}/${health.pages.length} page(s) connected, ${injected} injected`;
+    const outdated = health.pages.filter(p => p.versionMismatch).length;
+    if (outdated > 0) text += `, ${outdated} on an outdated script`;
+
+    const retries = [health.nextDiscoveryAt, ...health.pages.map(p => p.nextRetryAt)].filter(Boolean);
+    if (retries.length > 0) {
+        const seconds = Math.max(0, Math.round((Math.min(...retries) - Date.now()) / 1000));
+        text += `, reconnecting in ${seconds}s`;
+    }
+    return text;
+}
+
+// Tooltip text followed by one clickable switch per action type
+function withActionSwitches(text) {
+    const md = new vscode.MarkdownString();
+    md.isTrusted = true;
+    md.supportThemeIcons = true;
+    md.appendText(text);
+    const switches = getEnabledActions().map(({ type, label, enabled }) => {
+        const args = encodeURIComponent(JSON.stringify([type]));
+        return `[${enabled ? '$(check)' : '$(circle-slash)'} ${label}](command:auto-accept.setActionEnabled?${args} "Turn ${enabled ? 'off' : 'on'}")`;
+    });
+    md.appendMarkdown(`\n\n${switches.join(' · ')}`);
+    return md;
+}
+
+// Status bar suffix and tooltip line for a target's next scheduled change, if any
+function describeNextTransition(target, label) {
+    if (!activationSchedule) return null;
+    const now = new Date();
+    const next = activationSchedule.nextTransition(target, now);
+    if (!next) return null;
+    const at = formatTransitionTime(next.at, now);
+    return { text: ` · $(clock) ${at}`, tooltip: `\nScheduled: ${label} turns ${next.enabled ? 'on' : 'off'} at ${at}.` };
+}
+
 function updateStatusBar() {
     if (!statusBarItem) return;
+    const scheduled = describeNextTransition('auto-accept', 'Auto Accept');
 
     if (isEnabled) {
         let statusText = 'ON';
@@ -614,14 +1499,55 @@ function updateStatusBar() {
         if (cdpHandler && cdpHandler.getConnectionCount() > 0) {
             tooltip += ' (CDP Connected)';
         }
+        if (cdpHandler) {
+            tooltip += `\n${describeConnectionHealth(cdpHandler.getConnectionHealth())}`;
+        }
 
-        if (isLockedOut) {
-            statusText = 'PAUSED (Multi-window)';
+        let icon = '$(check)';
+        if (shadowModeEnabled) {
+            statusText = 'SHADOW';
+            icon = '$(eye)';
+            tooltip = 'Auto Accept is in shadow mode: buttons are logged, never clicked.';
+        }
+
+        const leader = election && election.getLeader();
+        if (isLockedOut && leader) {
+            const status = leader.status;
+            statusText += ` · via ${leader.label}`;
+            tooltip = `"${leader.label}" is driving CDP for every window.`;
+            if (status) {
+                statusText += ` · ${status.injected} page(s)`;
+                tooltip += `\n${status.injected} of ${status.pages} page(s) covered${status.shadowMode ? ' (shadow mode)' : ''}.`;
+            }
+        } else if (isLockedOut) {
+            statusText = 'WAITING (Multi-window)';
+            tooltip = 'The window driving CDP stopped responding. Taking over shortly.';
             bgColor = new vscode.ThemeColor('statusBarItem.warningBackground');
+        } else if (election && election.isLeader() && cdpHandler) {
+            const injected = cdpHandler.getConnectionHealth().pages.filter(p => p.injected).length;
+            statusText += ` · ${injected} page(s)`;
+            tooltip += '\nThis window is driving CDP; other windows follow it.';
         }
 
-        statusBarItem.text = `$(check) Auto Accept: ${statusText}`;
-        statusBarItem.tooltip = tooltip;
+        if (reviewQueue && reviewQueue.size > 0) {
+            statusText += ` · ${reviewQueue.size} waiting`;
+            tooltip += `\n${reviewQueue.size} action(s) waiting for review. Run "Auto Accept: Review Waiting Actions".`;
+            bgColor = new vscode.ThemeColor('statusBarItem.warningBackground');
+        }
+
+        if (activePages.size > 0) {
+            statusText += ' · paused: you\'re active';
+            tooltip += `\nHolding off while you are ${Array.from(activePages.values())[0] || 'active'}; resumes ${activityHoldMs / 1000}s after you stop.`;
+        }
+
+        if (scheduled) {
+            statusText += scheduled.text;
+            tooltip += scheduled.tooltip;
+        }
+        tooltip += describeBudgets();
+
+        statusBarItem.text = `${icon} Auto Accept: ${statusText}`;
+        statusBarItem.tooltip = withActionSwitches(tooltip);
         statusBarItem.backgroundColor = bgColor;
 
         if (statusBackgroundItem) {
@@ -634,12 +1560,17 @@ function updateStatusBar() {
                 statusBackgroundItem.tooltip = 'Click to turn on Background Mode (works on all your chats).';
                 statusBackgroundItem.backgroundColor = undefined;
             }
+            const backgroundScheduled = describeNextTransition('background', 'Background Mode');
+            if (backgroundScheduled) {
+                statusBackgroundItem.text += backgroundScheduled.text;
+                statusBackgroundItem.tooltip += backgroundScheduled.tooltip;
+            }
             statusBackgroundItem.show();
         }
 
     } else {
-        statusBarItem.text = '$(circle-slash) Auto Accept: OFF';
-        statusBarItem.tooltip = 'Click to enable Auto Accept.';
+        statusBarItem.text = `$(circle-slash) Auto Accept: OFF${scheduled ? scheduled.text : ''}`;
+        statusBarItem.tooltip = `Click to enable Auto Accept.${scheduled ? scheduled.tooltip : ''}`;
         statusBarItem.backgroundColor = new vscode.ThemeColor('statusBarItem.warningBackground');
 
         if (statusBackgroundItem) {
@@ -681,10 +1612,8 @@ async function showVersionNotification(context) {
 }
 
 function deactivate() {
-    stopPolling();
-    if (cdpHandler) {
-        cdpHandler.stop();
-    }
+    // Hand leadership over before the window goes away
+    return stopPolling().catch(() => { });
 }
 
 module.exports = { activate, deactivate };
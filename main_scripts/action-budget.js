@@ -0,0 +1,211 @@
+const { EventEmitter } = require('events');
+
+const DEFAULT_WINDOW_MS = 60 * 60 * 1000;
+
+// The setting each budget is read from, and the action type it pauses when used up
+const BUDGETS = {
+    conversation: { setting: 'maxClicksPerConversation' },
+    terminal: { setting: 'maxTerminalCommandsPerHour', actionType: 'terminal_command' },
+    fileEdits: { setting: 'maxFileEditsPerSession', actionType: 'file_edit' }
+};
+
+/**
+ * Upper bounds on what gets accepted without anyone watching.
+ *
+ * Counts the click events the page emits after Analytics.trackClick:
+ * - clicks in each conversation (by tab name), until the next session
+ * - terminal commands in a rolling window (an hour by default)
+ * - file edits, until the next session
+ *
+ * A used-up budget pauses its scope; getPause() is what the pages need to know.
+ * getAllowance() also tells them how much is left, so a burst of clicks between
+ * two syncs stops at the limit instead of one sync after it.
+ * A limit of 0 means no limit.
+ *
+ * Events:
+ * - 'exhausted' ({budget, scope, limit, resetsAt}): a budget just ran out
+ * - 'changed' (): the set of paused scopes changed
+ */
+class ActionBudget extends EventEmitter {
+    constructor({ limits = {}, windowMs = DEFAULT_WINDOW_MS, logger = console.log, now = Date.now } = {}) {
+        super();
+        this.logger = logger;
+        this.now = now;
+        this.configure({ limits, windowMs });
+        this.resetSession();
+    }
+
+    log(msg) {
+        if (this.logger) this.logger(`[Budget] ${msg}`);
+    }
+
+    /**
+     * @param {Object} options
+     * @param {Object} options.limits - {maxClicksPerConversation, maxTerminalCommandsPerHour, maxFileEditsPerSession}
+     * @param {number} options.windowMs - Length of the terminal command window
+     */
+    configure({ limits = {}, windowMs = DEFAULT_WINDOW_MS }) {
+        this.limits = {};
+        for (const [budget, { setting }] of Object.entries(BUDGETS)) {
+            const limit = Number(limits[setting]);
+            this.limits[budget] = Number.isFinite(limit) && limit > 0 ? Math.floor(limit) : 0;
+        }
+        this.windowMs = windowMs > 0 ? windowMs : DEFAULT_WINDOW_MS;
+        if (this.paused) this.refresh();
+    }
+
+    hasLimits() {
+        return Object.values(this.limits).some(limit => limit > 0);
+    }
+
+    // Auto-accept was turned on again: every budget starts over
+    resetSession() {
+        const wasPaused = this.paused && (this.paused.conversations.size > 0 || this.paused.actions.size > 0);
+        this.conversationClicks = new Map();
+        this.terminalTimes = [];
+        this.fileEdits = 0;
+        this.paused = { conversations: new Set(), actions: new Set() };
+        if (wasPaused) {
+            this.log('Budgets reset');
+            this.emit('changed');
+        }
+    }
+
+    /**
+     * Count one click event from a page.
+     *
+     * @param {Object} event - {category, tab}; category is the action type
+     * @returns {Object[]} Budgets this click used up
+     */
+    record({ category, tab }) {
+        const now = this.now();
+        const exhausted = [];
+
+        if (tab) {
+            const clicks = (this.conversationClicks.get(tab) || 0) + 1;
+            this.conversationClicks.set(tab, clicks);
+            if (this.limits.conversation && clicks >= this.limits.conversation && !this.paused.conversations.has(tab)) {
+                this.paused.conversations.add(tab);
+                exhausted.push({ budget: 'conversation', scope: tab, limit: this.limits.conversation, resetsAt: null });
+            }
+        }
+
+        if (category === BUDGETS.terminal.actionType) {
+            this.terminalTimes.push(now);
+            this.pruneTerminalTimes(now);
+            if (this.limits.terminal && this.terminalTimes.length >= this.limits.terminal && !this.paused.actions.has(category)) {
+                this.paused.actions.add(category);
+                exhausted.push({ budget: 'terminal', scope: category, limit: this.limits.terminal, resetsAt: this.terminalTimes[0] + this.windowMs });
+            }
+        }
+
+        if (category === BUDGETS.fileEdits.actionType) {
+            this.fileEdits++;
+            if (this.limits.fileEdits && this.fileEdits >= this.limits.fileEdits && !this.paused.actions.has(category)) {
+                this.paused.actions.add(category);
+                exhausted.push({ budget: 'fileEdits', scope: category, limit: this.limits.fileEdits, resetsAt: null });
+            }
+        }
+
+        exhausted.forEach(entry => {
+            this.log(`${entry.budget} budget of ${entry.limit} used up, pausing ${entry.scope}`);
+            this.emit('exhausted', entry);
+        });
+        if (exhausted.length > 0) this.emit('changed');
+        return exhausted;
+    }
+
+    pruneTerminalTimes(now) {
+        while (this.terminalTimes.length > 0 && now - this.terminalTimes[0] >= this.windowMs) {
+            this.terminalTimes.shift();
+        }
+    }
+
+    /**
+     * Lift pauses whose budget has room again: the terminal window moved on, or a limit was raised or removed.
+     * @returns {boolean} Whether anything was resumed
+     */
+    refresh() {
+        this.pruneTerminalTimes(this.now());
+        const resumed = [];
+
+        for (const tab of this.paused.conversations) {
+            if (!this.limits.conversation || this.conversationClicks.get(tab) < this.limits.conversation) {
+                this.paused.conversations.delete(tab);
+                resumed.push(`"${tab}"`);
+            }
+        }
+        const counts = { terminal: this.terminalTimes.length, fileEdits: this.fileEdits };
+        for (const budget of ['terminal', 'fileEdits']) {
+            const type = BUDGETS[budget].actionType;
+            if (this.paused.actions.has(type) && (!this.limits[budget] || counts[budget] < this.limits[budget])) {
+                this.paused.actions.delete(type);
+                resumed.push(type);
+            }
+        }
+
+        if (resumed.length === 0) return false;
+        this.log(`Resumed ${resumed.join(', ')}`);
+        this.emit('changed');
+        return true;
+    }
+
+    /**
+     * @returns {{actions: string[], conversations: string[]}} What pages must not auto-accept
+     */
+    getPause() {
+        return { actions: Array.from(this.paused.actions), conversations: Array.from(this.paused.conversations) };
+    }
+
+    /**
+     * What is left before each budget runs out. Pages count their own clicks
+     * down from this until the next sync sends a fresh one.
+     *
+     * @returns {{actions: Object, perConversation: number, conversations: Object}}
+     *   actions: action type -> clicks left, only for limited types;
+     *   perConversation: the limit for a conversation not seen yet, 0 for none;
+     *   conversations: tab -> clicks left
+     */
+    getAllowance() {
+        this.pruneTerminalTimes(this.now());
+        const actions = {};
+        if (this.limits.terminal) {
+            actions[BUDGETS.terminal.actionType] = Math.max(0, this.limits.terminal - this.terminalTimes.length);
+        }
+        if (this.limits.fileEdits) {
+            actions[BUDGETS.fileEdits.actionType] = Math.max(0, this.limits.fileEdits - this.fileEdits);
+        }
+        const conversations = {};
+        if (this.limits.conversation) {
+            for (const [tab, clicks] of this.conversationClicks) {
+                conversations[tab] = Math.max(0, this.limits.conversation - clicks);
+            }
+        }
+        return { actions, perConversation: this.limits.conversation, conversations };
+    }
+
+    /**
+     * @returns {Object[]} {budget, limit, used, scope} for each budget that has a limit; the
+     *   conversation entry is the busiest conversation
+     */
+    getRemaining() {
+        this.pruneTerminalTimes(this.now());
+        const remaining = [];
+        if (this.limits.conversation) {
+            let busiest = null;
+            for (const [tab, clicks] of this.conversationClicks) {
+                if (!busiest || clicks > busiest.used) busiest = { scope: tab, used: clicks };
+            }
+            remaining.push({ budget: 'conversation', limit: this.limits.conversation, used: busiest ? busiest.used : 0, scope: busiest ? busiest.scope : null });
+        }
+        if (this.limits.terminal) {
+            remaining.push({ budget: 'terminal', limit: this.limits.terminal, used: this.terminalTimes.length, scope: null });
+        }
+        if (this.limits.fileEdits) {
+            remaining.push({ budget: 'fileEdits', limit: this.limits.fileEdits, used: this.fileEdits, scope: null });
+        }
+        return remaining;
+    }
+}
+
+module.exports = { ActionBudget, BUDGETS, DEFAULT_WINDOW_MS };
@@ -0,0 +1,149 @@
+const TARGETS = ['auto-accept', 'background'];
+const STATES = ['on', 'off'];
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+// Far enough ahead to find the next transition of any weekly schedule
+const LOOKAHEAD_DAYS = 8;
+
+function toMinutes(time) {
+    const [, h, m] = TIME_PATTERN.exec(time);
+    return Number(h) * 60 + Number(m);
+}
+
+/**
+ * Check a schedule as entered in settings.
+ *
+ * @param {Object} schedule - {target, days, start, end, state}
+ * @returns {string[]} Problems; empty when the schedule is usable
+ */
+function validateSchedule(schedule) {
+    if (!schedule || typeof schedule !== 'object') return ['Schedule must be an object'];
+    const errors = [];
+    if (!TARGETS.includes(schedule.target)) {
+        errors.push(`Target must be one of ${TARGETS.join(', ')}`);
+    }
+    if (!Array.isArray(schedule.days) || schedule.days.length === 0 ||
+        !schedule.days.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) {
+        errors.push('Days must be a non-empty list of 0 (Sunday) to 6 (Saturday)');
+    }
+    ['start', 'end'].forEach(key => {
+        if (!TIME_PATTERN.test(String(schedule[key]))) errors.push(`${key} must be a time like 09:00`);
+    });
+    if (!STATES.includes(schedule.state)) {
+        errors.push(`State must be one of ${STATES.join(', ')}`);
+    }
+    return errors;
+}
+
+/**
+ * Whether a date falls inside a schedule's window. A window that ends before it
+ * starts runs past midnight into the next day; days are the days it starts on.
+ * Equal start and end cover the whole day.
+ */
+function isWindowActive(schedule, date) {
+    const minute = date.getHours() * 60 + date.getMinutes();
+    const day = date.getDay();
+    const start = toMinutes(schedule.start);
+    const end = toMinutes(schedule.end);
+
+    if (start === end) return schedule.days.includes(day);
+    if (start < end) return schedule.days.includes(day) && minute >= start && minute < end;
+    return (schedule.days.includes(day) && minute >= start) ||
+        (schedule.days.includes((day + 6) % 7) && minute < end);
+}
+
+/**
+ * Turns auto-accept and background mode on and off at scheduled times.
+ *
+ * Each schedule sets its target to `state` inside its window. Outside every window,
+ * a target takes the opposite of its first schedule's state, so "off 09:00-17:00 on
+ * weekdays" means on the rest of the week. Manual toggles stick until the next transition.
+ */
+class ActivationSchedule {
+    constructor(schedules = [], logger = console.log) {
+        this.logger = logger;
+        this.applied = {};
+        this.setSchedules(schedules);
+    }
+
+    log(msg) {
+        if (this.logger) this.logger(`[Schedule] ${msg}`);
+    }
+
+    /**
+     * Invalid schedules are dropped. The next check() reports every scheduled
+     * target again, so new schedules take effect straight away.
+     */
+    setSchedules(schedules) {
+        this.schedules = (Array.isArray(schedules) ? schedules : []).filter(s => validateSchedule(s).length === 0);
+        this.applied = {};
+    }
+
+    /**
+     * @param {string} target - One of TARGETS
+     * @param {Date} date
+     * @returns {boolean|null} Whether the target should be on; null when no schedule covers it
+     */
+    desiredState(target, date) {
+        const own = this.schedules.filter(s => s.target === target);
+        if (own.length === 0) return null;
+        const active = own.find(s => isWindowActive(s, date));
+        return active ? active.state === 'on' : own[0].state !== 'on';
+    }
+
+    /**
+     * @param {Date} now
+     * @returns {Object[]} {target, enabled} for each target whose scheduled state changed since the last check
+     */
+    check(now) {
+        const transitions = [];
+        TARGETS.forEach(target => {
+            const enabled = this.desiredState(target, now);
+            if (enabled === null || this.applied[target] === enabled) return;
+            this.applied[target] = enabled;
+            this.log(`${target} scheduled ${enabled ? 'on' : 'off'}`);
+            transitions.push({ target, enabled });
+        });
+        return transitions;
+    }
+
+    /**
+     * @param {string} target
+     * @param {Date} now
+     * @returns {Object|null} {at: Date, enabled} for the next change within LOOKAHEAD_DAYS
+     */
+    nextTransition(target, now) {
+        const current = this.desiredState(target, now);
+        if (current === null) return null;
+
+        const candidates = [];
+        this.schedules.filter(s => s.target === target).forEach(s => {
+            for (let offset = 0; offset <= LOOKAHEAD_DAYS; offset++) {
+                [s.start, s.end].forEach(time => {
+                    const minutes = toMinutes(time);
+                    const at = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset, Math.floor(minutes / 60), minutes % 60);
+                    if (at > now) candidates.push(at);
+                });
+            }
+        });
+
+        for (const at of candidates.sort((a, b) => a - b)) {
+            const enabled = this.desiredState(target, at);
+            if (enabled !== current) return { at, enabled };
+        }
+        return null;
+    }
+}
+
+/**
+ * @param {Date} at
+ * @param {Date} now
+ * @returns {string} "17:00", or "Mon 08:00" when not today
+ */
+function formatTransitionTime(at, now) {
+    const time = `${String(at.getHours()).padStart(2, '0')}:${String(at.getMinutes()).padStart(2, '0')}`;
+    return at.toDateString() === now.toDateString() ? time : `${DAY_NAMES[at.getDay()]} ${time}`;
+}
+
+module.exports = { ActivationSchedule, validateSchedule, isWindowActive, formatTransitionTime, TARGETS, DAY_NAMES };
@@ -21,8 +21,8 @@
  * └──────────────┘   └──────────────┘   └──────────────┘
  */
 
-// For browser injection, we inline modules.
-// For Node.js testing, we use require().
+// Composed ahead of the core script as a page module (see PAGE_MODULES in cdp-handler.js),
+// registering on window.__autoAcceptAnalytics. For Node.js testing, we use require().
 
 (function (exports) {
     'use strict';
@@ -38,6 +38,8 @@
             sessionStartTime: null,
             fileEditsThisSession: 0,
             terminalCommandsThisSession: 0,
+            retriesThisSession: 0,
+            permissionsThisSession: 0,
             actionsWhileAway: 0,
             isWindowFocused: true,
             lastConversationUrl: null,
@@ -59,13 +61,27 @@
 
     const ActionType = {
         FILE_EDIT: 'file_edit',
-        TERMINAL_COMMAND: 'terminal_command'
+        TERMINAL_COMMAND: 'terminal_command',
+        RETRY: 'retry',
+        PERMISSION: 'permission'
+    };
+
+    // Per-session counter for each action type
+    const SESSION_COUNTERS = {
+        file_edit: 'fileEditsThisSession',
+        terminal_command: 'terminalCommandsThisSession',
+        retry: 'retriesThisSession',
+        permission: 'permissionsThisSession'
     };
 
     const TERMINAL_KEYWORDS = ['run', 'execute', 'command', 'terminal'];
+    const SECONDS_PER_CLICK = 5;
+    const TIME_VARIANCE = 0.2;
 
     function categorizeClick(buttonText) {
         const text = (buttonText || '').toLowerCase();
+        if (/\bretry\b/.test(text)) return ActionType.RETRY;
+        if (/\ballow\b/.test(text)) return ActionType.PERMISSION;
         for (const keyword of TERMINAL_KEYWORDS) {
             if (text.includes(keyword)) {
                 return ActionType.TERMINAL_COMMAND;
@@ -79,9 +95,10 @@
      * 
      * @param {string} buttonText - Text of clicked button
      * @param {Function} log - Logger function
+     * @param {string} [actionType] - From the matched button rule; otherwise guessed from the text
      * @returns {Object} Click metadata
      */
-    function trackClick(buttonText, log) {
+    function trackClick(buttonText, log, actionType) {
         const stats = getStatsMutable();
 
         // Increment total clicks
@@ -89,14 +106,10 @@
         log(`[Stats] Click tracked. Total: ${stats.clicksThisSession}`);
 
         // Categorize
-        const category = categorizeClick(buttonText);
-        if (category === ActionType.TERMINAL_COMMAND) {
-            stats.terminalCommandsThisSession++;
-            log(`[Stats] Terminal command. Total: ${stats.terminalCommandsThisSession}`);
-        } else {
-            stats.fileEditsThisSession++;
-            log(`[Stats] File edit. Total: ${stats.fileEditsThisSession}`);
-        }
+        const category = SESSION_COUNTERS[actionType] ? actionType : categorizeClick(buttonText);
+        const counter = SESSION_COUNTERS[category];
+        stats[counter] = (stats[counter] || 0) + 1;
+        log(`[Stats] ${category}. Total: ${stats[counter]}`);
 
         // Away tracking
         let isAway = false;
@@ -162,16 +175,18 @@
         const stats = getStats();
         const clicks = stats.clicksThisSession || 0;
 
-        const baseSecs = clicks * 5;
-        const minMins = Math.max(1, Math.floor((baseSecs * 0.8) / 60));
-        const maxMins = Math.ceil((baseSecs * 1.2) / 60);
+        const baseSecs = clicks * SECONDS_PER_CLICK;
+        const minMins = Math.max(1, Math.floor((baseSecs * (1 - TIME_VARIANCE)) / 60));
+        const maxMins = Math.ceil((baseSecs * (1 + TIME_VARIANCE)) / 60);
 
         return {
             clicks,
             fileEdits: stats.fileEditsThisSession || 0,
             terminalCommands: stats.terminalCommandsThisSession || 0,
+            retries: stats.retriesThisSession || 0,
+            permissions: stats.permissionsThisSession || 0,
             blocked: stats.blockedThisSession || 0,
-            estimatedTimeSaved: clicks > 0 ? `${minMins}–${maxMins}` : null
+            estimatedTimeSaved: clicks > 0 ? `${minMins}–${maxMins} minutes` : null
         };
     }
 
@@ -206,54 +221,85 @@
     // FOCUS MANAGEMENT
     // ==========================================
 
-    let focusListenersAttached = false;
-
     /**
-     * Setup focus/blur listeners.
-     * 
+     * Assume focus until the extension reports the window's focus through setFocusState.
+     *
      * @param {Function} log - Logger function
      */
-    function setupFocusListeners(log) {
-        if (typeof window === 'undefined') return;
-        if (focusListenersAttached) return;
+    function initializeFocusState(log) {
+        const state = window.__autoAcceptState;
+        if (state && state.stats) {
+            state.stats.isWindowFocused = true;
+            log('[Focus] Initialized (awaiting extension sync)');
+        }
+    }
 
-        log('[Focus] Setting up listeners...');
+    /**
+     * Window focus as reported by the extension.
+     *
+     * @param {boolean} isFocused
+     * @param {Function} [log] - Logger function
+     */
+    function setFocusState(isFocused, log) {
+        const state = window.__autoAcceptState;
+        if (!state || !state.stats) return;
 
-        const handleFocusChange = (isFocused, source) => {
-            const state = window.__autoAcceptState;
-            if (!state || !state.stats) return;
+        const wasAway = !state.stats.isWindowFocused;
+        state.stats.isWindowFocused = isFocused;
 
-            const wasAway = !state.stats.isWindowFocused;
-            state.stats.isWindowFocused = isFocused;
+        if (log) {
+            log(`[Focus] Extension sync: focused=${isFocused}, wasAway=${wasAway}`);
+        }
+    }
 
-            log(`[Focus] ${source}: focused=${isFocused}, wasAway=${wasAway}`);
+    // ==========================================
+    // INITIALIZATION
+    // ==========================================
 
-            if (isFocused && wasAway) {
-                const awayActions = state.stats.actionsWhileAway || 0;
-                log(`[Focus] User returned! awayActions=${awayActions}`);
-                if (awayActions > 0) {
-                    window.dispatchEvent(new CustomEvent('autoAcceptUserReturned', {
-                        detail: { actionsWhileAway: awayActions }
-                    }));
-                }
-            }
+    function createDefaultState() {
+        return {
+            isRunning: false,
+            tabNames: [],
+            completionStatus: {},
+            sessionID: 0,
+            currentMode: null,
+            startTimes: {},
+            bannedCommands: [],
+            stats: createDefaultStats()
         };
+    }
 
-        window.addEventListener('focus', () => handleFocusChange(true, 'window-focus'));
-        window.addEventListener('blur', () => handleFocusChange(false, 'window-blur'));
-        document.addEventListener('visibilitychange', () =>
-            handleFocusChange(!document.hidden, 'visibility-change')
-        );
+    /**
+     * Bring state left behind by an older script up to date: add the fields it
+     * lacks and keep the rest, counters included. Runs when a newer script is
+     * injected over an older one.
+     *
+     * @param {Function} log - Logger function
+     * @returns {string[]} Fields that were added
+     */
+    function migrateState(log) {
+        const state = window.__autoAcceptState;
+        const added = [];
+
+        for (const [key, value] of Object.entries(createDefaultState())) {
+            if (state[key] === undefined) {
+                state[key] = value;
+                added.push(key);
+            }
+        }
+        for (const [key, value] of Object.entries(createDefaultStats())) {
+            if (state.stats[key] === undefined) {
+                state.stats[key] = value;
+                added.push(`stats.${key}`);
+            }
+        }
 
-        handleFocusChange(!document.hidden, 'init');
-        focusListenersAttached = true;
-        log('[Focus] Listeners registered');
+        if (added.length > 0) {
+            log(`[State] Migrated state, added ${added.join(', ')}`);
+        }
+        return added;
     }
 
-    // ==========================================
-    // INITIALIZATION
-    // ==========================================
-
     /**
      * Initialize analytics system.
      * Call this when CDP script loads.
@@ -261,40 +307,21 @@
      * @param {Function} log - Logger function
      */
     function initialize(log) {
-        // Initialize state
         if (!window.__autoAcceptState) {
-            window.__autoAcceptState = {
-                isRunning: false,
-                tabNames: [],
-                completionStatus: {},
-                sessionID: 0,
-                currentMode: null,
-                startTimes: {},
-                bannedCommands: [],
-                stats: createDefaultStats()
-            };
+            window.__autoAcceptState = createDefaultState();
             log('[Analytics] State initialized');
-        } else if (!window.__autoAcceptState.stats) {
-            window.__autoAcceptState.stats = createDefaultStats();
-            log('[Analytics] Stats added to existing state');
         } else {
-            // Migrate existing stats
-            const s = window.__autoAcceptState.stats;
-            if (s.actionsWhileAway === undefined) s.actionsWhileAway = 0;
-            if (s.isWindowFocused === undefined) s.isWindowFocused = true;
-            if (s.fileEditsThisSession === undefined) s.fileEditsThisSession = 0;
-            if (s.terminalCommandsThisSession === undefined) s.terminalCommandsThisSession = 0;
+            migrateState(log);
         }
 
-        // Setup focus listeners
-        setupFocusListeners(log);
+        initializeFocusState(log);
 
         // Initialize session start time
         if (!window.__autoAcceptState.stats.sessionStartTime) {
             window.__autoAcceptState.stats.sessionStartTime = Date.now();
         }
 
-        log('[Analytics] Initialized successfully');
+        log('[Analytics] Initialized');
     }
 
     // ==========================================
@@ -326,7 +353,7 @@
         getStats,
 
         // Focus
-        setupFocusListeners
+        setFocusState
     };
 
     // Also expose individual functions for backwards compatibility
@@ -336,5 +363,8 @@
     exports.getSessionSummary = getSessionSummary;
     exports.consumeAwayActions = consumeAwayActions;
     exports.initialize = initialize;
+    exports.migrateState = migrateState;
 
-})(typeof module !== 'undefined' && module.exports ? module.exports : window);
+})(typeof module !== 'undefined' && module.exports
+    ? module.exports
+    : (typeof window !== 'undefined' ? (window.__autoAcceptAnalytics = window.__autoAcceptAnalytics || {}) : {}));
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+
+const AUDIT_FILE_NAME = 'audit.jsonl';
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Append-only JSONL record of every button the injected script clicked or held back.
+ * When the file passes MAX_FILE_BYTES it is rotated to `audit.jsonl.1`.
+ */
+class AuditLog {
+    constructor(directory, logger = console.log) {
+        this.filePath = path.join(directory, AUDIT_FILE_NAME);
+        this.logger = logger;
+    }
+
+    log(msg) {
+        if (this.logger) this.logger(`[Audit] ${msg}`);
+    }
+
+    /**
+     * @param {Object[]} entries - Entries from the page, with host fields already added
+     * @returns {number} Number of entries written
+     */
+    append(entries) {
+        if (!entries || entries.length === 0) return 0;
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            this.rotateIfNeeded();
+            fs.appendFileSync(this.filePath, entries.map(e => JSON.stringify(e)).join('\n') + '\n');
+            return entries.length;
+        } catch (e) {
+            this.log(`Failed to write ${entries.length} entries: ${e.message}`);
+            return 0;
+        }
+    }
+
+    rotateIfNeeded() {
+        try {
+            if (fs.statSync(this.filePath).size < MAX_FILE_BYTES) return;
+            fs.renameSync(this.filePath, `${this.filePath}.1`);
+            this.log(`Rotated ${this.filePath}`);
+        } catch (e) {
+            // No file yet
+        }
+    }
+
+    /**
+     * Read entries back, oldest first, skipping lines that fail to parse.
+     *
+     * @param {Object} [filter]
+     * @param {string[]} [filter.outcomes] - Keep only these outcomes
+     * @param {number} [filter.since] - Keep entries at or after this epoch ms
+     * @param {string} [filter.text] - Case-insensitive match on command, button or tab
+     * @returns {Object[]}
+     */
+    read(filter = {}) {
+        let lines;
+        try {
+            lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+        } catch (e) {
+            return [];
+        }
+
+        const entries = [];
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (e) { }
+        }
+        return entries.filter(entry => matchesFilter(entry, filter));
+    }
+}
+
+function matchesFilter(entry, filter) {
+    if (filter.outcomes && !filter.outcomes.includes(entry.outcome)) return false;
+    if (filter.since && Date.parse(entry.timestamp) < filter.since) return false;
+    if (filter.text) {
+        const needle = filter.text.toLowerCase();
+        const haystack = [entry.command, entry.button, entry.tab, entry.rule].filter(Boolean).join('\n').toLowerCase();
+        if (!haystack.includes(needle)) return false;
+    }
+    return true;
+}
+
+module.exports = { AuditLog, AUDIT_FILE_NAME };
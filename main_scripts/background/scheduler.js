@@ -0,0 +1,204 @@
+/**
+ * Background Scheduler Module
+ *
+ * Decides which conversation background mode should look at next, so the
+ * panel only switches tabs when another conversation is likely to need an
+ * accept. Each tab keeps the state learned on its last visit:
+ *
+ *     pending  - not visited yet, or its tab shows new activity
+ *     waiting  - buttons were clicked last visit, so more are likely soon
+ *     running  - nothing to click last visit; the agent is still working
+ *     blocked  - a button is held for the user; revisiting will not help
+ *     done     - the conversation finished; skipped until it shows activity again
+ *
+ * Tabs whose conversation the host reaches as its own CDP target are accepted
+ * there, so the scheduler never switches to them.
+ *
+ * Fairness bounds: the scheduler stays on a tab for at least minDwellMs, and
+ * no tab that is not done or blocked goes unvisited for longer than maxStarvationMs.
+ *
+ * @module background/scheduler
+ */
+
+(function (exports) {
+    'use strict';
+
+    const TAB_STATES = ['pending', 'waiting', 'running', 'blocked', 'done'];
+
+    const DEFAULT_OPTIONS = {
+        minDwellMs: 4000,
+        maxStarvationMs: 60000,
+        // How long a tab in each state can go without a visit before it is due again
+        recheckMs: { pending: 0, waiting: 0, running: 15000, blocked: 120000 },
+        // Pause between cycles while some tab is pending or waiting, and otherwise
+        busyDelayMs: 1000,
+        idleDelayMs: 3000
+    };
+
+    const PRIORITY = { pending: 3, waiting: 2, running: 1, blocked: 0 };
+
+    // Markers some IDEs put on a conversation tab; neither is reliable enough to skip a visit
+    const BUSY_SELECTOR = '.codicon-loading, [class*="spin"], [aria-busy="true"]';
+    const ATTENTION_SELECTOR = '[class*="badge"], [class*="unread"], [class*="notification"]';
+
+    /**
+     * Read what a conversation tab shows about its conversation without opening it.
+     *
+     * @param {Element} tab
+     * @returns {string|null} 'attention', 'busy' or null
+     */
+    function tabHint(tab) {
+        if (!tab || typeof tab.querySelector !== 'function') return null;
+        try {
+            if (tab.querySelector(ATTENTION_SELECTOR)) return 'attention';
+            if (tab.querySelector(BUSY_SELECTOR)) return 'busy';
+        } catch (e) {
+            return null;
+        }
+        return null;
+    }
+
+    /**
+     * @param {string} name - Conversation tab name
+     * @param {string[]} titles - Titles of conversations the host reaches as their own targets
+     * @returns {boolean}
+     */
+    function isReachableDirectly(name, titles) {
+        const needle = String(name || '').trim().toLowerCase();
+        if (needle.length < 3) return false;
+        return (titles || []).some(title => String(title).toLowerCase().includes(needle));
+    }
+
+    /**
+     * @param {Object} [options] - Overrides for DEFAULT_OPTIONS
+     * @returns {Object} Scheduler with sync, record, next, nextDelay, get and list
+     */
+    function createScheduler(options) {
+        const opts = { ...DEFAULT_OPTIONS, ...(options || {}) };
+        opts.recheckMs = { ...DEFAULT_OPTIONS.recheckMs, ...((options && options.recheckMs) || {}) };
+
+        const tabs = new Map();
+        let switchedAt = null;
+
+        /**
+         * Match the tab list on the page. New tabs start pending, closed tabs are dropped,
+         * and a tab hint wakes a done or blocked conversation.
+         *
+         * @param {Object[]} current - {name, hint, direct} in tab order
+         */
+        function sync(current) {
+            const names = new Set(current.map(t => t.name));
+            for (const name of Array.from(tabs.keys())) {
+                if (!names.has(name)) tabs.delete(name);
+            }
+            current.forEach(({ name, hint, direct }, order) => {
+                let tab = tabs.get(name);
+                if (!tab) {
+                    tab = { name, state: 'pending', visitedAt: null, visits: 0 };
+                    tabs.set(name, tab);
+                }
+                tab.order = order;
+                tab.hint = hint || null;
+                tab.direct = direct === true;
+                if (hint === 'attention' && tab.state !== 'waiting') tab.state = 'pending';
+                else if (hint === 'busy' && tab.state === 'done') tab.state = 'running';
+            });
+        }
+
+        /**
+         * Note what a visit to a tab found.
+         *
+         * @param {string} name
+         * @param {Object} outcome - {clicked, held, done}
+         * @param {number} now
+         * @returns {string|null} The tab's new state
+         */
+        function record(name, outcome, now) {
+            const tab = tabs.get(name);
+            if (!tab) return null;
+            if (outcome.done) tab.state = 'done';
+            else if (outcome.clicked > 0) tab.state = 'waiting';
+            else if (outcome.held) tab.state = 'blocked';
+            else tab.state = 'running';
+            tab.visitedAt = now;
+            tab.visits++;
+            return tab.state;
+        }
+
+        function idleFor(tab, now) {
+            return tab.visitedAt === null ? Infinity : now - tab.visitedAt;
+        }
+
+        // Never-visited tabs sort as the least recently visited
+        function lastVisit(tab) {
+            return tab.visitedAt === null ? -Infinity : tab.visitedAt;
+        }
+
+        function isStarving(tab, now) {
+            return (tab.state === 'running' || tab.state === 'waiting') && idleFor(tab, now) >= opts.maxStarvationMs;
+        }
+
+        function isDue(tab, now) {
+            return tab.state !== 'done' && idleFor(tab, now) >= opts.recheckMs[tab.state];
+        }
+
+        function byPriority(a, b) {
+            return (PRIORITY[b.state] - PRIORITY[a.state]) ||
+                ((b.hint === 'attention') - (a.hint === 'attention')) ||
+                (lastVisit(a) - lastVisit(b)) ||
+                (a.order - b.order);
+        }
+
+        /**
+         * @param {string|null} current - Tab on screen now
+         * @param {number} now
+         * @returns {string|null} Tab to switch to, or null to stay
+         */
+        function next(current, now) {
+            const active = current ? tabs.get(current) : null;
+            if (active && switchedAt !== null && now - switchedAt < opts.minDwellMs) return null;
+
+            const others = Array.from(tabs.values()).filter(t => t !== active && !t.direct);
+            const starving = others.filter(t => isStarving(t, now)).sort((a, b) => a.visitedAt - b.visitedAt);
+            let target = starving[0] || null;
+
+            if (!target) {
+                // A conversation that just needed accepts is likely to need more, so stay with it
+                if (active && (active.state === 'waiting' || active.state === 'pending')) return null;
+                target = others.filter(t => isDue(t, now)).sort(byPriority)[0] || null;
+            }
+            if (!target) return null;
+
+            switchedAt = now;
+            return target.name;
+        }
+
+        /**
+         * @returns {number} How long to wait before the next cycle
+         */
+        function nextDelay() {
+            const busy = Array.from(tabs.values()).some(t => t.state === 'pending' || t.state === 'waiting');
+            return busy ? opts.busyDelayMs : opts.idleDelayMs;
+        }
+
+        function get(name) {
+            const tab = tabs.get(name);
+            return tab ? { ...tab } : null;
+        }
+
+        function list() {
+            return Array.from(tabs.values()).sort((a, b) => a.order - b.order).map(t => ({ ...t }));
+        }
+
+        return { sync, record, next, nextDelay, get, list };
+    }
+
+    exports.TAB_STATES = TAB_STATES;
+    exports.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+    exports.tabHint = tabHint;
+    exports.isReachableDirectly = isReachableDirectly;
+    exports.createScheduler = createScheduler;
+
+})(typeof module !== 'undefined' && module.exports
+    ? module.exports
+    : (typeof window !== 'undefined' ? (window.__autoAcceptBackground = window.__autoAcceptBackground || {}) : {}));
@@ -0,0 +1,238 @@
+/**
+ * Button Rule Module
+ *
+ * Decides what to do with a candidate button from an ordered list of rules.
+ * The first rule whose conditions all match wins; a button no rule matches is ignored.
+ *
+ * Rule shape:
+ *
+ *     {
+ *         id: 'run',                        // Shown in logs and the audit trail
+ *         match: {
+ *             text: 'run',                  // Whole words in the button label, or '/regex/flags'
+ *             ariaLabel: 'run command',     // Same, against aria-label
+ *             role: 'button',               // Exact role attribute
+ *             selector: '.action-button',   // The button itself matches
+ *             ancestor: '.chat-panel'       // Some ancestor matches
+ *         },
+ *         action: 'click',                  // 'click' | 'ignore' | 'confirm'
+ *         category: 'run',                  // One of CATEGORIES; required unless ignoring
+ *         click: 'trusted'                  // Optional, one of CLICK_STRATEGIES
+ *     }
+ *
+ * Text conditions match whole words, so `run` no longer catches "Rerun tests".
+ *
+ * Click strategies: 'synthetic' (the default) clicks from the page and retries with
+ * a real mouse click when the button stays put; 'trusted' goes straight to the real
+ * mouse click, for buttons whose handlers ignore events without isTrusted.
+ *
+ * @module buttons/rules
+ */
+
+(function (exports) {
+    'use strict';
+
+    const ACTIONS = ['click', 'ignore', 'confirm'];
+
+    // Also the button kinds a workspace policy can switch off (disabledButtonKinds).
+    // 'run' buttons have their command checked against the banned and allowed lists.
+    const CATEGORIES = ['accept', 'run', 'retry', 'apply', 'confirm', 'allow'];
+
+    const MATCH_KEYS = ['text', 'ariaLabel', 'role', 'selector', 'ancestor'];
+
+    const CLICK_STRATEGIES = ['synthetic', 'trusted'];
+
+    // What the user switches on and off in settings; each category belongs to exactly one
+    const ACTION_TYPES = ['file_edit', 'terminal_command', 'retry', 'permission'];
+
+    const ACTION_TYPE_BY_CATEGORY = {
+        accept: 'file_edit',
+        apply: 'file_edit',
+        run: 'terminal_command',
+        retry: 'retry',
+        confirm: 'permission',
+        allow: 'permission'
+    };
+
+    const COMMON_RULES = [
+        { id: 'ignore-tooltips', match: { ancestor: '[role="tooltip"], .monaco-hover' }, action: 'ignore' },
+        { id: 'ignore-dismiss', match: { text: '/\\b(skip|reject|cancel|close|refine|select)\\b/i' }, action: 'ignore' },
+        { id: 'ignore-model-picker', match: { text: '/\\b(model|gemini|claude|gpt|fast|slow)\\b/i' }, action: 'ignore' },
+        { id: 'run', match: { text: '/\\b(run|execute)\\b/i' }, action: 'click', category: 'run' },
+        { id: 'accept', match: { text: 'accept' }, action: 'click', category: 'accept' },
+        { id: 'retry', match: { text: 'retry' }, action: 'click', category: 'retry' },
+        { id: 'apply', match: { text: 'apply' }, action: 'click', category: 'apply' },
+        { id: 'confirm', match: { text: 'confirm' }, action: 'click', category: 'confirm' },
+        { id: 'allow', match: { text: 'allow' }, action: 'click', category: 'allow' }
+    ];
+
+    // Both IDEs currently use the same wording; give one its own list when that changes
+    const DEFAULT_RULES = {
+        antigravity: COMMON_RULES,
+        cursor: COMMON_RULES
+    };
+
+    /**
+     * @param {string} ide
+     * @returns {Object[]} Default rules for the IDE, in evaluation order
+     */
+    function getDefaultRules(ide) {
+        return (DEFAULT_RULES[String(ide || '').toLowerCase()] || COMMON_RULES).map(r => ({ ...r, match: { ...r.match } }));
+    }
+
+    /**
+     * Lowercase a button label and drop keyboard hints ("Accept Alt+⏎"),
+     * zero-width characters and repeated whitespace.
+     *
+     * @param {string} raw
+     * @returns {string}
+     */
+    function normalizeLabel(raw) {
+        return String(raw || '')
+            .trim()
+            .toLowerCase()
+            .replace(/\s*(alt|ctrl|cmd|shift)\s*\+\s*\w+/gi, '')
+            .replace(/[\u200B-\u200D\uFEFF]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * @param {string} category - A rule category
+     * @returns {string} The action type it counts and toggles as; file_edit when unknown
+     */
+    function actionTypeOf(category) {
+        return ACTION_TYPE_BY_CATEGORY[category] || 'file_edit';
+    }
+
+    function escapeRegex(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * @param {string} pattern - Words to find, or '/regex/flags'
+     * @returns {RegExp}
+     * @throws {SyntaxError} For an invalid regex
+     */
+    function compileTextPattern(pattern) {
+        const source = String(pattern).trim();
+        if (source.startsWith('/') && source.lastIndexOf('/') > 0) {
+            const lastSlash = source.lastIndexOf('/');
+            // Stateful flags would make test() skip matches on alternate buttons
+            const flags = source.substring(lastSlash + 1).replace(/[gy]/g, '');
+            return new RegExp(source.substring(1, lastSlash), flags || 'i');
+        }
+        const words = normalizeLabel(source).split(' ').map(escapeRegex).join('\\s+');
+        return new RegExp(`(^|[^a-z0-9])${words}($|[^a-z0-9])`, 'i');
+    }
+
+    /**
+     * Check a rule as entered by a user.
+     *
+     * @param {Object} rule
+     * @returns {string[]} Problems; empty when the rule is usable
+     */
+    function validateRule(rule) {
+        const errors = [];
+        if (!rule || typeof rule !== 'object') return ['Rule must be an object'];
+
+        const match = rule.match || {};
+        const keys = Object.keys(match).filter(k => typeof match[k] === 'string' && match[k].trim());
+        if (keys.length === 0) {
+            errors.push(`Rule needs at least one of ${MATCH_KEYS.join(', ')}`);
+        }
+        Object.keys(match).filter(k => !MATCH_KEYS.includes(k)).forEach(k => {
+            errors.push(`Unknown match condition "${k}"`);
+        });
+        ['text', 'ariaLabel'].filter(k => keys.includes(k)).forEach(k => {
+            try {
+                compileTextPattern(match[k]);
+            } catch (e) {
+                errors.push(`Invalid ${k} pattern: ${e.message}`);
+            }
+        });
+        if (!ACTIONS.includes(rule.action)) {
+            errors.push(`Action must be one of ${ACTIONS.join(', ')}`);
+        }
+        if (rule.action !== 'ignore' && !CATEGORIES.includes(rule.category)) {
+            errors.push(`Category must be one of ${CATEGORIES.join(', ')}`);
+        }
+        if (rule.click !== undefined && !CLICK_STRATEGIES.includes(rule.click)) {
+            errors.push(`Click must be one of ${CLICK_STRATEGIES.join(', ')}`);
+        }
+        return errors;
+    }
+
+    /**
+     * Compile rules for matching. Invalid rules are kept with an `error` and never match.
+     *
+     * @param {Object[]} rules
+     * @returns {Object[]}
+     */
+    function compileRules(rules) {
+        return (Array.isArray(rules) ? rules : []).map((rule, index) => {
+            const errors = validateRule(rule);
+            const id = rule && rule.id ? String(rule.id) : `rule-${index + 1}`;
+            if (errors.length > 0) return { id, error: errors.join('; ') };
+
+            const match = rule.match;
+            return {
+                id,
+                action: rule.action,
+                category: rule.category || null,
+                click: rule.click || 'synthetic',
+                text: match.text ? compileTextPattern(match.text) : null,
+                ariaLabel: match.ariaLabel ? compileTextPattern(match.ariaLabel) : null,
+                role: match.role ? match.role.trim().toLowerCase() : null,
+                selector: match.selector ? match.selector.trim() : null,
+                ancestor: match.ancestor ? match.ancestor.trim() : null
+            };
+        });
+    }
+
+    // A selector the page cannot parse counts as no match rather than an exception
+    function safeMatches(fn) {
+        try {
+            return !!fn();
+        } catch (e) {
+            return false;
+        }
+    }
+
+    function ruleMatches(rule, el, label) {
+        if (rule.error) return false;
+        if (rule.text && !rule.text.test(label)) return false;
+        if (rule.ariaLabel && !rule.ariaLabel.test(normalizeLabel(el.getAttribute && el.getAttribute('aria-label')))) return false;
+        if (rule.role && String((el.getAttribute && el.getAttribute('role')) || '').toLowerCase() !== rule.role) return false;
+        if (rule.selector && !safeMatches(() => el.matches(rule.selector))) return false;
+        if (rule.ancestor && !safeMatches(() => el.parentElement && el.parentElement.closest(rule.ancestor))) return false;
+        return true;
+    }
+
+    /**
+     * @param {Element} el - Candidate button
+     * @param {string} label - normalizeLabel(el.textContent)
+     * @param {Object[]} rules - Compiled rules, in order
+     * @returns {Object|null} The first matching compiled rule
+     */
+    function findButtonRule(el, label, rules) {
+        return (rules || []).find(rule => ruleMatches(rule, el, label)) || null;
+    }
+
+    exports.ACTIONS = ACTIONS;
+    exports.CATEGORIES = CATEGORIES;
+    exports.MATCH_KEYS = MATCH_KEYS;
+    exports.CLICK_STRATEGIES = CLICK_STRATEGIES;
+    exports.ACTION_TYPES = ACTION_TYPES;
+    exports.actionTypeOf = actionTypeOf;
+    exports.getDefaultRules = getDefaultRules;
+    exports.normalizeLabel = normalizeLabel;
+    exports.compileTextPattern = compileTextPattern;
+    exports.validateRule = validateRule;
+    exports.compileRules = compileRules;
+    exports.ruleMatches = ruleMatches;
+    exports.findButtonRule = findButtonRule;
+
+})(typeof module !== 'undefined' && module.exports
+    ? module.exports
+    : (typeof window !== 'undefined' ? (window.__autoAcceptButtons = window.__autoAcceptButtons || {}) : {}));
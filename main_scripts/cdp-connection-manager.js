@@ -0,0 +1,470 @@
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
+const http = require('http');
+
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 30000;
+const COMMAND_TIMEOUT_MS = 2000;
+const HEARTBEAT_INTERVAL_MS = 15000;
+// A target we cannot reach this many times in a row is assumed gone
+const MAX_RECONNECT_ATTEMPTS = 8;
+// Navigation fires both Page.frameNavigated and Runtime.executionContextsCleared
+const CONTEXT_LOST_DEBOUNCE_MS = 500;
+
+// Target types that have a DOM worth injecting into
+const PAGE_TARGET_TYPES = ['page', 'iframe', 'webview', 'other'];
+
+function backoffDelay(attempt) {
+    return Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * Math.pow(2, attempt));
+}
+
+/**
+ * Keeps CDP sockets open instead of rescanning ports on every sync.
+ *
+ * Connects to the browser endpoint of each debugging port and follows
+ * Target.targetCreated / targetDestroyed to open and close page sockets.
+ * Lost sockets are reconnected with exponential backoff.
+ *
+ * Events:
+ * - 'pageConnected' (pageId): a page socket opened; nothing is injected yet
+ * - 'pageContextLost' (pageId, reason): the page navigated or reloaded, injection is gone
+ * - 'pageDisconnected' (pageId)
+ * - 'pageMessage' (pageId, msg): any other CDP event from a page
+ * - 'healthChanged' (health)
+ */
+class CDPConnectionManager extends EventEmitter {
+    constructor({ host = '127.0.0.1', ports = [], browserUrl = null, logger = console.log, WebSocketImpl = WebSocket, fetchJson = null } = {}) {
+        super();
+        this.host = host;
+        this.ports = ports;
+        // Explicit browser endpoint for ports[0], used instead of asking /json/version
+        this.browserUrl = browserUrl;
+        this.logger = logger;
+        this.WebSocketImpl = WebSocketImpl;
+        this.fetchJson = fetchJson || ((port, path) => this.httpGetJson(port, path));
+
+        this.browsers = new Map();     // port -> {ws, url, connectedAt}
+        this.connections = new Map();  // pageId -> {ws, port, target, injected, ...}
+        this.knownTargets = new Map(); // pageId -> {target, port, reconnectAttempts}
+        this.pendingMessages = new Map();
+        this.messageId = 1;
+
+        this.running = false;
+        this.discoveryAttempts = 0;
+        this.discoveryTimer = null;
+        this.nextDiscoveryAt = null;
+        this.lastDiscoveryAt = 0;
+        this.heartbeatTimer = null;
+        this.timers = new Set();
+    }
+
+    log(msg) {
+        if (this.logger) this.logger(`[Conn] ${msg}`);
+    }
+
+    /**
+     * Start discovery unless a browser endpoint is already reporting targets or a
+     * retry is scheduled. Without a browser endpoint, new pages are only found by
+     * rescanning, at most every BACKOFF_MAX_MS. Safe to call on every sync.
+     */
+    async start() {
+        this.running = true;
+        if (!this.heartbeatTimer) {
+            this.heartbeatTimer = setInterval(() => this.heartbeat(), HEARTBEAT_INTERVAL_MS);
+        }
+        if (this.browsers.size > 0 || this.discoveryTimer) {
+            return;
+        }
+        if (this.connections.size > 0 && Date.now() - this.lastDiscoveryAt < BACKOFF_MAX_MS) {
+            return;
+        }
+        await this.discover();
+    }
+
+    stop() {
+        this.running = false;
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+        clearTimeout(this.discoveryTimer);
+        this.discoveryTimer = null;
+        this.nextDiscoveryAt = null;
+        this.timers.forEach(t => clearTimeout(t));
+        this.timers.clear();
+
+        for (const [, browser] of this.browsers) try { browser.ws.close(); } catch (e) { }
+        for (const [, conn] of this.connections) try { conn.ws.close(); } catch (e) { }
+        this.browsers.clear();
+        this.connections.clear();
+        this.knownTargets.clear();
+        this.discoveryAttempts = 0;
+        this.emitHealth();
+    }
+
+    /**
+     * Point the manager at a different host, port list or browser URL.
+     * Open sockets are dropped when anything changed; the next start() rediscovers.
+     *
+     * @returns {boolean} Whether the endpoint changed
+     */
+    configure({ host, ports, browserUrl = null }) {
+        const same = host === this.host && browserUrl === this.browserUrl &&
+            ports.length === this.ports.length && ports.every((p, i) => p === this.ports[i]);
+        if (same) return false;
+
+        this.stop();
+        this.host = host;
+        this.ports = ports;
+        this.browserUrl = browserUrl;
+        this.log(`Endpoint changed to ${host} ports ${ports.join(', ')}${browserUrl ? ` (${browserUrl})` : ''}`);
+        return true;
+    }
+
+    later(fn, delay) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            fn();
+        }, delay);
+        this.timers.add(timer);
+        return timer;
+    }
+
+    // --- Discovery ---
+
+    async discover() {
+        this.discoveryTimer = null;
+        this.nextDiscoveryAt = null;
+        this.lastDiscoveryAt = Date.now();
+        let found = 0;
+
+        for (const port of this.ports) {
+            if (this.browsers.has(port)) {
+                found++;
+                continue;
+            }
+            try {
+                const version = this.browserUrl && port === this.ports[0]
+                    ? { webSocketDebuggerUrl: this.browserUrl }
+                    : await this.fetchJson(port, '/json/version');
+                if (version && version.webSocketDebuggerUrl) {
+                    if (await this.connectBrowser(port, version.webSocketDebuggerUrl)) found++;
+                    continue;
+                }
+                // No browser endpoint: fall back to the page list
+                const pages = await this.fetchJson(port, '/json/list');
+                for (const page of pages.filter(p => p.webSocketDebuggerUrl && PAGE_TARGET_TYPES.includes(p.type))) {
+                    this.trackTarget(port, { targetId: page.id, type: page.type, title: page.title, url: page.url }, page.webSocketDebuggerUrl);
+                    found++;
+                }
+            } catch (e) { }
+        }
+
+        if (found > 0) {
+            this.discoveryAttempts = 0;
+        } else if (this.running) {
+            this.scheduleDiscovery();
+        }
+        this.emitHealth();
+        return found;
+    }
+
+    scheduleDiscovery() {
+        if (this.discoveryTimer || !this.running) return;
+        const delay = backoffDelay(this.discoveryAttempts++);
+        this.nextDiscoveryAt = Date.now() + delay;
+        this.log(`No CDP endpoint found, retrying in ${delay}ms`);
+        this.discoveryTimer = setTimeout(() => this.discover(), delay);
+    }
+
+    connectBrowser(port, url) {
+        return new Promise((resolve) => {
+            const ws = new this.WebSocketImpl(url);
+            let opened = false;
+
+            ws.on('open', () => {
+                opened = true;
+                this.browsers.set(port, { ws, url, connectedAt: Date.now() });
+                this.log(`Browser endpoint connected on port ${port}`);
+                this.sendRaw(ws, 'Target.setDiscoverTargets', { discover: true })
+                    .catch(e => this.log(`Target discovery failed on port ${port}: ${e.message}`));
+                resolve(true);
+            });
+            ws.on('message', (data) => {
+                const msg = this.parseMessage(data);
+                if (msg && msg.method) this.handleBrowserEvent(port, msg);
+            });
+            ws.on('pong', () => { ws.awaitingPong = false; });
+            ws.on('error', (err) => {
+                this.log(`Browser WS error on port ${port}: ${err.message}`);
+                if (!opened) resolve(false);
+            });
+            ws.on('close', () => {
+                if (!opened) return resolve(false);
+                this.browsers.delete(port);
+                this.log(`Browser endpoint on port ${port} closed`);
+                this.emitHealth();
+                // Page sockets may outlive the browser socket; rediscover to get a fresh URL
+                if (this.running) this.scheduleDiscovery();
+            });
+        });
+    }
+
+    handleBrowserEvent(port, msg) {
+        const params = msg.params || {};
+        switch (msg.method) {
+            case 'Target.targetCreated':
+            case 'Target.targetInfoChanged': {
+                const info = params.targetInfo;
+                if (!info || !PAGE_TARGET_TYPES.includes(info.type)) return;
+                const known = this.knownTargets.get(info.targetId);
+                if (known) {
+                    known.target = info;
+                    return;
+                }
+                // Same scheme and authority as the browser socket the event came from
+                const { protocol, host } = new URL(this.browsers.get(port).url);
+                this.trackTarget(port, info, `${protocol}//${host}/devtools/page/${info.targetId}`);
+                break;
+            }
+            case 'Target.targetDestroyed':
+                this.forgetTarget(params.targetId);
+                break;
+            case 'Target.targetCrashed':
+                this.log(`Target ${params.targetId} crashed (${params.status})`);
+                this.markContextLost(params.targetId, 'renderer crashed');
+                break;
+        }
+    }
+
+    trackTarget(port, info, wsUrl) {
+        if (this.knownTargets.has(info.targetId)) return;
+        this.knownTargets.set(info.targetId, { target: info, port, wsUrl, reconnectAttempts: 0, lastError: null });
+        this.log(`Target discovered: ${info.type} ${info.targetId} "${(info.title || '').substring(0, 50)}"`);
+        this.connectPage(info.targetId);
+    }
+
+    forgetTarget(targetId) {
+        if (!this.knownTargets.delete(targetId)) return;
+        this.log(`Target destroyed: ${targetId}`);
+        const conn = this.connections.get(targetId);
+        if (conn) try { conn.ws.close(); } catch (e) { }
+        this.emitHealth();
+    }
+
+    // --- Page sockets ---
+
+    connectPage(pageId) {
+        const known = this.knownTargets.get(pageId);
+        if (!known || known.connecting || this.connections.has(pageId)) {
+            return Promise.resolve(this.connections.has(pageId));
+        }
+        known.connecting = true;
+
+        return new Promise((resolve) => {
+            const ws = new this.WebSocketImpl(known.wsUrl);
+            let opened = false;
+
+            ws.on('open', async () => {
+                opened = true;
+                known.connecting = false;
+                known.reconnectAttempts = 0;
+                known.lastError = null;
+                this.connections.set(pageId, {
+                    ws,
+                    port: known.port,
+                    injected: false,
+                    pushEnabled: false,
+                    connectedAt: Date.now(),
+                    injections: 0,
+                    lastInjectedAt: null,
+                    contextTimer: null
+                });
+                try {
+                    await this.sendCommand(pageId, 'Page.enable');
+                    await this.sendCommand(pageId, 'Runtime.enable');
+                } catch (e) {
+                    this.log(`Could not enable navigation events on ${pageId}: ${e.message || e}`);
+                }
+                this.emitHealth();
+                this.emit('pageConnected', pageId);
+                resolve(true);
+            });
+            ws.on('message', (data) => {
+                const msg = this.parseMessage(data);
+                if (msg && msg.method) this.handlePageEvent(pageId, msg);
+            });
+            ws.on('pong', () => { ws.awaitingPong = false; });
+            ws.on('error', (err) => {
+                known.lastError = err.message;
+                this.log(`WS Error on ${pageId}: ${err.message}`);
+                if (!opened) resolve(false);
+            });
+            ws.on('close', () => {
+                known.connecting = false;
+                const conn = this.connections.get(pageId);
+                if (conn && conn.ws === ws) {
+                    clearTimeout(conn.contextTimer);
+                    this.connections.delete(pageId);
+                    this.emit('pageDisconnected', pageId);
+                }
+                if (!opened) resolve(false);
+                this.emitHealth();
+                this.scheduleReconnect(pageId);
+            });
+        });
+    }
+
+    scheduleReconnect(pageId) {
+        const known = this.knownTargets.get(pageId);
+        if (!known || !this.running) return;
+        if (known.reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
+            this.log(`Giving up on ${pageId} after ${known.reconnectAttempts} attempts`);
+            this.forgetTarget(pageId);
+            return;
+        }
+        const delay = backoffDelay(known.reconnectAttempts++);
+        known.nextRetryAt = Date.now() + delay;
+        this.log(`Reconnecting to ${pageId} in ${delay}ms`);
+        this.later(() => {
+            known.nextRetryAt = null;
+            this.connectPage(pageId);
+        }, delay);
+    }
+
+    handlePageEvent(pageId, msg) {
+        if (msg.method === 'Page.frameNavigated') {
+            // Only a main-frame navigation replaces the document we injected into
+            if (!msg.params.frame.parentId) this.markContextLost(pageId, 'navigated');
+            return;
+        }
+        if (msg.method === 'Runtime.executionContextsCleared') {
+            this.markContextLost(pageId, 'reloaded');
+            return;
+        }
+        this.emit('pageMessage', pageId, msg);
+    }
+
+    markContextLost(pageId, reason) {
+        const conn = this.connections.get(pageId);
+        if (!conn) return;
+        conn.injected = false;
+        clearTimeout(conn.contextTimer);
+        conn.contextTimer = setTimeout(() => {
+            conn.contextTimer = null;
+            if (this.connections.get(pageId) !== conn) return;
+            this.log(`Page ${pageId} ${reason}, injection lost`);
+            this.emit('pageContextLost', pageId, reason);
+            this.emitHealth();
+        }, CONTEXT_LOST_DEBOUNCE_MS);
+    }
+
+    // Terminate sockets that stopped answering pings; their close handler reconnects
+    heartbeat() {
+        const sockets = [
+            ...Array.from(this.browsers.values()).map(b => b.ws),
+            ...Array.from(this.connections.values()).map(c => c.ws)
+        ];
+        for (const ws of sockets) {
+            if (ws.awaitingPong) {
+                this.log('Socket stopped responding, terminating');
+                try { ws.terminate(); } catch (e) { }
+                continue;
+            }
+            ws.awaitingPong = true;
+            try { ws.ping(); } catch (e) { }
+        }
+    }
+
+    // --- Commands ---
+
+    parseMessage(data) {
+        let msg;
+        try {
+            msg = JSON.parse(data.toString());
+        } catch (e) {
+            return null;
+        }
+        if (msg.id && this.pendingMessages.has(msg.id)) {
+            const { resolve, reject } = this.pendingMessages.get(msg.id);
+            this.pendingMessages.delete(msg.id);
+            msg.error ? reject(new Error(msg.error.message)) : resolve(msg.result);
+            return null;
+        }
+        return msg;
+    }
+
+    sendRaw(ws, method, params = {}) {
+        if (ws.readyState !== this.WebSocketImpl.OPEN) return Promise.reject(new Error('dead'));
+        const id = this.messageId++;
+        return new Promise((resolve, reject) => {
+            this.pendingMessages.set(id, { resolve, reject });
+            ws.send(JSON.stringify({ id, method, params }));
+            setTimeout(() => {
+                if (this.pendingMessages.has(id)) {
+                    this.pendingMessages.delete(id);
+                    reject(new Error('timeout'));
+                }
+            }, COMMAND_TIMEOUT_MS);
+        });
+    }
+
+    sendCommand(pageId, method, params = {}) {
+        const conn = this.connections.get(pageId);
+        if (!conn) return Promise.reject(new Error('dead'));
+        return this.sendRaw(conn.ws, method, params);
+    }
+
+    httpGetJson(port, path) {
+        return new Promise((resolve, reject) => {
+            const req = http.get({ hostname: this.host, port, path, timeout: COMMAND_TIMEOUT_MS }, (res) => {
+                let data = '';
+                res.on('data', chunk => data += chunk);
+                res.on('end', () => {
+                    try {
+                        resolve(JSON.parse(data));
+                    } catch (e) {
+                        reject(e);
+                    }
+                });
+            });
+            req.on('error', reject);
+            req.on('timeout', () => {
+                req.destroy();
+                reject(new Error('timeout'));
+            });
+        });
+    }
+
+    // --- Health ---
+
+    getHealth() {
+        return {
+            running: this.running,
+            browsers: Array.from(this.browsers.entries()).map(([port, b]) => ({ port, connectedAt: b.connectedAt })),
+            nextDiscoveryAt: this.nextDiscoveryAt,
+            pages: Array.from(this.knownTargets.entries()).map(([pageId, known]) => {
+                const conn = this.connections.get(pageId);
+                return {
+                    pageId,
+                    type: known.target.type,
+                    title: known.target.title || '',
+                    connected: !!conn,
+                    injected: !!(conn && conn.injected),
+                    pushEnabled: !!(conn && conn.pushEnabled),
+                    injections: conn ? conn.injections : 0,
+                    lastInjectedAt: conn ? conn.lastInjectedAt : null,
+                    scriptVersion: conn ? conn.scriptVersion || null : null,
+                    upgradedFrom: conn ? conn.upgradedFrom || null : null,
+                    reconnectAttempts: known.reconnectAttempts,
+                    nextRetryAt: known.nextRetryAt || null,
+                    lastError: known.lastError
+                };
+            })
+        };
+    }
+
+    emitHealth() {
+        this.emit('healthChanged', this.getHealth());
+    }
+}
+
+module.exports = { CDPConnectionManager, backoffDelay, PAGE_TARGET_TYPES };
@@ -0,0 +1,128 @@
+const DEFAULT_CDP_HOST = '127.0.0.1';
+const DEFAULT_CDP_PORTS = '9000-9010, 9222';
+// Guard against "1-65535" turning every sync into a full port scan
+const MAX_SCAN_PORTS = 64;
+
+function isValidPort(port) {
+    return Number.isInteger(port) && port >= 1 && port <= 65535;
+}
+
+/**
+ * Parse the `auto-accept.cdp.ports` setting.
+ * Accepts "9222, 9000-9010" or an array of ports/ranges. Order is kept and
+ * duplicates dropped; the first port is the one the relauncher launches with.
+ *
+ * @param {string|Array<string|number>} spec
+ * @returns {{ports: number[], warnings: string[]}}
+ */
+function parsePortList(spec) {
+    const parts = Array.isArray(spec) ? spec.map(String) : String(spec || '').split(',');
+    const ports = [];
+    const warnings = [];
+
+    for (const raw of parts) {
+        const part = raw.trim();
+        if (!part) continue;
+
+        const match = part.match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+        if (!match) {
+            warnings.push(`Ignoring "${part}": expected a port or a range like 9000-9010`);
+            continue;
+        }
+        const from = Number(match[1]);
+        const to = match[2] === undefined ? from : Number(match[2]);
+        if (!isValidPort(from) || !isValidPort(to) || to < from) {
+            warnings.push(`Ignoring "${part}": ports must be between 1 and 65535, low to high`);
+            continue;
+        }
+        for (let port = from; port <= to; port++) {
+            if (ports.includes(port)) continue;
+            if (ports.length >= MAX_SCAN_PORTS) {
+                warnings.push(`Only the first ${MAX_SCAN_PORTS} ports are scanned`);
+                return { ports, warnings };
+            }
+            ports.push(port);
+        }
+    }
+    return { ports, warnings };
+}
+
+/**
+ * Parse a browser endpoint such as ws://127.0.0.1:9000/devtools/browser/<id>.
+ *
+ * @param {string} url
+ * @returns {{url: string, host: string, port: number}|null}
+ */
+function parseBrowserUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return null;
+    }
+    if (parsed.protocol !== 'ws:' && parsed.protocol !== 'wss:') return null;
+    const port = Number(parsed.port || (parsed.protocol === 'wss:' ? 443 : 80));
+    // new URL keeps IPv6 brackets, http.get wants them stripped
+    return { url, host: parsed.hostname.replace(/^\[|\]$/g, ''), port };
+}
+
+/**
+ * Resolve the CDP settings into what the handler scans and the relauncher launches with.
+ * A browser URL wins over host and ports: its host is used and its port is scanned
+ * (and launched with) first.
+ *
+ * @param {Object} settings
+ * @param {string} [settings.host]
+ * @param {string|Array} [settings.ports]
+ * @param {string} [settings.browserUrl]
+ * @returns {{host: string, ports: number[], launchPort: number, browserUrl: string|null, warnings: string[]}}
+ */
+function resolveEndpoint(settings = {}) {
+    const warnings = [];
+    let host = typeof settings.host === 'string' && settings.host.trim() ? settings.host.trim() : DEFAULT_CDP_HOST;
+
+    const parsedPorts = parsePortList(settings.ports === undefined || settings.ports === '' ? DEFAULT_CDP_PORTS : settings.ports);
+    warnings.push(...parsedPorts.warnings);
+    let ports = parsedPorts.ports;
+    if (ports.length === 0) {
+        warnings.push(`No usable ports configured, falling back to ${DEFAULT_CDP_PORTS}`);
+        ports = parsePortList(DEFAULT_CDP_PORTS).ports;
+    }
+
+    let browserUrl = null;
+    if (typeof settings.browserUrl === 'string' && settings.browserUrl.trim()) {
+        const browser = parseBrowserUrl(settings.browserUrl.trim());
+        if (!browser) {
+            warnings.push(`Ignoring browser URL "${settings.browserUrl}": expected ws://host:port/devtools/browser/<id>`);
+        } else {
+            browserUrl = browser.url;
+            host = browser.host;
+            ports = [browser.port, ...ports.filter(p => p !== browser.port)];
+        }
+    }
+
+    return { host, ports, launchPort: ports[0], browserUrl, warnings };
+}
+
+/**
+ * Short form for logs and prompts, e.g. "127.0.0.1:9000-9010, 9222".
+ */
+function describeEndpoint(endpoint) {
+    const groups = [];
+    for (const port of endpoint.ports) {
+        const last = groups[groups.length - 1];
+        if (last && port === last[1] + 1) last[1] = port;
+        else groups.push([port, port]);
+    }
+    const ports = groups.map(([from, to]) => from === to ? `${from}` : `${from}-${to}`).join(', ');
+    return `${endpoint.host}:${ports}`;
+}
+
+module.exports = {
+    DEFAULT_CDP_HOST,
+    DEFAULT_CDP_PORTS,
+    parsePortList,
+    parseBrowserUrl,
+    resolveEndpoint,
+    describeEndpoint
+};
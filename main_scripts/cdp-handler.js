@@ -1,20 +1,90 @@
-const WebSocket = require('ws');
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const { CDPConnectionManager } = require('./cdp-connection-manager');
+const { DEFAULT_CDP_HOST } = require('./cdp-endpoint');
+const { ScriptBundler } = require('./script-bundler');
+const { version: EXTENSION_VERSION } = require('../package.json');
 
 const LOG_PREFIX = '[CDP]';
 
-class CDPHandler {
+// Page function installed with Runtime.addBinding; calls arrive as Runtime.bindingCalled
+const BINDING_NAME = '__autoAcceptEmit';
+
+const SCRIPTS_DIR = path.join(__dirname, '..', 'main_scripts');
+
+// Core page script; the ES modules it imports are bundled into it
+const CORE_SCRIPT = 'full_cdp_script.js';
+
+// Page-side modules evaluated ahead of the core bundle, in order.
+// Each registers itself on a window namespace that the core bundle reads.
+const PAGE_MODULES = [
+    'analytics/index.js',
+    'commands/extract.js',
+    'commands/parser.js',
+    'commands/rules.js',
+    'buttons/rules.js',
+    'background/scheduler.js',
+    'interaction/activity.js',
+    'detection/observer.js'
+];
+
+function emptyTally() {
+    return { clicks: 0, blocked: 0, fileEdits: 0, terminalCommands: 0, retries: 0, permissions: 0, actionsWhileAway: 0 };
+}
+
+// Pushed click categories (the bundle's Analytics.ActionType) to their tally field
+const TALLY_FIELDS = {
+    file_edit: 'fileEdits',
+    terminal_command: 'terminalCommands',
+    retry: 'retries',
+    permission: 'permissions'
+};
+
+/**
+ * Emits 'pageEvent' ({type, timestamp, pageId, ...}) for every event a page pushes
+ * through the binding. Click and blocked events are also tallied here, so the stats
+ * getters stay correct for pages whose in-page counters are skipped. 'trusted-click'
+ * is a request rather than an event: once the page script confirms it made it, it is
+ * answered with a real mouse click.
+ *
+ * Also re-emits the connection manager's health, with script versions, as 'connectionHealth'.
+ */
+class CDPHandler extends EventEmitter {
     constructor(startPort = 9000, endPort = 9030, logger = console.log) {
+        super();
         this.startPort = startPort;
         this.endPort = endPort;
+        this.host = DEFAULT_CDP_HOST;
+        this.ports = null; // Explicit scan list from setEndpoint, overrides the range
+        this.browserUrl = null;
         this.logger = logger;
-        this.connections = new Map();
-        this.messageId = 1;
-        this.pendingMessages = new Map();
         this.isEnabled = false;
         this.logFilePath = null;
+        this.pushedStats = emptyTally();
+        this.lastConfigJson = null;
+        this.windowConfigs = []; // [{label, config}] shared by other windows, see setWindowConfigs
+        this.bundler = new ScriptBundler((msg) => this.log(msg));
+        this.stamped = null; // {source, script, version} for the last bundle built
+
+        this.manager = new CDPConnectionManager({
+            host: this.host,
+            ports: this.getPortsToScan(),
+            logger: (msg) => this.log(msg)
+        });
+        // Shared with the manager: pageId -> {ws, injected, pushEnabled, ...}
+        this.connections = this.manager.connections;
+
+        this.manager.on('pageConnected', (pageId) => this.onPageConnected(pageId));
+        this.manager.on('pageContextLost', (pageId) => this.onPageContextLost(pageId));
+        this.manager.on('pageMessage', (pageId, msg) => {
+            if (msg.method === 'Runtime.bindingCalled' && msg.params?.name === BINDING_NAME) {
+                this.handlePageEvent(pageId, msg.params.payload);
+            }
+        });
+        this.manager.on('healthChanged', () => this.emit('connectionHealth', this.getConnectionHealth()));
     }
 
     setLogFile(filePath) {
@@ -35,20 +105,37 @@ class CDPHandler {
         }
     }
 
+    /**
+     * Use a resolved endpoint (see cdp-endpoint.js) instead of the constructor's port range.
+     * @param {{host: string, ports: number[], browserUrl: string|null}} endpoint
+     * @returns {boolean} Whether open connections were dropped
+     */
+    setEndpoint(endpoint) {
+        this.host = endpoint.host;
+        this.ports = endpoint.ports.slice();
+        this.browserUrl = endpoint.browserUrl;
+        // New page sockets are injected from onPageConnected on the next start()
+        return this.manager.configure({ host: this.host, ports: this.ports, browserUrl: this.browserUrl });
+    }
+
     async isCDPAvailable() {
         const instances = await this.scanForInstances();
         return instances.length > 0;
     }
 
-    async scanForInstances() {
-        const instances = [];
+    getPortsToScan() {
+        if (this.ports) return this.ports;
         // Prioritize 9222 (standard) and then scan 9000-9030
         const portsToScan = [9222];
         for (let p = this.startPort; p <= this.endPort; p++) {
             if (p !== 9222) portsToScan.push(p);
         }
+        return portsToScan;
+    }
 
-        for (const port of portsToScan) {
+    async scanForInstances() {
+        const instances = [];
+        for (const port of this.getPortsToScan()) {
             try {
                 const pages = await this.getPages(port);
                 if (pages.length > 0) instances.push({ port, pages });
@@ -59,7 +146,7 @@ class CDPHandler {
 
     getPages(port) {
         return new Promise((resolve, reject) => {
-            const req = http.get({ hostname: '127.0.0.1', port, path: '/json/list', timeout: 2000 }, (res) => {
+            const req = http.get({ hostname: this.host, port, path: '/json/list', timeout: 2000 }, (res) => {
                 let data = '';
                 res.on('data', chunk => data += chunk);
                 res.on('end', () => {
@@ -105,36 +192,68 @@ class CDPHandler {
         });
     }
 
+    // Called on every sync. Pages come and go through the connection manager;
+    // here we only push a changed config to pages that are already running.
     async start(config) {
         this.isEnabled = true;
         this.config = config; // Store config for later use
-        const instances = await this.scanForInstances();
+        const configJson = JSON.stringify(config);
+        const configChanged = configJson !== this.lastConfigJson;
+        this.lastConfigJson = configJson;
 
-        this.log(`Found ${instances.length} CDP instance(s)`);
-        for (const instance of instances) {
-            this.log(`Instance on port ${instance.port}: ${instance.pages.length} page(s)`);
-            for (const page of instance.pages) {
-                // Skip workers - they don't have a DOM
-                if (page.type === 'worker') {
-                    this.log(`  Skipping worker: ${page.id} (no DOM)`);
-                    continue;
-                }
+        await this.manager.start();
+        if (config.isBackgroundMode) await this.classifyTargets();
 
-                this.log(`  Page: ${page.id} - ${page.title || 'untitled'} - ${page.url || 'no url'}`);
-                if (!this.connections.has(page.id)) {
-                    await this.connectToPage(page);
-                }
-                if (this.connections.has(page.id)) {
-                    await this.injectAndStart(page.id, config);
-                }
-            }
+        // Scripts changed on disk since these pages were injected: upgrade them in place
+        const version = this.getScriptVersion();
+        for (const conn of this.connections.values()) {
+            if (conn.injected && conn.scriptVersion && conn.scriptVersion !== version) conn.injected = false;
+        }
+
+        for (const [pageId, conn] of this.connections) {
+            const pageConfigChanged = JSON.stringify(this.configForPage(pageId, config)) !== conn.startedConfig;
+            await this.injectAndStart(pageId, config, configChanged || pageConfigChanged);
         }
 
         // Query and log diagnostic info from the main page
         await this.logDiagnostics();
 
-        // Start keyboard shortcut polling loop as a fallback
-        this.startKeyboardShortcutLoop(config.pollInterval || 2000);
+        // Start keyboard shortcut polling loop as a fallback.
+        // Shadow mode must not accept anything, so the shortcut stays off.
+        if (config.shadowMode) {
+            this.stopKeyboardShortcutLoop();
+        } else if (configChanged || !this.keyboardLoopInterval) {
+            this.startKeyboardShortcutLoop(config.pollInterval || 2000);
+        }
+    }
+
+    async onPageConnected(pageId) {
+        await this.enablePushChannel(pageId);
+        if (this.isEnabled && this.config) {
+            await this.injectAndStart(pageId, this.config, true);
+        }
+    }
+
+    async onPageContextLost(pageId) {
+        const conn = this.connections.get(pageId);
+        if (!conn || !this.isEnabled || !this.config) return;
+        conn.injected = false;
+        this.log(`Re-injecting into ${pageId} after navigation`);
+        await this.injectAndStart(pageId, this.config, true);
+    }
+
+    // Pages report the script version they run; versionMismatch marks the ones still on an older one
+    getConnectionHealth() {
+        const health = this.manager.getHealth();
+        const scriptVersion = this.stamped ? this.stamped.version : null;
+        return {
+            ...health,
+            scriptVersion,
+            pages: health.pages.map(page => ({
+                ...page,
+                versionMismatch: !!(scriptVersion && page.scriptVersion && page.scriptVersion !== scriptVersion)
+            }))
+        };
     }
 
     startKeyboardShortcutLoop(interval) {
@@ -167,6 +286,14 @@ class CDPHandler {
         }, interval);
     }
 
+    stopKeyboardShortcutLoop() {
+        if (this.keyboardLoopInterval) {
+            clearInterval(this.keyboardLoopInterval);
+            this.keyboardLoopInterval = null;
+            this.log('Keyboard shortcut loop stopped');
+        }
+    }
+
     // Check if the connected page is likely Antigravity
     async verifyTargetIsAntigravity() {
         const mainPageId = Array.from(this.connections.keys())[0];
@@ -265,6 +392,7 @@ class CDPHandler {
                             shadowRoots: shadowRoots,
                             acceptElements: acceptElements.slice(0, 15),
                             url: window.location.href.substring(0, 80),
+                            version: window.__autoAcceptVersion || null,
                             state: window.__autoAcceptState ? {
                                 isRunning: window.__autoAcceptState.isRunning,
                                 mode: window.__autoAcceptState.currentMode
@@ -280,6 +408,10 @@ class CDPHandler {
                     this.log(`[DIAG]   Elements: ${diag.totalElements}, Buttons: ${diag.buttons}, Clickables: ${diag.clickables}, ShadowRoots: ${diag.shadowRoots || 0}`);
                     if (diag.state) {
                         this.log(`[DIAG]   Script state: isRunning=${diag.state.isRunning}, mode=${diag.state.mode}`);
+                        const expected = this.stamped && this.stamped.version;
+                        if (expected && diag.version !== expected) {
+                            this.log(`[DIAG]   Script version mismatch: page runs ${diag.version || 'an unversioned script'}, expected ${expected}`);
+                        }
                     }
                     if (diag.acceptElements && diag.acceptElements.length > 0) {
                         this.log(`[DIAG]   Found ${diag.acceptElements.length} accept-like elements:`);
@@ -300,11 +432,7 @@ class CDPHandler {
     async stop() {
         this.isEnabled = false;
 
-        // Clear keyboard shortcut loop
-        if (this.keyboardLoopInterval) {
-            clearInterval(this.keyboardLoopInterval);
-            this.keyboardLoopInterval = null;
-        }
+        this.stopKeyboardShortcutLoop();
 
         const stopPromises = [];
         for (const [pageId] of this.connections) {
@@ -314,8 +442,9 @@ class CDPHandler {
                 }).catch(() => { })
             );
         }
+        await Promise.allSettled(stopPromises);
         this.disconnectAll();
-        Promise.allSettled(stopPromises);
+        this.lastConfigJson = null;
     }
 
     // Send Alt+G keyboard shortcut to trigger Antigravity's native Accept
@@ -375,107 +504,318 @@ class CDPHandler {
         }
     }
 
-    async connectToPage(page) {
-        return new Promise((resolve) => {
-            const ws = new WebSocket(page.webSocketDebuggerUrl);
-            ws.on('open', () => {
-                this.connections.set(page.id, { ws, injected: false });
-                resolve(true);
-            });
-            ws.on('message', (data) => {
-                try {
-                    const msg = JSON.parse(data.toString());
-                    if (msg.id && this.pendingMessages.has(msg.id)) {
-                        const { resolve: res, reject: rej } = this.pendingMessages.get(msg.id);
-                        this.pendingMessages.delete(msg.id);
-                        msg.error ? rej(new Error(msg.error.message)) : res(msg.result);
-                    }
-                } catch (e) { }
-            });
-            ws.on('error', (err) => {
-                this.log(`WS Error on ${page.id}: ${err.message}`);
-                this.connections.delete(page.id);
-                resolve(false);
-            });
-            ws.on('close', () => {
-                this.connections.delete(page.id);
+    // Install the binding before injection so the script finds it on first run.
+    // Pages where this fails keep reporting through the polled getters.
+    async enablePushChannel(pageId) {
+        try {
+            await this.sendCommand(pageId, 'Runtime.addBinding', { name: BINDING_NAME });
+            const conn = this.connections.get(pageId);
+            if (conn) conn.pushEnabled = true;
+            this.log(`Push channel enabled on ${pageId}`);
+        } catch (e) {
+            this.log(`Push channel unavailable on ${pageId}, falling back to polling: ${e.message || e}`);
+        }
+    }
+
+    handlePageEvent(pageId, payload) {
+        let event;
+        try {
+            event = JSON.parse(payload);
+        } catch (e) {
+            this.log(`Ignoring malformed page event from ${pageId}`);
+            return;
+        }
+
+        if (event.type === 'trusted-click') {
+            this.handleTrustedClickRequest(pageId, event);
+            return;
+        }
+
+        if (event.type === 'click') {
+            this.pushedStats.clicks++;
+            this.pushedStats[TALLY_FIELDS[event.category] || 'fileEdits']++;
+            if (event.away) this.pushedStats.actionsWhileAway++;
+        } else if (event.type === 'blocked') {
+            this.pushedStats.blocked++;
+        }
+
+        this.emit('pageEvent', { ...event, pageId });
+    }
+
+    /**
+     * Any script in the page can call the binding, so a request is only served after
+     * the page script hands over the box of the button it asked for. Each request id
+     * is handed over once, and the point has to fall inside that box.
+     *
+     * @param {string} pageId
+     * @param {{id: string, x: number, y: number, button?: string}} event
+     * @returns {Promise<boolean>} Whether the click was delivered
+     */
+    async handleTrustedClickRequest(pageId, event) {
+        const box = typeof event.id === 'string' ? await this.claimTrustedClick(pageId, event.id) : null;
+        if (!box) {
+            this.log(`Ignoring trusted click on ${pageId}: the page script did not ask for it`);
+            return false;
+        }
+        const inside = event.x >= box.left && event.x <= box.left + box.width &&
+            event.y >= box.top && event.y <= box.top + box.height;
+        if (!inside) {
+            this.log(`Ignoring trusted click on ${pageId} at (${event.x}, ${event.y}): outside the button it was asked for`);
+            return false;
+        }
+        return this.dispatchTrustedClick(pageId, event.x, event.y, event.button);
+    }
+
+    // The box of the button the page script asked a trusted click for, or null
+    async claimTrustedClick(pageId, requestId) {
+        try {
+            const result = await this.sendCommand(pageId, 'Runtime.evaluate', {
+                expression: `(function(){ if(typeof window !== "undefined" && window.__autoAcceptClaimTrustedClick) return JSON.stringify(window.__autoAcceptClaimTrustedClick(${JSON.stringify(requestId)})); return "null"; })()`,
+                returnByValue: true
             });
-        });
+            return result.result?.value ? JSON.parse(result.result.value) : null;
+        } catch (e) {
+            this.log(`Could not check trusted click on ${pageId}: ${e.message || e}`);
+            return null;
+        }
     }
 
-    async injectAndStart(pageId, config) {
+    /**
+     * Press and release the left mouse button at a point in the page's viewport.
+     * Unlike clicks from page script, these arrive with isTrusted set.
+     *
+     * @param {string} pageId
+     * @param {number} x - CSS pixels from the left of the top-level viewport
+     * @param {number} y
+     * @param {string} [label] - Button text, for the log
+     * @returns {Promise<boolean>} Whether all three input events were delivered
+     */
+    async dispatchTrustedClick(pageId, x, y, label = '') {
+        if (!Number.isFinite(x) || !Number.isFinite(y)) {
+            this.log(`Ignoring trusted click on ${pageId} without a position`);
+            return false;
+        }
+        const press = { x, y, button: 'left', buttons: 1, clickCount: 1 };
+        try {
+            // Some buttons only react once hovered
+            await this.sendCommand(pageId, 'Input.dispatchMouseEvent', { type: 'mouseMoved', x, y });
+            await this.sendCommand(pageId, 'Input.dispatchMouseEvent', { type: 'mousePressed', ...press });
+            await this.sendCommand(pageId, 'Input.dispatchMouseEvent', { type: 'mouseReleased', ...press, buttons: 0 });
+            this.log(`Trusted click on ${pageId} at (${x}, ${y})${label ? `: "${label}"` : ''}`);
+            return true;
+        } catch (e) {
+            this.log(`Trusted click on ${pageId} failed: ${e.message || e}`);
+            return false;
+        }
+    }
+
+    // Pages without the push channel still have to be polled for their counters
+    polledPageIds() {
+        return Array.from(this.connections.entries())
+            .filter(([, conn]) => !conn.pushEnabled)
+            .map(([pageId]) => pageId);
+    }
+
+    // Concurrent calls for one page share a single injection
+    injectAndStart(pageId, config, sendStart = true) {
         const conn = this.connections.get(pageId);
         if (!conn) {
             this.log(`Cannot inject into ${pageId}: no connection found`);
-            return;
+            return Promise.resolve();
         }
+        if (conn.injecting) return conn.injecting;
+
+        conn.injecting = this.doInjectAndStart(pageId, conn, config, sendStart)
+            .finally(() => { conn.injecting = null; });
+        return conn.injecting;
+    }
+
+    async doInjectAndStart(pageId, conn, config, sendStart) {
+        if (conn.injected && !sendStart) return;
         this.log(`Attempting to inject/start on ${pageId}...`);
 
         try {
             if (!conn.injected) {
                 this.log(`Getting script for injection...`);
                 const script = this.getComposedScript();
-                this.log(`Script loaded (${script.length} chars), sending to page...`);
-                const result = await this.sendCommand(pageId, 'Runtime.evaluate', {
-                    expression: script,
-                    userGesture: true,
-                    awaitPromise: true
-                });
+                const version = this.stamped.version;
+                const running = await this.getPageScript(pageId);
 
-                if (result.exceptionDetails) {
-                    this.log(`Injection Exception on ${pageId}: ${result.exceptionDetails.text} ${result.exceptionDetails.exception.description}`);
-                } else {
+                if (running.version === version) {
+                    // Still alive from before, e.g. the extension host restarted
                     conn.injected = true;
-                    this.log(`Injected core onto ${pageId}`);
+                    conn.scriptVersion = version;
+                    this.log(`${pageId} already runs script ${version}`);
+                } else {
+                    if (running.loaded) {
+                        // Stays reported as a mismatch until the new script is in
+                        conn.scriptVersion = running.version || 'unversioned';
+                        this.log(`Version mismatch on ${pageId}: page runs ${running.version || 'an unversioned script'}, upgrading to ${version}`);
+                        await this.stopPageScript(pageId);
+                    }
+                    this.log(`Script loaded (${script.length} chars), sending to page...`);
+                    const result = await this.sendCommand(pageId, 'Runtime.evaluate', {
+                        expression: script,
+                        userGesture: true,
+                        awaitPromise: true
+                    });
+
+                    if (result.exceptionDetails) {
+                        this.log(`Injection Exception on ${pageId}: ${result.exceptionDetails.text} ${result.exceptionDetails.exception.description}`);
+                    } else {
+                        conn.injected = true;
+                        conn.injections++;
+                        conn.lastInjectedAt = Date.now();
+                        if (running.loaded) {
+                            conn.upgradedFrom = conn.scriptVersion;
+                            this.emit('scriptUpgraded', { pageId, from: conn.upgradedFrom, to: version });
+                        }
+                        conn.scriptVersion = version;
+                        this.log(`Injected core onto ${pageId}`);
+                        this.emit('pageInjected', pageId);
+                    }
                 }
             }
 
             if (conn.injected) {
+                const pageConfig = this.configForPage(pageId, config);
                 const res = await this.sendCommand(pageId, 'Runtime.evaluate', {
                     expression: `(function(){
                         const g = (typeof window !== 'undefined') ? window : (typeof globalThis !== 'undefined' ? globalThis : self);
                         if(g && typeof g.__autoAcceptStart === 'function'){
-                            g.__autoAcceptStart(${JSON.stringify(config)});
+                            g.__autoAcceptStart(${JSON.stringify(pageConfig)});
                             return "started";
                         }
                         return "not_found";
                     })()`
                 });
                 this.log(`Start signal on ${pageId}: ${JSON.stringify(res.result?.value || res)}`);
+                // The document was replaced before we noticed; inject again next time
+                if (res.result?.value === 'not_found') conn.injected = false;
+                else conn.startedConfig = JSON.stringify(pageConfig);
             }
         } catch (e) {
             this.log(`Failed to start/update on ${pageId}: ${e.message}`);
         }
     }
 
+    /**
+     * Ask each injected page what it shows: a window with conversation tabs, or a
+     * single conversation rendered as its own target (a webview or iframe).
+     * Sets conn.role to 'tabs', 'conversation' or null.
+     */
+    async classifyTargets() {
+        for (const [pageId, conn] of this.connections) {
+            if (!conn.injected) continue;
+            try {
+                const result = await this.sendCommand(pageId, 'Runtime.evaluate', {
+                    expression: '(function(){ if(typeof window !== "undefined" && window.__autoAcceptDescribeTarget) return JSON.stringify(window.__autoAcceptDescribeTarget()); return ""; })()',
+                    returnByValue: true
+                });
+                if (!result.result?.value) continue;
+
+                const { tabs, conversation, title } = JSON.parse(result.result.value);
+                const role = tabs > 0 ? 'tabs' : (conversation ? 'conversation' : null);
+                const known = this.manager.knownTargets.get(pageId);
+                const conversationTitle = title || (known && known.target.title) || null;
+                if (role !== conn.role) {
+                    this.log(`${pageId} shows ${role === 'tabs' ? `${tabs} conversation tab(s)` : (role === 'conversation' ? `conversation "${conversationTitle}"` : 'no conversation')}`);
+                }
+                conn.role = role;
+                conn.conversationTitle = conversationTitle;
+            } catch (e) { }
+        }
+    }
+
+    /**
+     * Settings shared by each window of this IDE. A page whose title names one of
+     * them (VS Code titles read "file - workspace - App") starts with that window's
+     * settings layered over the config passed to start; other pages keep the latter.
+     *
+     * @param {{label: string, config: Object}[]} windows
+     */
+    setWindowConfigs(windows) {
+        this.windowConfigs = Array.isArray(windows) ? windows : [];
+    }
+
+    windowConfigFor(pageId) {
+        const known = this.manager.knownTargets.get(pageId);
+        const segments = String((known && known.target.title) || '').split(/\s+[-\u2013\u2014]\s+/);
+        const match = this.windowConfigs.find(w => w.label && segments.includes(w.label));
+        return match ? match.config : null;
+    }
+
+    /**
+     * The config a page starts with. In background mode, a conversation that has its
+     * own target is accepted there without touching the UI: the window it belongs to
+     * gets its title in directConversations and leaves that tab alone, and the target
+     * itself has no tabs to switch.
+     */
+    configForPage(pageId, config) {
+        const windowConfig = this.windowConfigFor(pageId);
+        if (windowConfig) config = { ...config, ...windowConfig };
+        const conn = this.connections.get(pageId);
+        if (!conn || !config.isBackgroundMode) return config;
+        if (conn.role === 'conversation') return { ...config, isBackgroundMode: false };
+
+        const directConversations = Array.from(this.connections.values())
+            .filter(c => c.role === 'conversation' && c.port === conn.port && c.conversationTitle)
+            .map(c => c.conversationTitle);
+        return { ...config, directConversations };
+    }
+
+    // Rebuilt only when one of the source files changes. The script ends by setting
+    // window.__autoAcceptVersion, so a page that failed halfway doesn't claim a version.
     getComposedScript() {
-        const scriptPath = path.join(__dirname, '..', 'main_scripts', 'full_cdp_script.js');
-        this.log(`Loading script from: ${scriptPath}`);
+        const source = this.bundler.bundle(path.join(SCRIPTS_DIR, CORE_SCRIPT), {
+            scripts: PAGE_MODULES.map(m => path.join(SCRIPTS_DIR, m))
+        });
+        if (!this.stamped || this.stamped.source !== source) {
+            const hash = crypto.createHash('sha256').update(source).digest('hex').substring(0, 12);
+            const version = `${EXTENSION_VERSION}+${hash}`;
+            const script = `${source}\n;\nif (typeof window !== 'undefined') window.__autoAcceptVersion = ${JSON.stringify(version)};\n`;
+            this.stamped = { source, script, version };
+        }
+        return this.stamped.script;
+    }
 
-        if (!fs.existsSync(scriptPath)) {
-            this.log(`ERROR: Script file not found at ${scriptPath}`);
-            throw new Error(`Script file not found: ${scriptPath}`);
+    // Extension version plus a hash of the bundle, e.g. "1.4.13+3f2a9c01b7de"
+    getScriptVersion() {
+        this.getComposedScript();
+        return this.stamped.version;
+    }
+
+    /**
+     * What a page is running from an earlier injection, if anything.
+     * @returns {Promise<{version: string|null, loaded: boolean}>}
+     */
+    async getPageScript(pageId) {
+        try {
+            const result = await this.sendCommand(pageId, 'Runtime.evaluate', {
+                expression: '(function(){ if(typeof window === "undefined") return ""; return JSON.stringify({ version: window.__autoAcceptVersion || null, loaded: !!window.__autoAcceptState }); })()',
+                returnByValue: true
+            });
+            if (result.result?.value) return JSON.parse(result.result.value);
+        } catch (e) {
+            this.log(`Could not read script version on ${pageId}: ${e.message}`);
         }
+        return { version: null, loaded: false };
+    }
 
-        const content = fs.readFileSync(scriptPath, 'utf8');
-        this.log(`Script file read successfully: ${content.length} bytes`);
-        return content;
+    // Ends the loops of an older script before its replacement takes over the same state.
+    // Scripts too old to have __autoAcceptStop still check isRunning.
+    async stopPageScript(pageId) {
+        try {
+            await this.sendCommand(pageId, 'Runtime.evaluate', {
+                expression: '(function(){ if(typeof window.__autoAcceptStop === "function") window.__autoAcceptStop(); else if(window.__autoAcceptState) window.__autoAcceptState.isRunning = false; })()'
+            });
+        } catch (e) {
+            this.log(`Could not stop the old script on ${pageId}: ${e.message}`);
+        }
     }
 
     sendCommand(pageId, method, params = {}) {
-        const conn = this.connections.get(pageId);
-        if (!conn || conn.ws.readyState !== WebSocket.OPEN) return Promise.reject('dead');
-        const id = this.messageId++;
-        return new Promise((resolve, reject) => {
-            this.pendingMessages.set(id, { resolve, reject });
-            conn.ws.send(JSON.stringify({ id, method, params }));
-            setTimeout(() => {
-                if (this.pendingMessages.has(id)) {
-                    this.pendingMessages.delete(id);
-                    reject(new Error('timeout'));
-                }
-            }, 2000);
-        });
+        return this.manager.sendCommand(pageId, method, params);
     }
 
     async hideBackgroundOverlay() {
@@ -489,9 +829,9 @@ class CDPHandler {
     }
 
     async getStats() {
-        const aggregatedStats = { clicks: 0, blocked: 0, fileEdits: 0, terminalCommands: 0, actionsWhileAway: 0 };
+        const aggregatedStats = { ...this.pushedStats };
 
-        for (const [pageId] of this.connections) {
+        for (const pageId of this.polledPageIds()) {
             try {
                 const result = await this.sendCommand(pageId, 'Runtime.evaluate', {
                     expression: '(function(){ if(typeof window !== "undefined" && window.__autoAcceptGetStats) return JSON.stringify(window.__autoAcceptGetStats()); return "{}"; })()',
@@ -504,6 +844,8 @@ class CDPHandler {
                     aggregatedStats.blocked += stats.blocked || 0;
                     aggregatedStats.fileEdits += stats.fileEdits || 0;
                     aggregatedStats.terminalCommands += stats.terminalCommands || 0;
+                    aggregatedStats.retries += stats.retries || 0;
+                    aggregatedStats.permissions += stats.permissions || 0;
                     aggregatedStats.actionsWhileAway += stats.actionsWhileAway || 0;
                 }
             } catch (e) { }
@@ -513,9 +855,11 @@ class CDPHandler {
     }
 
     async resetStats() {
-        const aggregatedStats = { clicks: 0, blocked: 0, fileEdits: 0, terminalCommands: 0, actionsWhileAway: 0 };
+        const aggregatedStats = { ...this.pushedStats };
+        this.pushedStats.clicks = 0;
+        this.pushedStats.blocked = 0;
 
-        for (const [pageId] of this.connections) {
+        for (const pageId of this.polledPageIds()) {
             try {
                 const result = await this.sendCommand(pageId, 'Runtime.evaluate', {
                     expression: '(function(){ if(typeof window !== "undefined" && window.__autoAcceptResetStats) return JSON.stringify(window.__autoAcceptResetStats()); return "{}"; })()',
@@ -528,6 +872,8 @@ class CDPHandler {
                     aggregatedStats.blocked += stats.blocked || 0;
                     aggregatedStats.fileEdits += stats.fileEdits || 0;
                     aggregatedStats.terminalCommands += stats.terminalCommands || 0;
+                    aggregatedStats.retries += stats.retries || 0;
+                    aggregatedStats.permissions += stats.permissions || 0;
                     aggregatedStats.actionsWhileAway += stats.actionsWhileAway || 0;
                 }
             } catch (e) { }
@@ -536,10 +882,164 @@ class CDPHandler {
         return aggregatedStats;
     }
 
-    async getSessionSummary() {
-        const summary = { clicks: 0, fileEdits: 0, terminalCommands: 0, blocked: 0 };
+    // Collect audit entries queued by each page since the last drain
+    async drainAuditEvents() {
+        const entries = [];
 
         for (const [pageId] of this.connections) {
+            try {
+                const result = await this.sendCommand(pageId, 'Runtime.evaluate', {
+                    expression: '(function(){ if(typeof window !== "undefined" && window.__autoAcceptDrainAudit) return JSON.stringify(window.__autoAcceptDrainAudit()); return "[]"; })()',
+                    returnByValue: true
+                });
+
+                if (result.result?.value) {
+                    JSON.parse(result.result.value).forEach(entry => entries.push({ ...entry, pageId }));
+                }
+            } catch (e) { }
+        }
+
+        return entries;
+    }
+
+    // Click events from pages that cannot push them, for the host's action budgets
+    async drainClickEvents() {
+        const events = [];
+
+        for (const pageId of this.polledPageIds()) {
+            try {
+                const result = await this.sendCommand(pageId, 'Runtime.evaluate', {
+                    expression: '(function(){ if(typeof window !== "undefined" && window.__autoAcceptDrainClicks) return JSON.stringify(window.__autoAcceptDrainClicks()); return "[]"; })()',
+                    returnByValue: true
+                });
+
+                if (result.result?.value) {
+                    JSON.parse(result.result.value).forEach(event => events.push({ ...event, pageId }));
+                }
+            } catch (e) { }
+        }
+
+        return events;
+    }
+
+    // Review requests and clearances from pages that cannot push them, shaped like pushed events
+    async drainReviewEvents() {
+        const events = [];
+
+        for (const pageId of this.polledPageIds()) {
+            try {
+                const result = await this.sendCommand(pageId, 'Runtime.evaluate', {
+                    expression: '(function(){ if(typeof window !== "undefined" && window.__autoAcceptDrainReviews) return JSON.stringify(window.__autoAcceptDrainReviews()); return "{}"; })()',
+                    returnByValue: true
+                });
+
+                if (result.result?.value) {
+                    const { requests = [], cleared = [] } = JSON.parse(result.result.value);
+                    requests.forEach(review => events.push({ type: 'review', review, pageId }));
+                    cleared.forEach(id => events.push({ type: 'review-cleared', id, pageId }));
+                }
+            } catch (e) { }
+        }
+
+        return events;
+    }
+
+    /**
+     * Deliver a decision for a held button.
+     * @param {string} decision - 'approve' or 'deny'
+     * @returns {Promise<boolean>} False when the page or button is gone
+     */
+    async resolveReview(pageId, reviewId, decision) {
+        if (!this.connections.has(pageId)) return false;
+        try {
+            const result = await this.sendCommand(pageId, 'Runtime.evaluate', {
+                expression: `(function(){ if(typeof window !== "undefined" && window.__autoAcceptResolveReview) return window.__autoAcceptResolveReview(${JSON.stringify(reviewId)}, ${JSON.stringify(decision)}); return false; })()`,
+                returnByValue: true
+            });
+            return result.result?.value === true;
+        } catch (e) {
+            this.log(`Failed to deliver review decision to ${pageId}: ${e.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Bring the page to the front and select a conversation tab by name.
+     * @returns {Promise<boolean>} False when the page is gone or the tab was not found
+     */
+    async openConversation(pageId, tabName) {
+        if (!this.connections.has(pageId)) return false;
+        try {
+            await this.sendCommand(pageId, 'Page.bringToFront');
+            if (!tabName) return true;
+            const result = await this.sendCommand(pageId, 'Runtime.evaluate', {
+                expression: `(function(){ if(typeof window !== "undefined" && window.__autoAcceptOpenTab) return window.__autoAcceptOpenTab(${JSON.stringify(tabName)}); return false; })()`,
+                returnByValue: true
+            });
+            return result.result?.value === true;
+        } catch (e) {
+            this.log(`Failed to open conversation on ${pageId}: ${e.message}`);
+            return false;
+        }
+    }
+
+    // What each page's visible conversation looks like now, for the stuck-agent watchdog
+    async getConversationSnapshots() {
+        const snapshots = [];
+
+        for (const [pageId, conn] of this.connections) {
+            if (!conn.injected) continue;
+            try {
+                const result = await this.sendCommand(pageId, 'Runtime.evaluate', {
+                    expression: '(function(){ if(typeof window !== "undefined" && window.__autoAcceptGetConversationSnapshot) return JSON.stringify(window.__autoAcceptGetConversationSnapshot()); return ""; })()',
+                    returnByValue: true
+                });
+
+                if (result.result?.value) {
+                    snapshots.push({ pageId, snapshot: JSON.parse(result.result.value) });
+                }
+            } catch (e) { }
+        }
+
+        return snapshots;
+    }
+
+    /**
+     * Nudge a stuck conversation: click Retry, or send a message such as "continue".
+     * @param {string} method - One of RECOVERY_METHODS except 'notify'
+     * @returns {Promise<string|null>} 'retry' or 'continue' for what was done, null when neither was possible
+     */
+    async recoverConversation(pageId, method, message) {
+        if (!this.connections.has(pageId)) return null;
+        const evaluate = async (fn) => {
+            const result = await this.sendCommand(pageId, 'Runtime.evaluate', {
+                expression: `(function(){ if(typeof window !== "undefined" && window.${fn}) return window.${fn}(); return false; })()`,
+                returnByValue: true
+            });
+            return result.result?.value === true;
+        };
+
+        try {
+            if (method !== 'continue' && await evaluate('__autoAcceptClickRetry')) return 'retry';
+            if (method === 'retry' || !message) return null;
+            if (!await evaluate('__autoAcceptFocusChatInput')) return null;
+
+            await this.sendCommand(pageId, 'Input.insertText', { text: message });
+            const enter = { key: 'Enter', code: 'Enter', windowsVirtualKeyCode: 13, nativeVirtualKeyCode: 13 };
+            await this.sendCommand(pageId, 'Input.dispatchKeyEvent', { type: 'keyDown', text: '\r', ...enter });
+            await this.sendCommand(pageId, 'Input.dispatchKeyEvent', { type: 'keyUp', ...enter });
+            return 'continue';
+        } catch (e) {
+            this.log(`Recovery on ${pageId} failed: ${e.message}`);
+            return null;
+        }
+    }
+
+    async getSessionSummary() {
+        const { clicks, fileEdits, terminalCommands, retries, permissions, blocked } = this.pushedStats;
+        const summary = { clicks, fileEdits, terminalCommands, retries, permissions, blocked };
+
+        for (const pageId of this.polledPageIds()) {
             try {
                 const result = await this.sendCommand(pageId, 'Runtime.evaluate', {
                     expression: '(function(){ if(typeof window !== "undefined" && window.__autoAcceptGetSessionSummary) return JSON.stringify(window.__autoAcceptGetSessionSummary()); return "{}"; })()',
@@ -551,6 +1051,8 @@ class CDPHandler {
                     summary.clicks += stats.clicks || 0;
                     summary.fileEdits += stats.fileEdits || 0;
                     summary.terminalCommands += stats.terminalCommands || 0;
+                    summary.retries += stats.retries || 0;
+                    summary.permissions += stats.permissions || 0;
                     summary.blocked += stats.blocked || 0;
                 }
             } catch (e) { }
@@ -565,9 +1067,10 @@ class CDPHandler {
     }
 
     async getAwayActions() {
-        let total = 0;
+        let total = this.pushedStats.actionsWhileAway;
+        this.pushedStats.actionsWhileAway = 0;
 
-        for (const [pageId] of this.connections) {
+        for (const pageId of this.polledPageIds()) {
             try {
                 const result = await this.sendCommand(pageId, 'Runtime.evaluate', {
                     expression: '(function(){ if(typeof window !== "undefined" && window.__autoAcceptGetAwayActions) return window.__autoAcceptGetAwayActions(); return 0; })()',
@@ -600,9 +1103,8 @@ class CDPHandler {
 
     getConnectionCount() { return this.connections.size; }
     disconnectAll() {
-        for (const [, conn] of this.connections) try { conn.ws.close(); } catch (e) { }
-        this.connections.clear();
+        this.manager.stop();
     }
 }
 
-module.exports = { CDPHandler };
+module.exports = { CDPHandler, BINDING_NAME };
@@ -0,0 +1,264 @@
+/**
+ * Command Extraction Module
+ *
+ * Ties a Run/Execute button to the command card it belongs to and returns a
+ * structured record of the command that button would run. Only the card that
+ * owns the button is inspected, so commands from earlier messages never leak
+ * into the result.
+ *
+ * @module commands/extract
+ */
+
+(function (exports) {
+    'use strict';
+
+    /**
+     * Elements that render command text, in order of preference.
+     * Each tier is tried in turn; the first tier with a match inside the card wins.
+     */
+    const COMMAND_SELECTOR_TIERS = [
+        ['[data-command]'],
+        ['pre', 'code'],
+        ['[class*="command"]', '[class*="terminal"]', '[class*="shell"]']
+    ];
+
+    /**
+     * Elements that show the working directory of a command card.
+     */
+    const CWD_SELECTORS = ['[data-cwd]', '[class*="cwd"]', '[class*="working-dir"]', '[class*="workdir"]'];
+
+    /**
+     * Containers that hold many messages. Walking up past one of these means we
+     * left the card the button belongs to.
+     */
+    const CARD_BOUNDARY_SELECTORS = [
+        'body',
+        '[role="list"]',
+        '[role="log"]',
+        '[role="feed"]',
+        '[class*="conversation"]',
+        '[class*="messages"]'
+    ];
+
+    const RUN_BUTTON_PATTERN = /\b(run|execute)\b/i;
+    const MAX_CARD_DEPTH = 6;
+    const MAX_COMMAND_LENGTH = 5000;
+
+    function matchesAny(el, selectors) {
+        if (!el || typeof el.matches !== 'function') return false;
+        return selectors.some(selector => {
+            try { return el.matches(selector); } catch (e) { return false; }
+        });
+    }
+
+    function isButtonLike(el) {
+        const tag = (el.tagName || '').toLowerCase();
+        return tag === 'button' || (el.getAttribute && el.getAttribute('role') === 'button');
+    }
+
+    function hasCommandText(container, button) {
+        return COMMAND_SELECTOR_TIERS.some(tier => findCandidates(container, button, tier).length > 0);
+    }
+
+    /**
+     * Whether another Run button is a variant of this one, like "Always run" next
+     * to "Run": it shares the button's parent, or the smallest container holding
+     * both has no command text of its own (a split button or toolbar).
+     *
+     * @param {Element} other
+     * @param {Element} button
+     * @returns {boolean}
+     */
+    function isSiblingVariant(other, button) {
+        let common = button.parentElement;
+        if (common && other.parentElement === common) return true;
+        while (common && !common.contains(other)) common = common.parentElement;
+        return !!common && !hasCommandText(common, button);
+    }
+
+    /**
+     * Count the Run/Execute buttons inside a container that belong to some
+     * other command: the button itself and its variants are left out.
+     *
+     * @param {Element} container
+     * @param {Element} button
+     * @returns {number}
+     */
+    function countOtherRunButtons(container, button) {
+        const buttons = Array.from(container.querySelectorAll('button, [role="button"]'));
+        return buttons.filter(b => b !== button
+            && RUN_BUTTON_PATTERN.test((b.textContent || '').trim())
+            && !isSiblingVariant(b, button)).length;
+    }
+
+    /**
+     * Find command-bearing elements inside a card, for a single selector tier.
+     * Buttons, ancestors of the button and elements nested inside another
+     * candidate are excluded.
+     *
+     * @param {Element} card
+     * @param {Element} button
+     * @param {string[]} selectors
+     * @returns {Element[]}
+     */
+    function findCandidates(card, button, selectors) {
+        const found = Array.from(card.querySelectorAll(selectors.join(', '))).filter(el => {
+            if (el === button || isButtonLike(el) || matchesAny(el, CWD_SELECTORS)) return false;
+            if (el.contains(button) || button.contains(el)) return false;
+            return (el.getAttribute('data-command') || el.textContent || '').trim().length > 0;
+        });
+        return found.filter(el => !found.some(other => other !== el && other.contains(el)));
+    }
+
+    /**
+     * Walk up from the button to the smallest ancestor that holds command text,
+     * stopping before we reach a container shared with another command's Run button.
+     *
+     * @param {Element} button
+     * @returns {{card: Element, tier: string[]}|null}
+     */
+    function findCommandCard(button) {
+        let node = button.parentElement;
+        let depth = 0;
+
+        while (node && depth < MAX_CARD_DEPTH) {
+            if (matchesAny(node, CARD_BOUNDARY_SELECTORS)) break;
+            if (countOtherRunButtons(node, button) > 0) break;
+
+            for (const tier of COMMAND_SELECTOR_TIERS) {
+                if (findCandidates(node, button, tier).length > 0) {
+                    return { card: node, tier };
+                }
+            }
+
+            node = node.parentElement;
+            depth++;
+        }
+        return null;
+    }
+
+    const COMMAND_SELECTORS = COMMAND_SELECTOR_TIERS.flat();
+
+    /**
+     * Text of a command element. Command elements nested inside it, like several
+     * code blocks in one pre, go on lines of their own instead of running together.
+     *
+     * @param {Element} el
+     * @returns {string}
+     */
+    function commandText(el) {
+        const data = el.getAttribute('data-command');
+        if (data) return data;
+        if (!el.childNodes) return el.textContent || '';
+
+        return Array.from(el.childNodes).map(node => {
+            if (node.nodeType !== 1) return node.textContent || '';
+            const text = commandText(node);
+            return matchesAny(node, COMMAND_SELECTORS) ? `\n${text}\n` : text;
+        }).join('');
+    }
+
+    function cleanCommandText(text) {
+        return (text || '')
+            .split('\n')
+            .map(line => line.replace(/^\s*\$\s+/, ''))
+            .filter(line => line.trim().length > 0)
+            .join('\n')
+            .trim()
+            .substring(0, MAX_COMMAND_LENGTH);
+    }
+
+    function describeElement(el) {
+        let segment = (el.tagName || '').toLowerCase();
+        if (el.id) return `${segment}#${el.id}`;
+        const classes = String(el.className || '').trim().split(/\s+/).filter(Boolean).slice(0, 2);
+        if (classes.length > 0) segment += '.' + classes.join('.');
+        return segment;
+    }
+
+    /**
+     * Build a readable selector path from the card down to the element.
+     *
+     * @param {Element} el
+     * @param {Element} card
+     * @returns {string}
+     */
+    function describePath(el, card) {
+        const segments = [];
+        let node = el;
+        while (node && node !== card) {
+            segments.unshift(describeElement(node));
+            node = node.parentElement;
+        }
+        segments.unshift(describeElement(card));
+        return segments.join(' > ');
+    }
+
+    function findWorkingDirectory(card) {
+        const cwdEl = card.querySelector(CWD_SELECTORS.join(', '));
+        if (!cwdEl) return null;
+        const value = (cwdEl.getAttribute('data-cwd') || cwdEl.textContent || '').trim();
+        return value.length > 0 ? value : null;
+    }
+
+    /**
+     * Fall back to an accessible label such as "Execute: npm test".
+     * Only the part after the colon is treated as the command.
+     */
+    function extractFromLabel(button) {
+        for (const attr of ['aria-label', 'title']) {
+            const label = button.getAttribute(attr) || '';
+            const colon = label.indexOf(':');
+            if (colon > 0 && label.substring(colon + 1).trim().length > 0) {
+                const sourcePath = `${describeElement(button)}[${attr}]`;
+                return {
+                    command: cleanCommandText(label.substring(colon + 1)),
+                    cwd: null,
+                    sourcePath,
+                    sourcePaths: [sourcePath]
+                };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Extract the command a Run/Execute button belongs to. Every command element
+     * in the card is read, in document order, one per line: a card that splits a
+     * command over several blocks must not be judged by its last block alone.
+     *
+     * @param {Element} button - The Run/Execute button
+     * @returns {{command: string, cwd: string|null, sourcePath: string, sourcePaths: string[]}|null}
+     *   Structured command record, or null if the button has no command card.
+     *   sourcePaths has one path per element read; sourcePath lists them all.
+     */
+    function extractCommandContext(button) {
+        if (!button) return null;
+
+        const match = findCommandCard(button);
+        if (match) {
+            const sources = findCandidates(match.card, button, match.tier)
+                .map(el => ({ text: cleanCommandText(commandText(el)), path: describePath(el, match.card) }))
+                .filter(source => source.text.length > 0);
+            const command = cleanCommandText(sources.map(source => source.text).join('\n'));
+            if (command.length > 0) {
+                const sourcePaths = sources.map(source => source.path);
+                return {
+                    command,
+                    cwd: findWorkingDirectory(match.card),
+                    sourcePath: sourcePaths.join(', '),
+                    sourcePaths
+                };
+            }
+        }
+
+        return extractFromLabel(button);
+    }
+
+    exports.extractCommandContext = extractCommandContext;
+    exports.findCommandCard = findCommandCard;
+    exports.describePath = describePath;
+
+})(typeof module !== 'undefined' && module.exports
+    ? module.exports
+    : (typeof window !== 'undefined' ? (window.__autoAcceptCommands = window.__autoAcceptCommands || {}) : {}));
@@ -0,0 +1,416 @@
+/**
+ * Shell Command Parser Module
+ *
+ * Splits a shell command line into simple commands so rules can match on the
+ * program, its normalized flags and its arguments instead of raw substrings.
+ *
+ * Handles single/double quotes, backslash escapes, comments, `&&`, `||`, `;`,
+ * `|`, `&`, newlines, redirections, `$(...)` / backtick substitutions,
+ * `bash -c "..."` strings and wrapper prefixes such as `sudo` and `env`.
+ *
+ * @module commands/parser
+ */
+
+(function (exports) {
+    'use strict';
+
+    const OPERATORS = ['&&', '||', ';;', ';', '|&', '|', '&', '(', ')', '\n'];
+    const REDIRECT_PATTERN = /^(&>>|&>|>>|>\||>&|<<<|<<|<>|<&|>|<)/;
+
+    /**
+     * Wrapper programs that run the command that follows them.
+     * `options` lists the short options that consume the next word.
+     */
+    const WRAPPERS = {
+        sudo: { options: ['u', 'g', 'h', 'p', 'C', 'D', 'r', 't', 'U', 'T'] },
+        doas: { options: ['u', 'C'] },
+        env: { options: ['u', 'C', 'S'], assignments: true },
+        nohup: { options: [] },
+        busybox: { options: [] },
+        nice: { options: ['n'] },
+        time: { options: ['f', 'o'] },
+        command: { options: [] },
+        builtin: { options: [] },
+        exec: { options: ['a'] },
+        timeout: { options: ['s', 'k'], positional: 1 },
+        xargs: { options: ['a', 'd', 'E', 'I', 'L', 'n', 'P', 's'] }
+    };
+
+    /** Shells whose `-c` argument is itself a command line. */
+    const SHELLS = ['sh', 'bash', 'zsh', 'dash', 'ksh', 'fish'];
+
+    /** Reserved words that may precede a command without being the program. */
+    const KEYWORDS = ['if', 'then', 'elif', 'else', 'do', 'while', 'until', '!', '{', '}', 'fi', 'done'];
+
+    /**
+     * Per-program flag aliases, so `-R`, `--recursive` and `-r` compare equal.
+     */
+    const FLAG_ALIASES = {
+        rm: { R: 'r', '--recursive': 'r', '--force': 'f' },
+        chmod: { '--recursive': 'R' },
+        chown: { '--recursive': 'R' },
+        git: { '--force': 'f' }
+    };
+
+    const MAX_DEPTH = 5;
+
+    /**
+     * Read a `$(...)` or backtick substitution starting at `start`.
+     *
+     * @returns {{body: string, end: number}} Inner text and index after the close
+     */
+    function readSubstitution(input, start) {
+        if (input[start] === '`') {
+            let i = start + 1;
+            let body = '';
+            while (i < input.length && input[i] !== '`') {
+                if (input[i] === '\\' && i + 1 < input.length) {
+                    body += input[i + 1];
+                    i += 2;
+                    continue;
+                }
+                body += input[i++];
+            }
+            return { body, end: i + 1 };
+        }
+
+        // $( ... ) with nesting and quotes
+        let depth = 1;
+        let i = start + 2;
+        let quote = null;
+        while (i < input.length && depth > 0) {
+            const ch = input[i];
+            if (quote) {
+                if (ch === '\\' && quote === '"') i++;
+                else if (ch === quote) quote = null;
+            } else if (ch === '\'' || ch === '"') {
+                quote = ch;
+            } else if (ch === '\\') {
+                i++;
+            } else if (ch === '(') {
+                depth++;
+            } else if (ch === ')') {
+                depth--;
+            }
+            i++;
+        }
+        return { body: input.substring(start + 2, i - 1), end: i };
+    }
+
+    /**
+     * Split a command line into word, operator and redirect tokens.
+     *
+     * @param {string} input - Raw command line
+     * @returns {Array<Object>} Tokens: {type: 'word', value, substitutions} |
+     *   {type: 'op', value} | {type: 'redirect', op}
+     */
+    function tokenize(input) {
+        const tokens = [];
+        const text = String(input || '');
+        let i = 0;
+        let word = null;
+
+        const startWord = () => {
+            if (!word) word = { type: 'word', value: '', substitutions: [] };
+        };
+        const endWord = () => {
+            if (word) tokens.push(word);
+            word = null;
+        };
+
+        while (i < text.length) {
+            const ch = text[i];
+
+            // Whitespace ends the current word
+            if (ch === ' ' || ch === '\t' || ch === '\r') {
+                endWord();
+                i++;
+                continue;
+            }
+
+            // Comments run to end of line when they start a word
+            if (ch === '#' && !word) {
+                while (i < text.length && text[i] !== '\n') i++;
+                continue;
+            }
+
+            // Line continuation
+            if (ch === '\\' && text[i + 1] === '\n') {
+                i += 2;
+                continue;
+            }
+
+            if (ch === '\\') {
+                startWord();
+                if (i + 1 < text.length) word.value += text[i + 1];
+                i += 2;
+                continue;
+            }
+
+            if (ch === '\'') {
+                startWord();
+                const close = text.indexOf('\'', i + 1);
+                const end = close === -1 ? text.length : close;
+                word.value += text.substring(i + 1, end);
+                i = end + 1;
+                continue;
+            }
+
+            if (ch === '"') {
+                startWord();
+                i++;
+                while (i < text.length && text[i] !== '"') {
+                    if (text[i] === '\\' && i + 1 < text.length && '$`"\\\n'.includes(text[i + 1])) {
+                        word.value += text[i + 1];
+                        i += 2;
+                    } else if ((text[i] === '$' && text[i + 1] === '(') || text[i] === '`') {
+                        const sub = readSubstitution(text, i);
+                        word.substitutions.push(sub.body);
+                        word.value += text.substring(i, sub.end);
+                        i = sub.end;
+                    } else {
+                        word.value += text[i++];
+                    }
+                }
+                i++;
+                continue;
+            }
+
+            if ((ch === '$' && text[i + 1] === '(') || ch === '`') {
+                startWord();
+                const sub = readSubstitution(text, i);
+                word.substitutions.push(sub.body);
+                word.value += text.substring(i, sub.end);
+                i = sub.end;
+                continue;
+            }
+
+            // Redirections, optionally prefixed by a file descriptor (`2>`)
+            const rest = text.substring(i);
+            const redirect = rest.match(REDIRECT_PATTERN);
+            if (redirect) {
+                let fd = '';
+                if (word && /^\d+$/.test(word.value) && word.substitutions.length === 0) {
+                    fd = word.value;
+                    word = null;
+                } else {
+                    endWord();
+                }
+                tokens.push({ type: 'redirect', op: fd + redirect[1] });
+                i += redirect[1].length;
+                continue;
+            }
+
+            const op = OPERATORS.find(o => rest.startsWith(o));
+            if (op) {
+                endWord();
+                tokens.push({ type: 'op', value: op });
+                i += op.length;
+                continue;
+            }
+
+            startWord();
+            word.value += ch;
+            i++;
+        }
+
+        endWord();
+        return tokens;
+    }
+
+    /**
+     * Normalize a program word: strip directories and `.exe`, lowercase.
+     */
+    function normalizeProgram(word) {
+        const base = String(word || '').split(/[\\/]/).pop();
+        return base.toLowerCase().replace(/\.exe$/, '');
+    }
+
+    /**
+     * Split arguments into normalized flags and positional arguments.
+     *
+     * @param {string} program - Normalized program name
+     * @param {string[]} args - Arguments after the program
+     * @returns {{flags: string[], positionals: string[]}}
+     */
+    function classifyArgs(program, args) {
+        const aliases = FLAG_ALIASES[program] || {};
+        const flags = new Set();
+        const positionals = [];
+        let endOfOptions = false;
+
+        for (const arg of args) {
+            if (endOfOptions || arg === '-' || !arg.startsWith('-') || /^-\d/.test(arg)) {
+                positionals.push(arg);
+                continue;
+            }
+            if (arg === '--') {
+                endOfOptions = true;
+                continue;
+            }
+            if (arg.startsWith('--')) {
+                const name = arg.split('=')[0];
+                flags.add(aliases[name] || name);
+                continue;
+            }
+            for (const letter of arg.substring(1)) {
+                flags.add(aliases[letter] || letter);
+            }
+        }
+
+        return { flags: Array.from(flags), positionals };
+    }
+
+    /**
+     * Skip a wrapper's own options and return the index of the wrapped command.
+     */
+    function skipWrapper(wrapper, words, start, assignments) {
+        const spec = WRAPPERS[wrapper];
+        let i = start;
+        let positional = spec.positional || 0;
+
+        while (i < words.length) {
+            const w = words[i];
+            if (w === '--') return i + 1;
+            if (w.startsWith('-') && w.length > 1) {
+                const letter = w[1];
+                // Option with a separate value, e.g. `sudo -u root`
+                if (w.length === 2 && spec.options.includes(letter)) i++;
+                i++;
+                continue;
+            }
+            if (spec.assignments && /^[A-Za-z_][A-Za-z0-9_]*=/.test(w)) {
+                const eq = w.indexOf('=');
+                assignments[w.substring(0, eq)] = w.substring(eq + 1);
+                i++;
+                continue;
+            }
+            if (positional > 0) {
+                positional--;
+                i++;
+                continue;
+            }
+            break;
+        }
+        return i;
+    }
+
+    /**
+     * Build a simple command record from the words and redirects of one segment.
+     * Wrapper prefixes are unwrapped and recorded in `wrappers`.
+     */
+    function buildSimpleCommand(wordTokens, redirects) {
+        const words = wordTokens.map(t => t.value);
+        const assignments = {};
+        const wrappers = [];
+        let i = 0;
+
+        while (i < words.length && KEYWORDS.includes(words[i])) i++;
+
+        while (i < words.length && /^[A-Za-z_][A-Za-z0-9_]*=/.test(words[i])) {
+            const eq = words[i].indexOf('=');
+            assignments[words[i].substring(0, eq)] = words[i].substring(eq + 1);
+            i++;
+        }
+
+        while (i < words.length && WRAPPERS[normalizeProgram(words[i])]) {
+            const wrapper = normalizeProgram(words[i]);
+            wrappers.push(wrapper);
+            i = skipWrapper(wrapper, words, i + 1, assignments);
+        }
+
+        if (i >= words.length) {
+            return { program: null, args: [], flags: [], positionals: [], assignments, wrappers, redirects, text: '' };
+        }
+
+        const program = normalizeProgram(words[i]);
+        const args = words.slice(i + 1);
+        const { flags, positionals } = classifyArgs(program, args);
+
+        return {
+            program,
+            args,
+            flags,
+            positionals,
+            assignments,
+            wrappers,
+            redirects,
+            text: [program, ...args].join(' ')
+        };
+    }
+
+    /**
+     * Parse a command line into the flat list of simple commands it runs,
+     * including those inside substitutions and `sh -c` strings.
+     *
+     * @param {string} input - Raw command line
+     * @param {number} [depth=0] - Recursion depth for nested command strings
+     * @returns {Array<Object>} Simple commands: {program, args, flags,
+     *   positionals, assignments, wrappers, redirects, text}
+     */
+    function parseCommandLine(input, depth = 0) {
+        const commands = [];
+        if (depth > MAX_DEPTH) return commands;
+
+        const tokens = tokenize(input);
+        let words = [];
+        let redirects = [];
+        let pendingRedirect = null;
+
+        const flush = () => {
+            if (words.length > 0 || redirects.length > 0) {
+                const simple = buildSimpleCommand(words, redirects);
+                commands.push(simple);
+
+                // Nested command strings run too: sh -c "...", eval "..."
+                if (SHELLS.includes(simple.program)) {
+                    const c = simple.args.indexOf('-c');
+                    if (c !== -1 && simple.args[c + 1] !== undefined) {
+                        commands.push(...parseCommandLine(simple.args[c + 1], depth + 1));
+                    }
+                } else if (simple.program === 'eval' && simple.args.length > 0) {
+                    commands.push(...parseCommandLine(simple.args.join(' '), depth + 1));
+                }
+            }
+            for (const w of words) {
+                for (const sub of w.substitutions) {
+                    commands.push(...parseCommandLine(sub, depth + 1));
+                }
+            }
+            words = [];
+            redirects = [];
+        };
+
+        for (const token of tokens) {
+            if (pendingRedirect) {
+                if (token.type === 'word') {
+                    redirects.push({ op: pendingRedirect, target: token.value });
+                    pendingRedirect = null;
+                    continue;
+                }
+                redirects.push({ op: pendingRedirect, target: '' });
+                pendingRedirect = null;
+            }
+
+            if (token.type === 'word') {
+                words.push(token);
+            } else if (token.type === 'redirect') {
+                pendingRedirect = token.op;
+            } else {
+                flush();
+            }
+        }
+        if (pendingRedirect) redirects.push({ op: pendingRedirect, target: '' });
+        flush();
+
+        return commands;
+    }
+
+    exports.tokenize = tokenize;
+    exports.parseCommandLine = parseCommandLine;
+    exports.classifyArgs = classifyArgs;
+    exports.normalizeProgram = normalizeProgram;
+
+})(typeof module !== 'undefined' && module.exports
+    ? module.exports
+    : (typeof window !== 'undefined' ? (window.__autoAcceptCommands = window.__autoAcceptCommands || {}) : {}));
@@ -0,0 +1,264 @@
+/**
+ * Command Rule Matching Module
+ *
+ * Compiles banned-command patterns and matches them against parsed commands.
+ *
+ * Pattern forms:
+ * - `/regex/flags` is tested against the raw command and each simple command.
+ * - A pattern that parses as one command (e.g. `rm -rf /`) matches on program,
+ *   flag set and targets: every flag and argument in the pattern must appear in
+ *   the command, in any order and spelling (`rm -r -f /`, `sudo rm -fr /*`).
+ *   A pattern word ending in `=` or `.` matches as a prefix (`dd if=`, `mkfs.`).
+ * - A pattern that is only a redirection (e.g. `> /dev/sda`) matches any command
+ *   writing to that target.
+ * - Anything else (e.g. a fork bomb) matches as a whitespace-insensitive substring.
+ *
+ * Allowlist patterns (see compileAllowRule) are the inverse: every simple
+ * command in a command line must be covered by one of them.
+ *
+ * @module commands/rules
+ */
+
+(function (exports, parser) {
+    'use strict';
+
+    const OUTPUT_REDIRECTS = ['>', '>>', '>|', '&>', '&>>'];
+
+    /**
+     * Normalize a path-like argument so equivalent spellings compare equal:
+     * `$HOME`/`${HOME}` → `~`, trailing `/`, `/*` and `/.` are dropped, `./*` → `*`.
+     *
+     * @param {string} arg
+     * @returns {string}
+     */
+    function normalizeTarget(arg) {
+        let value = String(arg || '').toLowerCase().replace(/^(\$home|\$\{home\})(?=\/|$)/, '~');
+        if (value === './*' || value === '.') return value === '.' ? '.' : '*';
+        while (value.length > 1 && (value.endsWith('/*') || value.endsWith('/.') || value.endsWith('/'))) {
+            value = value.endsWith('/') ? value.slice(0, -1) : value.slice(0, -2);
+            if (value === '') value = '/';
+        }
+        return value;
+    }
+
+    function isPrefixWord(word) {
+        return word.length > 1 && (word.endsWith('=') || word.endsWith('.'));
+    }
+
+    function wordMatches(patternWord, actualWord) {
+        if (isPrefixWord(patternWord)) return actualWord.startsWith(patternWord);
+        return patternWord === actualWord;
+    }
+
+    function normalizeRedirect(redirect) {
+        const op = redirect.op.replace(/^1/, '');
+        return { output: OUTPUT_REDIRECTS.includes(op), op, target: normalizeTarget(redirect.target) };
+    }
+
+    function compactText(text) {
+        return String(text || '').toLowerCase().replace(/\s+/g, '');
+    }
+
+    /**
+     * Compile a single pattern string into a rule.
+     *
+     * @param {string} pattern - Pattern as entered by the user
+     * @returns {Object|null} Compiled rule, or null for blank patterns
+     */
+    function compileRule(pattern) {
+        const source = String(pattern || '').trim();
+        if (source.length === 0) return null;
+
+        if (source.startsWith('/') && source.lastIndexOf('/') > 0) {
+            const lastSlash = source.lastIndexOf('/');
+            try {
+                const regex = new RegExp(source.substring(1, lastSlash), source.substring(lastSlash + 1) || 'i');
+                return { source, kind: 'regex', regex };
+            } catch (e) {
+                return { source, kind: 'text', text: compactText(source), error: e.message };
+            }
+        }
+
+        const parsed = parser.parseCommandLine(source);
+        if (parsed.length === 1 && parsed[0].program && !/[(){}|;&]/.test(parsed[0].program)) {
+            const cmd = parsed[0];
+            return {
+                source,
+                kind: 'command',
+                program: cmd.program,
+                flags: cmd.flags,
+                positionals: cmd.positionals.map(normalizeTarget),
+                redirects: cmd.redirects.map(normalizeRedirect)
+            };
+        }
+
+        if (parsed.length === 1 && !parsed[0].program && parsed[0].redirects.length > 0) {
+            return { source, kind: 'redirect', redirects: parsed[0].redirects.map(normalizeRedirect) };
+        }
+
+        return { source, kind: 'text', text: compactText(source) };
+    }
+
+    /**
+     * Compile a list of pattern strings, dropping blanks.
+     *
+     * @param {string[]} patterns
+     * @returns {Object[]} Compiled rules
+     */
+    function compileRules(patterns) {
+        return (Array.isArray(patterns) ? patterns : []).map(compileRule).filter(Boolean);
+    }
+
+    function redirectsMatch(ruleRedirects, commandRedirects) {
+        const actual = commandRedirects.map(normalizeRedirect);
+        return ruleRedirects.every(r => actual.some(a =>
+            (r.output ? a.output : a.op === r.op) && wordMatches(r.target, a.target)
+        ));
+    }
+
+    function commandMatches(rule, cmd) {
+        if (!cmd.program || !wordMatches(rule.program, cmd.program)) return false;
+        if (!rule.flags.every(f => cmd.flags.includes(f))) return false;
+
+        const targets = cmd.positionals.map(normalizeTarget);
+        if (!rule.positionals.every(p => targets.some(t => wordMatches(p, t)))) return false;
+
+        return redirectsMatch(rule.redirects, cmd.redirects);
+    }
+
+    /**
+     * Test one compiled rule against a command line.
+     *
+     * @param {Object} rule - Compiled rule from compileRule()
+     * @param {string} commandText - Raw command text
+     * @param {Object[]} [commands] - Pre-parsed simple commands
+     * @returns {boolean}
+     */
+    function ruleMatches(rule, commandText, commands) {
+        const parsed = commands || parser.parseCommandLine(commandText);
+
+        switch (rule.kind) {
+            case 'regex':
+                rule.regex.lastIndex = 0;
+                if (rule.regex.test(commandText)) return true;
+                return parsed.some(cmd => {
+                    rule.regex.lastIndex = 0;
+                    return cmd.text && rule.regex.test(cmd.text);
+                });
+            case 'command':
+                return parsed.some(cmd => commandMatches(rule, cmd));
+            case 'redirect':
+                return parsed.some(cmd => redirectsMatch(rule.redirects, cmd.redirects));
+            default:
+                return compactText(commandText).includes(rule.text);
+        }
+    }
+
+    /**
+     * Find the first rule that matches a command line.
+     *
+     * @param {string} commandText - Raw command text
+     * @param {Object[]} rules - Compiled rules
+     * @returns {Object|null} The matching rule, or null
+     */
+    function findMatchingRule(commandText, rules) {
+        if (!commandText || !rules || rules.length === 0) return null;
+        const commands = parser.parseCommandLine(commandText);
+        return rules.find(rule => ruleMatches(rule, commandText, commands)) || null;
+    }
+
+    /**
+     * Compile an allowlist pattern. A command pattern allows its program with
+     * the given leading arguments (`npm test` allows `npm test -- --watch`);
+     * a trailing `...` is ignored (`pytest ...` allows any pytest run), and a
+     * trailing `$` allows nothing after the listed arguments (`sh $` allows a bare
+     * `sh`, not `sh install.sh`).
+     * Environment assignments are only allowed when the pattern spells them out
+     * (`CI=1 npm test`), since `PATH=…` or `NODE_OPTIONS=…` change what runs.
+     *
+     * @param {string} pattern - Pattern as entered by the user
+     * @returns {Object|null} Compiled allow rule, or null for blank patterns
+     */
+    function compileAllowRule(pattern) {
+        let source = String(pattern || '').trim().replace(/\s*(\.\.\.|…)$/, '');
+        const exact = /\s\$$/.test(source);
+        if (exact) source = source.slice(0, -1).trim();
+        if (source.length === 0) return null;
+
+        const rule = compileRule(source);
+        if (rule.kind !== 'command') return rule;
+
+        const [cmd] = parser.parseCommandLine(source);
+        return {
+            source: String(pattern).trim(),
+            kind: 'command',
+            program: cmd.program,
+            args: cmd.args.map(a => a.toLowerCase()),
+            wrappers: cmd.wrappers,
+            assignments: cmd.assignments,
+            redirects: rule.redirects,
+            exact
+        };
+    }
+
+    function compileAllowRules(patterns) {
+        return (Array.isArray(patterns) ? patterns : []).map(compileAllowRule).filter(Boolean);
+    }
+
+    function assignmentsCovered(rule, cmd) {
+        const allowed = rule.assignments || {};
+        return Object.keys(cmd.assignments || {}).every(name => allowed[name] === cmd.assignments[name]);
+    }
+
+    function allowRuleCovers(rule, cmd) {
+        if (!assignmentsCovered(rule, cmd)) return false;
+        if (rule.kind === 'regex') {
+            rule.regex.lastIndex = 0;
+            return rule.regex.test(cmd.text);
+        }
+        if (rule.kind !== 'command' || rule.program !== cmd.program) return false;
+        if (!rule.args.every((arg, i) => (cmd.args[i] || '').toLowerCase() === arg)) return false;
+        if (rule.exact && cmd.args.length !== rule.args.length) return false;
+        if (!cmd.wrappers.every(w => rule.wrappers.includes(w))) return false;
+
+        // Writing to files is only allowed when the pattern spells out the redirect
+        return cmd.redirects.map(normalizeRedirect).every(r =>
+            !r.output || r.target === '/dev/null' ||
+            rule.redirects.some(a => a.output && a.target === r.target)
+        );
+    }
+
+    /**
+     * Find the first part of a command line that no allow rule covers.
+     * Every simple command, including those in substitutions, must be allowed.
+     *
+     * @param {string} commandText - Raw command text
+     * @param {Object[]} rules - Compiled allow rules
+     * @returns {string|null} Text of the first disallowed command, or null if all are allowed
+     */
+    function findDisallowedCommand(commandText, rules) {
+        if (!commandText || !commandText.trim()) return '(no command found)';
+        const commands = parser.parseCommandLine(commandText).filter(cmd => cmd.program);
+        if (commands.length === 0) return commandText.trim();
+
+        const blocker = commands.find(cmd => !(rules || []).some(rule => allowRuleCovers(rule, cmd)));
+        return blocker ? blocker.text : null;
+    }
+
+    exports.normalizeTarget = normalizeTarget;
+    exports.compileRule = compileRule;
+    exports.compileRules = compileRules;
+    exports.ruleMatches = ruleMatches;
+    exports.findMatchingRule = findMatchingRule;
+    exports.compileAllowRule = compileAllowRule;
+    exports.compileAllowRules = compileAllowRules;
+    exports.findDisallowedCommand = findDisallowedCommand;
+
+})(
+    typeof module !== 'undefined' && module.exports
+        ? module.exports
+        : (typeof window !== 'undefined' ? (window.__autoAcceptCommands = window.__autoAcceptCommands || {}) : {}),
+    typeof module !== 'undefined' && module.exports
+        ? require('./parser.js')
+        : (typeof window !== 'undefined' ? window.__autoAcceptCommands : {})
+);
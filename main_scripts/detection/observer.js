@@ -0,0 +1,167 @@
+/**
+ * Button Observer Module
+ *
+ * Finds buttons worth a look as the page changes, instead of querying every
+ * document on a timer. A MutationObserver on each watched root reports:
+ *
+ *     added subtrees    - a new message with its Accept / Run buttons
+ *     attribute changes - a button losing `disabled`, a class or style showing it
+ *     text changes      - a label turning into "Accept"
+ *
+ * Only the changed subtrees are searched. Roots are the chat panels of the main
+ * window, the whole body of each same-origin iframe, and open shadow roots, whose
+ * changes the document does not report.
+ *
+ * @module detection/observer
+ */
+
+(function (exports) {
+    'use strict';
+
+    // What the poll loop queries, as one selector
+    const CANDIDATE_SELECTOR = 'button, [class*="button"], [class*="anysphere"], .bg-ide-button-background';
+    const CHAT_CONTAINER_SELECTORS = ['#workbench\\.parts\\.auxiliarybar', '#antigravity\\.agentPanel', '.interactive-session'];
+    const OBSERVED_ATTRIBUTES = ['class', 'style', 'disabled', 'aria-disabled', 'hidden'];
+    // The poll keeps running this often to catch anything the observer missed
+    const SAFETY_NET_MS = 10000;
+
+    const ELEMENT_NODE = 1;
+    const TEXT_NODE = 3;
+
+    function addCandidates(node, selector, found) {
+        const el = node && node.nodeType === TEXT_NODE ? node.parentElement : node;
+        if (!el || el.nodeType !== ELEMENT_NODE) return;
+        try {
+            // The node itself, or the button a changed label sits in
+            const button = el.closest(selector);
+            if (button) found.add(button);
+            el.querySelectorAll(selector).forEach(child => found.add(child));
+        } catch (e) {
+            // Detached or cross-origin node
+        }
+    }
+
+    /**
+     * Candidate buttons in the subtrees a batch of mutation records touched.
+     *
+     * @param {MutationRecord[]} records
+     * @param {string} [selector]
+     * @returns {Element[]} Each element once
+     */
+    function collectCandidates(records, selector = CANDIDATE_SELECTOR) {
+        const found = new Set();
+        for (const record of records) {
+            if (record.type === 'childList') {
+                record.addedNodes.forEach(node => addCandidates(node, selector, found));
+            } else {
+                addCandidates(record.target, selector, found);
+            }
+        }
+        return Array.from(found);
+    }
+
+    /**
+     * Roots to observe in one document: its chat panels when it is the main
+     * window and has any, otherwise the whole body.
+     *
+     * @param {Document} doc
+     * @param {boolean} isMain
+     * @returns {Element[]}
+     */
+    function findRoots(doc, isMain) {
+        if (isMain) {
+            const panels = CHAT_CONTAINER_SELECTORS
+                .map(selector => { try { return doc.querySelector(selector); } catch (e) { return null; } })
+                .filter(Boolean);
+            const outermost = panels.filter(panel => !panels.some(other => other !== panel && other.contains(panel)));
+            if (outermost.length > 0) return outermost;
+        }
+        const body = doc.body || doc.documentElement;
+        return body ? [body] : [];
+    }
+
+    /**
+     * @param {Function} onCandidates - (elements) => void, once per batch of mutations that touched any
+     * @param {Object} [options]
+     * @param {string} [options.selector]
+     * @param {Function} [options.MutationObserver] - Defaults to the page's
+     * @returns {Object|null} Observer with sync, disconnect and stats, or null without MutationObserver
+     */
+    function createButtonObserver(onCandidates, options = {}) {
+        const selector = options.selector || CANDIDATE_SELECTOR;
+        const Observer = options.MutationObserver || (typeof MutationObserver !== 'undefined' ? MutationObserver : null);
+        if (!Observer) return null;
+
+        const counts = { batches: 0, mutations: 0, candidates: 0 };
+        let roots = [];
+        const observer = new Observer((records) => {
+            counts.batches++;
+            counts.mutations += records.length;
+            const found = collectCandidates(records, selector);
+            counts.candidates += found.length;
+            if (found.length > 0) onCandidates(found);
+        });
+
+        function observe(root) {
+            observer.observe(root, {
+                childList: true,
+                subtree: true,
+                characterData: true,
+                attributes: true,
+                attributeFilter: OBSERVED_ATTRIBUTES
+            });
+        }
+
+        /**
+         * Watch the roots of these documents and the given shadow roots. Panels,
+         * iframes and web components come and go, so this runs on every
+         * safety-net poll; a MutationObserver cannot drop a single root, so
+         * losing one means starting over.
+         *
+         * @param {Document[]} documents - Main document first, as getDocuments returns them
+         * @param {ShadowRoot[]} [shadowRoots]
+         * @returns {boolean} Whether the set of roots changed
+         */
+        function sync(documents, shadowRoots = []) {
+            const wanted = [];
+            const add = (root) => {
+                if (!wanted.includes(root)) wanted.push(root);
+            };
+            documents.forEach((doc, i) => findRoots(doc, i === 0).forEach(add));
+            shadowRoots.forEach(add);
+
+            const lost = roots.some(root => !wanted.includes(root));
+            const added = wanted.filter(root => !roots.includes(root));
+            if (!lost && added.length === 0) return false;
+
+            if (lost) {
+                observer.disconnect();
+                wanted.forEach(observe);
+            } else {
+                added.forEach(observe);
+            }
+            roots = wanted;
+            return true;
+        }
+
+        function disconnect() {
+            observer.disconnect();
+            roots = [];
+        }
+
+        return {
+            sync,
+            disconnect,
+            stats: () => ({ roots: roots.length, ...counts })
+        };
+    }
+
+    exports.CANDIDATE_SELECTOR = CANDIDATE_SELECTOR;
+    exports.SAFETY_NET_MS = SAFETY_NET_MS;
+    exports.collectCandidates = collectCandidates;
+    exports.findRoots = findRoots;
+    exports.createButtonObserver = createButtonObserver;
+
+})(typeof module !== 'undefined' && module.exports
+    ? module.exports
+    : (typeof window !== 'undefined' ? (window.__autoAcceptDetection = window.__autoAcceptDetection || {}) : {}));
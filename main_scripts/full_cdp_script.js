@@ -1,899 +1,930 @@
-(function () {
-    "use strict";
-
-    if (typeof window === 'undefined') return;
+/**
+ * Core page script. Bundled with the modules it imports by main_scripts/script-bundler.js,
+ * which wraps the result in a strict-mode IIFE that does nothing outside a browser.
+ */
+
+import { log, getDocuments, getShadowRoots, queryAll, stripTimeSuffix, updateTabNames, updateConversationCompletionState } from './utils.js';
+import { updateOverlay, hideOverlay } from './overlay.js';
+
+// Provided by main_scripts/analytics, commands/*, buttons/*, background/*, interaction/* and detection/*, composed ahead of this bundle
+const Analytics = window.__autoAcceptAnalytics;
+const Commands = window.__autoAcceptCommands || {};
+const Buttons = window.__autoAcceptButtons || {};
+const Background = window.__autoAcceptBackground || {};
+const Activity = window.__autoAcceptActivity || {};
+const Detection = window.__autoAcceptDetection || {};
+
+Analytics.initialize(log);
+
+// Push an event to the extension host through the CDP binding.
+// Returns false when the binding is missing and the host has to poll instead.
+function emitEvent(type, data) {
+    if (typeof window.__autoAcceptEmit !== 'function') return false;
+    try {
+        window.__autoAcceptEmit(JSON.stringify({ type, timestamp: Date.now(), ...data }));
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// --- Audit trail, pushed or drained by the extension host into its JSONL log ---
+const MAX_AUDIT_QUEUE = 500;
+const commandRecords = new WeakMap();
+const matchedRules = new WeakMap();
+const reportedHolds = new WeakMap();
+
+function currentTabName() {
+    const selected = queryAll('[role="tab"][aria-selected="true"]')[0];
+    if (selected) return stripTimeSuffix(selected.textContent);
+    return window.__autoAcceptState.activeTabName || null;
+}
+
+function recordAudit(el, outcome, rule) {
+    const state = window.__autoAcceptState;
+    const record = commandRecords.get(el) || null;
+    const entry = {
+        timestamp: new Date().toISOString(),
+        tab: currentTabName(),
+        button: (el.textContent || '').trim().substring(0, 100),
+        command: record ? record.command : null,
+        cwd: record ? record.cwd : null,
+        outcome,
+        rule: rule || null
+    };
+    // Lets the host act on the button later (run once anyway, approve, deny)
+    if (holdIds.has(el)) entry.hold = holdIds.get(el);
+    if (emitEvent('audit', { entry })) return;
+
+    if (!state.auditQueue) state.auditQueue = [];
+    state.auditQueue.push(entry);
+    if (state.auditQueue.length > MAX_AUDIT_QUEUE) {
+        state.auditQueue.splice(0, state.auditQueue.length - MAX_AUDIT_QUEUE);
+    }
+}
+
+// --- Action budgets: the host's allowance, counted down here between syncs ---
+// Clicks left for this action type and conversation; null when neither is limited
+function budgetLeft(actionType, tab) {
+    const allowance = window.__autoAcceptState.budgetAllowance;
+    if (!allowance) return null;
+    const left = [];
+    if (typeof allowance.actions[actionType] === 'number') left.push(allowance.actions[actionType]);
+    if (allowance.perConversation && tab) {
+        left.push(tab in allowance.conversations ? allowance.conversations[tab] : allowance.perConversation);
+    }
+    return left.length > 0 ? Math.min(...left) : null;
+}
+
+function spendBudget(actionType, tab) {
+    const allowance = window.__autoAcceptState.budgetAllowance;
+    if (!allowance) return;
+    if (typeof allowance.actions[actionType] === 'number') allowance.actions[actionType]--;
+    if (allowance.perConversation && tab) {
+        allowance.conversations[tab] = (tab in allowance.conversations ? allowance.conversations[tab] : allowance.perConversation) - 1;
+    }
+}
+
+// Pages without the push channel queue their clicks, so the host's budgets count them too
+function reportClick(click) {
+    spendBudget(click.category, click.tab);
+    if (!emitEvent('click', click)) queueForHost('clickQueue', { type: 'click', timestamp: Date.now(), ...click });
+}
+
+// Held and shadowed buttons are re-checked every poll; only log them again if the decision changes
+function recordHold(el, outcome, rule) {
+    const key = `${outcome}:${rule}`;
+    if (reportedHolds.get(el) === key) return;
+    reportedHolds.set(el, key);
+    if (outcome === 'blocked') emitEvent('blocked', { rule });
+    recordAudit(el, outcome, rule);
+}
+
+// --- Held buttons: blocked or waiting for review until the extension host decides ---
+const heldButtons = new Map();
+const holdIds = new WeakMap();
+let reviewSeq = 0;
+
+function queueForHost(queueName, item) {
+    const state = window.__autoAcceptState;
+    if (!state[queueName]) state[queueName] = [];
+    state[queueName].push(item);
+    if (state[queueName].length > MAX_AUDIT_QUEUE) state[queueName].shift();
+}
+
+function holdForHost(el, rule) {
+    if (holdIds.has(el)) return holdIds.get(el);
+    const id = `r${Date.now().toString(36)}-${++reviewSeq}`;
+    holdIds.set(el, id);
+    heldButtons.set(id, { el, rule });
+    return id;
+}
+
+// Reported once per button; a decided button is never asked about again
+function requestReview(el, reason, rule) {
+    if (window.__autoAcceptState.shadowMode || holdIds.has(el)) return;
+
+    const id = holdForHost(el, rule);
+
+    const record = commandRecords.get(el) || null;
+    const review = {
+        id,
+        button: (el.textContent || '').trim().substring(0, 100),
+        command: record ? record.command : null,
+        cwd: record ? record.cwd : null,
+        tab: currentTabName(),
+        reason,
+        category: rule.category
+    };
+    log(`[Review] Waiting for a decision on "${review.button}" (${reason})`);
+    if (!emitEvent('review', { review })) queueForHost('reviewQueue', review);
+}
+
+// A held button that left the page was dealt with some other way
+function pruneReviews() {
+    for (const [id, pending] of heldButtons) {
+        if (pending.el.isConnected) continue;
+        heldButtons.delete(id);
+        if (!emitEvent('review-cleared', { id })) queueForHost('clearedReviews', id);
+    }
+}
+
+function extractCommandRecord(el) {
+    const record = Commands.extractCommandContext(el);
+    if (record) {
+        log(`[BannedCmd] Extracted from ${record.sourcePath}: "${record.command.substring(0, 150)}"${record.cwd ? ` (cwd: ${record.cwd})` : ''}`);
+    } else {
+        log(`[BannedCmd] No command card found for button`);
+    }
+    return record;
+}
 
-    const Analytics = (function () {
-        const TERMINAL_KEYWORDS = ['run', 'execute', 'command', 'terminal'];
-        const SECONDS_PER_CLICK = 5;
-        const TIME_VARIANCE = 0.2;
+function isCommandBanned(record) {
+    const state = window.__autoAcceptState;
+    const rules = state.bannedRules || [];
 
-        const ActionType = {
-            FILE_EDIT: 'file_edit',
-            TERMINAL_COMMAND: 'terminal_command'
-        };
+    if (rules.length === 0) return null;
+    if (!record || !record.command) return null;
 
-        function createDefaultStats() {
-            return {
-                clicksThisSession: 0,
-                blockedThisSession: 0,
-                sessionStartTime: null,
-                fileEditsThisSession: 0,
-                terminalCommandsThisSession: 0,
-                actionsWhileAway: 0,
-                isWindowFocused: true,
-                lastConversationUrl: null,
-                lastConversationStats: null
-            };
-        }
+    const rule = Commands.findMatchingRule(record.command, rules);
+    if (rule) {
+        log(`[BANNED] Command blocked by ${rule.kind} rule: "${rule.source}"`);
+        Analytics.trackBlocked(log);
+        return rule.source;
+    }
+    return null;
+}
 
-        function getStats() {
-            return window.__autoAcceptState?.stats || createDefaultStats();
-        }
+function isCommandAllowed(record) {
+    const state = window.__autoAcceptState;
+    if (state.safetyMode !== 'allowlist') return true;
 
-        function getStatsMutable() {
-            return window.__autoAcceptState.stats;
-        }
+    const disallowed = Commands.findDisallowedCommand(record ? record.command : '', state.allowedRules || []);
+    if (disallowed) {
+        log(`[ALLOWLIST] Waiting for a human: "${disallowed.substring(0, 100)}" is not on the allowlist`);
+        return false;
+    }
+    return true;
+}
 
-        function categorizeClick(buttonText) {
-            const text = (buttonText || '').toLowerCase();
-            for (const keyword of TERMINAL_KEYWORDS) {
-                if (text.includes(keyword)) return ActionType.TERMINAL_COMMAND;
-            }
-            return ActionType.FILE_EDIT;
-        }
+function isAcceptButton(el) {
+    const rawText = (el.textContent || "").trim().toLowerCase();
+    if (typeof Buttons.normalizeLabel !== 'function') {
+        return false;
+    }
+    const text = Buttons.normalizeLabel(rawText);
 
-        function trackClick(buttonText, log) {
-            const stats = getStatsMutable();
-            stats.clicksThisSession++;
-            log(`[Stats] Click tracked. Total: ${stats.clicksThisSession}`);
+    if (text.length === 0 || text.length > 50) {
+        return false;
+    }
 
-            const category = categorizeClick(buttonText);
-            if (category === ActionType.TERMINAL_COMMAND) {
-                stats.terminalCommandsThisSession++;
-                log(`[Stats] Terminal command. Total: ${stats.terminalCommandsThisSession}`);
-            } else {
-                stats.fileEditsThisSession++;
-                log(`[Stats] File edit. Total: ${stats.fileEditsThisSession}`);
-            }
+    const rule = Buttons.findButtonRule(el, text, window.__autoAcceptState.buttonRules);
+    if (!rule) {
+        if (text.length < 20) {
+            log(`[Button] Skipped (no rule matches): "${text}"`);
+        }
+        return false;
+    }
+    if (rule.action === 'ignore') {
+        log(`[Button] Rejected by rule "${rule.id}": "${text.substring(0, 30)}"`);
+        return false;
+    }
 
-            let isAway = false;
-            if (!stats.isWindowFocused) {
-                stats.actionsWhileAway++;
-                isAway = true;
-                log(`[Stats] Away action. Total away: ${stats.actionsWhileAway}`);
-            }
+    const disabledKinds = window.__autoAcceptState.disabledButtonKinds || [];
+    if (disabledKinds.includes(rule.category)) {
+        log(`[Button] Skipped (${rule.category} buttons disabled by workspace policy): "${text}"`);
+        return false;
+    }
 
-            return { category, isAway, totalClicks: stats.clicksThisSession };
-        }
+    const actionType = Buttons.actionTypeOf(rule.category);
+    if ((window.__autoAcceptState.enabledActions || {})[actionType] === false) {
+        log(`[Button] Skipped (${actionType} switched off in settings): "${text}"`);
+        return false;
+    }
 
-        function trackBlocked(log) {
-            const stats = getStatsMutable();
-            stats.blockedThisSession++;
-            log(`[Stats] Blocked. Total: ${stats.blockedThisSession}`);
-        }
+    const budgetPause = window.__autoAcceptState.budgetPause || {};
+    if ((budgetPause.actions || []).includes(actionType) || (budgetPause.conversations || []).includes(currentTabName())
+        || budgetLeft(actionType, currentTabName()) === 0) {
+        log(`[Button] Skipped (budget used up): "${text}"`);
+        return false;
+    }
 
-        function collectROI(log) {
-            const stats = getStatsMutable();
-            const collected = {
-                clicks: stats.clicksThisSession || 0,
-                blocked: stats.blockedThisSession || 0,
-                sessionStart: stats.sessionStartTime
-            };
-            log(`[ROI] Collected: ${collected.clicks} clicks, ${collected.blocked} blocked`);
-            stats.clicksThisSession = 0;
-            stats.blockedThisSession = 0;
-            stats.sessionStartTime = Date.now();
-            return collected;
+    if (rule.category === 'run') {
+        if (typeof Commands.extractCommandContext !== 'function' || typeof Commands.findMatchingRule !== 'function') {
+            log(`[BANNED] Skipping button: "${text}" - command modules unavailable`);
+            return false;
         }
-
-        function getSessionSummary() {
-            const stats = getStats();
-            const clicks = stats.clicksThisSession || 0;
-            const baseSecs = clicks * SECONDS_PER_CLICK;
-            const minMins = Math.max(1, Math.floor((baseSecs * (1 - TIME_VARIANCE)) / 60));
-            const maxMins = Math.ceil((baseSecs * (1 + TIME_VARIANCE)) / 60);
-
-            return {
-                clicks,
-                fileEdits: stats.fileEditsThisSession || 0,
-                terminalCommands: stats.terminalCommandsThisSession || 0,
-                blocked: stats.blockedThisSession || 0,
-                estimatedTimeSaved: clicks > 0 ? `${minMins}–${maxMins} minutes` : null
-            };
+        const record = extractCommandRecord(el);
+        commandRecords.set(el, record);
+        const shadow = window.__autoAcceptState.shadowMode;
+        // Without the command there is nothing to check it against
+        if (!record || !record.command) {
+            log(`[BANNED] Holding button: "${text}" - could not find the command it runs`);
+            recordHold(el, shadow ? 'would-block' : 'held', 'no-command');
+            requestReview(el, 'no-command', rule);
+            return false;
         }
-
-        function consumeAwayActions(log) {
-            const stats = getStatsMutable();
-            const count = stats.actionsWhileAway || 0;
-            log(`[Away] Consuming away actions: ${count}`);
-            stats.actionsWhileAway = 0;
-            return count;
+        const bannedBy = isCommandBanned(record);
+        if (bannedBy) {
+            log(`[BANNED] Skipping button: "${text}" - command is banned`);
+            if (!shadow) holdForHost(el, rule);
+            recordHold(el, shadow ? 'would-block' : 'blocked', bannedBy);
+            return false;
         }
-
-        function isUserAway() {
-            return !getStats().isWindowFocused;
+        if (!isCommandAllowed(record)) {
+            recordHold(el, shadow ? 'would-block' : 'held', 'allowlist');
+            requestReview(el, 'allowlist', rule);
+            return false;
         }
+    }
 
-        function initializeFocusState(log) {
-            const state = window.__autoAcceptState;
-            if (state && state.stats) {
-                state.stats.isWindowFocused = true;
-                log('[Focus] Initialized (awaiting extension sync)');
-            }
-        }
+    if (rule.action === 'confirm') {
+        log(`[Button] Held for confirmation by rule "${rule.id}": "${text}"`);
+        recordHold(el, window.__autoAcceptState.shadowMode ? 'would-block' : 'held', `rule:${rule.id}`);
+        requestReview(el, `rule:${rule.id}`, rule);
+        return false;
+    }
 
-        function initialize(log) {
-            if (!window.__autoAcceptState) {
-                window.__autoAcceptState = {
-                    isRunning: false,
-                    tabNames: [],
-                    completionStatus: {},
-                    sessionID: 0,
-                    currentMode: null,
-                    startTimes: {},
-                    bannedCommands: [],
-                    stats: createDefaultStats()
-                };
-                log('[Analytics] State initialized');
-            } else if (!window.__autoAcceptState.stats) {
-                window.__autoAcceptState.stats = createDefaultStats();
-                log('[Analytics] Stats added to existing state');
+    const style = window.getComputedStyle(el);
+    const rect = el.getBoundingClientRect();
+    const isVisible = style.display !== 'none' && rect.width > 0 && style.pointerEvents !== 'none' && !el.disabled;
+    if (!isVisible) {
+        log(`[Button] Rejected (not visible/clickable): "${text.substring(0, 20)}" display=${style.display} width=${rect.width} pointerEvents=${style.pointerEvents} disabled=${el.disabled}`);
+    } else {
+        log(`[Button] ACCEPTED by rule "${rule.id}": "${text}" (raw: "${rawText.substring(0, 30)}")`);
+        matchedRules.set(el, rule);
+    }
+    return isVisible;
+}
+
+function isElementVisible(el) {
+    if (!el || !el.isConnected) return false;
+    const style = window.getComputedStyle(el);
+    const rect = el.getBoundingClientRect();
+    return style.display !== 'none' && rect.width > 0 && style.visibility !== 'hidden';
+}
+
+function waitForDisappear(el, timeout = 500) {
+    return new Promise(resolve => {
+        const startTime = Date.now();
+        const check = () => {
+            if (!isElementVisible(el)) {
+                resolve(true);
+            } else if (Date.now() - startTime >= timeout) {
+                resolve(false);
             } else {
-                const s = window.__autoAcceptState.stats;
-                if (s.actionsWhileAway === undefined) s.actionsWhileAway = 0;
-                if (s.isWindowFocused === undefined) s.isWindowFocused = true;
-                if (s.fileEditsThisSession === undefined) s.fileEditsThisSession = 0;
-                if (s.terminalCommandsThisSession === undefined) s.terminalCommandsThisSession = 0;
+                requestAnimationFrame(check);
             }
+        };
+        setTimeout(check, 50);
+    });
+}
+
+// One click only: el.click() already fires the click event that a second dispatch would repeat
+function clickElement(el) {
+    try {
+        el.click();
+    } catch (e) {
+        log(`[Click] Native click failed: ${e.message}`);
+        el.dispatchEvent(new MouseEvent('click', { view: window, bubbles: true, cancelable: true }));
+    }
+}
+
+// --- Trusted clicks: the host presses the real mouse through CDP Input.dispatchMouseEvent ---
+// Longer than waitForDisappear's default, since the request makes a round trip to the host
+const TRUSTED_CLICK_TIMEOUT = 1500;
+let trustedClickTarget = null;
+// The request the host may still claim: { id, el }
+let trustedClickRequest = null;
+let trustedClickSeq = 0;
+
+// el's box in the top window's viewport, adding the offset of every iframe it sits in
+function viewportBox(el) {
+    const rect = el.getBoundingClientRect();
+    let left = rect.left;
+    let top = rect.top;
+    let win = el.ownerDocument && el.ownerDocument.defaultView;
+    while (win && win.frameElement) {
+        const frame = win.frameElement;
+        const frameRect = frame.getBoundingClientRect();
+        left += frameRect.left + (frame.clientLeft || 0);
+        top += frameRect.top + (frame.clientTop || 0);
+        win = win.parent;
+    }
+    return { left, top, width: rect.width, height: rect.height };
+}
+
+function viewportPoint(el) {
+    const box = viewportBox(el);
+    return { x: Math.round(box.left + box.width / 2), y: Math.round(box.top + box.height / 2) };
+}
+
+// False without the push channel: the host never hears the request
+function requestTrustedClick(el) {
+    const { x, y } = viewportPoint(el);
+    const id = `t${Date.now().toString(36)}-${++trustedClickSeq}`;
+    trustedClickTarget = el;
+    trustedClickRequest = { id, el };
+    if (emitEvent('trusted-click', { id, x, y, button: (el.textContent || '').trim().substring(0, 100) })) return true;
+    trustedClickTarget = null;
+    trustedClickRequest = null;
+    return false;
+}
+
+async function trustedClick(el) {
+    try {
+        return await waitForDisappear(el, TRUSTED_CLICK_TIMEOUT);
+    } finally {
+        trustedClickTarget = null;
+        trustedClickRequest = null;
+    }
+}
+
+// The host claims a request before pressing the mouse, so only the request this script
+// made is served, once, and only at the box of the button it was made for
+window.__autoAcceptClaimTrustedClick = function (id) {
+    if (!trustedClickRequest || trustedClickRequest.id !== id) return null;
+    const { el } = trustedClickRequest;
+    trustedClickRequest = null;
+    return isElementVisible(el) ? viewportBox(el) : null;
+};
+
+/**
+ * Click with the rule's strategy and report whether the button went away.
+ * A synthetic click that leaves the button in place is retried once as a trusted
+ * click, for handlers that ignore events without isTrusted.
+ *
+ * @returns {Promise<{disappeared: boolean, method: string}>} method is 'synthetic' or 'trusted'
+ */
+async function clickAndVerify(el, rule) {
+    if (rule.click === 'trusted' && requestTrustedClick(el)) {
+        return { disappeared: await trustedClick(el), method: 'trusted' };
+    }
 
-            initializeFocusState(log);
+    clickElement(el);
+    if (await waitForDisappear(el)) return { disappeared: true, method: 'synthetic' };
 
-            if (!window.__autoAcceptState.stats.sessionStartTime) {
-                window.__autoAcceptState.stats.sessionStartTime = Date.now();
+    if (!isElementVisible(el) || el.disabled || !requestTrustedClick(el)) {
+        return { disappeared: false, method: 'synthetic' };
+    }
+    log(`[Click] Synthetic click left "${(el.textContent || '').trim().substring(0, 30)}" in place, retrying as a trusted click`);
+    return { disappeared: await trustedClick(el), method: 'trusted' };
+}
+
+async function performClick(selectors) {
+    const found = [];
+    selectors.forEach(s => {
+        const elements = queryAll(s);
+        elements.forEach(el => found.push(el));
+    });
+    return clickButtons(found);
+}
+
+// Clicks the accept buttons among these elements, returns how many clicks were verified
+async function clickButtons(elements) {
+    let clicked = 0;
+    let verified = 0;
+    const uniqueFound = [...new Set(elements)];
+
+    for (const el of uniqueFound) {
+        if (!el.isConnected) continue;
+        if (isAcceptButton(el)) {
+            const buttonText = (el.textContent || "").trim();
+            const rule = matchedRules.get(el);
+
+            // Shadow mode: report the decision, leave the button alone
+            if (window.__autoAcceptState.shadowMode) {
+                log(`[Shadow] Would click: "${buttonText}"`);
+                recordHold(el, 'would-click', `rule:${rule.id}`);
+                continue;
             }
 
-            log('[Analytics] Initialized');
-        }
-
-        function setFocusState(isFocused, log) {
-            const state = window.__autoAcceptState;
-            if (!state || !state.stats) return;
+            log(`Clicking: "${buttonText}"`);
 
-            const wasAway = !state.stats.isWindowFocused;
-            state.stats.isWindowFocused = isFocused;
+            const { disappeared, method } = await clickAndVerify(el, rule);
+            clicked++;
 
-            if (log) {
-                log(`[Focus] Extension sync: focused=${isFocused}, wasAway=${wasAway}`);
+            if (disappeared) {
+                const { category, isAway } = Analytics.trackClick(buttonText, log, Buttons.actionTypeOf(rule.category));
+                reportClick({ button: buttonText.substring(0, 100), category, away: isAway, tab: currentTabName(), method });
+                verified++;
+                log(`[Stats] Click verified (button disappeared, ${method} click)`);
             }
+            recordAudit(el, disappeared ? 'verified' : 'clicked', `rule:${rule.id}`);
         }
+    }
 
-        return {
-            initialize,
-            trackClick,
-            trackBlocked,
-            categorizeClick,
-            ActionType,
-            collectROI,
-            getSessionSummary,
-            consumeAwayActions,
-            isUserAway,
-            getStats,
-            setFocusState
-        };
-    })();
-
-    const log = (msg, isSuccess = false) => {
-        console.log(`[AutoAccept] ${msg}`);
-    };
-
-    Analytics.initialize(log);
-
-    const getDocuments = (root = document) => {
-        let docs = [root];
-        try {
-            const iframes = root.querySelectorAll('iframe, frame');
-            for (const iframe of iframes) {
-                try {
-                    const iframeDoc = iframe.contentDocument || iframe.contentWindow?.document;
-                    if (iframeDoc) docs.push(...getDocuments(iframeDoc));
-                } catch (e) { }
+    if (clicked > 0) {
+        log(`[Click] Attempted: ${clicked}, Verified: ${verified}`);
+    }
+    return verified;
+}
+
+const TAB_SELECTORS = {
+    cursor: [
+        '#workbench\\.parts\\.auxiliarybar ul[role="tablist"] li[role="tab"]',
+        '.monaco-pane-view .monaco-list-row[role="listitem"]',
+        'div[role="tablist"] div[role="tab"]',
+        '.chat-session-item'
+    ],
+    antigravity: ['button.grow']
+};
+const LOOP_CLICK_SELECTORS = {
+    cursor: ['button', '[class*="button"]', '[class*="anysphere"]'],
+    antigravity: ['.bg-ide-button-background', 'button', '[class*="button"]']
+};
+
+function findConversationTabs(ide) {
+    for (const selector of TAB_SELECTORS[ide]) {
+        const tabs = queryAll(selector);
+        if (tabs.length > 0) return tabs;
+    }
+    return [];
+}
+
+// Feedback badges only appear once the agent has finished its turn
+function isConversationDone() {
+    return queryAll('span').some(s => {
+        const t = s.textContent.trim();
+        return t === 'Good' || t === 'Bad';
+    });
+}
+
+function hasHeldButton() {
+    return Array.from(heldButtons.values()).some(h => h.el.isConnected);
+}
+
+// --- Holding off while the user types, scrolls or hovers a button we would click ---
+const activity = Activity.createActivityMonitor ? Activity.createActivityMonitor() : null;
+
+function isPendingButton(el) {
+    // The pointer the host moves for a trusted click is not the user's
+    if (el === trustedClickTarget) return false;
+    if (typeof Buttons.normalizeLabel !== 'function') return false;
+    const rule = Buttons.findButtonRule(el, Buttons.normalizeLabel((el.textContent || '').trim().toLowerCase()), window.__autoAcceptState.buttonRules);
+    return !!rule && rule.action !== 'ignore';
+}
+
+function isUserActive() {
+    if (!activity) return false;
+    getDocuments().forEach(doc => Activity.watchDocument(doc, activity, isPendingButton));
+    const change = activity.poll();
+    if (change) {
+        log(`[Activity] ${change === 'started' ? `Paused, user is ${activity.kind()}` : 'Resumed'}`);
+        emitEvent('activity', { active: change === 'started', kind: activity.kind() });
+    }
+    return activity.isActive();
+}
+
+// --- Detection: react to page changes, poll as a slow safety net ---
+const BUTTON_SELECTORS = ['button', '[class*="button"]', '[class*="anysphere"]', '.bg-ide-button-background'];
+let buttonObserver = null;
+let clickChain = Promise.resolve(0);
+
+// Observer and poll both click; one at a time, so a button is never clicked twice
+function serializeClicks(task) {
+    const run = clickChain.then(task, task);
+    clickChain = run.catch(() => 0);
+    return run;
+}
+
+// Buttons reported by the observer are clicked as soon as the user is idle
+function startButtonObserver(sid) {
+    const state = window.__autoAcceptState;
+    const pending = new Set();
+    let draining = null;
+
+    const drain = () => {
+        if (draining) return;
+        draining = serializeClicks(async () => {
+            while (pending.size > 0 && state.isRunning && state.sessionID === sid) {
+                if (isUserActive()) {
+                    await new Promise(r => setTimeout(r, 1000));
+                    continue;
+                }
+                const batch = Array.from(pending);
+                pending.clear();
+                pruneReviews();
+                const clicked = await clickButtons(batch);
+                if (clicked > 0) log(`[Observer] Clicked ${clicked} buttons`);
             }
-        } catch (e) { }
-        return docs;
+        }).catch(e => {
+            log(`[Observer] Error: ${e.message}`);
+            emitEvent('error', { message: e.message, where: 'buttonObserver' });
+        }).finally(() => { draining = null; });
     };
 
-    const queryAll = (selector) => {
-        const results = [];
-        const docs = getDocuments();
-        docs.forEach((doc, idx) => {
-            try {
-                const found = Array.from(doc.querySelectorAll(selector));
-                results.push(...found);
-            } catch (e) { }
-        });
-        return results;
+    const observer = Detection.createButtonObserver((found) => {
+        if (!state.isRunning || state.sessionID !== sid) {
+            observer.disconnect();
+            return;
+        }
+        found.forEach(el => pending.add(el));
+        drain();
+    });
+    if (observer) syncObserver(observer);
+    return observer;
+}
+
+function syncObserver(observer) {
+    const docs = getDocuments();
+    return observer.sync(docs, docs.flatMap(doc => getShadowRoots(doc)));
+}
+
+// Switches tabs only when the scheduler says another conversation needs attention
+async function backgroundLoop(sid, ide) {
+    if (!Background.createScheduler) {
+        log('[Loop] Background scheduler not loaded, staying on the current tab');
+        return;
+    }
+    const scheduler = Background.createScheduler();
+    const state = window.__autoAcceptState;
+    const selectors = LOOP_CLICK_SELECTORS[ide];
+    let cycle = 0;
+
+    const visit = async (name) => {
+        const clicked = await serializeClicks(() => performClick(selectors));
+        const tabState = scheduler.record(name, { clicked, held: hasHeldButton(), done: isConversationDone() }, Date.now());
+        updateConversationCompletionState(name, tabState);
+        return clicked;
     };
 
-    const stripTimeSuffix = (text) => {
-        return (text || '').trim().replace(/\s*\d+[smh]$/, '').trim();
-    };
+    while (state.isRunning && state.sessionID === sid) {
+        if (isUserActive()) {
+            await new Promise(r => setTimeout(r, 1000));
+            continue;
+        }
+        cycle++;
+        const tabs = findConversationTabs(ide);
+        updateTabNames(tabs);
+        const names = state.tabNames || [];
+        scheduler.sync(names.map((name, i) => ({
+            name,
+            hint: Background.tabHint(tabs[i]),
+            direct: Background.isReachableDirectly(name, state.directConversations)
+        })));
+
+        const active = names.includes(state.activeTabName) ? state.activeTabName : null;
+        if (active) await visit(active);
+
+        const target = scheduler.next(active, Date.now());
+        const targetTab = target ? tabs[names.indexOf(target)] : null;
+        if (targetTab) {
+            log(`[Loop] Cycle ${cycle}: Switching to "${target}" (${scheduler.get(target).state})`);
+            state.activeTabName = target;
+            emitEvent('tab-switch', { tab: target });
+            targetTab.dispatchEvent(new MouseEvent('click', { view: window, bubbles: true, cancelable: true }));
+
+            await new Promise(r => setTimeout(r, 500));
+            const clicked = await visit(target);
+            if (clicked > 0) log(`[Loop] Cycle ${cycle}: Clicked ${clicked} buttons after tab switch`);
+        }
+
+        updateOverlay();
+        await new Promise(r => setTimeout(r, scheduler.nextDelay()));
+    }
+    log(`[Loop] ${ide} background loop STOPPED`);
+}
+
+async function cursorLoop(sid) {
+    return backgroundLoop(sid, 'cursor');
+}
+
+async function antigravityLoop(sid) {
+    return backgroundLoop(sid, 'antigravity');
+}
+
+window.__autoAcceptUpdateBannedCommands = function (bannedList) {
+    const state = window.__autoAcceptState;
+    state.bannedCommands = Array.isArray(bannedList) ? bannedList : [];
+    state.bannedRules = Commands.compileRules ? Commands.compileRules(state.bannedCommands) : [];
+    state.bannedRules.filter(r => r.error).forEach(r => {
+        log(`[Config] Invalid regex pattern "${r.source}", using literal match: ${r.error}`);
+    });
+    log(`[Config] Updated banned commands list: ${state.bannedCommands.length} patterns`);
+    if (state.bannedCommands.length > 0) {
+        log(`[Config] Banned patterns: ${state.bannedCommands.join(', ')}`);
+    }
+};
+
+window.__autoAcceptUpdateAllowedCommands = function (mode, allowedList) {
+    const state = window.__autoAcceptState;
+    state.safetyMode = mode === 'allowlist' ? 'allowlist' : 'denylist';
+    state.allowedCommands = Array.isArray(allowedList) ? allowedList : [];
+    state.allowedRules = Commands.compileAllowRules ? Commands.compileAllowRules(state.allowedCommands) : [];
+    log(`[Config] Safety mode: ${state.safetyMode} (${state.allowedCommands.length} allowed patterns)`);
+};
+
+window.__autoAcceptUpdateButtonRules = function (rules) {
+    const state = window.__autoAcceptState;
+    state.buttonRules = Buttons.compileRules ? Buttons.compileRules(rules) : [];
+    state.buttonRules.filter(r => r.error).forEach(r => {
+        log(`[Config] Button rule "${r.id}" ignored: ${r.error}`);
+    });
+};
+
+window.__autoAcceptDrainAudit = function () {
+    const state = window.__autoAcceptState;
+    const entries = state.auditQueue || [];
+    state.auditQueue = [];
+    return entries;
+};
+
+window.__autoAcceptDrainClicks = function () {
+    const state = window.__autoAcceptState;
+    const clicks = state.clickQueue || [];
+    state.clickQueue = [];
+    return clicks;
+};
+
+window.__autoAcceptDrainReviews = function () {
+    const state = window.__autoAcceptState;
+    const drained = { requests: state.reviewQueue || [], cleared: state.clearedReviews || [] };
+    state.reviewQueue = [];
+    state.clearedReviews = [];
+    return drained;
+};
+
+// decision is 'approve', 'deny', or 'override' to run a blocked button once.
+// Returns false when the button is no longer waiting; the click itself follows, like any other.
+window.__autoAcceptResolveReview = function (id, decision) {
+    const pending = heldButtons.get(id);
+    if (!pending) return false;
+    heldButtons.delete(id);
+
+    const { el, rule } = pending;
+    if (!el.isConnected) return false;
+
+    const buttonText = (el.textContent || '').trim();
+    if (decision !== 'approve' && decision !== 'override') {
+        log(`[Review] Denied: "${buttonText}"`);
+        recordAudit(el, 'denied', 'review');
+        return true;
+    }
+    if (window.__autoAcceptState.shadowMode) {
+        log(`[Shadow] Would click after approval: "${buttonText}"`);
+        recordAudit(el, 'would-click', 'review');
+        return true;
+    }
 
-    const deduplicateNames = (names) => {
-        const counts = {};
-        return names.map(name => {
-            if (counts[name] === undefined) {
-                counts[name] = 1;
-                return name;
-            } else {
-                counts[name]++;
-                return `${name} (${counts[name]})`;
-            }
-        });
+    const source = decision === 'override' ? 'override' : 'review';
+    log(`[Review] Approved (${source}), clicking: "${buttonText}"`);
+    serializeClicks(async () => {
+        if (!el.isConnected) return 0;
+        const { disappeared, method } = await clickAndVerify(el, rule);
+        if (disappeared) {
+            const { category, isAway } = Analytics.trackClick(buttonText, log, Buttons.actionTypeOf(rule.category));
+            reportClick({ button: buttonText.substring(0, 100), category, away: isAway, tab: currentTabName(), method });
+        } else {
+            log(`[Review] "${buttonText}" is still there after the approved click`);
+        }
+        recordAudit(el, 'approved', source);
+        return disappeared ? 1 : 0;
+    }).catch(e => log(`[Review] Click failed: ${e.message}`));
+    return true;
+};
+
+// --- Watchdog: snapshots of the visible conversation and recovery hooks for the host ---
+const MESSAGE_SELECTORS = ['[data-message-id]', '[data-message-index]', '.chat-message', '[class*="message-content"]'];
+const ERROR_PATTERN = /\b(error|failed|something went wrong|try again)\b/i;
+
+function hashText(text) {
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) hash = (hash * 31 + text.charCodeAt(i)) | 0;
+    return (hash >>> 0).toString(36);
+}
+
+window.__autoAcceptGetConversationSnapshot = function () {
+    let messages = [];
+    for (const selector of MESSAGE_SELECTORS) {
+        messages = queryAll(selector).filter(isElementVisible);
+        if (messages.length > 0) break;
+    }
+    const last = messages[messages.length - 1];
+    // Without message markup use the side panel, minus digits that tick with elapsed-time labels
+    const panel = queryAll('#workbench\\.parts\\.auxiliarybar')[0] || document.body;
+    const text = last ? last.textContent : (panel.textContent || '').replace(/\d+/g, '');
+
+    const error = queryAll('[role="alert"], [class*="error"]')
+        .filter(isElementVisible)
+        .map(el => (el.textContent || '').trim())
+        .find(t => t.length > 0 && t.length < 300 && ERROR_PATTERN.test(t)) || null;
+    return {
+        tab: currentTabName(),
+        fingerprint: `${messages.length}:${hashText(text || '')}`,
+        done: isConversationDone(),
+        error: error ? error.substring(0, 120) : null
     };
-
-    const updateTabNames = (tabs) => {
-        const rawNames = Array.from(tabs).map(tab => stripTimeSuffix(tab.textContent));
-        const tabNames = deduplicateNames(rawNames);
-
-        if (JSON.stringify(window.__autoAcceptState.tabNames) !== JSON.stringify(tabNames)) {
-            log(`updateTabNames: Detected ${tabNames.length} tabs: ${tabNames.join(', ')}`);
-            window.__autoAcceptState.tabNames = tabNames;
-        }
+};
+
+// Lets the host tell a window with conversation tabs from a conversation rendered on its own
+window.__autoAcceptDescribeTarget = function () {
+    const ide = window.__autoAcceptState.currentMode === 'antigravity' ? 'antigravity' : 'cursor';
+    return {
+        tabs: findConversationTabs(ide).length,
+        conversation: MESSAGE_SELECTORS.some(s => queryAll(s).length > 0),
+        title: document.title || ''
     };
-
-    const updateConversationCompletionState = (rawTabName, status) => {
-        const tabName = stripTimeSuffix(rawTabName);
-        const current = window.__autoAcceptState.completionStatus[tabName];
-        if (current !== status) {
-            log(`[State] ${tabName}: ${current} → ${status}`);
-            window.__autoAcceptState.completionStatus[tabName] = status;
-        }
+};
+
+// Any visible button the rules call a retry, even if retries are switched off for auto-accept
+window.__autoAcceptClickRetry = function () {
+    const rules = window.__autoAcceptState.buttonRules || [];
+    const button = queryAll('button, [class*="button"]').filter(isElementVisible).find(el => {
+        const rule = Buttons.findButtonRule(el, Buttons.normalizeLabel(el.textContent), rules);
+        return rule && rule.category === 'retry' && rule.action !== 'ignore';
+    });
+    if (!button) return false;
+    log(`[Watchdog] Clicking "${(button.textContent || '').trim()}"`);
+    clickElement(button);
+    recordAudit(button, 'clicked', 'watchdog');
+    return true;
+};
+
+// The host types into the focused input through CDP, which editors accept as real keystrokes
+window.__autoAcceptFocusChatInput = function () {
+    const input = queryAll('textarea, [contenteditable="true"]').filter(isElementVisible).pop();
+    if (!input) return false;
+    input.focus();
+    return true;
+};
+
+// Select the conversation tab with this name, as shown in audit entries
+window.__autoAcceptOpenTab = function (name) {
+    const tab = queryAll('[role="tab"], button.grow, .chat-session-item')
+        .find(el => stripTimeSuffix(el.textContent) === name);
+    if (!tab) return false;
+    tab.dispatchEvent(new MouseEvent('click', { view: window, bubbles: true, cancelable: true }));
+    return true;
+};
+
+window.__autoAcceptGetStats = function () {
+    const stats = Analytics.getStats();
+    return {
+        clicks: stats.clicksThisSession || 0,
+        blocked: stats.blockedThisSession || 0,
+        sessionStart: stats.sessionStartTime,
+        fileEdits: stats.fileEditsThisSession || 0,
+        terminalCommands: stats.terminalCommandsThisSession || 0,
+        retries: stats.retriesThisSession || 0,
+        permissions: stats.permissionsThisSession || 0,
+        actionsWhileAway: stats.actionsWhileAway || 0
     };
+};
 
-    const OVERLAY_ID = '__autoAcceptBgOverlay';
-    const STYLE_ID = '__autoAcceptBgStyles';
-    const STYLES = `
-        #__autoAcceptBgOverlay { position: fixed; background: rgba(0, 0, 0, 0.98); z-index: 2147483647; font-family: sans-serif; color: #fff; display: flex; flex-direction: column; justify-content: center; align-items: center; pointer-events: none; opacity: 0; transition: opacity 0.3s; }
-        #__autoAcceptBgOverlay.visible { opacity: 1; }
-        .aab-slot { margin-bottom: 12px; width: 80%; padding: 8px; background: rgba(255,255,255,0.05); border-radius: 4px; }
-        .aab-header { display: flex; justify-content: space-between; font-size: 11px; margin-bottom: 4px; }
-        .aab-progress-track { height: 4px; background: rgba(255,255,255,0.1); border-radius: 2px; }
-        .aab-progress-fill { height: 100%; width: 20%; background: #6b7280; transition: width 0.3s, background 0.3s; }
-        .aab-slot.working .aab-progress-fill { background: #a855f7; }
-        .aab-slot.done .aab-progress-fill { background: #22c55e; }
-        .aab-slot .status-text { color: #6b7280; }
-        .aab-slot.working .status-text { color: #a855f7; }
-        .aab-slot.done .status-text { color: #22c55e; }
-    `;
-
-    function showOverlay() {
-        if (document.getElementById(OVERLAY_ID)) {
-            log('[Overlay] Already exists, skipping creation');
-            return;
-        }
-
-        log('[Overlay] Creating overlay...');
-        const state = window.__autoAcceptState;
+window.__autoAcceptResetStats = function () {
+    return Analytics.collectROI(log);
+};
 
-        if (!document.getElementById(STYLE_ID)) {
-            const style = document.createElement('style');
-            style.id = STYLE_ID;
-            style.textContent = STYLES;
-            document.head.appendChild(style);
-            log('[Overlay] Styles injected');
-        }
+window.__autoAcceptGetSessionSummary = function () {
+    return Analytics.getSessionSummary();
+};
 
-        const overlay = document.createElement('div');
-        overlay.id = OVERLAY_ID;
+window.__autoAcceptGetAwayActions = function () {
+    return Analytics.consumeAwayActions(log);
+};
 
-        const container = document.createElement('div');
-        container.id = 'aab-c';
-        container.style.cssText = 'width:100%; display:flex; flex-direction:column; align-items:center;';
-        overlay.appendChild(container);
+window.__autoAcceptSetFocusState = function (isFocused) {
+    Analytics.setFocusState(isFocused, log);
+};
 
-        document.body.appendChild(overlay);
-        log('[Overlay] Overlay appended to body');
+window.__autoAcceptStart = function (config) {
+    try {
+        const ide = (config.ide || 'cursor').toLowerCase();
+        const isBG = config.isBackgroundMode === true;
 
-        const ide = state.currentMode || 'cursor';
-        let panel = null;
-        if (ide === 'antigravity') {
-            panel = queryAll('#antigravity\\.agentPanel').find(p => p.offsetWidth > 50);
-        } else {
-            panel = queryAll('#workbench\\.parts\\.auxiliarybar').find(p => p.offsetWidth > 50);
+        if (config.bannedCommands) {
+            window.__autoAcceptUpdateBannedCommands(config.bannedCommands);
         }
-
-        if (panel) {
-            log(`[Overlay] Found panel for ${ide}, syncing position`);
-            const sync = () => {
-                const r = panel.getBoundingClientRect();
-                Object.assign(overlay.style, { top: r.top + 'px', left: r.left + 'px', width: r.width + 'px', height: r.height + 'px' });
-            };
-            sync();
-            new ResizeObserver(sync).observe(panel);
-        } else {
-            log('[Overlay] No panel found, using fullscreen');
-            Object.assign(overlay.style, { top: '0', left: '0', width: '100%', height: '100%' });
+        if (config.safetyMode) {
+            window.__autoAcceptUpdateAllowedCommands(config.safetyMode, config.allowedCommands);
         }
+        window.__autoAcceptState.disabledButtonKinds = Array.isArray(config.disabledButtonKinds) ? config.disabledButtonKinds : [];
+        // Missing keys stay on, so an older host enables everything
+        window.__autoAcceptState.enabledActions = config.enabledActions || {};
+        window.__autoAcceptState.budgetPause = config.budgetPause || {};
+        window.__autoAcceptState.budgetAllowance = config.budgetAllowance || null;
+        if (activity) activity.setHoldMs(typeof config.activityHoldMs === 'number' ? config.activityHoldMs : Activity.DEFAULT_HOLD_MS);
+        window.__autoAcceptUpdateButtonRules(config.buttonRules || (Buttons.getDefaultRules ? Buttons.getDefaultRules(ide) : []));
+        // Read on every click, so switching modes needs no restart
+        window.__autoAcceptState.shadowMode = config.shadowMode === true;
+        // Conversations the host accepts in their own targets; background mode skips their tabs
+        window.__autoAcceptState.directConversations = Array.isArray(config.directConversations) ? config.directConversations : [];
 
-        const waitingDiv = document.createElement('div');
-        waitingDiv.className = 'aab-waiting';
-        waitingDiv.style.cssText = 'color:#888; font-size:12px;';
-        waitingDiv.textContent = 'Scanning for conversations...';
-        container.appendChild(waitingDiv);
+        log(`__autoAcceptStart called: ide=${ide}, isBG=${isBG}`);
 
-        requestAnimationFrame(() => overlay.classList.add('visible'));
-    }
-
-    function updateOverlay() {
         const state = window.__autoAcceptState;
-        const container = document.getElementById('aab-c');
 
-        if (!container) {
-            log('[Overlay] updateOverlay: No container found, skipping');
+        const detection = config.detection === 'poll' ? 'poll' : 'observer';
+        if (state.isRunning && state.currentMode === ide && state.isBackgroundMode === isBG && state.detection === detection) {
+            log(`Already running with same config, skipping`);
             return;
         }
 
-        log(`[Overlay] updateOverlay call: tabNames count=${state.tabNames?.length || 0}`);
-        const newNames = state.tabNames || [];
-
-        if (newNames.length === 0) {
-            if (!container.querySelector('.aab-waiting')) {
-                container.textContent = '';
-                const waitingDiv = document.createElement('div');
-                waitingDiv.className = 'aab-waiting';
-                waitingDiv.style.cssText = 'color:#888; font-size:12px;';
-                waitingDiv.textContent = 'Scanning for conversations...';
-                container.appendChild(waitingDiv);
-            }
-            return;
-        }
-
-        const waiting = container.querySelector('.aab-waiting');
-        if (waiting) waiting.remove();
-
-        const currentSlots = Array.from(container.querySelectorAll('.aab-slot'));
-
-        currentSlots.forEach(slot => {
-            const name = slot.getAttribute('data-name');
-            if (!newNames.includes(name)) slot.remove();
-        });
-
-        newNames.forEach(name => {
-            const status = state.completionStatus[name];
-            const isDone = status === 'done';
-
-            const statusClass = isDone ? 'done' : 'working';
-            const statusText = isDone ? 'COMPLETED' : 'IN PROGRESS';
-            const progressWidth = isDone ? '100%' : '66%';
-
-            let slot = container.querySelector(`.aab-slot[data-name="${name}"]`);
-
-            if (!slot) {
-                slot = document.createElement('div');
-                slot.className = `aab-slot ${statusClass}`;
-                slot.setAttribute('data-name', name);
-
-                const header = document.createElement('div');
-                header.className = 'aab-header';
-
-                const nameSpan = document.createElement('span');
-                nameSpan.textContent = name;
-                header.appendChild(nameSpan);
-
-                const statusSpan = document.createElement('span');
-                statusSpan.className = 'status-text';
-                statusSpan.textContent = statusText;
-                header.appendChild(statusSpan);
-
-                slot.appendChild(header);
-
-                const track = document.createElement('div');
-                track.className = 'aab-progress-track';
-
-                const fill = document.createElement('div');
-                fill.className = 'aab-progress-fill';
-                fill.style.width = progressWidth;
-                track.appendChild(fill);
-
-                slot.appendChild(track);
-                container.appendChild(slot);
-                log(`[Overlay] Created slot: ${name} (${statusText})`);
-            } else {
-                slot.className = `aab-slot ${statusClass}`;
-
-                const statusSpan = slot.querySelector('.status-text');
-                if (statusSpan) statusSpan.textContent = statusText;
-
-                const bar = slot.querySelector('.aab-progress-fill');
-                if (bar) bar.style.width = progressWidth;
-            }
-        });
-    }
-
-    function hideOverlay() {
-        const overlay = document.getElementById(OVERLAY_ID);
-        if (overlay) {
-            log('[Overlay] Hiding overlay...');
-            overlay.classList.remove('visible');
-            setTimeout(() => overlay.remove(), 300);
-        }
-    }
-
-    function findNearbyCommandText(el) {
-        const commandSelectors = ['pre', 'code', 'pre code'];
-        let commandText = '';
-
-        let container = el.parentElement;
-        let depth = 0;
-        const maxDepth = 10;
-
-        while (container && depth < maxDepth) {
-            let sibling = container.previousElementSibling;
-            let siblingCount = 0;
-
-            while (sibling && siblingCount < 5) {
-                if (sibling.tagName === 'PRE' || sibling.tagName === 'CODE') {
-                    const text = sibling.textContent.trim();
-                    if (text.length > 0) {
-                        commandText += ' ' + text;
-                        log(`[BannedCmd] Found <${sibling.tagName}> sibling at depth ${depth}: "${text.substring(0, 100)}..."`);
-                    }
-                }
-
-                for (const selector of commandSelectors) {
-                    const codeElements = sibling.querySelectorAll(selector);
-                    for (const codeEl of codeElements) {
-                        if (codeEl && codeEl.textContent) {
-                            const text = codeEl.textContent.trim();
-                            if (text.length > 0 && text.length < 5000) {
-                                commandText += ' ' + text;
-                                log(`[BannedCmd] Found <${selector}> in sibling at depth ${depth}: "${text.substring(0, 100)}..."`);
-                            }
-                        }
-                    }
-                }
-
-                sibling = sibling.previousElementSibling;
-                siblingCount++;
-            }
-
-            if (commandText.length > 10) {
-                break;
-            }
-
-            container = container.parentElement;
-            depth++;
+        if (state.isRunning) {
+            log(`Stopping previous session...`);
+            state.isRunning = false;
         }
 
-        if (commandText.length === 0) {
-            let btnSibling = el.previousElementSibling;
-            let count = 0;
-            while (btnSibling && count < 3) {
-                for (const selector of commandSelectors) {
-                    const codeElements = btnSibling.querySelectorAll ? btnSibling.querySelectorAll(selector) : [];
-                    for (const codeEl of codeElements) {
-                        if (codeEl && codeEl.textContent) {
-                            commandText += ' ' + codeEl.textContent.trim();
-                        }
-                    }
-                }
-                btnSibling = btnSibling.previousElementSibling;
-                count++;
-            }
-        }
+        state.isRunning = true;
+        state.currentMode = ide;
+        state.isBackgroundMode = isBG;
+        state.detection = detection;
+        state.sessionID++;
+        const sid = state.sessionID;
 
-        if (el.getAttribute('aria-label')) {
-            commandText += ' ' + el.getAttribute('aria-label');
-        }
-        if (el.getAttribute('title')) {
-            commandText += ' ' + el.getAttribute('title');
+        if (!state.stats.sessionStartTime) {
+            state.stats.sessionStartTime = Date.now();
         }
 
-        const result = commandText.trim().toLowerCase();
-        if (result.length > 0) {
-            log(`[BannedCmd] Extracted command text (${result.length} chars): "${result.substring(0, 150)}..."`);
-        }
-        return result;
-    }
+        log(`Agent Loaded (IDE: ${ide}, BG: ${isBG}${state.shadowMode ? ', SHADOW' : ''})`, true);
 
-    function isCommandBanned(commandText) {
-        const state = window.__autoAcceptState;
-        const bannedList = state.bannedCommands || [];
-
-        if (bannedList.length === 0) return false;
-        if (!commandText || commandText.length === 0) return false;
-
-        const lowerText = commandText.toLowerCase();
-
-        for (const banned of bannedList) {
-            const pattern = banned.trim();
-            if (!pattern || pattern.length === 0) continue;
-
-            try {
-                if (pattern.startsWith('/') && pattern.lastIndexOf('/') > 0) {
-                    const lastSlash = pattern.lastIndexOf('/');
-                    const regexPattern = pattern.substring(1, lastSlash);
-                    const flags = pattern.substring(lastSlash + 1) || 'i';
-
-                    const regex = new RegExp(regexPattern, flags);
-                    if (regex.test(commandText)) {
-                        log(`[BANNED] Command blocked by regex: /${regexPattern}/${flags}`);
-                        Analytics.trackBlocked(log);
-                        return true;
-                    }
-                } else {
-                    const lowerPattern = pattern.toLowerCase();
-                    if (lowerText.includes(lowerPattern)) {
-                        log(`[BANNED] Command blocked by pattern: "${pattern}"`);
-                        Analytics.trackBlocked(log);
-                        return true;
-                    }
-                }
-            } catch (e) {
-                log(`[BANNED] Invalid regex pattern "${pattern}", using literal match: ${e.message}`);
-                if (lowerText.includes(pattern.toLowerCase())) {
-                    log(`[BANNED] Command blocked by pattern (fallback): "${pattern}"`);
-                    Analytics.trackBlocked(log);
-                    return true;
+        // The observer clicks as buttons appear; the static poll loop always runs,
+        // every pollInterval on its own or every few seconds behind the observer
+        hideOverlay();
+        if (buttonObserver) buttonObserver.disconnect();
+        buttonObserver = detection === 'observer' && Detection.createButtonObserver ? startButtonObserver(sid) : null;
+        const pollInterval = config.pollInterval || 1000;
+        const interval = buttonObserver
+            ? Math.max(pollInterval, config.safetyNetInterval || Detection.SAFETY_NET_MS)
+            : pollInterval;
+        log(`Starting static poll loop (${buttonObserver ? `safety net behind the observer, every ${interval}ms` : `every ${interval}ms`})...`);
+        let pollCount = 0;
+        (async function staticLoop() {
+            const observer = buttonObserver;
+            while (state.isRunning && state.sessionID === sid) {
+                pollCount++;
+                // Log every 10th poll to avoid spam
+                const shouldLog = (pollCount % 10 === 1);
+
+                if (observer && syncObserver(observer)) {
+                    log(`[Poll #${pollCount}] Observing ${observer.stats().roots} root(s)`);
                 }
-            }
-        }
-        return false;
-    }
-
-    function isAcceptButton(el) {
-        let rawText = (el.textContent || "").trim().toLowerCase();
-        let text = rawText.replace(/\s*(alt|ctrl|cmd|shift)\s*\+\s*\w+/gi, '').trim();
-        text = text.replace(/[\u200B-\u200D\uFEFF]/g, '');
-        text = text.replace(/\s+/g, ' ');
-
-        if (text.length === 0 || text.length > 50) {
-            return false;
-        }
-        const patterns = ['accept', 'run', 'retry', 'apply', 'execute', 'confirm', 'allow once', 'allow'];
-        const rejects = ['skip', 'reject', 'cancel', 'close', 'refine', 'model', 'gemini', 'claude', 'gpt', 'fast', 'slow', 'select'];
-        if (rejects.some(r => text.includes(r))) {
-            log(`[Button] Rejected (matches reject pattern): "${text.substring(0, 30)}"`);
-            return false;
-        }
-        if (!patterns.some(p => text.includes(p))) {
-            if (text.length < 20) {
-                log(`[Button] Skipped (no pattern match): "${text}"`);
-            }
-            return false;
-        }
-
-        const isCommandButton = text.includes('run command') || text.includes('execute') || text.includes('run');
-
-        if (isCommandButton) {
-            const nearbyText = findNearbyCommandText(el);
-            if (isCommandBanned(nearbyText)) {
-                log(`[BANNED] Skipping button: "${text}" - command is banned`);
-                return false;
-            }
-        }
-
-        const style = window.getComputedStyle(el);
-        const rect = el.getBoundingClientRect();
-        const isVisible = style.display !== 'none' && rect.width > 0 && style.pointerEvents !== 'none' && !el.disabled;
-        if (!isVisible) {
-            log(`[Button] Rejected (not visible/clickable): "${text.substring(0, 20)}" display=${style.display} width=${rect.width} pointerEvents=${style.pointerEvents} disabled=${el.disabled}`);
-        } else {
-            log(`[Button] ACCEPTED: "${text}" (raw: "${rawText.substring(0, 30)}")`);
-        }
-        return isVisible;
-    }
-
-    function isElementVisible(el) {
-        if (!el || !el.isConnected) return false;
-        const style = window.getComputedStyle(el);
-        const rect = el.getBoundingClientRect();
-        return style.display !== 'none' && rect.width > 0 && style.visibility !== 'hidden';
-    }
-
-    function waitForDisappear(el, timeout = 500) {
-        return new Promise(resolve => {
-            const startTime = Date.now();
-            const check = () => {
-                if (!isElementVisible(el)) {
-                    resolve(true);
-                } else if (Date.now() - startTime >= timeout) {
-                    resolve(false);
-                } else {
-                    requestAnimationFrame(check);
+                if (shouldLog) {
+                    const allButtons = queryAll('button');
+                    const seen = observer ? `, observer saw ${observer.stats().mutations} mutations, ${observer.stats().candidates} candidates` : '';
+                    log(`[Poll #${pollCount}] Found ${allButtons.length} buttons on page${seen}`);
                 }
-            };
-            setTimeout(check, 50);
-        });
-    }
-
-    async function performClick(selectors) {
-        const found = [];
-        selectors.forEach(s => {
-            const elements = queryAll(s);
-            elements.forEach(el => found.push(el));
-        });
-        let clicked = 0;
-        let verified = 0;
-        const uniqueFound = [...new Set(found)];
-
-        for (const el of uniqueFound) {
-            if (isAcceptButton(el)) {
-                const buttonText = (el.textContent || "").trim();
-                log(`Clicking: "${buttonText}"`);
 
+                let clicked = 0;
                 try {
-                    el.click();
+                    pruneReviews();
+                    clicked = isUserActive() ? 0 : await serializeClicks(() => performClick(BUTTON_SELECTORS));
+                    if (clicked > 0 && observer) log(`[Poll #${pollCount}] Safety net found buttons the observer missed`);
                 } catch (e) {
-                    log(`[Click] Native click failed: ${e.message}`);
-                }
-                el.dispatchEvent(new MouseEvent('click', { view: window, bubbles: true, cancelable: true }));
-                clicked++;
-
-                const disappeared = await waitForDisappear(el);
-
-                if (disappeared) {
-                    Analytics.trackClick(buttonText, log);
-                    verified++;
-                    log(`[Stats] Click verified (button disappeared)`);
-                }
-            }
-        }
-
-        if (clicked > 0) {
-            log(`[Click] Attempted: ${clicked}, Verified: ${verified}`);
-        }
-        return verified;
-    }
-
-    async function cursorLoop(sid) {
-        log('[Loop] cursorLoop STARTED');
-        let index = 0;
-        let cycle = 0;
-        while (window.__autoAcceptState.isRunning && window.__autoAcceptState.sessionID === sid) {
-            cycle++;
-            log(`[Loop] Cycle ${cycle}: Starting...`);
-
-            const clicked = await performClick(['button', '[class*="button"]', '[class*="anysphere"]']);
-            log(`[Loop] Cycle ${cycle}: Clicked ${clicked} buttons`);
-
-            await new Promise(r => setTimeout(r, 800));
-
-            const tabSelectors = [
-                '#workbench\\.parts\\.auxiliarybar ul[role="tablist"] li[role="tab"]',
-                '.monaco-pane-view .monaco-list-row[role="listitem"]',
-                'div[role="tablist"] div[role="tab"]',
-                '.chat-session-item'
-            ];
-
-            let tabs = [];
-            for (const selector of tabSelectors) {
-                tabs = queryAll(selector);
-                if (tabs.length > 0) {
-                    log(`[Loop] Cycle ${cycle}: Found ${tabs.length} tabs using selector: ${selector}`);
-                    break;
-                }
-            }
-
-            if (tabs.length === 0) {
-                log(`[Loop] Cycle ${cycle}: No tabs found in any known locations.`);
-            }
-
-            updateTabNames(tabs);
-
-            if (tabs.length > 0) {
-                const targetTab = tabs[index % tabs.length];
-                const tabLabel = targetTab.getAttribute('aria-label') || targetTab.textContent?.trim() || 'unnamed tab';
-                log(`[Loop] Cycle ${cycle}: Clicking tab "${tabLabel}"`);
-                targetTab.dispatchEvent(new MouseEvent('click', { view: window, bubbles: true, cancelable: true }));
-                index++;
-
-                // After switching tabs, wait briefly then click any buttons on the new tab
-                await new Promise(r => setTimeout(r, 500));
-                const clickedAfterSwitch = await performClick(['button', '[class*="button"]', '[class*="anysphere"]']);
-                if (clickedAfterSwitch > 0) {
-                    log(`[Loop] Cycle ${cycle}: Clicked ${clickedAfterSwitch} buttons after tab switch`);
+                    log(`[Poll #${pollCount}] Error: ${e.message}`);
+                    emitEvent('error', { message: e.message, where: 'staticLoop' });
                 }
-            }
-
-            const state = window.__autoAcceptState;
-            log(`[Loop] Cycle ${cycle}: State = { tabs: ${state.tabNames?.length || 0}, isRunning: ${state.isRunning}, sid: ${state.sessionID} }`);
-
-            updateOverlay();
-            log(`[Loop] Cycle ${cycle}: Overlay updated, waiting 3s...`);
-
-            await new Promise(r => setTimeout(r, 3000));
-        }
-        log('[Loop] cursorLoop STOPPED');
-    }
-
-    async function antigravityLoop(sid) {
-        log('[Loop] antigravityLoop STARTED');
-        let index = 0;
-        let cycle = 0;
-        while (window.__autoAcceptState.isRunning && window.__autoAcceptState.sessionID === sid) {
-            cycle++;
-            log(`[Loop] Cycle ${cycle}: Starting...`);
-
-            // Always try to click accept buttons - don't skip based on badge detection
-            // Badge detection was too broad and would match "Good"/"Bad" text anywhere on the page
-            let clicked = 0;
-            clicked = await performClick(['.bg-ide-button-background', 'button', '[class*="button"]']);
-            log(`[Loop] Cycle ${cycle}: Clicked ${clicked} accept buttons`);
 
-            await new Promise(r => setTimeout(r, 800));
-
-            const nt = queryAll("[data-tooltip-id='new-conversation-tooltip']")[0];
-            if (nt) {
-                log(`[Loop] Cycle ${cycle}: Clicking New Tab button`);
-                nt.click();
-            }
-            await new Promise(r => setTimeout(r, 1000));
-
-            const tabsAfter = queryAll('button.grow');
-            log(`[Loop] Cycle ${cycle}: Found ${tabsAfter.length} tabs`);
-            updateTabNames(tabsAfter);
-
-            let clickedTabName = null;
-            if (tabsAfter.length > 0) {
-                const targetTab = tabsAfter[index % tabsAfter.length];
-                clickedTabName = stripTimeSuffix(targetTab.textContent);
-                log(`[Loop] Cycle ${cycle}: Clicking tab "${clickedTabName}"`);
-                targetTab.dispatchEvent(new MouseEvent('click', { view: window, bubbles: true, cancelable: true }));
-                index++;
-
-                // After switching tabs, wait briefly then click any buttons on the new tab
-                await new Promise(r => setTimeout(r, 500));
-                const clickedAfterSwitch = await performClick(['.bg-ide-button-background', 'button', '[class*="button"]']);
-                if (clickedAfterSwitch > 0) {
-                    log(`[Loop] Cycle ${cycle}: Clicked ${clickedAfterSwitch} buttons after tab switch`);
+                if (clicked > 0) {
+                    log(`[Poll #${pollCount}] Clicked ${clicked} buttons!`);
                 }
-            }
-
-            await new Promise(r => setTimeout(r, 1000));
 
-            const allSpansAfter = queryAll('span');
-            const feedbackTexts = allSpansAfter
-                .filter(s => {
-                    const t = s.textContent.trim();
-                    return t === 'Good' || t === 'Bad';
-                })
-                .map(s => s.textContent.trim());
-
-            log(`[Loop] Cycle ${cycle}: Found ${feedbackTexts.length} Good/Bad badges`);
-
-            if (clickedTabName && feedbackTexts.length > 0) {
-                updateConversationCompletionState(clickedTabName, 'done');
+                await new Promise(r => setTimeout(r, interval));
             }
-
-            const state = window.__autoAcceptState;
-            log(`[Loop] Cycle ${cycle}: State = { tabs: ${state.tabNames?.length || 0}, completions: ${JSON.stringify(state.completionStatus)} }`);
-
-            updateOverlay();
-            log(`[Loop] Cycle ${cycle}: Overlay updated, waiting 3s...`);
-
-            await new Promise(r => setTimeout(r, 3000));
-        }
-        log('[Loop] antigravityLoop STOPPED');
+            if (observer) observer.disconnect();
+            log(`Static poll loop stopped at poll #${pollCount}`);
+        })();
+
+        // If background mode, also run the tab-switching loop concurrently
+        if (isBG) {
+            log(`[BG] Also starting background tab-switching loop...`);
+            if (ide === 'cursor') cursorLoop(sid);
+            else antigravityLoop(sid);
+        }
+    } catch (e) {
+        log(`ERROR in __autoAcceptStart: ${e.message}`);
+        emitEvent('error', { message: e.message, where: '__autoAcceptStart' });
+        console.error('[AutoAccept] Start error:', e);
     }
+};
 
-    window.__autoAcceptUpdateBannedCommands = function (bannedList) {
-        const state = window.__autoAcceptState;
-        state.bannedCommands = Array.isArray(bannedList) ? bannedList : [];
-        log(`[Config] Updated banned commands list: ${state.bannedCommands.length} patterns`);
-        if (state.bannedCommands.length > 0) {
-            log(`[Config] Banned patterns: ${state.bannedCommands.join(', ')}`);
-        }
-    };
-
-    window.__autoAcceptGetStats = function () {
-        const stats = Analytics.getStats();
-        return {
-            clicks: stats.clicksThisSession || 0,
-            blocked: stats.blockedThisSession || 0,
-            sessionStart: stats.sessionStartTime,
-            fileEdits: stats.fileEditsThisSession || 0,
-            terminalCommands: stats.terminalCommandsThisSession || 0,
-            actionsWhileAway: stats.actionsWhileAway || 0
-        };
-    };
-
-    window.__autoAcceptResetStats = function () {
-        return Analytics.collectROI(log);
-    };
-
-    window.__autoAcceptGetSessionSummary = function () {
-        return Analytics.getSessionSummary();
-    };
-
-    window.__autoAcceptGetAwayActions = function () {
-        return Analytics.consumeAwayActions(log);
-    };
-
-    window.__autoAcceptSetFocusState = function (isFocused) {
-        Analytics.setFocusState(isFocused, log);
-    };
-
-    window.__autoAcceptStart = function (config) {
-        try {
-            const ide = (config.ide || 'cursor').toLowerCase();
-            const isBG = config.isBackgroundMode === true;
-
-            if (config.bannedCommands) {
-                window.__autoAcceptUpdateBannedCommands(config.bannedCommands);
-            }
-
-            log(`__autoAcceptStart called: ide=${ide}, isBG=${isBG}`);
-
-            const state = window.__autoAcceptState;
-
-            if (state.isRunning && state.currentMode === ide && state.isBackgroundMode === isBG) {
-                log(`Already running with same config, skipping`);
-                return;
-            }
-
-            if (state.isRunning) {
-                log(`Stopping previous session...`);
-                state.isRunning = false;
-            }
-
-            state.isRunning = true;
-            state.currentMode = ide;
-            state.isBackgroundMode = isBG;
-            state.sessionID++;
-            const sid = state.sessionID;
-
-            if (!state.stats.sessionStartTime) {
-                state.stats.sessionStartTime = Date.now();
-            }
-
-            log(`Agent Loaded (IDE: ${ide}, BG: ${isBG})`, true);
-
-            // Always run the static poll loop - this reliably clicks buttons
-            hideOverlay();
-            log(`Starting static poll loop...`);
-            let pollCount = 0;
-            (async function staticLoop() {
-                while (state.isRunning && state.sessionID === sid) {
-                    pollCount++;
-                    // Log every 10th poll to avoid spam
-                    const shouldLog = (pollCount % 10 === 1);
-
-                    if (shouldLog) {
-                        const allButtons = queryAll('button');
-                        log(`[Poll #${pollCount}] Found ${allButtons.length} buttons on page`);
-                    }
-
-                    const clicked = await performClick(['button', '[class*="button"]', '[class*="anysphere"]', '.bg-ide-button-background']);
-
-                    if (clicked > 0) {
-                        log(`[Poll #${pollCount}] Clicked ${clicked} buttons!`);
-                    }
-
-                    await new Promise(r => setTimeout(r, config.pollInterval || 1000));
-                }
-                log(`Static poll loop stopped at poll #${pollCount}`);
-            })();
-
-            // If background mode, also run the tab-switching loop concurrently
-            if (isBG) {
-                log(`[BG] Also starting background tab-switching loop...`);
-                if (ide === 'cursor') cursorLoop(sid);
-                else antigravityLoop(sid);
-            }
-        } catch (e) {
-            log(`ERROR in __autoAcceptStart: ${e.message}`);
-            console.error('[AutoAccept] Start error:', e);
-        }
-    };
-
-    window.__autoAcceptStop = function () {
-        window.__autoAcceptState.isRunning = false;
-        hideOverlay();
-        log("Agent Stopped.");
-    };
+window.__autoAcceptStop = function () {
+    window.__autoAcceptState.isRunning = false;
+    if (buttonObserver) buttonObserver.disconnect();
+    hideOverlay();
+    log("Agent Stopped.");
+};
 
-    const docsOnInit = getDocuments();
-    log(`Core Bundle Initialized. Found ${docsOnInit.length} document(s) to search.`);
-})();
+const docsOnInit = getDocuments();
+log(`Core Bundle Initialized. Found ${docsOnInit.length} document(s) to search.`);
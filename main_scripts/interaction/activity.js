@@ -0,0 +1,134 @@
+/**
+ * User Activity Module
+ *
+ * Tells the page script when someone is working in the conversation, so it holds
+ * off instead of clicking under their cursor. Counts as activity:
+ *
+ *     typing    - a key pressed in a chat input or other text field
+ *     scrolling - the mouse wheel anywhere on the page
+ *     hovering  - the pointer resting on a button auto-accept would click
+ *
+ * The hold lasts holdMs after the last activity, and for as long as the pointer
+ * stays on such a button.
+ *
+ * @module interaction/activity
+ */
+
+(function (exports) {
+    'use strict';
+
+    const DEFAULT_HOLD_MS = 5000;
+    const BUTTON_SELECTOR = 'button, [class*="button"]';
+
+    const watchedDocuments = typeof WeakSet !== 'undefined' ? new WeakSet() : null;
+
+    function isTextInput(el) {
+        if (!el || !el.tagName) return false;
+        const tag = el.tagName.toUpperCase();
+        return tag === 'TEXTAREA' || tag === 'INPUT' || el.isContentEditable === true ||
+            (typeof el.getAttribute === 'function' && el.getAttribute('role') === 'textbox');
+    }
+
+    // Events from inside a shadow root reach the document retargeted to its host
+    function originalTarget(e) {
+        const path = typeof e.composedPath === 'function' ? e.composedPath() : null;
+        return path && path.length > 0 ? path[0] : e.target;
+    }
+
+    function closestButton(el) {
+        try {
+            return el && typeof el.closest === 'function' ? el.closest(BUTTON_SELECTOR) : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.holdMs] - 0 turns the hold off
+     * @param {Function} [options.now]
+     * @returns {Object} Monitor with note, setHovering, isActive, poll, kind and setHoldMs
+     */
+    function createActivityMonitor({ holdMs = DEFAULT_HOLD_MS, now = () => Date.now() } = {}) {
+        let hold = holdMs;
+        let lastActivityAt = null;
+        let lastKind = null;
+        let hovering = false;
+        let reported = false;
+
+        function note(kind) {
+            lastActivityAt = now();
+            lastKind = kind;
+        }
+
+        function setHovering(on) {
+            if (on) lastKind = 'hovering';
+            // Leaving the button starts the usual hold
+            if (hovering && !on) lastActivityAt = now();
+            hovering = on;
+        }
+
+        function isActive() {
+            if (hold <= 0) return false;
+            return hovering || (lastActivityAt !== null && now() - lastActivityAt < hold);
+        }
+
+        /**
+         * @returns {string|null} 'started' or 'ended' the first time isActive() changes, otherwise null
+         */
+        function poll() {
+            const active = isActive();
+            if (active === reported) return null;
+            reported = active;
+            return active ? 'started' : 'ended';
+        }
+
+        return {
+            note,
+            setHovering,
+            isActive,
+            poll,
+            kind: () => lastKind,
+            setHoldMs: (ms) => { hold = ms > 0 ? ms : 0; }
+        };
+    }
+
+    /**
+     * Listen for activity on a document. Each document is only watched once.
+     *
+     * @param {Document} doc
+     * @param {Object} monitor - From createActivityMonitor
+     * @param {Function} isClickCandidate - (el) => whether auto-accept would click this button
+     * @returns {boolean} Whether listeners were added
+     */
+    function watchDocument(doc, monitor, isClickCandidate) {
+        if (!doc || typeof doc.addEventListener !== 'function') return false;
+        if (watchedDocuments) {
+            if (watchedDocuments.has(doc)) return false;
+            watchedDocuments.add(doc);
+        }
+        const options = { capture: true, passive: true };
+
+        doc.addEventListener('keydown', (e) => {
+            if (isTextInput(originalTarget(e))) monitor.note('typing');
+        }, options);
+        doc.addEventListener('wheel', () => monitor.note('scrolling'), options);
+        doc.addEventListener('mouseover', (e) => {
+            const button = closestButton(originalTarget(e));
+            if (button && isClickCandidate(button)) monitor.setHovering(true);
+        }, options);
+        doc.addEventListener('mouseout', (e) => {
+            const button = closestButton(originalTarget(e));
+            if (button && !button.contains(e.relatedTarget)) monitor.setHovering(false);
+        }, options);
+        return true;
+    }
+
+    exports.DEFAULT_HOLD_MS = DEFAULT_HOLD_MS;
+    exports.isTextInput = isTextInput;
+    exports.createActivityMonitor = createActivityMonitor;
+    exports.watchDocument = watchDocument;
+
+})(typeof module !== 'undefined' && module.exports
+    ? module.exports
+    : (typeof window !== 'undefined' ? (window.__autoAcceptActivity = window.__autoAcceptActivity || {}) : {}));
@@ -0,0 +1,167 @@
+const { EventEmitter } = require('events');
+
+// A leader that has not renewed its lease for this long is presumed gone
+const LEASE_TIMEOUT_MS = 15000;
+
+/**
+ * Picks one window to drive CDP for every window of the same IDE.
+ *
+ * The lease is a single globalState record, {id, label, since, heartbeat, status},
+ * renewed by the leader on every tick. Followers read the leader's published
+ * status from the same record. When two windows claim in the same tick, the
+ * lower instance id keeps the lease so both sides converge on one leader.
+ *
+ * Every window, leader or not, also keeps its own settings in a record of its
+ * own, `<key>:window:<id>` = {id, label, heartbeat, config}, refreshed on each
+ * tick, so the leader can start each window's pages with that window's config.
+ *
+ * Events:
+ * - 'roleChanged' (role, lease): role is 'leader' or 'follower'
+ */
+class LeaderElection extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {{get: Function, update: Function}} options.state - globalState Memento
+     * @param {string} options.key - Storage key shared by all windows of this IDE
+     * @param {string} options.instanceId - Unique per window
+     * @param {string} options.label - Shown in other windows, e.g. the workspace name
+     */
+    constructor({ state, key, instanceId, label, logger = console.log, now = Date.now }) {
+        super();
+        this.state = state;
+        this.key = key;
+        this.instanceId = instanceId;
+        this.label = label;
+        this.logger = logger;
+        this.now = now;
+        this.role = null;
+        this.status = null;
+        this.config = null;
+    }
+
+    get windowKey() {
+        return `${this.key}:window:${this.instanceId}`;
+    }
+
+    log(msg) {
+        if (this.logger) this.logger(`[Leader] ${msg}`);
+    }
+
+    isLeader() {
+        return this.role === 'leader';
+    }
+
+    // Older versions stored a bare extension id here; treat anything else as no lease
+    readLease() {
+        const lease = this.state.get(this.key);
+        return lease && typeof lease === 'object' && lease.id ? lease : null;
+    }
+
+    /**
+     * The current leader, or null when the lease has expired or been released.
+     */
+    getLeader() {
+        const lease = this.readLease();
+        if (!lease || this.now() - lease.heartbeat >= LEASE_TIMEOUT_MS) return null;
+        return lease;
+    }
+
+    /**
+     * Renew our lease or take an expired one. Call on every poll.
+     * @returns {Promise<string>} 'leader' or 'follower'
+     */
+    async tick() {
+        if (this.config) await this.writeWindowRecord();
+        const leader = this.getLeader();
+        const contested = leader && leader.id !== this.instanceId;
+
+        if (contested && (!this.isLeader() || leader.id < this.instanceId)) {
+            this.setRole('follower', leader);
+            return this.role;
+        }
+
+        const lease = {
+            id: this.instanceId,
+            label: this.label,
+            since: leader && leader.id === this.instanceId ? leader.since : this.now(),
+            heartbeat: this.now(),
+            status: this.status
+        };
+        await this.state.update(this.key, lease);
+        this.setRole('leader', lease);
+        return this.role;
+    }
+
+    /**
+     * Attach status for followers to show. Written with the next renewal.
+     */
+    publishStatus(status) {
+        this.status = { ...status, updatedAt: this.now() };
+    }
+
+    /**
+     * Share this window's config with the leader. Written now and on every tick.
+     */
+    async shareConfig(config) {
+        this.config = config;
+        await this.writeWindowRecord();
+    }
+
+    async writeWindowRecord() {
+        await this.state.update(this.windowKey, {
+            id: this.instanceId,
+            label: this.label,
+            heartbeat: this.now(),
+            config: this.config
+        });
+    }
+
+    /**
+     * Configs shared by live windows, this one included. A window that stopped
+     * ticking drops out after the lease timeout.
+     *
+     * @returns {{id: string, label: string, config: Object}[]}
+     */
+    getWindowConfigs() {
+        const prefix = `${this.key}:window:`;
+        const keys = typeof this.state.keys === 'function' ? this.state.keys() : [];
+        return keys
+            .filter(key => key.startsWith(prefix))
+            .map(key => this.state.get(key))
+            .filter(record => record && record.config && this.now() - record.heartbeat < LEASE_TIMEOUT_MS)
+            .map(({ id, label, config }) => ({ id, label, config }));
+    }
+
+    /**
+     * Give up the lease so another window can take over on its next tick
+     * instead of waiting for the lease to time out, and stop sharing this
+     * window's config.
+     */
+    async release() {
+        if (this.config) {
+            this.config = null;
+            await this.state.update(this.windowKey, undefined);
+        }
+        if (!this.isLeader()) return;
+        const lease = this.readLease();
+        if (lease && lease.id === this.instanceId) {
+            await this.state.update(this.key, undefined);
+            this.log('Lease released');
+        }
+        this.setRole(null, null);
+    }
+
+    setRole(role, lease) {
+        if (role === this.role) return;
+        const previous = this.role;
+        this.role = role;
+        if (role === 'leader') {
+            this.log(previous === 'follower' ? 'Took over as leader' : 'Elected leader');
+        } else if (role === 'follower') {
+            this.log(`Following "${lease.label}" (${lease.id})`);
+        }
+        this.emit('roleChanged', role, lease);
+    }
+}
+
+module.exports = { LeaderElection, LEASE_TIMEOUT_MS };
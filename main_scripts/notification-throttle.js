@@ -0,0 +1,34 @@
+// One notification per conversation per minute is enough to notice a stalled agent
+const DEFAULT_WINDOW_MS = 60000;
+
+/**
+ * Rate-limits notifications per key and counts the ones it held back, so the
+ * next notification that does go out can say how many were skipped.
+ */
+class NotificationThrottle {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.windowMs] - Minimum gap between notifications for one key
+     */
+    constructor({ windowMs = DEFAULT_WINDOW_MS, now = Date.now } = {}) {
+        this.windowMs = windowMs;
+        this.now = now;
+        this.slots = new Map();
+    }
+
+    /**
+     * @param {string} key - e.g. page and conversation tab
+     * @returns {number|null} null to stay quiet, otherwise how many were suppressed since the last one
+     */
+    take(key) {
+        const slot = this.slots.get(key);
+        if (slot && this.now() - slot.shownAt < this.windowMs) {
+            slot.suppressed++;
+            return null;
+        }
+        this.slots.set(key, { shownAt: this.now(), suppressed: 0 });
+        return slot ? slot.suppressed : 0;
+    }
+}
+
+module.exports = { NotificationThrottle, DEFAULT_WINDOW_MS };
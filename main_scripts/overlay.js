@@ -4,109 +4,78 @@
  * - showOverlay: Called ONCE when background mode is enabled
  * - updateOverlay: Called each loop iteration to update content
  * - hideOverlay: Called ONCE when background mode is disabled
+ *
+ * Bundled into the injected script by main_scripts/script-bundler.js.
  */
 
+import { log, queryAll } from './utils.js';
+
 const OVERLAY_ID = '__autoAcceptBgOverlay';
 const STYLE_ID = '__autoAcceptBgStyles';
-
-// Initializing state-persisted storage
-window.__autoAcceptState = window.__autoAcceptState || { startTimes: {} };
-window.__autoAcceptState.startTimes = window.__autoAcceptState.startTimes || {};
-const startTimes = window.__autoAcceptState.startTimes;
-
 const STYLES = `
-    #__autoAcceptBgOverlay {
-        position: fixed;
-        background: rgba(0, 0, 0, 0.95);
-        z-index: 2147483647;
-        font-family: system-ui, -apple-system, sans-serif;
-        color: #fff;
-        display: flex;
-        flex-direction: column;
-        justify-content: center;
-        align-items: center;
-        pointer-events: none;
-        opacity: 0;
-        transition: opacity 0.2s;
-    }
+    #__autoAcceptBgOverlay { position: fixed; background: rgba(0, 0, 0, 0.98); z-index: 2147483647; font-family: sans-serif; color: #fff; display: flex; flex-direction: column; justify-content: center; align-items: center; pointer-events: none; opacity: 0; transition: opacity 0.3s; }
     #__autoAcceptBgOverlay.visible { opacity: 1; }
-    .aab-container { width: 90%; max-width: 400px; }
-    .aab-slot { margin-bottom: 20px; }
-    .aab-header { display: flex; align-items: center; margin-bottom: 4px; gap: 8px; font-size: 12px; }
-    .aab-name { flex: 1; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
-    .aab-status { font-weight: bold; font-size: 10px; }
-    .aab-progress-track { height: 4px; background: rgba(255,255,255,0.1); border-radius: 2px; overflow: hidden; }
-    .aab-progress-fill { height: 100%; transition: width 0.3s, background 0.3s; }
-    .initiating .aab-progress-fill { width: 33%; background: #3b82f6; }
-    .processing .aab-progress-fill { width: 66%; background: #a855f7; }
-    .done .aab-progress-fill { width: 100%; background: #22c55e; }
-    .done .aab-status { color: #22c55e; }
+    .aab-slot { margin-bottom: 12px; width: 80%; padding: 8px; background: rgba(255,255,255,0.05); border-radius: 4px; }
+    .aab-header { display: flex; justify-content: space-between; font-size: 11px; margin-bottom: 4px; }
+    .aab-progress-track { height: 4px; background: rgba(255,255,255,0.1); border-radius: 2px; }
+    .aab-progress-fill { height: 100%; width: 20%; background: #6b7280; transition: width 0.3s, background 0.3s; }
+    .aab-slot.working .aab-progress-fill { background: #a855f7; }
+    .aab-slot.done .aab-progress-fill { background: #22c55e; }
+    .aab-slot .status-text { color: #6b7280; }
+    .aab-slot.working .status-text { color: #a855f7; }
+    .aab-slot.done .status-text { color: #22c55e; }
 `;
 
-function formatDuration(ms) {
-    const s = Math.floor(ms / 1000);
-    return s < 60 ? `${s}s` : `${Math.floor(s / 60)}m ${s % 60}s`;
-}
-
-function findTargetPanel(ide) {
-    if (ide == "antigravity") {
-        return queryAll('#antigravity\\.agentPanel').find(p => p.offsetWidth > 50) || null;
-    } else if (ide == "cursor") {
-        return queryAll('#workbench\\.parts\\.auxiliarybar').find(p => p.offsetWidth > 50) || null;
-    }
-    return null;
-}
-
 // Called ONCE when background mode is enabled
 export function showOverlay() {
     if (document.getElementById(OVERLAY_ID)) {
-        console.log('[Overlay] Already exists, skipping creation');
+        log('[Overlay] Already exists, skipping creation');
         return;
     }
 
-    console.log('[Overlay] Creating overlay...');
+    log('[Overlay] Creating overlay...');
     const state = window.__autoAcceptState;
 
-    // Inject styles
     if (!document.getElementById(STYLE_ID)) {
         const style = document.createElement('style');
         style.id = STYLE_ID;
         style.textContent = STYLES;
         document.head.appendChild(style);
+        log('[Overlay] Styles injected');
     }
 
-    // Create overlay
     const overlay = document.createElement('div');
     overlay.id = OVERLAY_ID;
 
-    // Create container (pure DOM, no innerHTML)
     const container = document.createElement('div');
-    container.className = 'aab-container';
-    container.id = OVERLAY_ID + '-c';
+    container.id = 'aab-c';
+    container.style.cssText = 'width:100%; display:flex; flex-direction:column; align-items:center;';
     overlay.appendChild(container);
 
     document.body.appendChild(overlay);
+    log('[Overlay] Overlay appended to body');
+
+    const ide = state.currentMode || 'cursor';
+    let panel = null;
+    if (ide === 'antigravity') {
+        panel = queryAll('#antigravity\\.agentPanel').find(p => p.offsetWidth > 50);
+    } else {
+        panel = queryAll('#workbench\\.parts\\.auxiliarybar').find(p => p.offsetWidth > 50);
+    }
 
-    // Find panel and sync
-    const ide = state.ide || state.currentMode || 'cursor';
-    const target = findTargetPanel(ide);
-
-    const sync = () => {
-        const t = findTargetPanel(ide);
-        if (t) {
-            const r = t.getBoundingClientRect();
+    if (panel) {
+        log(`[Overlay] Found panel for ${ide}, syncing position`);
+        const sync = () => {
+            const r = panel.getBoundingClientRect();
             Object.assign(overlay.style, { top: r.top + 'px', left: r.left + 'px', width: r.width + 'px', height: r.height + 'px' });
-        } else {
-            Object.assign(overlay.style, { top: '0', left: '0', width: '100%', height: '100%' });
-        }
-    };
-
-    sync();
-    if (target) {
-        new ResizeObserver(sync).observe(target);
+        };
+        sync();
+        new ResizeObserver(sync).observe(panel);
+    } else {
+        log('[Overlay] No panel found, using fullscreen');
+        Object.assign(overlay.style, { top: '0', left: '0', width: '100%', height: '100%' });
     }
 
-    // Add waiting message
     const waitingDiv = document.createElement('div');
     waitingDiv.className = 'aab-waiting';
     waitingDiv.style.cssText = 'color:#888; font-size:12px;';
@@ -116,21 +85,20 @@ export function showOverlay() {
     requestAnimationFrame(() => overlay.classList.add('visible'));
 }
 
-// Called each loop iteration - NEVER creates or destroys overlay
+// Called each loop iteration - never creates or destroys the overlay
 export function updateOverlay() {
     const state = window.__autoAcceptState;
-    const container = document.getElementById(OVERLAY_ID + '-c');
+    const container = document.getElementById('aab-c');
 
     if (!container) {
-        // Overlay not created yet, skip silently
+        log('[Overlay] updateOverlay: No container found, skipping');
         return;
     }
 
-    const tabNames = state.tabNames || [];
-    const completions = state.completionStatus || {};
+    log(`[Overlay] updateOverlay call: tabNames count=${state.tabNames?.length || 0}`);
+    const newNames = state.tabNames || [];
 
-    // Handle waiting state
-    if (tabNames.length === 0) {
+    if (newNames.length === 0) {
         if (!container.querySelector('.aab-waiting')) {
             container.textContent = '';
             const waitingDiv = document.createElement('div');
@@ -142,56 +110,43 @@ export function updateOverlay() {
         return;
     }
 
-    // Remove waiting
     const waiting = container.querySelector('.aab-waiting');
     if (waiting) waiting.remove();
 
     const currentSlots = Array.from(container.querySelectorAll('.aab-slot'));
 
-    // Remove old slots
     currentSlots.forEach(slot => {
         const name = slot.getAttribute('data-name');
-        if (!tabNames.includes(name)) slot.remove();
+        if (!newNames.includes(name)) slot.remove();
     });
 
-    // Add/Update slots (pure DOM)
-    tabNames.forEach(name => {
-        if (!startTimes[name]) startTimes[name] = Date.now();
-        const elapsed = Date.now() - startTimes[name];
-        const done = completions[name] === true || completions[name] === 'done';
+    newNames.forEach(name => {
+        const status = state.completionStatus[name];
+        const isDone = status === 'done';
 
-        // Simplified Logic: 
-        // 1. Completed (Green)
-        // 2. In Progress (Purple) - Default
-        const stateClass = done ? 'done' : 'processing';
-        const statusText = done ? 'COMPLETED' : 'IN PROGRESS';
+        const statusClass = isDone ? 'done' : 'working';
+        const statusText = isDone ? 'COMPLETED' : 'IN PROGRESS';
+        const progressWidth = isDone ? '100%' : '66%';
 
         let slot = container.querySelector(`.aab-slot[data-name="${name}"]`);
 
         if (!slot) {
             slot = document.createElement('div');
-            slot.className = `aab-slot ${stateClass}`;
+            slot.className = `aab-slot ${statusClass}`;
             slot.setAttribute('data-name', name);
 
             const header = document.createElement('div');
             header.className = 'aab-header';
 
             const nameSpan = document.createElement('span');
-            nameSpan.className = 'aab-name';
             nameSpan.textContent = name;
             header.appendChild(nameSpan);
 
             const statusSpan = document.createElement('span');
-            statusSpan.className = 'aab-status';
+            statusSpan.className = 'status-text';
             statusSpan.textContent = statusText;
             header.appendChild(statusSpan);
 
-            const timeSpan = document.createElement('span');
-            timeSpan.className = 'aab-time';
-            timeSpan.style.opacity = '0.5';
-            timeSpan.textContent = formatDuration(elapsed);
-            header.appendChild(timeSpan);
-
             slot.appendChild(header);
 
             const track = document.createElement('div');
@@ -199,19 +154,20 @@ export function updateOverlay() {
 
             const fill = document.createElement('div');
             fill.className = 'aab-progress-fill';
+            fill.style.width = progressWidth;
             track.appendChild(fill);
 
             slot.appendChild(track);
             container.appendChild(slot);
+            log(`[Overlay] Created slot: ${name} (${statusText})`);
         } else {
-            // Update existing
-            slot.className = `aab-slot ${stateClass}`;
+            slot.className = `aab-slot ${statusClass}`;
 
-            const statusSpan = slot.querySelector('.aab-status');
+            const statusSpan = slot.querySelector('.status-text');
             if (statusSpan) statusSpan.textContent = statusText;
 
-            const timeSpan = slot.querySelector('.aab-time');
-            if (timeSpan) timeSpan.textContent = formatDuration(elapsed);
+            const bar = slot.querySelector('.aab-progress-fill');
+            if (bar) bar.style.width = progressWidth;
         }
     });
 }
@@ -220,7 +176,7 @@ export function updateOverlay() {
 export function hideOverlay() {
     const overlay = document.getElementById(OVERLAY_ID);
     if (overlay) {
-        console.log('[Overlay] Hiding overlay...');
+        log('[Overlay] Hiding overlay...');
         overlay.classList.remove('visible');
         setTimeout(() => overlay.remove(), 300);
     }
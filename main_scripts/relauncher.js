@@ -7,7 +7,6 @@ const path = require('path');
 
 const BASE_CDP_PORT = 9000;
 const ALTERNATE_CDP_PORT = 9222;
-const CDP_FLAG = `--remote-debugging-port=${BASE_CDP_PORT}`;
 const CDP_ADDITIONAL_FLAGS = '--disable-gpu-driver-bug-workarounds --ignore-gpu-blacklist';
 
 class Relauncher {
@@ -15,6 +14,20 @@ class Relauncher {
         this.platform = os.platform();
         this.logger = logger || console.log;
         this.logFile = path.join(os.tmpdir(), 'auto_accept_relaunch.log');
+        this.cdpHost = '127.0.0.1';
+        this.cdpPort = BASE_CDP_PORT;
+        this.checkPorts = [BASE_CDP_PORT, ALTERNATE_CDP_PORT];
+    }
+
+    // Launch with the same port the CDP handler scans first, so the two never disagree
+    setEndpoint(endpoint) {
+        this.cdpHost = endpoint.host;
+        this.cdpPort = endpoint.launchPort;
+        this.checkPorts = endpoint.ports;
+    }
+
+    getCDPFlag() {
+        return `--remote-debugging-port=${this.cdpPort}`;
     }
 
     log(msg) {
@@ -39,10 +52,9 @@ class Relauncher {
     }
 
     async isCDPRunning() {
-        const ports = [BASE_CDP_PORT, ALTERNATE_CDP_PORT];
-        for (const port of ports) {
+        for (const port of this.checkPorts) {
             const running = await new Promise((resolve) => {
-                const req = http.get(`http://127.0.0.1:${port}/json/version`, (res) => {
+                const req = http.get({ hostname: this.cdpHost, port, path: '/json/version' }, (res) => {
                     resolve(res.statusCode === 200);
                 });
                 req.on('error', () => resolve(false));
@@ -247,7 +259,7 @@ try {
     $WshShell = New-Object -ComObject WScript.Shell
     $Shortcut = $WshShell.CreateShortcut('${shortcutPath.replace(/'/g, "''")}')
     $Shortcut.TargetPath = '${targetExe.replace(/'/g, "''")}'
-    $Shortcut.Arguments = '${CDP_FLAG} ${CDP_ADDITIONAL_FLAGS}'
+    $Shortcut.Arguments = '${this.getCDPFlag()} ${CDP_ADDITIONAL_FLAGS}'
     $Shortcut.WorkingDirectory = '${path.dirname(targetExe).replace(/'/g, "''")}'
     $Shortcut.Description = '${ideName} with CDP debugging enabled'
     $Shortcut.Save()
@@ -300,7 +312,7 @@ try {
     Write-Output "TARGET:$($Shortcut.TargetPath)"
 
     $CurrentArgs = $Shortcut.Arguments
-    $NewPort = '${BASE_CDP_PORT}'
+    $NewPort = '${this.cdpPort}'
     $PortPattern = '--remote-debugging-port=\\d+'
 
     if ($CurrentArgs -match $PortPattern) {
@@ -479,7 +491,7 @@ try {
 
             const appBundle = `/Applications/${ideName}.app`;
             const scriptContent = `#!/bin/bash
-open -a "${appBundle}" --args ${CDP_FLAG} "$@"
+open -a "${appBundle}" --args ${this.getCDPFlag()} "$@"
 `;
             fs.writeFileSync(wrapperPath, scriptContent, { mode: 0o755 });
             this.log(`Created macOS wrapper: ${wrapperPath}`);
@@ -530,7 +542,7 @@ open -a "${appBundle}" --args ${CDP_FLAG} "$@"
             if (content.includes('--remote-debugging-port')) {
                 content = content.replace(
                     /--remote-debugging-port=\d+/g,
-                    CDP_FLAG
+                    this.getCDPFlag()
                 );
                 if (content === originalContent) {
                     return { success: true, modified: false, message: 'Already configured with correct port' };
@@ -538,7 +550,7 @@ open -a "${appBundle}" --args ${CDP_FLAG} "$@"
             } else {
                 content = content.replace(
                     /^(Exec=)(.*)$/m,
-                    `$1$2 ${CDP_FLAG}`
+                    `$1$2 ${this.getCDPFlag()}`
                 );
             }
 
@@ -557,16 +569,22 @@ open -a "${appBundle}" --args ${CDP_FLAG} "$@"
         }
     }
 
+    // Compares whole port values, so --remote-debugging-port=90001 is not port 9000
+    hasCDPPort(args) {
+        const ports = Array.from(String(args || '').matchAll(/--remote-debugging-port=(\d+)/g), m => Number(m[1]));
+        return ports.length > 0 && ports.every(port => port === this.cdpPort);
+    }
+
     async ensureShortcutHasFlag(shortcut) {
-        const hasCorrectPort = shortcut.args && shortcut.args.includes(`--remote-debugging-port=${BASE_CDP_PORT}`);
+        const hasCorrectPort = this.hasCDPPort(shortcut.args);
 
         if (shortcut.hasFlag && hasCorrectPort) {
-            this.log(`Shortcut already has correct CDP port ${BASE_CDP_PORT}`);
+            this.log(`Shortcut already has correct CDP port ${this.cdpPort}`);
             return { success: true, modified: false, message: 'Already has correct CDP flag' };
         }
 
         if (shortcut.hasFlag && !hasCorrectPort) {
-            this.log(`Shortcut has CDP flag but wrong port, updating to ${BASE_CDP_PORT}...`);
+            this.log(`Shortcut has CDP flag but wrong port, updating to ${this.cdpPort}...`);
         }
 
         if (this.platform === 'win32') {
@@ -623,7 +641,7 @@ open -a "${appBundle}" --args ${CDP_FLAG} "$@"
             commandLine = `start "" "${shortcut.path}" ${folderArgs}`;
         } else {
             const safeTarget = `"${targetExe}"`;
-            commandLine = `start "" ${safeTarget} ${CDP_FLAG} ${folderArgs}`;
+            commandLine = `start "" ${safeTarget} ${this.getCDPFlag()} ${folderArgs}`;
         }
 
         const batchContent = `@echo off
@@ -662,7 +680,7 @@ del "%~f0" & exit
         const scriptPath = path.join(os.tmpdir(), 'relaunch_ide.sh');
         const launchCommand = shortcut.type === 'wrapper'
             ? `"${shortcut.path}" ${folderArgs}`
-            : `open -a "${shortcut.path}" --args ${CDP_FLAG} ${folderArgs}`;
+            : `open -a "${shortcut.path}" --args ${this.getCDPFlag()} ${folderArgs}`;
 
         const scriptContent = `#!/bin/bash
 sleep 5
@@ -722,7 +740,7 @@ fi
 
 for bin in "/usr/bin/${ideName}" "/usr/share/${ideName}/bin/${ideName}" "/opt/${ideName}/bin/${ideName}"; do
     if [ -x "$bin" ]; then
-        "$bin" ${CDP_FLAG} ${folderArgs} &
+        "$bin" ${this.getCDPFlag()} ${folderArgs} &
         exit 0
     fi
 done
@@ -777,7 +795,7 @@ exit 1
                         hasFlag: true,
                         type: 'desktop',
                         target: createResult.target,
-                        args: `${CDP_FLAG} ${CDP_ADDITIONAL_FLAGS}`
+                        args: `${this.getCDPFlag()} ${CDP_ADDITIONAL_FLAGS}`
                     }];
                 } else {
                     this.log(`Failed to create shortcut: ${createResult.message}`);
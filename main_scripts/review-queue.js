@@ -0,0 +1,110 @@
+const { EventEmitter } = require('events');
+const { parseCommandLine } = require('./commands/parser');
+
+const DECISIONS = ['approve', 'deny'];
+
+/**
+ * Buttons the injected script is holding until someone approves or denies them.
+ *
+ * Pages report each held button once with a page-local id; entries are keyed by
+ * page and id so the same id from two pages never collides.
+ *
+ * Events:
+ * - 'changed' (size): an entry was added or removed
+ */
+class ReviewQueue extends EventEmitter {
+    constructor(logger = console.log) {
+        super();
+        this.logger = logger;
+        this.pending = new Map();
+    }
+
+    log(msg) {
+        if (this.logger) this.logger(`[Review] ${msg}`);
+    }
+
+    get size() {
+        return this.pending.size;
+    }
+
+    /**
+     * @param {string} pageId
+     * @param {Object} review - {id, button, command, cwd, tab, reason, category} from the page
+     * @returns {Object|null} The new entry, or null if the page already reported it
+     */
+    add(pageId, review) {
+        if (!review || !review.id) return null;
+        const key = `${pageId}:${review.id}`;
+        if (this.pending.has(key)) return null;
+
+        const entry = { ...review, key, pageId, receivedAt: Date.now() };
+        this.pending.set(key, entry);
+        this.log(`Waiting: "${entry.button}"${entry.command ? ` (${entry.command.substring(0, 80)})` : ''}`);
+        this.emit('changed', this.size);
+        return entry;
+    }
+
+    get(key) {
+        return this.pending.get(key) || null;
+    }
+
+    /**
+     * Remove an entry once decided, or when the page says the button is gone.
+     * @returns {Object|null} The removed entry
+     */
+    remove(key) {
+        const entry = this.pending.get(key);
+        if (!entry) return null;
+        this.pending.delete(key);
+        this.emit('changed', this.size);
+        return entry;
+    }
+
+    // A page that reconnects starts a fresh script, so its old ids mean nothing
+    removePage(pageId) {
+        const keys = Array.from(this.pending.values()).filter(e => e.pageId === pageId).map(e => e.key);
+        keys.forEach(key => this.pending.delete(key));
+        if (keys.length > 0) this.emit('changed', this.size);
+        return keys.length;
+    }
+
+    /**
+     * @returns {Object[]} Oldest first
+     */
+    list() {
+        return Array.from(this.pending.values());
+    }
+}
+
+// Words the parser reads back unchanged without quotes
+const PLAIN_WORD = /^[A-Za-z0-9_@%+=:,.\/-]+$/;
+
+function quoteWord(word) {
+    return PLAIN_WORD.test(word) ? word : `'${word.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Allowlist patterns that let exactly this command through next time: each
+ * simple command with its environment assignments, wrappers, every argument and
+ * its redirects, ending in `$` so nothing can be appended (`rm -rf build/` gives
+ * `rm -rf build/ $`, which does not allow `rm -rf build/ ~/work`).
+ *
+ * @param {string} command - Raw command text
+ * @returns {string[]} Unique patterns, in command order
+ */
+function allowPatternsFor(command) {
+    if (!command || !command.trim()) return [];
+    const patterns = parseCommandLine(command)
+        .filter(cmd => cmd.program)
+        .map(cmd => [
+            ...Object.entries(cmd.assignments).map(([name, value]) => `${name}=${quoteWord(value)}`),
+            ...cmd.wrappers,
+            cmd.program,
+            ...cmd.args.map(quoteWord),
+            ...cmd.redirects.map(r => `${r.op}${quoteWord(r.target)}`),
+            '$'
+        ].join(' '));
+    return [...new Set(patterns)];
+}
+
+module.exports = { ReviewQueue, allowPatternsFor, DECISIONS };
@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+
+const IMPORT_PATTERN = /^import\s+(?:\*\s+as\s+([\w$]+)|\{([^}]*)\})\s+from\s+['"]([^'"]+)['"];?[ \t]*\n?/gm;
+const SIDE_EFFECT_IMPORT_PATTERN = /^import\s+['"]([^'"]+)['"];?[ \t]*\n?/gm;
+const EXPORT_DECLARATION_PATTERN = /^export\s+((?:async\s+)?function\*?|const|let|var|class)\s+([\w$]+)/gm;
+const EXPORT_LIST_PATTERN = /^export\s*\{([^}]*)\};?[ \t]*\n?/gm;
+// Unindented declarations are the module's top level
+const DECLARATION_PATTERN = /^(?:export\s+)?(?:(?:async\s+)?function\*?|const|let|var|class)\s+([\w$]+)/gm;
+
+/**
+ * Module syntax found in a source file.
+ *
+ * @param {string} source
+ * @returns {{imports: Object[], exports: string[], declarations: string[]}} imports are
+ *   {specifier, namespace, names: [{imported, local}]}
+ */
+function parseModule(source) {
+    if (/^(?:import\s+[\w$]+\s*(?:,|from)|export\s+default\b)/m.test(source)) {
+        throw new Error('default imports and exports are not supported');
+    }
+
+    const imports = [];
+    for (const match of source.matchAll(IMPORT_PATTERN)) {
+        const [, namespace, list, specifier] = match;
+        const names = list
+            ? list.split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+                const [imported, local = imported] = entry.split(/\s+as\s+/).map(s => s.trim());
+                return { imported, local };
+            })
+            : [];
+        imports.push({ specifier, namespace: namespace || null, names });
+    }
+    for (const match of source.matchAll(SIDE_EFFECT_IMPORT_PATTERN)) {
+        imports.push({ specifier: match[1], namespace: null, names: [] });
+    }
+
+    const exports = [];
+    for (const match of source.matchAll(EXPORT_DECLARATION_PATTERN)) exports.push(match[2]);
+    for (const match of source.matchAll(EXPORT_LIST_PATTERN)) {
+        match[1].split(',').map(s => s.trim()).filter(Boolean).forEach(entry => {
+            const [local, exported = local] = entry.split(/\s+as\s+/).map(s => s.trim());
+            if (local !== exported) throw new Error(`renamed export "${entry}" is not supported`);
+            exports.push(local);
+        });
+    }
+    const declarations = Array.from(source.matchAll(DECLARATION_PATTERN), match => match[1]);
+    return { imports, exports, declarations };
+}
+
+/**
+ * Turn one module into plain script that shares a scope with the others: drop the
+ * import and export syntax, and flatten namespace imports (utils.queryAll -> queryAll).
+ *
+ * @param {string} source
+ * @param {Object[]} imports - From parseModule
+ * @returns {string}
+ */
+function flattenModule(source, imports) {
+    let code = source
+        .replace(IMPORT_PATTERN, '')
+        .replace(SIDE_EFFECT_IMPORT_PATTERN, '')
+        .replace(EXPORT_LIST_PATTERN, '')
+        .replace(/^export\s+(?=(?:async\s+)?function\b|const\b|let\b|var\b|class\b)/gm, '');
+
+    const aliases = [];
+    for (const { namespace, names } of imports) {
+        if (namespace) {
+            code = code.replace(new RegExp(`(^|[^\\w$.])${namespace}\\.([\\w$]+)`, 'g'), '$1$2');
+        }
+        names.filter(n => n.local !== n.imported).forEach(n => aliases.push(`const ${n.local} = ${n.imported};`));
+    }
+    return aliases.length > 0 ? `${aliases.join('\n')}\n${code}` : code;
+}
+
+/**
+ * Builds the script injected into pages from ES modules. Every module lands in one
+ * function scope in dependency order, so imports resolve to the top-level names the
+ * dependencies declare. Results are cached until one of the files changes on disk.
+ *
+ * Supported: `import * as ns from './x.js'`, `import { a, b as c } from './x.js'`,
+ * `export function|const|let|class`, and `export { a, b }`. Import specifiers are
+ * paths relative to the importing file.
+ */
+class ScriptBundler {
+    constructor(logger = console.log) {
+        this.logger = logger;
+        this.cache = new Map();
+    }
+
+    log(msg) {
+        if (this.logger) this.logger(`[Bundler] ${msg}`);
+    }
+
+    /**
+     * @param {string} entryPath - Module whose code runs last
+     * @param {Object} [options]
+     * @param {string[]} [options.scripts] - Plain scripts evaluated ahead of the bundle, unchanged
+     * @returns {string}
+     */
+    bundle(entryPath, { scripts = [] } = {}) {
+        const key = [...scripts, entryPath].join('|');
+        const cached = this.cache.get(key);
+        if (cached && cached.files.every(({ file, mtimeMs }) => this.mtimeOf(file) === mtimeMs)) {
+            return cached.script;
+        }
+
+        const modules = this.collect(path.resolve(entryPath));
+        const root = path.dirname(path.resolve(entryPath));
+        const body = modules
+            .map(m => `// --- ${path.relative(root, m.file).split(path.sep).join('/')} ---\n${flattenModule(m.source, m.imports).trim()}`)
+            .join('\n\n');
+        const bundled = `(function () {\n"use strict";\n\nif (typeof window === 'undefined') return;\n\n${body}\n})();\n`;
+        const script = [...scripts.map(file => this.read(file)), bundled].join('\n;\n');
+
+        const files = [...scripts, ...modules.map(m => m.file)].map(file => ({ file, mtimeMs: this.mtimeOf(file) }));
+        this.cache.set(key, { files, script });
+        this.log(`Built ${path.basename(entryPath)}: ${modules.length} module(s), ${scripts.length} script(s), ${script.length} bytes`);
+        return script;
+    }
+
+    // Modules reachable from the entry, dependencies first
+    collect(entryFile) {
+        const ordered = [];
+        const exportsByFile = new Map();
+        const declaredBy = new Map();
+        const visiting = [];
+
+        const visit = (file) => {
+            if (exportsByFile.has(file)) return;
+            if (visiting.includes(file)) {
+                throw new Error(`Import cycle: ${[...visiting, file].map(f => path.basename(f)).join(' -> ')}`);
+            }
+            visiting.push(file);
+
+            const source = this.read(file).replace(/\r\n/g, '\n');
+            let parsed;
+            try {
+                parsed = parseModule(source);
+            } catch (e) {
+                throw new Error(`${path.basename(file)}: ${e.message}`);
+            }
+
+            for (const imp of parsed.imports) {
+                if (!imp.specifier.startsWith('.')) {
+                    throw new Error(`${path.basename(file)}: only relative imports can be bundled, got "${imp.specifier}"`);
+                }
+                const dependency = path.resolve(path.dirname(file), imp.specifier);
+                visit(dependency);
+                const available = exportsByFile.get(dependency);
+                imp.names.forEach(({ imported }) => {
+                    if (!available.includes(imported)) {
+                        throw new Error(`${path.basename(file)}: ${imp.specifier} does not export "${imported}"`);
+                    }
+                });
+            }
+
+            // One shared scope: a name declared twice would shadow or fail to parse
+            for (const name of parsed.declarations) {
+                if (declaredBy.has(name)) {
+                    throw new Error(`"${name}" is declared by both ${path.basename(declaredBy.get(name))} and ${path.basename(file)}`);
+                }
+                declaredBy.set(name, file);
+            }
+
+            visiting.pop();
+            exportsByFile.set(file, parsed.exports);
+            ordered.push({ file, source, imports: parsed.imports });
+        };
+
+        visit(entryFile);
+        return ordered;
+    }
+
+    read(file) {
+        if (!fs.existsSync(file)) {
+            throw new Error(`Script file not found: ${file}`);
+        }
+        return fs.readFileSync(file, 'utf8');
+    }
+
+    mtimeOf(file) {
+        try {
+            return fs.statSync(file).mtimeMs;
+        } catch (e) {
+            return null;
+        }
+    }
+}
+
+module.exports = { ScriptBundler, parseModule, flattenModule };
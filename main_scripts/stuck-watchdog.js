@@ -0,0 +1,91 @@
+const { EventEmitter } = require('events');
+
+const DEFAULT_IDLE_MS = 5 * 60 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 2;
+// After a recovery attempt, how long to wait for the conversation to move before the next one
+const RECOVERY_WAIT_MS = 60 * 1000;
+
+const RECOVERY_METHODS = ['retry-then-continue', 'retry', 'continue', 'notify'];
+
+/**
+ * Flags conversations whose content has not changed for too long while not done.
+ *
+ * The page reports a snapshot of the visible conversation on every poll:
+ * {tab, fingerprint, done, error}. A conversation whose fingerprint stays the
+ * same past the idle threshold gets up to maxAttempts recovery attempts, each
+ * followed by RECOVERY_WAIT_MS to take effect; after that the watchdog gives up
+ * until the fingerprint changes again.
+ *
+ * Events:
+ * - 'recovered' (key, entry): a conversation changed after a recovery attempt
+ */
+class StuckWatchdog extends EventEmitter {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.idleMs] - 0 turns the watchdog off
+     * @param {number} [options.maxAttempts]
+     */
+    constructor({ idleMs = DEFAULT_IDLE_MS, maxAttempts = DEFAULT_MAX_ATTEMPTS, logger = console.log, now = Date.now } = {}) {
+        super();
+        this.idleMs = idleMs;
+        this.maxAttempts = maxAttempts;
+        this.logger = logger;
+        this.now = now;
+        this.conversations = new Map();
+    }
+
+    log(msg) {
+        if (this.logger) this.logger(`[Watchdog] ${msg}`);
+    }
+
+    configure({ idleMs }) {
+        this.idleMs = Math.max(0, idleMs || 0);
+    }
+
+    /**
+     * @param {string} key - Page and conversation, e.g. `${pageId}:${tab}`
+     * @param {Object} snapshot - {tab, fingerprint, done, error} from the page
+     * @returns {Object|null} {action: 'recover', attempt, idleMs} or {action: 'give-up', idleMs}; null when nothing is due
+     */
+    observe(key, snapshot) {
+        const now = this.now();
+        const entry = this.conversations.get(key);
+
+        if (!entry || entry.fingerprint !== snapshot.fingerprint) {
+            if (entry && entry.attempts > 0) {
+                this.log(`"${snapshot.tab}" moved again after ${entry.attempts} recovery attempt(s)`);
+                this.emit('recovered', key, entry);
+            }
+            this.conversations.set(key, { fingerprint: snapshot.fingerprint, changedAt: now, attempts: 0, lastAttemptAt: null, gaveUp: false });
+            return null;
+        }
+
+        if (snapshot.done || this.idleMs <= 0 || entry.gaveUp) return null;
+
+        const waitedFrom = entry.lastAttemptAt || entry.changedAt;
+        const threshold = entry.lastAttemptAt ? RECOVERY_WAIT_MS : this.idleMs;
+        if (now - waitedFrom < threshold) return null;
+
+        const idleMs = now - entry.changedAt;
+        if (entry.attempts < this.maxAttempts) {
+            entry.attempts++;
+            entry.lastAttemptAt = now;
+            this.log(`"${snapshot.tab}" idle for ${Math.round(idleMs / 1000)}s${snapshot.error ? ` with error "${snapshot.error}"` : ''}, recovery attempt ${entry.attempts}`);
+            return { action: 'recover', attempt: entry.attempts, idleMs };
+        }
+
+        entry.gaveUp = true;
+        this.log(`"${snapshot.tab}" still stuck after ${entry.attempts} attempt(s), giving up`);
+        return { action: 'give-up', idleMs };
+    }
+
+    /**
+     * Stop trying on this conversation until it changes, e.g. when no recovery could be attempted.
+     */
+    giveUp(key) {
+        const entry = this.conversations.get(key);
+        if (entry) entry.gaveUp = true;
+    }
+}
+
+module.exports = { StuckWatchdog, RECOVERY_METHODS, RECOVERY_WAIT_MS, DEFAULT_IDLE_MS };
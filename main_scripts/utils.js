@@ -4,6 +4,10 @@ export function assert(condition, message) {
     }
 }
 
+export function log(msg, isSuccess = false) {
+    console.log(`[AutoAccept] ${msg}`);
+}
+
 export function getIDEName() {
     // Node side detection
     if (typeof vscode !== 'undefined' && vscode.env) {
@@ -20,72 +24,122 @@ export function getIDEName() {
     return 'Unknown';
 }
 
-export function updateTabNames(tabs) {
-    if (!tabs || tabs.length === 0) return
+// Tab labels end in the conversation's age ("Fix tests 3m"), which changes every minute
+export function stripTimeSuffix(text) {
+    return (text || '').trim().replace(/\s*\d+[smh]$/, '').trim();
+}
 
-    const tabNames = Array.from(tabs).map(tab => tab.textContent.trim())
+export function deduplicateNames(names) {
+    const counts = {};
+    return names.map(name => {
+        if (counts[name] === undefined) {
+            counts[name] = 1;
+            return name;
+        } else {
+            counts[name]++;
+            return `${name} (${counts[name]})`;
+        }
+    });
+}
+
+export function updateTabNames(tabs) {
+    const rawNames = Array.from(tabs).map(tab => stripTimeSuffix(tab.textContent));
+    const tabNames = deduplicateNames(rawNames);
 
     // Only update if the content actually changed to save resources
-    const currentState = window.__autoAcceptState
-    if (currentState && JSON.stringify(currentState.tabNames) === JSON.stringify(tabNames)) {
-        return
+    if (JSON.stringify(window.__autoAcceptState.tabNames) !== JSON.stringify(tabNames)) {
+        log(`updateTabNames: Detected ${tabNames.length} tabs: ${tabNames.join(', ')}`);
+        window.__autoAcceptState.tabNames = tabNames;
     }
+}
 
-    window.__autoAcceptState = {
-        ...window.__autoAcceptState,
-        tabNames: tabNames,
-        lastUpdated: Date.now()
+export function updateConversationCompletionState(rawTabName, status) {
+    const tabName = stripTimeSuffix(rawTabName);
+    const current = window.__autoAcceptState.completionStatus[tabName];
+    if (current !== status) {
+        log(`[State] ${tabName}: ${current} → ${status}`);
+        window.__autoAcceptState.completionStatus[tabName] = status;
     }
 }
 
-export function updateConversationCompletionState(tabName, isCompleted) {
-    const currentState = window.__autoAcceptState || { completionStatus: {} }
-    const currentStatus = currentState.completionStatus || {}
+// Open shadow roots are searched like documents; closed ones cannot be reached
+const MAX_SHADOW_DEPTH = 10;
+const SHADOW_SCAN_MS = 5000;
+const shadowRootCache = new WeakMap();
 
-    // Optimize: Only update if changed
-    if (currentStatus[tabName] === isCompleted) return
+function scanShadowRoots(root, depth, found) {
+    if (depth > MAX_SHADOW_DEPTH) return;
+    let elements;
+    try {
+        elements = root.querySelectorAll('*');
+    } catch (e) {
+        return;
+    }
+    for (const el of elements) {
+        if (el.shadowRoot) {
+            found.push(el.shadowRoot);
+            scanShadowRoots(el.shadowRoot, depth + 1, found);
+        }
+    }
+}
 
-    window.__autoAcceptState = {
-        ...currentState,
-        completionStatus: {
-            ...currentStatus,
-            [tabName]: isCompleted
-        },
-        lastUpdated: Date.now()
+/**
+ * Open shadow roots in a document, nested ones included down to MAX_SHADOW_DEPTH.
+ * Finding them means walking every element, so the result is reused for
+ * SHADOW_SCAN_MS; roots whose host left the page are dropped in between.
+ */
+export function getShadowRoots(doc = document) {
+    const now = Date.now();
+    const cached = shadowRootCache.get(doc);
+    if (cached && now - cached.scannedAt < SHADOW_SCAN_MS) {
+        cached.roots = cached.roots.filter(root => root.host && root.host.isConnected);
+        return cached.roots;
     }
+    const roots = [];
+    scanShadowRoots(doc, 1, roots);
+    shadowRootCache.set(doc, { scannedAt: now, roots });
+    return roots;
 }
 
 /**
- * Recursively find all accessible documents (main document + iframes)
+ * Recursively find all accessible documents (main document + iframes, also those
+ * inside shadow roots)
  */
 export function getDocuments(root = document) {
     let docs = [root];
-    try {
-        const iframes = root.querySelectorAll('iframe, frame');
-        for (const iframe of iframes) {
-            try {
-                const iframeDoc = iframe.contentDocument || iframe.contentWindow?.document;
-                if (iframeDoc) {
-                    docs.push(...getDocuments(iframeDoc));
+    for (const scope of [root, ...getShadowRoots(root)]) {
+        try {
+            const iframes = scope.querySelectorAll('iframe, frame');
+            for (const iframe of iframes) {
+                try {
+                    const iframeDoc = iframe.contentDocument || iframe.contentWindow?.document;
+                    if (iframeDoc) {
+                        docs.push(...getDocuments(iframeDoc));
+                    }
+                } catch (e) {
+                    // Cross-origin iframe
                 }
-            } catch (e) {
-                // Cross-origin iframe
             }
+        } catch (e) {
+            // Ignore errors
         }
-    } catch (e) {
-        // Ignore errors
     }
     return docs;
 }
 
 /**
- * Query all matching elements across all accessible documents
+ * Query all matching elements across all accessible documents and their open shadow roots
  */
 export function queryAll(selector) {
-    const docs = getDocuments();
-    let results = [];
-    for (const doc of docs) {
-        results.push(...Array.from(doc.querySelectorAll(selector)));
+    const results = [];
+    for (const doc of getDocuments()) {
+        for (const root of [doc, ...getShadowRoots(doc)]) {
+            try {
+                results.push(...Array.from(root.querySelectorAll(selector)));
+            } catch (e) {
+                // Detached or cross-origin document
+            }
+        }
     }
     return results;
-}
\ No newline at end of file
+}
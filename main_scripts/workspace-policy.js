@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const { CATEGORIES } = require('./buttons/rules');
+
+const POLICY_FILE_NAME = '.autoaccept.json';
+
+// Button kinds a policy can switch off: the categories of the button rules
+const BUTTON_KINDS = CATEGORIES;
+
+const MIN_POLL_INTERVAL = 200;
+const MAX_POLL_INTERVAL = 60000;
+
+/**
+ * Checked-in safety policy for one workspace.
+ *
+ * Precedence when merged with the global settings:
+ * - bannedCommands: global + workspace (a workspace can add bans, never lift them)
+ * - allowedCommands: global + workspace
+ * - safetyMode: a workspace can switch to 'allowlist', but not relax a global allowlist
+ * - pollInterval: the workspace value pins the global frequency
+ * - disabledButtonKinds: workspace only
+ */
+class WorkspacePolicy {
+    constructor(logger = console.log) {
+        this.logger = logger;
+        this.filePath = null;
+        this.policy = null;
+        this.warnings = [];
+    }
+
+    log(msg) {
+        if (this.logger) this.logger(`[Policy] ${msg}`);
+    }
+
+    /**
+     * Read the policy file from a workspace root. A missing file clears the
+     * policy; an unreadable one clears it and records a warning.
+     *
+     * @param {string|null} workspaceRoot
+     * @returns {Object|null} The validated policy, or null
+     */
+    load(workspaceRoot) {
+        this.filePath = workspaceRoot ? path.join(workspaceRoot, POLICY_FILE_NAME) : null;
+        this.policy = null;
+        this.warnings = [];
+
+        if (!this.filePath || !fs.existsSync(this.filePath)) {
+            return null;
+        }
+
+        let raw;
+        try {
+            raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (e) {
+            this.warnings.push(`Could not read ${POLICY_FILE_NAME}: ${e.message}`);
+            this.log(this.warnings[0]);
+            return null;
+        }
+
+        const { policy, warnings } = validatePolicy(raw);
+        this.policy = policy;
+        this.warnings = warnings;
+        warnings.forEach(w => this.log(w));
+        this.log(`Loaded ${this.filePath}`);
+        return policy;
+    }
+
+    clear() {
+        this.filePath = null;
+        this.policy = null;
+        this.warnings = [];
+    }
+
+    /**
+     * Merge the loaded policy over the global settings.
+     *
+     * @param {Object} globalSettings - {bannedCommands, allowedCommands, safetyMode, pollFrequency}
+     * @returns {Object} Effective settings, with `sources` naming where each value came from
+     */
+    merge(globalSettings) {
+        return mergePolicy(globalSettings, this.policy, {
+            filePath: this.filePath,
+            warnings: this.warnings
+        });
+    }
+}
+
+function stringList(value, field, warnings) {
+    if (value === undefined) return undefined;
+    if (!Array.isArray(value)) {
+        warnings.push(`"${field}" must be an array of strings`);
+        return undefined;
+    }
+    return value.filter(v => typeof v === 'string' && v.trim().length > 0).map(v => v.trim());
+}
+
+/**
+ * Validate a parsed policy object, dropping fields that are malformed.
+ *
+ * @param {*} raw - Parsed JSON
+ * @returns {{policy: Object, warnings: string[]}}
+ */
+function validatePolicy(raw) {
+    const warnings = [];
+    const policy = {};
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        warnings.push(`${POLICY_FILE_NAME} must contain a JSON object`);
+        return { policy, warnings };
+    }
+
+    const banned = stringList(raw.bannedCommands, 'bannedCommands', warnings);
+    if (banned) policy.bannedCommands = banned;
+
+    const allowed = stringList(raw.allowedCommands, 'allowedCommands', warnings);
+    if (allowed) policy.allowedCommands = allowed;
+
+    if (raw.safetyMode !== undefined) {
+        if (raw.safetyMode === 'allowlist' || raw.safetyMode === 'denylist') {
+            policy.safetyMode = raw.safetyMode;
+        } else {
+            warnings.push(`"safetyMode" must be "allowlist" or "denylist"`);
+        }
+    }
+
+    const kinds = stringList(raw.disabledButtonKinds, 'disabledButtonKinds', warnings);
+    if (kinds) {
+        const lower = kinds.map(k => k.toLowerCase());
+        lower.filter(k => !BUTTON_KINDS.includes(k)).forEach(k => {
+            warnings.push(`Unknown button kind "${k}" (expected one of ${BUTTON_KINDS.join(', ')})`);
+        });
+        policy.disabledButtonKinds = lower.filter(k => BUTTON_KINDS.includes(k));
+    }
+
+    if (raw.pollInterval !== undefined) {
+        const interval = Number(raw.pollInterval);
+        if (Number.isFinite(interval) && interval >= MIN_POLL_INTERVAL && interval <= MAX_POLL_INTERVAL) {
+            policy.pollInterval = Math.round(interval);
+        } else {
+            warnings.push(`"pollInterval" must be between ${MIN_POLL_INTERVAL} and ${MAX_POLL_INTERVAL} ms`);
+        }
+    }
+
+    return { policy, warnings };
+}
+
+function mergeList(globalList, workspaceList) {
+    const entries = (globalList || []).map(pattern => ({ pattern, source: 'global' }));
+    for (const pattern of workspaceList || []) {
+        if (!entries.some(e => e.pattern === pattern)) {
+            entries.push({ pattern, source: 'workspace' });
+        }
+    }
+    return entries;
+}
+
+/**
+ * Combine global settings with a workspace policy (see WorkspacePolicy for precedence).
+ *
+ * @param {Object} globalSettings
+ * @param {Object|null} policy - Validated workspace policy
+ * @param {Object} [fileInfo] - {filePath, warnings} reported back to the settings panel
+ * @returns {Object} {bannedCommands, allowedCommands, safetyMode, pollFrequency,
+ *   disabledButtonKinds, sources, policyFile, warnings}
+ */
+function mergePolicy(globalSettings, policy, fileInfo = {}) {
+    const ws = policy || {};
+    const banned = mergeList(globalSettings.bannedCommands, ws.bannedCommands);
+    const allowed = mergeList(globalSettings.allowedCommands, ws.allowedCommands);
+
+    const globalMode = globalSettings.safetyMode === 'allowlist' ? 'allowlist' : 'denylist';
+    const safetyMode = ws.safetyMode === 'allowlist' ? 'allowlist' : globalMode;
+
+    const pinned = ws.pollInterval !== undefined;
+
+    return {
+        bannedCommands: banned.map(e => e.pattern),
+        allowedCommands: allowed.map(e => e.pattern),
+        safetyMode,
+        pollFrequency: pinned ? ws.pollInterval : globalSettings.pollFrequency,
+        disabledButtonKinds: ws.disabledButtonKinds || [],
+        sources: {
+            bannedCommands: banned,
+            allowedCommands: allowed,
+            safetyMode: ws.safetyMode === 'allowlist' && globalMode !== 'allowlist' ? 'workspace' : 'global',
+            pollFrequency: pinned ? 'workspace' : 'global',
+            disabledButtonKinds: ws.disabledButtonKinds ? 'workspace' : 'global'
+        },
+        policyFile: policy ? fileInfo.filePath || null : null,
+        warnings: fileInfo.warnings || []
+    };
+}
+
+module.exports = { WorkspacePolicy, validatePolicy, mergePolicy, POLICY_FILE_NAME, BUTTON_KINDS };
@@ -1,4 +1,5 @@
 const vscode = require('vscode');
+const { DEFAULT_ALLOWED_COMMANDS } = require('./config');
 
 class SettingsPanel {
     static currentPanel = undefined;
@@ -32,6 +33,17 @@ class SettingsPanel {
         SettingsPanel.currentPanel = new SettingsPanel(panel, extensionUri, context, mode);
     }
 
+    // Select a banned pattern in Safety Rules, waiting for the webview to load if it is new
+    static highlightBannedPattern(pattern) {
+        const current = SettingsPanel.currentPanel;
+        if (!current) return;
+        if (current.loaded) {
+            current.panel.webview.postMessage({ command: 'highlightBannedPattern', pattern });
+        } else {
+            current.pendingHighlight = pattern;
+        }
+    }
+
     static showUpgradePrompt(context) {
         SettingsPanel.createOrShow(context.extensionUri, context, 'prompt');
     }
@@ -52,7 +64,8 @@ class SettingsPanel {
                 switch (message.command) {
                     case 'setFrequency':
                         await this.context.globalState.update('auto-accept-frequency', message.value);
-                        vscode.commands.executeCommand('auto-accept.updateFrequency', message.value);
+                        await vscode.commands.executeCommand('auto-accept.updateFrequency', message.value);
+                        this.sendEffectivePolicy();
                         break;
                     case 'getStats':
                         this.sendStats();
@@ -62,11 +75,68 @@ class SettingsPanel {
                         break;
                     case 'updateBannedCommands':
                         await this.context.globalState.update('auto-accept-banned-commands', message.commands);
-                        vscode.commands.executeCommand('auto-accept.updateBannedCommands', message.commands);
+                        await vscode.commands.executeCommand('auto-accept.updateBannedCommands', message.commands);
+                        this.sendEffectivePolicy();
                         break;
                     case 'getBannedCommands':
+                        // The first request the webview makes once loaded
+                        this.loaded = true;
                         this.sendBannedCommands();
+                        if (this.pendingHighlight) {
+                            this.panel.webview.postMessage({ command: 'highlightBannedPattern', pattern: this.pendingHighlight });
+                            this.pendingHighlight = null;
+                        }
+                        break;
+                    case 'updateAllowedCommands':
+                        await this.context.globalState.update('auto-accept-allowed-commands', message.commands);
+                        await vscode.commands.executeCommand('auto-accept.updateAllowedCommands', message.commands);
+                        this.sendEffectivePolicy();
+                        break;
+                    case 'updateSafetyMode':
+                        await this.context.globalState.update('auto-accept-safety-mode', message.mode);
+                        await vscode.commands.executeCommand('auto-accept.updateSafetyMode', message.mode);
+                        this.sendEffectivePolicy();
+                        break;
+                    case 'getAllowedCommands':
+                        this.sendAllowedCommands();
+                        break;
+                    case 'getEffectivePolicy':
+                        this.sendEffectivePolicy();
+                        break;
+                    case 'toggleShadow':
+                        await vscode.commands.executeCommand('auto-accept.toggleShadow');
+                        break;
+                    case 'getShadowState':
+                        this.sendShadowState();
+                        break;
+                    case 'getConnectionHealth':
+                        this.sendConnectionHealth();
+                        break;
+                    case 'getButtonRules':
+                        this.sendButtonRules();
+                        break;
+                    case 'getEnabledActions':
+                        this.sendEnabledActions();
+                        break;
+                    case 'setActionEnabled':
+                        await vscode.commands.executeCommand('auto-accept.setActionEnabled', message.type, message.enabled);
+                        this.sendEnabledActions();
+                        break;
+                    case 'updateButtonRules': {
+                        const result = await vscode.commands.executeCommand('auto-accept.updateButtonRules', message.rules);
+                        this.panel.webview.postMessage({ command: 'buttonRulesSaved', result });
+                        this.sendButtonRules();
                         break;
+                    }
+                    case 'getSchedules':
+                        this.sendSchedules();
+                        break;
+                    case 'updateSchedules': {
+                        const result = await vscode.commands.executeCommand('auto-accept.updateSchedules', message.schedules);
+                        this.panel.webview.postMessage({ command: 'schedulesSaved', result });
+                        this.sendSchedules();
+                        break;
+                    }
                     case 'dismissPrompt':
                         await this.handleDismiss();
                         break;
@@ -146,6 +216,86 @@ class SettingsPanel {
         });
     }
 
+    sendAllowedCommands() {
+        this.panel.webview.postMessage({
+            command: 'updateAllowedCommands',
+            safetyMode: this.context.globalState.get('auto-accept-safety-mode', 'denylist'),
+            allowedCommands: this.context.globalState.get('auto-accept-allowed-commands', DEFAULT_ALLOWED_COMMANDS)
+        });
+    }
+
+    async sendEffectivePolicy() {
+        try {
+            const policy = await vscode.commands.executeCommand('auto-accept.getEffectivePolicy');
+            this.panel.webview.postMessage({
+                command: 'updateEffectivePolicy',
+                policy
+            });
+        } catch (e) {
+            // Extension not activated yet
+        }
+    }
+
+    async sendShadowState() {
+        try {
+            const shadow = await vscode.commands.executeCommand('auto-accept.getShadowState');
+            this.panel.webview.postMessage({
+                command: 'updateShadowState',
+                shadow
+            });
+        } catch (e) {
+            // Extension not activated yet
+        }
+    }
+
+    async sendButtonRules() {
+        try {
+            const rules = await vscode.commands.executeCommand('auto-accept.getButtonRules');
+            this.panel.webview.postMessage({
+                command: 'updateButtonRules',
+                rules
+            });
+        } catch (e) {
+            // Extension not activated yet
+        }
+    }
+
+    async sendEnabledActions() {
+        try {
+            const actions = await vscode.commands.executeCommand('auto-accept.getEnabledActions');
+            this.panel.webview.postMessage({
+                command: 'updateEnabledActions',
+                actions
+            });
+        } catch (e) {
+            // Extension not activated yet
+        }
+    }
+
+    async sendSchedules() {
+        try {
+            const schedules = await vscode.commands.executeCommand('auto-accept.getSchedules');
+            this.panel.webview.postMessage({
+                command: 'updateSchedules',
+                schedules
+            });
+        } catch (e) {
+            // Extension not activated yet
+        }
+    }
+
+    async sendConnectionHealth() {
+        try {
+            const health = await vscode.commands.executeCommand('auto-accept.getConnectionHealth');
+            this.panel.webview.postMessage({
+                command: 'updateConnectionHealth',
+                health
+            });
+        } catch (e) {
+            // Extension not activated yet
+        }
+    }
+
     update() {
         this.panel.webview.html = this.getHtmlContent();
         setTimeout(() => {
@@ -292,6 +442,86 @@ class SettingsPanel {
             }
             textarea:focus { border-color: var(--accent); }
 
+            .mode-toggle {
+                display: flex;
+                gap: 8px;
+                margin-bottom: 16px;
+            }
+            .mode-toggle label {
+                flex: 1;
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                padding: 10px 12px;
+                border: 1px solid var(--border);
+                border-radius: 8px;
+                font-size: 12px;
+                cursor: pointer;
+            }
+            .mode-toggle label:has(input:checked) {
+                border-color: var(--accent);
+                background: var(--accent-soft);
+            }
+            .mode-toggle input { accent-color: var(--accent); }
+            .action-toggles { flex-wrap: wrap; }
+            .action-toggles label { flex: 1 1 40%; }
+            .day-toggles label { padding: 8px 6px; justify-content: center; }
+
+            .policy-list {
+                list-style: none;
+                margin: 0 0 12px;
+                padding: 0;
+                font-size: 12px;
+            }
+            .policy-list li {
+                display: flex;
+                justify-content: space-between;
+                gap: 12px;
+                padding: 6px 0;
+                border-bottom: 1px solid var(--border);
+            }
+            .policy-list code { word-break: break-all; }
+            .source-tag {
+                flex-shrink: 0;
+                font-size: 10px;
+                text-transform: uppercase;
+                letter-spacing: 0.5px;
+                opacity: 0.6;
+            }
+            .shadow-event.would-block code { color: #ef4444; }
+            .shadow-event.would-click code { color: var(--green); }
+            .source-tag.workspace {
+                color: var(--accent);
+                opacity: 1;
+            }
+
+            .rule-form {
+                display: grid;
+                grid-template-columns: 1fr 1fr;
+                gap: 8px;
+                margin-bottom: 12px;
+            }
+            .rule-form input, .rule-form select {
+                background: rgba(0,0,0,0.3);
+                border: 1px solid var(--border);
+                border-radius: 6px;
+                color: var(--fg);
+                font-size: 12px;
+                padding: 8px;
+                outline: none;
+            }
+            .rule-form input:focus, .rule-form select:focus { border-color: var(--accent); }
+            .rule-actions { display: flex; gap: 4px; flex-shrink: 0; }
+            .rule-actions button {
+                background: none;
+                border: 1px solid var(--border);
+                border-radius: 4px;
+                color: var(--fg);
+                cursor: pointer;
+                font-size: 11px;
+                padding: 2px 6px;
+            }
+
             .btn-primary {
                 background: var(--accent);
                 color: white;
@@ -413,10 +643,47 @@ class SettingsPanel {
                     </div>
                 </div>
 
+                <div class="section">
+                    <div class="section-label">✅ Auto-Accept By Action</div>
+                    <div style="font-size: 13px; opacity: 0.6; margin-bottom: 16px; line-height: 1.5;">
+                        Switched-off actions are left for you to click. The status bar tooltip has the same switches.
+                    </div>
+                    <div class="mode-toggle action-toggles" id="actionToggles"></div>
+                </div>
+
+                <div class="section">
+                    <div class="section-label">⏰ Schedules</div>
+                    <div style="font-size: 13px; opacity: 0.6; margin-bottom: 16px; line-height: 1.5;">
+                        Turn Auto Accept or Background Mode on or off between two times on chosen days.
+                        Outside the window the opposite applies. Toggling by hand lasts until the next scheduled change.
+                    </div>
+                    <ul id="scheduleList" class="policy-list"></ul>
+                    <div class="rule-form">
+                        <select id="scheduleTarget">
+                            <option value="auto-accept">Auto Accept</option>
+                            <option value="background">Background Mode</option>
+                        </select>
+                        <select id="scheduleState">
+                            <option value="off">Off during</option>
+                            <option value="on">On during</option>
+                        </select>
+                        <input id="scheduleStart" type="time" value="09:00">
+                        <input id="scheduleEnd" type="time" value="17:00">
+                    </div>
+                    <div class="mode-toggle day-toggles" id="scheduleDays"></div>
+                    <button id="addScheduleBtn" class="btn-primary" style="width: 100%;">Add Schedule</button>
+                    <div id="scheduleStatus" style="font-size: 12px; margin-top: 12px; text-align: center; min-height: 18px;"></div>
+                </div>
+
                 <div class="section">
                     <div class="section-label">🛡️ Safety Rules</div>
+                    <div class="mode-toggle">
+                        <label><input type="radio" name="safetyMode" value="denylist" checked> Block listed commands</label>
+                        <label><input type="radio" name="safetyMode" value="allowlist"> Only run allowed commands</label>
+                    </div>
                     <div style="font-size: 13px; opacity: 0.6; margin-bottom: 16px; line-height: 1.5;">
-                        Patterns that will NEVER be auto-accepted.
+                        Patterns that will NEVER be auto-accepted. Commands match on program, flags and targets,
+                        so <code>rm -rf /</code> also catches <code>sudo rm -r -f /</code>. Use <code>/regex/</code> to match raw text.
                     </div>
                     <textarea id="bannedCommandsInput"
                         placeholder="rm -rf /&#10;format c:&#10;del /f /s /q"></textarea>
@@ -430,6 +697,89 @@ class SettingsPanel {
                         </button>
                     </div>
                 <div id="bannedStatus" style="font-size: 12px; margin-top: 12px; text-align: center; height: 18px;"></div>
+
+                    <div id="allowlistBlock">
+                        <div style="font-size: 13px; opacity: 0.6; margin: 8px 0 16px; line-height: 1.5;">
+                            Allowlist mode: only commands starting with one of these run automatically.
+                            Everything else waits for you. Banned patterns above still apply.
+                            End a line with <code>$</code> to allow exactly that command and no further arguments.
+                        </div>
+                        <textarea id="allowedCommandsInput"
+                            placeholder="npm test&#10;git status&#10;pytest ..."></textarea>
+                        <div style="display: flex; gap: 12px; margin-top: 20px;">
+                            <button id="saveAllowedBtn" class="btn-primary" style="flex: 2;">
+                                Update Allowlist
+                            </button>
+                            <button id="resetAllowedBtn" class="btn-outline" style="flex: 1;">
+                                Reset
+                            </button>
+                        </div>
+                        <div id="allowedStatus" style="font-size: 12px; margin-top: 12px; text-align: center; height: 18px;"></div>
+                    </div>
+                </div>
+
+                <div class="section">
+                    <div class="section-label">🎛️ Button Rules</div>
+                    <div style="font-size: 13px; opacity: 0.6; margin-bottom: 16px; line-height: 1.5;">
+                        Rules are checked top to bottom and the first match decides. Your rules run before the defaults.
+                        Text conditions match whole words; use <code>/regex/</code> for anything else.
+                        A button that ignores the page's click gets a real mouse click; pick it up front for buttons you know need one.
+                    </div>
+                    <ul id="userButtonRules" class="policy-list"></ul>
+                    <div class="rule-form">
+                        <input id="ruleText" placeholder="Text, e.g. keep all">
+                        <input id="ruleAriaLabel" placeholder="aria-label">
+                        <input id="ruleRole" placeholder="role, e.g. button">
+                        <input id="ruleSelector" placeholder="CSS selector">
+                        <input id="ruleAncestor" placeholder="Ancestor selector">
+                        <select id="ruleAction">
+                            <option value="click">Click</option>
+                            <option value="ignore">Ignore</option>
+                            <option value="confirm">Require confirmation</option>
+                        </select>
+                        <select id="ruleCategory">
+                            <option value="accept">accept</option>
+                            <option value="run">run (command checks apply)</option>
+                            <option value="retry">retry</option>
+                            <option value="apply">apply</option>
+                            <option value="confirm">confirm</option>
+                            <option value="allow">allow</option>
+                        </select>
+                        <select id="ruleClick" title="How the button is clicked">
+                            <option value="synthetic">Page click</option>
+                            <option value="trusted">Real mouse click</option>
+                        </select>
+                        <button id="addRuleBtn" class="btn-primary">Add Rule</button>
+                    </div>
+                    <div id="buttonRulesStatus" style="font-size: 12px; margin-bottom: 12px; text-align: center; min-height: 18px;"></div>
+                    <div class="section-label" id="defaultRulesLabel" style="margin-top: 16px;">Default rules</div>
+                    <ul id="defaultButtonRules" class="policy-list"></ul>
+                </div>
+
+                <div class="section">
+                    <div class="section-label">
+                        <span>👁️ Shadow Mode</span>
+                        <span class="val-display" id="shadowVal" style="color: var(--accent);">OFF</span>
+                    </div>
+                    <div style="font-size: 13px; opacity: 0.6; margin-bottom: 16px; line-height: 1.5;">
+                        Dry run: Auto Accept evaluates every button and your safety rules, but never clicks.
+                        Use it to try new rules before trusting them.
+                    </div>
+                    <button id="toggleShadowBtn" class="btn-outline" style="width: 100%;">Start Dry Run</button>
+                    <ul id="shadowEvents" class="policy-list" style="margin-top: 16px;"></ul>
+                </div>
+
+                <div class="section">
+                    <div class="section-label">📁 Workspace Policy</div>
+                    <div id="policyFile" style="font-size: 13px; opacity: 0.6; margin-bottom: 16px; line-height: 1.5;">
+                        Add a <code>.autoaccept.json</code> file at the workspace root to set rules for this project.
+                    </div>
+                    <div id="policyWarnings" style="font-size: 12px; color: #ef4444; margin-bottom: 12px;"></div>
+                    <ul id="policySettings" class="policy-list"></ul>
+                    <div class="section-label" style="margin-top: 16px;">Effective banned patterns</div>
+                    <ul id="policyBanned" class="policy-list"></ul>
+                    <div class="section-label" style="margin-top: 16px;">Effective allowed patterns</div>
+                    <ul id="policyAllowed" class="policy-list"></ul>
                 </div>
 
                 <!-- Troubleshooting Section -->
@@ -442,6 +792,8 @@ class SettingsPanel {
                         Force Relaunch & Enable
                     </button>
                     <div id="relaunchStatus" style="font-size: 12px; margin-top: 12px; text-align: center; height: 18px;"></div>
+                    <div class="section-label" style="margin-top: 16px;">Connections</div>
+                    <ul id="connectionHealth" class="policy-list"></ul>
                 </div>
             </div>
 
@@ -452,6 +804,7 @@ class SettingsPanel {
                 function refreshStats() {
                     vscode.postMessage({ command: 'getStats' });
                     vscode.postMessage({ command: 'getROIStats' });
+                    vscode.postMessage({ command: 'getConnectionHealth' });
                 }
                 
                 // Refresh every 5 seconds while panel is open
@@ -496,6 +849,366 @@ class SettingsPanel {
                     });
                 }
 
+                const allowedInput = document.getElementById('allowedCommandsInput');
+                const saveAllowedBtn = document.getElementById('saveAllowedBtn');
+                const resetAllowedBtn = document.getElementById('resetAllowedBtn');
+                const allowedStatus = document.getElementById('allowedStatus');
+                const allowlistBlock = document.getElementById('allowlistBlock');
+                const modeInputs = document.querySelectorAll('input[name="safetyMode"]');
+
+                const defaultAllowedCommands = ${JSON.stringify(DEFAULT_ALLOWED_COMMANDS)};
+
+                function showSafetyMode(mode) {
+                    modeInputs.forEach(input => { input.checked = input.value === mode; });
+                    allowlistBlock.style.opacity = mode === 'allowlist' ? '1' : '0.5';
+                }
+
+                modeInputs.forEach(input => {
+                    input.addEventListener('change', () => {
+                        if (!input.checked) return;
+                        showSafetyMode(input.value);
+                        vscode.postMessage({ command: 'updateSafetyMode', mode: input.value });
+                    });
+                });
+
+                if (saveAllowedBtn) {
+                    saveAllowedBtn.addEventListener('click', () => {
+                        const lines = allowedInput.value.split('\\n').map(l => l.trim()).filter(l => l.length > 0);
+                        vscode.postMessage({ command: 'updateAllowedCommands', commands: lines });
+                        allowedStatus.innerText = '✓ Allowlist Updated';
+                        allowedStatus.style.color = 'var(--green)';
+                        setTimeout(() => { allowedStatus.innerText = ''; }, 3000);
+                    });
+                }
+
+                if (resetAllowedBtn) {
+                    resetAllowedBtn.addEventListener('click', () => {
+                        allowedInput.value = defaultAllowedCommands.join('\\n');
+                        vscode.postMessage({ command: 'updateAllowedCommands', commands: defaultAllowedCommands });
+                        allowedStatus.innerText = '✓ Defaults Restored';
+                        allowedStatus.style.color = 'var(--accent)';
+                        setTimeout(() => { allowedStatus.innerText = ''; }, 3000);
+                    });
+                }
+
+                function renderPolicyList(listId, entries) {
+                    const list = document.getElementById(listId);
+                    if (!list) return;
+                    list.textContent = '';
+                    entries.forEach(entry => {
+                        const item = document.createElement('li');
+                        const label = document.createElement('code');
+                        label.textContent = entry.label;
+                        const tag = document.createElement('span');
+                        tag.className = 'source-tag ' + entry.source;
+                        tag.textContent = entry.source;
+                        item.appendChild(label);
+                        item.appendChild(tag);
+                        list.appendChild(item);
+                    });
+                }
+
+                function showEffectivePolicy(policy) {
+                    if (!policy) return;
+                    const sources = policy.sources;
+                    const fileLabel = document.getElementById('policyFile');
+                    if (policy.policyFile) {
+                        fileLabel.textContent = 'Using ' + policy.policyFile + '. Workspace entries add to your global lists; a pinned poll interval overrides the slider.';
+                    }
+                    document.getElementById('policyWarnings').textContent = (policy.warnings || []).join(' · ');
+
+                    renderPolicyList('policySettings', [
+                        { label: 'Safety mode: ' + policy.safetyMode, source: sources.safetyMode },
+                        { label: 'Poll interval: ' + policy.pollFrequency + 'ms', source: sources.pollFrequency },
+                        {
+                            label: 'Disabled buttons: ' + (policy.disabledButtonKinds.length ? policy.disabledButtonKinds.join(', ') : 'none'),
+                            source: sources.disabledButtonKinds
+                        }
+                    ]);
+                    renderPolicyList('policyBanned', sources.bannedCommands.map(e => ({ label: e.pattern, source: e.source })));
+                    renderPolicyList('policyAllowed', sources.allowedCommands.map(e => ({ label: e.pattern, source: e.source })));
+
+                    if (slider) {
+                        const pinned = sources.pollFrequency === 'workspace';
+                        slider.disabled = pinned;
+                        if (pinned) {
+                            slider.value = policy.pollFrequency;
+                            valDisplay.innerText = (policy.pollFrequency / 1000).toFixed(1) + 's (pinned)';
+                        }
+                    }
+                }
+
+                const toggleShadowBtn = document.getElementById('toggleShadowBtn');
+                if (toggleShadowBtn) {
+                    toggleShadowBtn.addEventListener('click', () => {
+                        vscode.postMessage({ command: 'toggleShadow' });
+                    });
+                }
+
+                function showShadowState(shadow) {
+                    if (!shadow) return;
+                    const label = document.getElementById('shadowVal');
+                    label.innerText = shadow.enabled ? (shadow.running ? 'WATCHING' : 'ON (Auto Accept is off)') : 'OFF';
+                    toggleShadowBtn.innerText = shadow.enabled ? 'Stop Dry Run' : 'Start Dry Run';
+
+                    const list = document.getElementById('shadowEvents');
+                    list.textContent = '';
+                    shadow.events.slice(0, 15).forEach(event => {
+                        const item = document.createElement('li');
+                        item.className = 'shadow-event ' + event.outcome;
+                        const text = document.createElement('code');
+                        const verdict = event.outcome === 'would-click' ? 'Would click' : 'Would block (' + event.rule + ')';
+                        text.textContent = verdict + ': ' + (event.command || event.button);
+                        const time = document.createElement('span');
+                        time.className = 'source-tag';
+                        time.textContent = new Date(event.timestamp).toLocaleTimeString();
+                        item.appendChild(text);
+                        item.appendChild(time);
+                        list.appendChild(item);
+                    });
+                }
+
+                let userButtonRules = [];
+
+                function describeButtonRule(rule) {
+                    const match = rule.match || {};
+                    const parts = [];
+                    if (match.text) parts.push('text "' + match.text + '"');
+                    if (match.ariaLabel) parts.push('aria-label "' + match.ariaLabel + '"');
+                    if (match.role) parts.push('role=' + match.role);
+                    if (match.selector) parts.push(match.selector);
+                    if (match.ancestor) parts.push('inside ' + match.ancestor);
+                    let action = rule.action === 'ignore' ? 'ignore' : rule.action + ' (' + rule.category + ')';
+                    if (rule.click === 'trusted') action += ' · real mouse';
+                    return parts.join(' · ') + ' → ' + action;
+                }
+
+                function renderButtonRules(listId, rules, editable) {
+                    const list = document.getElementById(listId);
+                    list.textContent = '';
+                    if (rules.length === 0) {
+                        const item = document.createElement('li');
+                        item.textContent = editable ? 'No rules of your own yet.' : 'None';
+                        item.style.opacity = '0.5';
+                        list.appendChild(item);
+                        return;
+                    }
+                    rules.forEach((rule, index) => {
+                        const item = document.createElement('li');
+                        const label = document.createElement('code');
+                        label.textContent = describeButtonRule(rule);
+                        item.appendChild(label);
+                        if (editable) {
+                            const actions = document.createElement('span');
+                            actions.className = 'rule-actions';
+                            [['↑', -1], ['↓', 1], ['✕', 0]].forEach(([text, move]) => {
+                                const btn = document.createElement('button');
+                                btn.textContent = text;
+                                btn.title = move === 0 ? 'Remove' : (move < 0 ? 'Move up' : 'Move down');
+                                btn.disabled = (move === -1 && index === 0) || (move === 1 && index === rules.length - 1);
+                                btn.addEventListener('click', () => editButtonRule(index, move));
+                                actions.appendChild(btn);
+                            });
+                            item.appendChild(actions);
+                        } else {
+                            const tag = document.createElement('span');
+                            tag.className = 'source-tag';
+                            tag.textContent = rule.id;
+                            item.appendChild(tag);
+                        }
+                        list.appendChild(item);
+                    });
+                }
+
+                function saveButtonRules(rules) {
+                    vscode.postMessage({ command: 'updateButtonRules', rules });
+                }
+
+                function editButtonRule(index, move) {
+                    const rules = userButtonRules.slice();
+                    if (move === 0) {
+                        rules.splice(index, 1);
+                    } else {
+                        const [rule] = rules.splice(index, 1);
+                        rules.splice(index + move, 0, rule);
+                    }
+                    saveButtonRules(rules);
+                }
+
+                function showEnabledActions(actions) {
+                    const container = document.getElementById('actionToggles');
+                    if (!container) return;
+                    container.textContent = '';
+                    (actions || []).forEach(action => {
+                        const label = document.createElement('label');
+                        const input = document.createElement('input');
+                        input.type = 'checkbox';
+                        input.checked = action.enabled;
+                        input.addEventListener('change', () => {
+                            vscode.postMessage({ command: 'setActionEnabled', type: action.type, enabled: input.checked });
+                        });
+                        label.appendChild(input);
+                        label.appendChild(document.createTextNode(' ' + action.label));
+                        container.appendChild(label);
+                    });
+                }
+
+                const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+                const TARGET_LABELS = { 'auto-accept': 'Auto Accept', 'background': 'Background Mode' };
+                let schedules = [];
+
+                const scheduleDays = document.getElementById('scheduleDays');
+                DAY_NAMES.forEach((name, day) => {
+                    const label = document.createElement('label');
+                    const input = document.createElement('input');
+                    input.type = 'checkbox';
+                    input.value = String(day);
+                    input.checked = day >= 1 && day <= 5;
+                    label.appendChild(input);
+                    label.appendChild(document.createTextNode(' ' + name));
+                    scheduleDays.appendChild(label);
+                });
+
+                function describeSchedule(schedule) {
+                    const days = schedule.days.slice().sort().map(d => DAY_NAMES[d]).join(', ');
+                    return TARGET_LABELS[schedule.target] + ' ' + schedule.state + ' ' + schedule.start + '–' + schedule.end + ' · ' + days;
+                }
+
+                function showSchedules(data) {
+                    if (!data) return;
+                    schedules = data.schedules || [];
+                    const list = document.getElementById('scheduleList');
+                    list.textContent = '';
+                    if (schedules.length === 0) {
+                        const item = document.createElement('li');
+                        item.textContent = 'No schedules. Auto Accept stays as you set it.';
+                        item.style.opacity = '0.5';
+                        list.appendChild(item);
+                    }
+                    schedules.forEach((schedule, index) => {
+                        const item = document.createElement('li');
+                        const label = document.createElement('code');
+                        label.textContent = describeSchedule(schedule);
+                        item.appendChild(label);
+                        const actions = document.createElement('span');
+                        actions.className = 'rule-actions';
+                        const remove = document.createElement('button');
+                        remove.textContent = '✕';
+                        remove.title = 'Remove';
+                        remove.addEventListener('click', () => {
+                            vscode.postMessage({ command: 'updateSchedules', schedules: schedules.filter((_, i) => i !== index) });
+                        });
+                        actions.appendChild(remove);
+                        item.appendChild(actions);
+                        list.appendChild(item);
+                    });
+                    (data.next || []).forEach(next => {
+                        const item = document.createElement('li');
+                        item.textContent = 'Next: ' + TARGET_LABELS[next.target] + ' turns ' + (next.enabled ? 'on' : 'off') + ' at ' + next.at;
+                        item.style.opacity = '0.7';
+                        list.appendChild(item);
+                    });
+                }
+
+                document.getElementById('addScheduleBtn').addEventListener('click', () => {
+                    const schedule = {
+                        target: document.getElementById('scheduleTarget').value,
+                        state: document.getElementById('scheduleState').value,
+                        start: document.getElementById('scheduleStart').value,
+                        end: document.getElementById('scheduleEnd').value,
+                        days: Array.from(scheduleDays.querySelectorAll('input:checked')).map(input => Number(input.value))
+                    };
+                    vscode.postMessage({ command: 'updateSchedules', schedules: [...schedules, schedule] });
+                });
+
+                function showSchedulesSaved(result) {
+                    const status = document.getElementById('scheduleStatus');
+                    if (result && result.ok) {
+                        status.textContent = '✓ Schedules saved';
+                        status.style.color = 'var(--green)';
+                        setTimeout(() => { status.textContent = ''; }, 3000);
+                    } else {
+                        status.textContent = (result && result.errors || ['Could not save schedules']).join('; ');
+                        status.style.color = '#ef4444';
+                    }
+                }
+
+                function showButtonRules(data) {
+                    if (!data) return;
+                    userButtonRules = data.userRules || [];
+                    renderButtonRules('userButtonRules', userButtonRules, true);
+                    renderButtonRules('defaultButtonRules', data.defaultRules || [], false);
+                    document.getElementById('defaultRulesLabel').textContent = 'Default rules (' + data.ide + ')';
+                }
+
+                const ruleAction = document.getElementById('ruleAction');
+                ruleAction.addEventListener('change', () => {
+                    document.getElementById('ruleCategory').disabled = ruleAction.value === 'ignore';
+                    document.getElementById('ruleClick').disabled = ruleAction.value !== 'click';
+                });
+
+                document.getElementById('addRuleBtn').addEventListener('click', () => {
+                    const match = {};
+                    [['text', 'ruleText'], ['ariaLabel', 'ruleAriaLabel'], ['role', 'ruleRole'], ['selector', 'ruleSelector'], ['ancestor', 'ruleAncestor']]
+                        .forEach(([key, id]) => {
+                            const value = document.getElementById(id).value.trim();
+                            if (value) match[key] = value;
+                        });
+                    const rule = { match, action: ruleAction.value };
+                    if (rule.action !== 'ignore') rule.category = document.getElementById('ruleCategory').value;
+                    if (rule.action === 'click' && document.getElementById('ruleClick').value === 'trusted') rule.click = 'trusted';
+                    saveButtonRules([...userButtonRules, rule]);
+                });
+
+                function showButtonRulesSaved(result) {
+                    const status = document.getElementById('buttonRulesStatus');
+                    if (result && result.ok) {
+                        status.textContent = '✓ Rules saved';
+                        status.style.color = 'var(--green)';
+                        setTimeout(() => { status.textContent = ''; }, 3000);
+                        ['ruleText', 'ruleAriaLabel', 'ruleRole', 'ruleSelector', 'ruleAncestor'].forEach(id => {
+                            document.getElementById(id).value = '';
+                        });
+                    } else {
+                        status.textContent = (result && result.errors || ['Could not save rules']).join('; ');
+                        status.style.color = '#ef4444';
+                    }
+                }
+
+                function showConnectionHealth(health) {
+                    const list = document.getElementById('connectionHealth');
+                    if (!list || !health) return;
+                    const rows = [];
+                    if (health.leader && !health.leader.self) {
+                        const status = health.leader.status;
+                        rows.push({
+                            label: 'Driven by "' + health.leader.label + '"',
+                            state: status ? status.injected + '/' + status.pages + ' pages' : 'follower'
+                        });
+                    } else if (health.pages.length === 0) {
+                        rows.push({ label: health.nextDiscoveryAt ? 'No CDP endpoint yet, retrying…' : 'Not connected', state: '' });
+                    }
+                    health.pages.forEach(page => {
+                        let state = page.injected ? 'injected' : (page.connected ? 'connected' : 'reconnecting');
+                        if (page.versionMismatch) state += ' · outdated script ' + page.scriptVersion;
+                        else if (page.upgradedFrom) state += ' · upgraded from ' + page.upgradedFrom;
+                        if (page.lastError && !page.connected) state += ' · ' + page.lastError;
+                        rows.push({ label: (page.title || page.pageId).substring(0, 40) + ' (' + page.type + ')', state });
+                    });
+                    list.textContent = '';
+                    rows.forEach(row => {
+                        const item = document.createElement('li');
+                        const label = document.createElement('code');
+                        label.textContent = row.label;
+                        const state = document.createElement('span');
+                        state.className = 'source-tag';
+                        state.textContent = row.state;
+                        item.appendChild(label);
+                        item.appendChild(state);
+                        list.appendChild(item);
+                    });
+                }
+
                 const forceRelaunchBtn = document.getElementById('forceRelaunchBtn');
                 const relaunchStatus = document.getElementById('relaunchStatus');
 
@@ -532,7 +1245,7 @@ class SettingsPanel {
                 window.addEventListener('message', e => {
                     const msg = e.data;
                     if (msg.command === 'updateStats') {
-                        if (slider) {
+                        if (slider && !slider.disabled) {
                             slider.value = msg.frequency;
                             valDisplay.innerText = (msg.frequency/1000).toFixed(1) + 's';
                         }
@@ -551,6 +1264,46 @@ class SettingsPanel {
                             bannedInput.value = msg.bannedCommands.join('\\n');
                         }
                     }
+                    if (msg.command === 'highlightBannedPattern' && bannedInput) {
+                        const lines = bannedInput.value.split('\\n');
+                        const index = lines.indexOf(msg.pattern);
+                        bannedInput.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                        bannedInput.focus();
+                        if (index >= 0) {
+                            const start = lines.slice(0, index).join('\\n').length + (index > 0 ? 1 : 0);
+                            bannedInput.setSelectionRange(start, start + msg.pattern.length);
+                        }
+                    }
+                    if (msg.command === 'updateAllowedCommands') {
+                        showSafetyMode(msg.safetyMode);
+                        if (allowedInput && msg.allowedCommands) {
+                            allowedInput.value = msg.allowedCommands.join('\\n');
+                        }
+                    }
+                    if (msg.command === 'updateButtonRules') {
+                        showButtonRules(msg.rules);
+                    }
+                    if (msg.command === 'updateEnabledActions') {
+                        showEnabledActions(msg.actions);
+                    }
+                    if (msg.command === 'updateSchedules') {
+                        showSchedules(msg.schedules);
+                    }
+                    if (msg.command === 'schedulesSaved') {
+                        showSchedulesSaved(msg.result);
+                    }
+                    if (msg.command === 'buttonRulesSaved') {
+                        showButtonRulesSaved(msg.result);
+                    }
+                    if (msg.command === 'updateConnectionHealth') {
+                        showConnectionHealth(msg.health);
+                    }
+                    if (msg.command === 'updateShadowState') {
+                        showShadowState(msg.shadow);
+                    }
+                    if (msg.command === 'updateEffectivePolicy') {
+                        showEffectivePolicy(msg.policy);
+                    }
                     if (msg.command === 'relaunchComplete') {
                         const result = msg.result;
                         const btn = document.getElementById('forceRelaunchBtn');
@@ -590,6 +1343,13 @@ class SettingsPanel {
                 // Initial load
                 refreshStats();
                 vscode.postMessage({ command: 'getBannedCommands' });
+                vscode.postMessage({ command: 'getAllowedCommands' });
+                vscode.postMessage({ command: 'getEffectivePolicy' });
+                vscode.postMessage({ command: 'getShadowState' });
+                vscode.postMessage({ command: 'getConnectionHealth' });
+                vscode.postMessage({ command: 'getButtonRules' });
+                vscode.postMessage({ command: 'getEnabledActions' });
+                vscode.postMessage({ command: 'getSchedules' });
             </script>
         </body>
         </html>`;
@@ -0,0 +1,184 @@
+/**
+ * Action Budget Test Suite
+ * Tests per-conversation, per-window and per-session limits on auto-accepted actions.
+ */
+
+const assert = require('assert');
+const vm = require('vm');
+const { ActionBudget } = require('../main_scripts/action-budget.js');
+const { CDPHandler } = require('../main_scripts/cdp-handler.js');
+const { createDom } = require('./helpers/fake-dom.js');
+const { runPageScript } = require('./helpers/page-script.js');
+
+const MINUTE = 60 * 1000;
+
+function createBudget(limits, windowMs = 60 * MINUTE) {
+    const clock = { now: 0 };
+    const budget = new ActionBudget({ limits, windowMs, logger: null, now: () => clock.now });
+    const events = { exhausted: [], changed: 0 };
+    budget.on('exhausted', entry => events.exhausted.push(entry));
+    budget.on('changed', () => events.changed++);
+    return { budget, clock, events };
+}
+
+// Test runner
+const tests = [];
+function test(name, fn) { tests.push({ name, fn }); }
+
+// === TEST CASES ===
+
+test('no limits means nothing is ever paused', () => {
+    const { budget, events } = createBudget({});
+    for (let i = 0; i < 100; i++) budget.record({ category: 'terminal_command', tab: 'a' });
+    assert.strictEqual(budget.hasLimits(), false);
+    assert.deepStrictEqual(budget.getPause(), { actions: [], conversations: [] });
+    assert.strictEqual(events.changed, 0);
+});
+
+test('a conversation is paused once it reaches its click budget', () => {
+    const { budget, events } = createBudget({ maxClicksPerConversation: 2 });
+    budget.record({ category: 'file_edit', tab: 'Refactor auth' });
+    budget.record({ category: 'retry', tab: 'Fix tests' });
+    assert.deepStrictEqual(budget.getPause().conversations, []);
+
+    budget.record({ category: 'terminal_command', tab: 'Refactor auth' });
+    assert.deepStrictEqual(budget.getPause().conversations, ['Refactor auth']);
+    assert.deepStrictEqual(events.exhausted, [{ budget: 'conversation', scope: 'Refactor auth', limit: 2, resetsAt: null }]);
+
+    budget.record({ category: 'file_edit', tab: 'Refactor auth' });
+    assert.strictEqual(events.exhausted.length, 1, 'Reported once');
+});
+
+test('terminal commands resume when the window moves on', () => {
+    const { budget, clock, events } = createBudget({ maxTerminalCommandsPerHour: 2 }, 60 * MINUTE);
+    budget.record({ category: 'terminal_command' });
+    clock.now = 10 * MINUTE;
+    budget.record({ category: 'terminal_command' });
+    assert.deepStrictEqual(budget.getPause().actions, ['terminal_command']);
+    assert.strictEqual(events.exhausted[0].resetsAt, 60 * MINUTE);
+
+    clock.now = 59 * MINUTE;
+    assert.strictEqual(budget.refresh(), false);
+    clock.now = 60 * MINUTE;
+    assert.strictEqual(budget.refresh(), true);
+    assert.deepStrictEqual(budget.getPause().actions, []);
+});
+
+test('file edits stay paused until the session resets', () => {
+    const { budget, clock, events } = createBudget({ maxFileEditsPerSession: 1 });
+    budget.record({ category: 'file_edit' });
+    clock.now = 24 * 60 * MINUTE;
+    assert.strictEqual(budget.refresh(), false);
+    assert.deepStrictEqual(budget.getPause().actions, ['file_edit']);
+
+    budget.resetSession();
+    assert.deepStrictEqual(budget.getPause(), { actions: [], conversations: [] });
+    assert.strictEqual(events.changed, 2);
+});
+
+test('raising a limit lifts the pause', () => {
+    const { budget } = createBudget({ maxFileEditsPerSession: 1, maxClicksPerConversation: 1 });
+    budget.record({ category: 'file_edit', tab: 'a' });
+    budget.configure({ limits: { maxFileEditsPerSession: 5 } });
+    assert.deepStrictEqual(budget.getPause(), { actions: [], conversations: [] });
+});
+
+test('remaining budget reports the busiest conversation', () => {
+    const { budget } = createBudget({ maxClicksPerConversation: 10, maxTerminalCommandsPerHour: 5, maxFileEditsPerSession: 20 });
+    budget.record({ category: 'terminal_command', tab: 'a' });
+    budget.record({ category: 'file_edit', tab: 'b' });
+    budget.record({ category: 'file_edit', tab: 'b' });
+    assert.deepStrictEqual(budget.getRemaining(), [
+        { budget: 'conversation', limit: 10, used: 2, scope: 'b' },
+        { budget: 'terminal', limit: 5, used: 1, scope: null },
+        { budget: 'fileEdits', limit: 20, used: 2, scope: null }
+    ]);
+});
+
+test('nonsense limits count as no limit', () => {
+    const { budget } = createBudget({ maxClicksPerConversation: -3, maxTerminalCommandsPerHour: 'lots', maxFileEditsPerSession: 2.7 });
+    assert.deepStrictEqual(budget.limits, { conversation: 0, terminal: 0, fileEdits: 2 });
+});
+
+test('the allowance is what each budget has left', () => {
+    const { budget } = createBudget({ maxClicksPerConversation: 3, maxTerminalCommandsPerHour: 5 });
+    budget.record({ category: 'terminal_command', tab: 'Refactor auth' });
+    budget.record({ category: 'file_edit', tab: 'Refactor auth' });
+    assert.deepStrictEqual(budget.getAllowance(), {
+        actions: { terminal_command: 4 },
+        perConversation: 3,
+        conversations: { 'Refactor auth': 1 }
+    });
+    assert.deepStrictEqual(createBudget({}).budget.getAllowance(), { actions: {}, perConversation: 0, conversations: {} });
+});
+
+// A polled page (no push binding) with `count` Accept buttons that go away when clicked
+function startPolledPage(count, budgetAllowance) {
+    const dom = createDom();
+    const doc = dom.createDocument();
+    for (let i = 0; i < count; i++) {
+        const button = dom.build(doc, ['button', {}, 'Accept']);
+        button.click = () => { button.clicks++; button.remove(); };
+        doc.body.appendChild(button);
+    }
+    const window = runPageScript(dom, doc);
+    window.__autoAcceptStart({ ide: 'antigravity', pollInterval: 60000, detection: 'poll', budgetAllowance });
+    return { doc, window };
+}
+
+test('a page stops at its allowance without waiting for the next sync', async () => {
+    const { doc, window } = startPolledPage(5, { actions: { file_edit: 2 }, perConversation: 0, conversations: {} });
+    await new Promise(r => setTimeout(r, 400));
+    window.__autoAcceptStop();
+    assert.strictEqual(doc.querySelectorAll('button').length, 3);
+});
+
+test('clicks on polled pages count toward the host\'s budgets', async () => {
+    const { window } = startPolledPage(3, null);
+    await new Promise(r => setTimeout(r, 400));
+    window.__autoAcceptStop();
+
+    const handler = new CDPHandler(9000, 9000, null);
+    handler.connections.set('page', { ws: { readyState: 3 }, injected: true, pushEnabled: false });
+    handler.sendCommand = async (pageId, method, { expression }) => ({ result: { value: vm.runInContext(expression, window) } });
+    const { budget, events } = createBudget({ maxFileEditsPerSession: 3 });
+
+    const clicks = await handler.drainClickEvents();
+    clicks.forEach(click => budget.record(click));
+    assert.strictEqual(clicks.length, 3);
+    assert.deepStrictEqual(budget.getPause().actions, ['file_edit']);
+    assert.strictEqual(events.exhausted.length, 1);
+    assert.deepStrictEqual(await handler.drainClickEvents(), [], 'Drained once');
+});
+
+// === RUN TESTS ===
+(async () => {
+    console.log('======================================');
+    console.log('  ACTION BUDGET TEST SUITE');
+    console.log('======================================\n');
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (error) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${error.message}`);
+            failed++;
+        }
+    }
+
+    console.log('\n======================================');
+    console.log(`  Results: ${passed} passed, ${failed} failed`);
+    console.log('======================================');
+
+    if (failed > 0) {
+        process.exit(1);
+    } else {
+        console.log('\n✓ All tests passed!');
+    }
+})();
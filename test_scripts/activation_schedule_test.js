@@ -0,0 +1,116 @@
+/**
+ * Activation Schedule Test Suite
+ * Tests scheduled on/off windows for auto-accept and background mode.
+ */
+
+const assert = require('assert');
+const { ActivationSchedule, validateSchedule, isWindowActive, formatTransitionTime } = require('../main_scripts/activation-schedule.js');
+
+// Local time; 19 October 2026 is a Monday
+const at = (day, hour, minute = 0) => new Date(2026, 9, 19 + day, hour, minute);
+const MON = 0, FRI = 4, SAT = 5;
+
+const WEEKDAYS = [1, 2, 3, 4, 5];
+const OFF_DURING_WORK = { target: 'auto-accept', days: WEEKDAYS, start: '09:00', end: '17:00', state: 'off' };
+const BACKGROUND_OVERNIGHT = { target: 'background', days: [0, 1, 2, 3, 4, 5, 6], start: '22:00', end: '08:00', state: 'on' };
+
+// Test runner
+const tests = [];
+function test(name, fn) { tests.push({ name, fn }); }
+
+// === TEST CASES ===
+
+test('windows cover start up to but not including end', () => {
+    assert.strictEqual(isWindowActive(OFF_DURING_WORK, at(MON, 9)), true);
+    assert.strictEqual(isWindowActive(OFF_DURING_WORK, at(MON, 16, 59)), true);
+    assert.strictEqual(isWindowActive(OFF_DURING_WORK, at(MON, 17)), false);
+    assert.strictEqual(isWindowActive(OFF_DURING_WORK, at(SAT, 12)), false);
+});
+
+test('overnight windows run into the next day', () => {
+    assert.strictEqual(isWindowActive(BACKGROUND_OVERNIGHT, at(MON, 23)), true);
+    assert.strictEqual(isWindowActive(BACKGROUND_OVERNIGHT, at(MON + 1, 7, 59)), true);
+    assert.strictEqual(isWindowActive(BACKGROUND_OVERNIGHT, at(MON + 1, 8)), false);
+
+    const fridayNight = { ...BACKGROUND_OVERNIGHT, days: [5] };
+    assert.strictEqual(isWindowActive(fridayNight, at(SAT, 7)), true, 'Started on Friday');
+    assert.strictEqual(isWindowActive(fridayNight, at(FRI, 7)), false, 'Thursday night is not scheduled');
+});
+
+test('outside every window a target takes the opposite state', () => {
+    const schedule = new ActivationSchedule([OFF_DURING_WORK], null);
+    assert.strictEqual(schedule.desiredState('auto-accept', at(MON, 10)), false);
+    assert.strictEqual(schedule.desiredState('auto-accept', at(MON, 18)), true);
+    assert.strictEqual(schedule.desiredState('auto-accept', at(SAT, 10)), true);
+    assert.strictEqual(schedule.desiredState('background', at(MON, 10)), null, 'No schedule, no opinion');
+});
+
+test('check reports each change once', () => {
+    const schedule = new ActivationSchedule([OFF_DURING_WORK, BACKGROUND_OVERNIGHT], null);
+    assert.deepStrictEqual(schedule.check(at(MON, 7)), [
+        { target: 'auto-accept', enabled: true },
+        { target: 'background', enabled: true }
+    ]);
+    assert.deepStrictEqual(schedule.check(at(MON, 8, 30)), [{ target: 'background', enabled: false }]);
+    assert.deepStrictEqual(schedule.check(at(MON, 8, 45)), []);
+    assert.deepStrictEqual(schedule.check(at(MON, 9)), [{ target: 'auto-accept', enabled: false }]);
+});
+
+test('new schedules apply on the next check', () => {
+    const schedule = new ActivationSchedule([OFF_DURING_WORK], null);
+    schedule.check(at(MON, 10));
+    schedule.setSchedules([OFF_DURING_WORK]);
+    assert.deepStrictEqual(schedule.check(at(MON, 10)), [{ target: 'auto-accept', enabled: false }]);
+});
+
+test('next transition skips the weekend', () => {
+    const schedule = new ActivationSchedule([OFF_DURING_WORK], null);
+    assert.deepStrictEqual(schedule.nextTransition('auto-accept', at(MON, 10)), { at: at(MON, 17), enabled: true });
+    assert.deepStrictEqual(schedule.nextTransition('auto-accept', at(FRI, 18)), { at: at(FRI + 3, 9), enabled: false });
+    assert.strictEqual(schedule.nextTransition('background', at(MON, 10)), null);
+});
+
+test('transition times name the day when not today', () => {
+    assert.strictEqual(formatTransitionTime(at(MON, 17), at(MON, 10)), '17:00');
+    assert.strictEqual(formatTransitionTime(at(MON + 1, 8, 5), at(MON, 23)), 'Tue 08:05');
+});
+
+test('validation reports bad targets, days, times and states', () => {
+    assert.deepStrictEqual(validateSchedule(OFF_DURING_WORK), []);
+    assert.strictEqual(validateSchedule({ ...OFF_DURING_WORK, target: 'lights' }).length, 1);
+    assert.strictEqual(validateSchedule({ ...OFF_DURING_WORK, days: [] }).length, 1);
+    assert.strictEqual(validateSchedule({ ...OFF_DURING_WORK, days: [7] }).length, 1);
+    assert.strictEqual(validateSchedule({ ...OFF_DURING_WORK, start: '25:00', end: '9am' }).length, 2);
+    assert.strictEqual(validateSchedule({ ...OFF_DURING_WORK, state: 'maybe' }).length, 1);
+    assert.deepStrictEqual(new ActivationSchedule([{ ...OFF_DURING_WORK, days: [] }], null).schedules, [], 'Invalid schedules are dropped');
+});
+
+// === RUN TESTS ===
+console.log('======================================');
+console.log('  ACTIVATION SCHEDULE TEST SUITE');
+console.log('======================================\n');
+
+let passed = 0;
+let failed = 0;
+
+for (const { name, fn } of tests) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+console.log('\n======================================');
+console.log(`  Results: ${passed} passed, ${failed} failed`);
+console.log('======================================');
+
+if (failed > 0) {
+    process.exit(1);
+} else {
+    console.log('\n✓ All tests passed!');
+}
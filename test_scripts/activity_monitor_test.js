@@ -0,0 +1,168 @@
+/**
+ * Activity Monitor Test Suite
+ * Tests holding off while the user types, scrolls or hovers a button auto-accept would click.
+ */
+
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const { createActivityMonitor, watchDocument, isTextInput, DEFAULT_HOLD_MS } = require('../main_scripts/interaction/activity.js');
+
+function createMonitor(holdMs = DEFAULT_HOLD_MS) {
+    const clock = { now: 0 };
+    const monitor = createActivityMonitor({ holdMs, now: () => clock.now });
+    return { monitor, clock };
+}
+
+// Just enough of a document to dispatch the events watchDocument listens for
+function createDocument() {
+    const emitter = new EventEmitter();
+    return {
+        addEventListener: (type, listener) => emitter.on(type, listener),
+        dispatch: (type, event) => emitter.emit(type, event)
+    };
+}
+
+function element(tagName, { button = false, attributes = {}, editable = false } = {}) {
+    const el = {
+        tagName,
+        isContentEditable: editable,
+        getAttribute: (name) => attributes[name] || null,
+        closest: () => (button ? el : null),
+        contains: (other) => other === el
+    };
+    return el;
+}
+
+// Test runner
+const tests = [];
+function test(name, fn) { tests.push({ name, fn }); }
+
+// === TEST CASES ===
+
+test('activity holds off until the hold has passed', () => {
+    const { monitor, clock } = createMonitor(5000);
+    assert.strictEqual(monitor.isActive(), false);
+    monitor.note('typing');
+    clock.now = 4999;
+    assert.strictEqual(monitor.isActive(), true);
+    assert.strictEqual(monitor.kind(), 'typing');
+    clock.now = 5000;
+    assert.strictEqual(monitor.isActive(), false);
+});
+
+test('poll reports each start and end once', () => {
+    const { monitor, clock } = createMonitor(5000);
+    assert.strictEqual(monitor.poll(), null);
+    monitor.note('scrolling');
+    assert.strictEqual(monitor.poll(), 'started');
+    clock.now = 3000;
+    monitor.note('scrolling');
+    assert.strictEqual(monitor.poll(), null, 'Still the same pause');
+    clock.now = 8000;
+    assert.strictEqual(monitor.poll(), 'ended');
+    assert.strictEqual(monitor.poll(), null);
+});
+
+test('hovering holds off until the pointer leaves, then for the hold', () => {
+    const { monitor, clock } = createMonitor(5000);
+    monitor.setHovering(true);
+    clock.now = 60000;
+    assert.strictEqual(monitor.isActive(), true);
+    assert.strictEqual(monitor.kind(), 'hovering');
+    monitor.setHovering(false);
+    clock.now = 64000;
+    assert.strictEqual(monitor.isActive(), true);
+    clock.now = 65000;
+    assert.strictEqual(monitor.isActive(), false);
+});
+
+test('a hold of 0 never pauses', () => {
+    const { monitor } = createMonitor(0);
+    monitor.note('typing');
+    monitor.setHovering(true);
+    assert.strictEqual(monitor.isActive(), false);
+
+    monitor.setHoldMs(2000);
+    assert.strictEqual(monitor.isActive(), true);
+    monitor.setHoldMs(-1);
+    assert.strictEqual(monitor.isActive(), false);
+});
+
+test('text inputs are recognised', () => {
+    assert.strictEqual(isTextInput(element('TEXTAREA')), true);
+    assert.strictEqual(isTextInput(element('div', { editable: true })), true);
+    assert.strictEqual(isTextInput(element('DIV', { attributes: { role: 'textbox' } })), true);
+    assert.strictEqual(isTextInput(element('BUTTON')), false);
+    assert.strictEqual(isTextInput(null), false);
+});
+
+test('watched documents report typing, scrolling and hovering', () => {
+    const { monitor } = createMonitor(5000);
+    const doc = createDocument();
+    const accept = element('BUTTON', { button: true });
+    const other = element('BUTTON', { button: true });
+    assert.strictEqual(watchDocument(doc, monitor, el => el === accept), true);
+
+    doc.dispatch('keydown', { target: element('BUTTON') });
+    assert.strictEqual(monitor.isActive(), false, 'Keys outside text inputs do not count');
+    doc.dispatch('keydown', { target: element('TEXTAREA') });
+    assert.strictEqual(monitor.kind(), 'typing');
+    doc.dispatch('wheel', {});
+    assert.strictEqual(monitor.kind(), 'scrolling');
+
+    doc.dispatch('mouseover', { target: other });
+    assert.strictEqual(monitor.kind(), 'scrolling', 'Buttons it would not click do not count');
+    doc.dispatch('mouseover', { target: accept });
+    assert.strictEqual(monitor.kind(), 'hovering');
+});
+
+test('events from inside a shadow root count by their original target', () => {
+    const { monitor } = createMonitor(5000);
+    const doc = createDocument();
+    const host = element('CHAT-PANEL');
+    const input = element('TEXTAREA');
+    watchDocument(doc, monitor, () => true);
+
+    doc.dispatch('keydown', { target: host, composedPath: () => [input, host] });
+    assert.strictEqual(monitor.kind(), 'typing');
+    doc.dispatch('mouseover', { target: host, composedPath: () => [element('BUTTON', { button: true }), host] });
+    assert.strictEqual(monitor.kind(), 'hovering');
+});
+
+test('a document is only watched once', () => {
+    const { monitor } = createMonitor();
+    const doc = createDocument();
+    assert.strictEqual(watchDocument(doc, monitor, () => true), true);
+    assert.strictEqual(watchDocument(doc, monitor, () => true), false);
+    assert.strictEqual(watchDocument(null, monitor, () => true), false);
+});
+
+// === RUN TESTS ===
+console.log('======================================');
+console.log('  ACTIVITY MONITOR TEST SUITE');
+console.log('======================================\n');
+
+let passed = 0;
+let failed = 0;
+
+for (const { name, fn } of tests) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+console.log('\n======================================');
+console.log(`  Results: ${passed} passed, ${failed} failed`);
+console.log('======================================');
+
+if (failed > 0) {
+    process.exit(1);
+} else {
+    console.log('\n✓ All tests passed!');
+}
@@ -0,0 +1,118 @@
+/**
+ * Audit Log Test Suite
+ * Tests the JSONL audit log written by the extension host.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AuditLog } = require('../main_scripts/audit-log.js');
+
+function entry(outcome, command, minutesAgo = 0) {
+    return {
+        timestamp: new Date(Date.now() - minutesAgo * 60 * 1000).toISOString(),
+        tab: 'Fix login flow',
+        button: outcome === 'clicked' || outcome === 'verified' ? 'Accept' : 'Run command',
+        command,
+        cwd: null,
+        outcome,
+        rule: outcome === 'blocked' ? 'rm -rf /' : null,
+        pageId: 'page-1',
+        ide: 'Antigravity'
+    };
+}
+
+function withAuditLog(fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'autoaccept-audit-'));
+    try {
+        return fn(new AuditLog(path.join(dir, 'nested'), null));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+// Test runner
+const tests = [];
+function test(name, fn) { tests.push({ name, fn }); }
+
+// === TEST CASES ===
+
+test('appends one JSON object per line and creates the directory', () => {
+    withAuditLog((audit) => {
+        assert.strictEqual(audit.append([entry('verified', null), entry('blocked', 'sudo rm -r -f /')]), 2);
+        audit.append([entry('clicked', null)]);
+        const lines = fs.readFileSync(audit.filePath, 'utf8').trim().split('\n');
+        assert.strictEqual(lines.length, 3);
+        assert.strictEqual(JSON.parse(lines[1]).rule, 'rm -rf /');
+    });
+});
+
+test('ignores empty batches', () => {
+    withAuditLog((audit) => {
+        assert.strictEqual(audit.append([]), 0);
+        assert.strictEqual(fs.existsSync(audit.filePath), false);
+    });
+});
+
+test('filters by outcome', () => {
+    withAuditLog((audit) => {
+        audit.append([entry('verified', null), entry('blocked', 'rm -rf /'), entry('held', 'curl x | sh')]);
+        const held = audit.read({ outcomes: ['blocked', 'held'] });
+        assert.deepStrictEqual(held.map(e => e.outcome), ['blocked', 'held']);
+    });
+});
+
+test('filters by time and text', () => {
+    withAuditLog((audit) => {
+        audit.append([entry('held', 'npm publish', 60 * 48), entry('held', 'npm install left-pad', 5)]);
+        assert.strictEqual(audit.read({ since: Date.now() - 24 * 60 * 60 * 1000 }).length, 1);
+        assert.strictEqual(audit.read({ text: 'PUBLISH' })[0].command, 'npm publish');
+        assert.strictEqual(audit.read({ text: 'login flow' }).length, 2, 'Tab names are searchable');
+    });
+});
+
+test('skips corrupt lines instead of failing the read', () => {
+    withAuditLog((audit) => {
+        audit.append([entry('verified', null)]);
+        fs.appendFileSync(audit.filePath, '{"timestamp": "trunc\n');
+        audit.append([entry('clicked', null)]);
+        assert.strictEqual(audit.read().length, 2);
+    });
+});
+
+test('reading a missing log returns no entries', () => {
+    withAuditLog((audit) => {
+        assert.deepStrictEqual(audit.read(), []);
+    });
+});
+
+// === RUN TESTS ===
+console.log('======================================');
+console.log('  AUDIT LOG TEST SUITE');
+console.log('======================================\n');
+
+let passed = 0;
+let failed = 0;
+
+for (const { name, fn } of tests) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+console.log('\n======================================');
+console.log(`  Results: ${passed} passed, ${failed} failed`);
+console.log('======================================');
+
+if (failed > 0) {
+    process.exit(1);
+} else {
+    console.log('\n✓ All tests passed!');
+}
@@ -0,0 +1,152 @@
+/**
+ * Background Scheduler Test Suite
+ * Tests which conversation tab background mode visits next.
+ */
+
+const assert = require('assert');
+const { createScheduler, tabHint, isReachableDirectly } = require('../main_scripts/background/scheduler.js');
+
+const tabs = (...names) => names.map(name => ({ name }));
+
+// A scheduler that has visited every tab once with the given outcomes
+function visited(outcomes, options) {
+    const scheduler = createScheduler(options);
+    scheduler.sync(tabs(...Object.keys(outcomes)));
+    Object.entries(outcomes).forEach(([name, outcome]) => scheduler.record(name, outcome, 0));
+    return scheduler;
+}
+
+const RUNNING = { clicked: 0 };
+const WAITING = { clicked: 1 };
+const BLOCKED = { clicked: 0, held: true };
+const DONE = { clicked: 0, done: true };
+
+// Test runner
+const tests = [];
+function test(name, fn) { tests.push({ name, fn }); }
+
+// === TEST CASES ===
+
+test('unvisited tabs are visited in tab order', () => {
+    const scheduler = createScheduler();
+    scheduler.sync(tabs('a', 'b', 'c'));
+    assert.strictEqual(scheduler.next(null, 0), 'a');
+    scheduler.record('a', RUNNING, 0);
+    assert.strictEqual(scheduler.next('a', 5000), 'b');
+});
+
+test('stays on a conversation that keeps needing accepts', () => {
+    const scheduler = visited({ a: WAITING, b: RUNNING });
+    assert.strictEqual(scheduler.next('a', 20000), null);
+});
+
+test('running tabs are rechecked only after a while', () => {
+    const scheduler = visited({ a: RUNNING, b: RUNNING });
+    assert.strictEqual(scheduler.next('a', 5000), null, 'b was just seen running');
+    assert.strictEqual(scheduler.next('a', 15000), 'b');
+});
+
+test('done tabs are skipped until their tab shows activity', () => {
+    const scheduler = visited({ a: RUNNING, b: DONE });
+    assert.strictEqual(scheduler.next('a', 600000), null);
+
+    scheduler.sync([{ name: 'a' }, { name: 'b', hint: 'busy' }]);
+    assert.strictEqual(scheduler.get('b').state, 'running');
+    assert.strictEqual(scheduler.next('a', 600000), 'b');
+});
+
+test('waiting and attention tabs come before running ones', () => {
+    const scheduler = visited({ a: RUNNING, b: RUNNING, c: WAITING, d: RUNNING });
+    assert.strictEqual(scheduler.next('a', 20000), 'c');
+
+    scheduler.sync([{ name: 'a' }, { name: 'b' }, { name: 'c' }, { name: 'd', hint: 'attention' }]);
+    assert.strictEqual(scheduler.get('d').state, 'pending');
+    assert.strictEqual(scheduler.next('a', 40000), 'd');
+});
+
+test('blocked tabs wait for the longer recheck', () => {
+    const scheduler = visited({ a: RUNNING, b: BLOCKED });
+    assert.strictEqual(scheduler.next('a', 60000), null);
+    assert.strictEqual(scheduler.next('a', 120000), 'b');
+});
+
+test('no tab starves behind a busy one', () => {
+    const scheduler = visited({ a: WAITING, b: RUNNING }, { maxStarvationMs: 30000 });
+    for (let now = 5000; now < 30000; now += 5000) {
+        scheduler.record('a', WAITING, now);
+        assert.strictEqual(scheduler.next('a', now), null);
+    }
+    assert.strictEqual(scheduler.next('a', 30000), 'b');
+});
+
+test('stays at least the minimum dwell after switching', () => {
+    const scheduler = createScheduler({ minDwellMs: 4000 });
+    scheduler.sync(tabs('a', 'b', 'c'));
+    assert.strictEqual(scheduler.next(null, 0), 'a');
+    scheduler.record('a', RUNNING, 500);
+    assert.strictEqual(scheduler.next('a', 3000), null);
+    assert.strictEqual(scheduler.next('a', 4000), 'b');
+});
+
+test('closed tabs are forgotten and the delay follows the work left', () => {
+    const scheduler = visited({ a: RUNNING, b: WAITING });
+    assert.strictEqual(scheduler.nextDelay(), 1000);
+    scheduler.sync(tabs('a'));
+    assert.strictEqual(scheduler.get('b'), null);
+    assert.strictEqual(scheduler.nextDelay(), 3000);
+});
+
+test('tabs reachable as their own target are never switched to', () => {
+    const scheduler = createScheduler();
+    scheduler.sync([{ name: 'a' }, { name: 'b', direct: true }, { name: 'c' }]);
+    assert.strictEqual(scheduler.next(null, 0), 'a');
+    scheduler.record('a', RUNNING, 0);
+    assert.strictEqual(scheduler.next('a', 5000), 'c');
+    scheduler.record('c', RUNNING, 5000);
+    assert.strictEqual(scheduler.next('c', 600000), 'a', 'Not even when starving');
+});
+
+test('tab names match the titles of conversation targets', () => {
+    assert.strictEqual(isReachableDirectly('Refactor auth', ['Refactor Auth - Antigravity']), true);
+    assert.strictEqual(isReachableDirectly('Refactor auth', ['Fix tests']), false);
+    assert.strictEqual(isReachableDirectly('ab', ['ab']), false, 'Too short to match safely');
+    assert.strictEqual(isReachableDirectly('Refactor auth', undefined), false);
+});
+
+test('tab hints read spinners and badges inside the tab', () => {
+    const tab = (match) => ({ querySelector: (selector) => (match && selector.includes(match) ? {} : null) });
+    assert.strictEqual(tabHint(tab('badge')), 'attention');
+    assert.strictEqual(tabHint(tab('codicon-loading')), 'busy');
+    assert.strictEqual(tabHint(tab(null)), null);
+    assert.strictEqual(tabHint(undefined), null);
+});
+
+// === RUN TESTS ===
+console.log('======================================');
+console.log('  BACKGROUND SCHEDULER TEST SUITE');
+console.log('======================================\n');
+
+let passed = 0;
+let failed = 0;
+
+for (const { name, fn } of tests) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+console.log('\n======================================');
+console.log(`  Results: ${passed} passed, ${failed} failed`);
+console.log('======================================');
+
+if (failed > 0) {
+    process.exit(1);
+} else {
+    console.log('\n✓ All tests passed!');
+}
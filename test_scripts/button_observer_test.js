@@ -0,0 +1,224 @@
+/**
+ * Button Observer Test Suite
+ * Tests finding candidate buttons from DOM mutations instead of polling every document.
+ */
+
+const assert = require('assert');
+const { createDom } = require('./helpers/fake-dom.js');
+const { runPageScript } = require('./helpers/page-script.js');
+const { createButtonObserver, collectCandidates, findRoots } = require('../main_scripts/detection/observer.js');
+
+// A window with a chat panel, something outside it, and an iframe document
+function createPage() {
+    const dom = createDom();
+    const main = dom.createDocument();
+    const panel = dom.build(main, ['div', { id: 'workbench.parts.auxiliarybar' }, ['div', { class: 'messages' }]]);
+    const editor = dom.build(main, ['div', { class: 'editor' }]);
+    main.body.appendChild(panel);
+    main.body.appendChild(editor);
+    const frame = dom.createDocument();
+    dom.flush();
+
+    const found = [];
+    const observer = createButtonObserver(els => found.push(...els), { MutationObserver: dom.MutationObserver });
+    observer.sync([main, frame]);
+    return { dom, main, frame, panel, editor, messages: panel.querySelector('.messages'), observer, found };
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Test runner
+const tests = [];
+function test(name, fn) { tests.push({ name, fn }); }
+
+// === TEST CASES ===
+
+test('buttons in an added message are reported once the batch is delivered', () => {
+    const { dom, main, messages, found } = createPage();
+    messages.appendChild(dom.build(main, ['div', { class: 'message' },
+        ['p', {}, 'Run this?'],
+        ['button', {}, 'Accept'],
+        ['div', { class: 'monaco-button' }, 'Reject']
+    ]));
+    assert.strictEqual(found.length, 0, 'Nothing before the batch');
+    dom.flush();
+    assert.deepStrictEqual(found.map(el => el.textContent), ['Accept', 'Reject']);
+});
+
+test('enabled buttons and changed labels are reported', () => {
+    const { dom, main, messages, found } = createPage();
+    const button = dom.build(main, ['button', { disabled: '' }, ['span', {}, 'Running']]);
+    messages.appendChild(button);
+    dom.flush();
+    found.length = 0;
+
+    button.removeAttribute('disabled');
+    dom.flush();
+    assert.deepStrictEqual(found, [button]);
+
+    found.length = 0;
+    button.querySelector('span').childNodes[0].data = 'Accept';
+    dom.flush();
+    assert.deepStrictEqual(found, [button], 'The button around the changed text');
+});
+
+test('changes without candidate buttons report nothing', () => {
+    const { dom, main, messages, found, observer } = createPage();
+    const paragraph = dom.build(main, ['p', {}, 'Thinking']);
+    messages.appendChild(paragraph);
+    paragraph.childNodes[0].data = 'Thinking harder';
+    paragraph.setAttribute('data-index', '3');
+    dom.flush();
+    assert.deepStrictEqual(found, []);
+    assert.strictEqual(observer.stats().mutations, 2, 'Unobserved attributes are filtered out');
+});
+
+test('only the chat panel is watched in the main window, iframes whole', () => {
+    const { dom, main, frame, editor, found } = createPage();
+    editor.appendChild(dom.build(main, ['button', {}, 'Accept']));
+    frame.body.appendChild(dom.build(frame, ['button', {}, 'Run']));
+    dom.flush();
+    assert.deepStrictEqual(found.map(el => el.textContent), ['Run']);
+});
+
+test('the main window is watched whole when it has no chat panel', () => {
+    const dom = createDom();
+    const doc = dom.createDocument();
+    assert.deepStrictEqual(findRoots(doc, true), [doc.body]);
+
+    const outer = dom.build(doc, ['div', { id: 'workbench.parts.auxiliarybar' }, ['div', { class: 'interactive-session' }]]);
+    doc.body.appendChild(outer);
+    assert.deepStrictEqual(findRoots(doc, true), [outer], 'Nested panels are covered by the outer one');
+    assert.deepStrictEqual(findRoots(doc, false), [doc.body]);
+});
+
+test('sync follows panels that are replaced', () => {
+    const { dom, main, panel, observer, found } = createPage();
+    assert.strictEqual(observer.sync([main]), true, 'The iframe went away');
+    assert.strictEqual(observer.sync([main]), false, 'Nothing changed');
+
+    panel.remove();
+    const fresh = dom.build(main, ['div', { id: 'workbench.parts.auxiliarybar' }]);
+    main.body.appendChild(fresh);
+    dom.flush();
+    assert.strictEqual(observer.sync([main]), true);
+    fresh.appendChild(dom.build(main, ['button', {}, 'Accept']));
+    dom.flush();
+    assert.strictEqual(found.length, 1);
+    assert.strictEqual(observer.stats().roots, 1);
+});
+
+test('disconnect stops reporting', () => {
+    const { dom, main, messages, observer, found } = createPage();
+    observer.disconnect();
+    messages.appendChild(dom.build(main, ['button', {}, 'Accept']));
+    dom.flush();
+    assert.deepStrictEqual(found, []);
+});
+
+test('records from several mutations yield each button once', () => {
+    const dom = createDom();
+    const doc = dom.createDocument();
+    const button = dom.build(doc, ['button', { class: 'bg-ide-button-background' }, 'Accept']);
+    const records = [
+        { type: 'childList', addedNodes: [button] },
+        { type: 'attributes', target: button },
+        { type: 'characterData', target: button.childNodes[0] }
+    ];
+    assert.deepStrictEqual(collectCandidates(records), [button]);
+});
+
+test('no MutationObserver, no observer', () => {
+    assert.strictEqual(createButtonObserver(() => {}), null);
+});
+
+test('the page script clicks a button as soon as it appears', async () => {
+    const dom = createDom();
+    const doc = dom.createDocument();
+    const panel = dom.build(doc, ['div', { id: 'workbench.parts.auxiliarybar' }]);
+    doc.body.appendChild(panel);
+    dom.flush();
+    const window = runPageScript(dom, doc);
+    window.__autoAcceptStart({ ide: 'antigravity', pollInterval: 1000, safetyNetInterval: 60000 });
+    await sleep(20);
+
+    // After the first poll, long before the next one
+    const button = dom.build(doc, ['button', {}, 'Accept']);
+    button.click = () => button.remove();
+    panel.appendChild(button);
+    dom.flush();
+    await sleep(200);
+    window.__autoAcceptStop();
+
+    assert.strictEqual(button.isConnected, false, 'Clicked by the observer');
+    assert.strictEqual(window.__autoAcceptState.detection, 'observer');
+});
+
+test('poll detection leaves the observer off', async () => {
+    const dom = createDom();
+    const doc = dom.createDocument();
+    const window = runPageScript(dom, doc);
+    window.__autoAcceptStart({ ide: 'antigravity', pollInterval: 60000, detection: 'poll' });
+    await sleep(20);
+
+    const button = dom.build(doc, ['button', {}, 'Accept']);
+    doc.body.appendChild(button);
+    dom.flush();
+    await sleep(100);
+    window.__autoAcceptStop();
+    assert.strictEqual(button.clicks, 0, 'Waits for the next poll');
+});
+
+test('the observer and the background loop never click the same button together', async () => {
+    const dom = createDom();
+    const doc = dom.createDocument();
+    const panel = dom.build(doc, ['div', { id: 'workbench.parts.auxiliarybar' }, ['button', { class: 'grow' }, 'Fix the build']]);
+    doc.body.appendChild(panel);
+    dom.flush();
+    const window = runPageScript(dom, doc);
+    window.__autoAcceptStart({ ide: 'antigravity', isBackgroundMode: true, pollInterval: 1000, safetyNetInterval: 60000 });
+    await sleep(400);
+
+    // Appears just before the loop's pass after switching tabs, and takes a while to go
+    const button = dom.build(doc, ['button', {}, 'Accept']);
+    button.click = () => { button.clicks++; setTimeout(() => button.remove(), 400); };
+    panel.appendChild(button);
+    dom.flush();
+    await sleep(1000);
+    window.__autoAcceptStop();
+
+    assert.strictEqual(button.isConnected, false);
+    assert.strictEqual(button.clicks, 1);
+});
+
+// === RUN TESTS ===
+(async () => {
+    console.log('======================================');
+    console.log('  BUTTON OBSERVER TEST SUITE');
+    console.log('======================================\n');
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (error) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${error.message}`);
+            failed++;
+        }
+    }
+
+    console.log('\n======================================');
+    console.log(`  Results: ${passed} passed, ${failed} failed`);
+    console.log('======================================');
+
+    if (failed > 0) {
+        process.exit(1);
+    } else {
+        console.log('\n✓ All tests passed!');
+    }
+})();
@@ -0,0 +1,190 @@
+/**
+ * Button Rules Test Suite
+ * Tests the ordered rule engine that decides which buttons get clicked.
+ */
+
+const assert = require('assert');
+const {
+    getDefaultRules,
+    normalizeLabel,
+    validateRule,
+    compileRules,
+    findButtonRule,
+    actionTypeOf,
+    ACTION_TYPES,
+    CATEGORIES
+} = require('../main_scripts/buttons/rules.js');
+
+// Just enough of an Element: attributes, a class list for selectors and a parent chain
+function button(text, { attrs = {}, classes = [], ancestors = [] } = {}) {
+    let parent = null;
+    for (const cls of ancestors.slice().reverse()) {
+        parent = { classes: [cls], parentElement: parent, attrs: {} };
+    }
+    const matchesNode = (node, selector) => selector.split(',').some(part => {
+        const s = part.trim();
+        if (s === '[role="tooltip"]') return node.attrs.role === 'tooltip';
+        if (!s.startsWith('.')) throw new SyntaxError(`Unsupported selector ${s}`);
+        return node.classes.includes(s.slice(1));
+    });
+    const closest = (node, selector) => {
+        for (let n = node; n; n = n.parentElement) {
+            if (matchesNode(n, selector)) return n;
+        }
+        return null;
+    };
+    for (let n = parent; n; n = n.parentElement) n.closest = (sel) => closest(n, sel);
+
+    return {
+        textContent: text,
+        attrs,
+        classes,
+        parentElement: parent,
+        getAttribute: (name) => attrs[name] ?? null,
+        matches: (selector) => matchesNode({ attrs, classes }, selector)
+    };
+}
+
+function decide(el, rules = compileRules(getDefaultRules('antigravity'))) {
+    const rule = findButtonRule(el, normalizeLabel(el.textContent), rules);
+    return rule ? `${rule.action}:${rule.category || rule.id}` : 'none';
+}
+
+// Test runner
+const tests = [];
+function test(name, fn) { tests.push({ name, fn }); }
+
+// === TEST CASES ===
+
+test('defaults click the usual buttons with their category', () => {
+    assert.strictEqual(decide(button('Accept')), 'click:accept');
+    assert.strictEqual(decide(button('Accept all')), 'click:accept');
+    assert.strictEqual(decide(button('Run command')), 'click:run');
+    assert.strictEqual(decide(button('Execute')), 'click:run');
+    assert.strictEqual(decide(button('Allow once')), 'click:allow');
+    assert.strictEqual(decide(button('Retry')), 'click:retry');
+});
+
+test('keyboard hints and zero-width characters are ignored', () => {
+    assert.strictEqual(normalizeLabel('  Run\u200B   Alt+Enter '), 'run');
+    assert.strictEqual(decide(button('Accept Ctrl+Enter')), 'click:accept');
+});
+
+test('whole-word matching skips Rerun and Running', () => {
+    assert.strictEqual(decide(button('Rerun tests')), 'none');
+    assert.strictEqual(decide(button('Running…')), 'none');
+    assert.strictEqual(decide(button('Accepted')), 'none');
+});
+
+test('dismiss and model picker buttons are ignored first', () => {
+    assert.strictEqual(decide(button('Reject')), 'ignore:ignore-dismiss');
+    assert.strictEqual(decide(button('Accept or Reject')), 'ignore:ignore-dismiss', 'Order decides, ignore rules come first');
+    assert.strictEqual(decide(button('Gemini 2.5 Pro')), 'ignore:ignore-model-picker');
+});
+
+test('buttons inside tooltips are ignored', () => {
+    assert.strictEqual(decide(button('Run', { ancestors: ['monaco-hover'] })), 'ignore:ignore-tooltips');
+});
+
+test('user rules run before the defaults', () => {
+    const rules = compileRules([
+        { id: 'no-run-in-review', match: { text: 'run', ancestor: '.review-panel' }, action: 'ignore' },
+        { match: { text: 'keep all' }, action: 'click', category: 'accept' },
+        ...getDefaultRules('cursor')
+    ]);
+    assert.strictEqual(decide(button('Run', { ancestors: ['review-panel'] }), rules), 'ignore:no-run-in-review');
+    assert.strictEqual(decide(button('Run'), rules), 'click:run');
+    assert.strictEqual(decide(button('Keep All'), rules), 'click:accept');
+});
+
+test('matches on aria-label, role and selector together', () => {
+    const rules = compileRules([{ id: 'icon-accept', match: { ariaLabel: 'accept changes', role: 'button', selector: '.codicon-check' }, action: 'confirm', category: 'apply' }]);
+    const icon = button('', { attrs: { 'aria-label': 'Accept Changes', role: 'button' }, classes: ['codicon-check'] });
+    assert.strictEqual(decide(icon, rules), 'confirm:apply');
+    icon.attrs.role = 'menuitem';
+    assert.strictEqual(decide(icon, rules), 'none', 'Every condition has to match');
+});
+
+test('regex text patterns drop stateful flags', () => {
+    const rules = compileRules([{ match: { text: '/^go$/g' }, action: 'click', category: 'accept' }]);
+    assert.strictEqual(decide(button('Go'), rules), 'click:accept');
+    assert.strictEqual(decide(button('Go'), rules), 'click:accept');
+});
+
+test('a selector the page rejects means no match', () => {
+    const rules = compileRules([{ match: { selector: 'div:has(' }, action: 'click', category: 'accept' }]);
+    assert.strictEqual(decide(button('Accept'), rules), 'none');
+});
+
+test('validation reports missing conditions, actions and categories', () => {
+    assert.deepStrictEqual(validateRule({ match: { text: 'go' }, action: 'click', category: 'accept' }), []);
+    assert.deepStrictEqual(validateRule({ match: { text: 'x' }, action: 'ignore' }), [], 'Ignore rules need no category');
+    assert.strictEqual(validateRule({ match: {}, action: 'click', category: 'accept' }).length, 1);
+    assert.strictEqual(validateRule({ match: { text: 'x', colour: 'red' }, action: 'click', category: 'accept' }).length, 1);
+    assert.strictEqual(validateRule({ match: { text: 'x' }, action: 'press', category: 'accept' }).length, 1);
+    assert.strictEqual(validateRule({ match: { text: 'x' }, action: 'click' }).length, 1);
+    assert.strictEqual(validateRule({ match: { text: '/[/' }, action: 'ignore' }).length, 1);
+});
+
+test('rules choose a click strategy, synthetic by default', () => {
+    assert.deepStrictEqual(validateRule({ match: { text: 'go' }, action: 'click', category: 'accept', click: 'trusted' }), []);
+    assert.strictEqual(validateRule({ match: { text: 'go' }, action: 'click', category: 'accept', click: 'double' }).length, 1);
+    const [trusted, plain] = compileRules([
+        { match: { text: 'go' }, action: 'click', category: 'accept', click: 'trusted' },
+        { match: { text: 'stop' }, action: 'click', category: 'accept' }
+    ]);
+    assert.strictEqual(trusted.click, 'trusted');
+    assert.strictEqual(plain.click, 'synthetic');
+});
+
+test('invalid rules compile to inert entries', () => {
+    const [rule] = compileRules([{ id: 'broken', match: { text: '/(/' }, action: 'click', category: 'accept' }]);
+    assert.strictEqual(rule.id, 'broken');
+    assert.ok(rule.error);
+    assert.strictEqual(decide(button('('), [rule]), 'none');
+});
+
+test('every category maps to one switchable action type', () => {
+    assert.strictEqual(actionTypeOf('accept'), 'file_edit');
+    assert.strictEqual(actionTypeOf('apply'), 'file_edit');
+    assert.strictEqual(actionTypeOf('run'), 'terminal_command');
+    assert.strictEqual(actionTypeOf('retry'), 'retry');
+    assert.strictEqual(actionTypeOf('allow'), 'permission');
+    CATEGORIES.forEach(c => assert.ok(ACTION_TYPES.includes(actionTypeOf(c)), c));
+});
+
+test('default rules are copies', () => {
+    getDefaultRules('antigravity')[0].match.ancestor = '.changed';
+    assert.notStrictEqual(getDefaultRules('antigravity')[0].match.ancestor, '.changed');
+    assert.ok(getDefaultRules('unknown-ide').length > 0);
+});
+
+// === RUN TESTS ===
+console.log('======================================');
+console.log('  BUTTON RULES TEST SUITE');
+console.log('======================================\n');
+
+let passed = 0;
+let failed = 0;
+
+for (const { name, fn } of tests) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+console.log('\n======================================');
+console.log(`  Results: ${passed} passed, ${failed} failed`);
+console.log('======================================');
+
+if (failed > 0) {
+    process.exit(1);
+} else {
+    console.log('\n✓ All tests passed!');
+}
@@ -0,0 +1,108 @@
+/**
+ * CDP Endpoint Settings Test Suite
+ * Tests parsing of the host, port list and browser URL settings.
+ */
+
+const assert = require('assert');
+const { parsePortList, parseBrowserUrl, resolveEndpoint, describeEndpoint } = require('../main_scripts/cdp-endpoint.js');
+
+// Test runner
+const tests = [];
+function test(name, fn) { tests.push({ name, fn }); }
+
+// === TEST CASES ===
+
+test('defaults launch on 9000 and still scan 9222', () => {
+    const endpoint = resolveEndpoint();
+    assert.strictEqual(endpoint.host, '127.0.0.1');
+    assert.strictEqual(endpoint.launchPort, 9000);
+    assert.strictEqual(endpoint.ports.length, 12);
+    assert.ok(endpoint.ports.includes(9222));
+    assert.deepStrictEqual(endpoint.warnings, []);
+});
+
+test('parses ports and ranges in order without duplicates', () => {
+    const { ports, warnings } = parsePortList('9333, 9000-9002, 9001');
+    assert.deepStrictEqual(ports, [9333, 9000, 9001, 9002]);
+    assert.deepStrictEqual(warnings, []);
+});
+
+test('accepts an array of ports', () => {
+    assert.deepStrictEqual(parsePortList([9222, '9000-9001']).ports, [9222, 9000, 9001]);
+});
+
+test('skips invalid entries with a warning', () => {
+    const { ports, warnings } = parsePortList('abc, 70000, 9010-9000, 9222');
+    assert.deepStrictEqual(ports, [9222]);
+    assert.strictEqual(warnings.length, 3);
+});
+
+test('caps huge ranges', () => {
+    const { ports, warnings } = parsePortList('1-65535');
+    assert.strictEqual(ports.length, 64);
+    assert.strictEqual(warnings.length, 1);
+});
+
+test('falls back to the defaults when nothing usable is configured', () => {
+    const endpoint = resolveEndpoint({ ports: 'nope' });
+    assert.strictEqual(endpoint.launchPort, 9000);
+    assert.strictEqual(endpoint.warnings.length, 2);
+});
+
+test('browser URL sets the host and is scanned and launched first', () => {
+    const endpoint = resolveEndpoint({
+        host: 'ignored.local',
+        ports: '9000-9001',
+        browserUrl: 'ws://host.docker.internal:9001/devtools/browser/abc'
+    });
+    assert.strictEqual(endpoint.host, 'host.docker.internal');
+    assert.deepStrictEqual(endpoint.ports, [9001, 9000]);
+    assert.strictEqual(endpoint.launchPort, 9001);
+    assert.strictEqual(endpoint.browserUrl, 'ws://host.docker.internal:9001/devtools/browser/abc');
+});
+
+test('rejects non-websocket browser URLs', () => {
+    assert.strictEqual(parseBrowserUrl('http://127.0.0.1:9222/json'), null);
+    assert.strictEqual(parseBrowserUrl('not a url'), null);
+    const endpoint = resolveEndpoint({ browserUrl: 'http://127.0.0.1:9222' });
+    assert.strictEqual(endpoint.browserUrl, null);
+    assert.strictEqual(endpoint.warnings.length, 1);
+});
+
+test('strips IPv6 brackets from the browser host', () => {
+    assert.strictEqual(parseBrowserUrl('ws://[::1]:9222/devtools/browser/x').host, '::1');
+});
+
+test('describes ports as compact ranges', () => {
+    assert.strictEqual(describeEndpoint(resolveEndpoint()), '127.0.0.1:9000-9010, 9222');
+});
+
+// === RUN TESTS ===
+console.log('======================================');
+console.log('  CDP ENDPOINT SETTINGS TEST SUITE');
+console.log('======================================\n');
+
+let passed = 0;
+let failed = 0;
+
+for (const { name, fn } of tests) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+console.log('\n======================================');
+console.log(`  Results: ${passed} passed, ${failed} failed`);
+console.log('======================================');
+
+if (failed > 0) {
+    process.exit(1);
+} else {
+    console.log('\n✓ All tests passed!');
+}
@@ -0,0 +1,301 @@
+/**
+ * Command Extraction Test Suite
+ * Tests that Run/Execute buttons are tied to the command card they belong to.
+ */
+
+const assert = require('assert');
+const { extractCommandContext } = require('../main_scripts/commands/extract.js');
+const { createDom } = require('./helpers/fake-dom.js');
+const { runPageScript } = require('./helpers/page-script.js');
+
+// Minimal DOM element supporting the selectors used by the extractor
+class MockElement {
+    constructor(tagName, attributes = {}, children = [], text = '') {
+        this.nodeType = 1;
+        this.tagName = tagName.toUpperCase();
+        this.attributes = attributes;
+        this.className = attributes.class || '';
+        this.id = attributes.id || '';
+        this.children = children;
+        this.parentElement = null;
+        this._text = text;
+        children.forEach(child => { child.parentElement = this; });
+    }
+
+    get textContent() {
+        return this._text + this.children.map(c => c.textContent).join('');
+    }
+
+    get childNodes() {
+        return (this._text ? [{ nodeType: 3, textContent: this._text }] : []).concat(this.children);
+    }
+
+    getAttribute(name) {
+        if (name === 'class') return this.className || null;
+        return this.attributes[name] !== undefined ? this.attributes[name] : null;
+    }
+
+    matches(selector) {
+        return selector.split(',').some(part => this._matchesSimple(part.trim()));
+    }
+
+    _matchesSimple(selector) {
+        if (selector === '*') return true;
+        const attr = selector.match(/^\[([\w-]+)(?:(\*?=)"([^"]*)")?\]$/);
+        if (attr) {
+            const value = this.getAttribute(attr[1]);
+            if (value === null) return false;
+            if (!attr[2]) return true;
+            return attr[2] === '=' ? value === attr[3] : value.includes(attr[3]);
+        }
+        return this.tagName.toLowerCase() === selector.toLowerCase();
+    }
+
+    contains(other) {
+        let node = other;
+        while (node) {
+            if (node === this) return true;
+            node = node.parentElement;
+        }
+        return false;
+    }
+
+    querySelectorAll(selector) {
+        const results = [];
+        const walk = (node) => {
+            node.children.forEach(child => {
+                if (child.matches(selector)) results.push(child);
+                walk(child);
+            });
+        };
+        walk(this);
+        return results;
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+}
+
+const el = (tag, attrs, ...children) => new MockElement(tag, attrs || {}, children);
+const text = (tag, attrs, content) => new MockElement(tag, attrs || {}, [], content);
+
+// Test runner
+const tests = [];
+function test(name, fn) { tests.push({ name, fn }); }
+
+// === TEST CASES ===
+
+test('extracts the command from the card that owns the button', () => {
+    const button = text('button', {}, 'Run');
+    el('div', { class: 'conversation' },
+        el('div', { class: 'tool-card' }, text('pre', {}, 'rm -rf /'), text('span', {}, 'Ran')),
+        el('div', { class: 'tool-card' }, text('pre', {}, 'npm test'), button)
+    );
+
+    const record = extractCommandContext(button);
+    assert.strictEqual(record.command, 'npm test');
+});
+
+test('does not leak commands from earlier messages when the card has none', () => {
+    const button = text('button', {}, 'Run');
+    el('div', { class: 'conversation' },
+        el('div', { class: 'message' }, text('pre', {}, 'git push --force')),
+        el('div', { class: 'message' }, el('div', { class: 'actions' }, button))
+    );
+
+    assert.strictEqual(extractCommandContext(button), null);
+});
+
+test('stops before a container shared with another Run button', () => {
+    const button = text('button', {}, 'Run command');
+    el('div', {},
+        el('div', {}, text('code', {}, 'rm -rf ~'), text('button', {}, 'Run command')),
+        el('div', {}, el('div', {}, button))
+    );
+
+    assert.strictEqual(extractCommandContext(button), null);
+});
+
+test('Run and Always run in one card share its command', () => {
+    const button = text('button', {}, 'Run');
+    const always = text('button', {}, 'Always run');
+    el('div', { class: 'conversation' },
+        el('div', { class: 'tool-card' }, text('pre', {}, 'rm -rf /'), button, always)
+    );
+
+    assert.strictEqual(extractCommandContext(button).command, 'rm -rf /');
+    assert.strictEqual(extractCommandContext(always).command, 'rm -rf /');
+});
+
+test('variants in a split button below the command are found too', () => {
+    const button = text('button', {}, 'Run');
+    el('div', { class: 'tool-card' },
+        text('pre', {}, 'git push --force'),
+        el('div', { class: 'actions' }, el('span', {}, button), el('span', {}, text('button', {}, 'Always run')))
+    );
+
+    assert.strictEqual(extractCommandContext(button).command, 'git push --force');
+});
+
+test('finds commands rendered outside pre/code elements', () => {
+    const button = text('button', {}, 'Execute');
+    el('div', { class: 'tool-card' },
+        text('div', { class: 'terminal-command-line' }, 'sudo rm -r -f /'),
+        button
+    );
+
+    const record = extractCommandContext(button);
+    assert.strictEqual(record.command, 'sudo rm -r -f /');
+});
+
+test('prefers an explicit data-command attribute', () => {
+    const button = text('button', {}, 'Run');
+    el('div', {},
+        text('pre', {}, 'echo shown'),
+        text('span', { 'data-command': 'echo actual' }, 'echo…'),
+        button
+    );
+
+    assert.strictEqual(extractCommandContext(button).command, 'echo actual');
+});
+
+test('uses the outermost element of nested pre > code', () => {
+    const button = text('button', {}, 'Run');
+    el('div', { class: 'card' }, el('pre', {}, text('code', {}, 'ls -la')), button);
+
+    const record = extractCommandContext(button);
+    assert.strictEqual(record.command, 'ls -la');
+    assert.strictEqual(record.sourcePath, 'div.card > pre');
+});
+
+test('reads every command block in the card, one per line', () => {
+    const button = text('button', {}, 'Run');
+    el('div', { class: 'card' },
+        text('code', {}, 'rm -rf ~'),
+        text('code', {}, '&& echo done'),
+        button,
+        text('pre', {}, 'after')
+    );
+
+    const record = extractCommandContext(button);
+    assert.strictEqual(record.command, 'rm -rf ~\n&& echo done\nafter');
+    assert.deepStrictEqual(record.sourcePaths, ['div.card > code', 'div.card > code', 'div.card > pre']);
+});
+
+test('code blocks inside one pre do not run together', () => {
+    const button = text('button', {}, 'Run');
+    el('div', { class: 'card' },
+        el('pre', {}, text('code', {}, 'rm -rf ~'), text('code', {}, 'echo done')),
+        button
+    );
+
+    const record = extractCommandContext(button);
+    assert.strictEqual(record.command, 'rm -rf ~\necho done');
+    assert.deepStrictEqual(record.sourcePaths, ['div.card > pre']);
+});
+
+test('reports the working directory when shown', () => {
+    const button = text('button', {}, 'Run');
+    el('div', { class: 'card' },
+        text('span', { class: 'cwd-label' }, '~/project'),
+        text('pre', {}, '$ npm run build'),
+        button
+    );
+
+    const record = extractCommandContext(button);
+    assert.strictEqual(record.cwd, '~/project');
+    assert.strictEqual(record.command, 'npm run build', 'Prompt marker should be stripped');
+});
+
+test('falls back to the text after a colon in aria-label', () => {
+    const button = text('button', { 'aria-label': 'Execute: chmod -R 777 /' }, 'Run');
+    el('div', {}, button);
+
+    const record = extractCommandContext(button);
+    assert.strictEqual(record.command, 'chmod -R 777 /');
+    assert.strictEqual(record.sourcePath, 'button[aria-label]');
+});
+
+test('ignores labels without a command', () => {
+    const button = text('button', { 'aria-label': 'Run command' }, 'Run');
+    el('div', {}, button);
+
+    assert.strictEqual(extractCommandContext(button), null);
+});
+
+// The page script, with everything it reports to the host
+function startPage(card, config = {}) {
+    const dom = createDom();
+    const doc = dom.createDocument();
+    doc.body.appendChild(dom.build(doc, card));
+    const events = [];
+    const window = runPageScript(dom, doc, { __autoAcceptEmit: (payload) => events.push(JSON.parse(payload)) });
+    window.__autoAcceptStart({ ide: 'antigravity', pollInterval: 60000, detection: 'poll', ...config });
+    return { doc, window, events };
+}
+
+test('the page script blocks a banned command next to Run and Always run', async () => {
+    const { doc, window, events } = startPage(['div', { class: 'tool-card' },
+        ['pre', {}, 'rm -rf /'], ['button', {}, 'Run'], ['button', {}, 'Always run']
+    ], { bannedCommands: ['rm -rf /'] });
+    await new Promise(r => setTimeout(r, 50));
+    window.__autoAcceptStop();
+
+    assert.deepStrictEqual(doc.querySelectorAll('button').map(b => b.clicks), [0, 0]);
+    assert.ok(events.some(e => e.type === 'blocked'));
+});
+
+test('the page script blocks a banned command split over two code blocks', async () => {
+    const { doc, window, events } = startPage(['div', { class: 'tool-card' },
+        ['code', {}, 'rm -rf /'], ['code', {}, '&& echo done'], ['button', {}, 'Run']
+    ], { bannedCommands: ['rm -rf /'] });
+    await new Promise(r => setTimeout(r, 50));
+    window.__autoAcceptStop();
+
+    assert.strictEqual(doc.querySelector('button').clicks, 0);
+    assert.ok(events.some(e => e.type === 'blocked'));
+});
+
+test('the page script holds a Run button whose command it cannot find', async () => {
+    const { doc, window, events } = startPage(['div', { class: 'tool-card' }, ['button', {}, 'Run']], { bannedCommands: ['rm -rf /'] });
+    await new Promise(r => setTimeout(r, 50));
+    window.__autoAcceptStop();
+
+    assert.strictEqual(doc.querySelector('button').clicks, 0);
+    const review = events.find(e => e.type === 'review');
+    assert.ok(review, 'Sent for review');
+    assert.strictEqual(review.review.reason, 'no-command');
+});
+
+// === RUN TESTS ===
+(async () => {
+    console.log('======================================');
+    console.log('  COMMAND EXTRACTION TEST SUITE');
+    console.log('======================================\n');
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (error) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${error.message}`);
+            failed++;
+        }
+    }
+
+    console.log('\n======================================');
+    console.log(`  Results: ${passed} passed, ${failed} failed`);
+    console.log('======================================');
+
+    if (failed > 0) {
+        process.exit(1);
+    } else {
+        console.log('\n✓ All tests passed!');
+    }
+})();
@@ -0,0 +1,269 @@
+/**
+ * CDP Connection Manager Test Suite
+ * Tests target discovery, reconnect backoff and re-injection triggers.
+ */
+
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const { CDPConnectionManager, backoffDelay } = require('../main_scripts/cdp-connection-manager.js');
+
+// WebSocket stand-in: opens on the next tick and answers every command with an empty result
+class FakeWebSocket extends EventEmitter {
+    constructor(url) {
+        super();
+        this.url = url;
+        this.readyState = 0;
+        this.sent = [];
+        this.pings = 0;
+        this.terminated = false;
+        FakeWebSocket.instances.push(this);
+        setImmediate(() => {
+            this.readyState = FakeWebSocket.OPEN;
+            this.emit('open');
+        });
+    }
+
+    send(data) {
+        const msg = JSON.parse(data);
+        this.sent.push(msg);
+        setImmediate(() => this.emit('message', JSON.stringify({ id: msg.id, result: {} })));
+    }
+
+    receive(method, params) {
+        this.emit('message', JSON.stringify({ method, params }));
+    }
+
+    ping() { this.pings++; }
+
+    terminate() {
+        this.terminated = true;
+        this.close();
+    }
+
+    close() {
+        if (this.readyState === 3) return;
+        this.readyState = 3;
+        this.emit('close');
+    }
+}
+FakeWebSocket.OPEN = 1;
+FakeWebSocket.instances = [];
+
+const settle = async () => {
+    for (let i = 0; i < 10; i++) await new Promise(r => setImmediate(r));
+};
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function createManager(endpoints) {
+    FakeWebSocket.instances = [];
+    const fetchJson = async (port, path) => {
+        const endpoint = endpoints[port];
+        if (!endpoint) throw new Error('ECONNREFUSED');
+        return path === '/json/version' ? endpoint.version : endpoint.list;
+    };
+    return new CDPConnectionManager({ ports: [9222, 9000], logger: null, WebSocketImpl: FakeWebSocket, fetchJson });
+}
+
+const BROWSER = { 9000: { version: { webSocketDebuggerUrl: 'ws://127.0.0.1:9000/devtools/browser/abc' } } };
+
+async function startWithPage(manager, targetId = 'page-1') {
+    await manager.start();
+    const browser = FakeWebSocket.instances[0];
+    browser.receive('Target.targetCreated', { targetInfo: { targetId, type: 'page', title: 'Antigravity', url: 'vscode-file://x' } });
+    await settle();
+    return { browser, page: FakeWebSocket.instances[1] };
+}
+
+// Test runner
+const tests = [];
+function test(name, fn) { tests.push({ name, fn }); }
+
+// === TEST CASES ===
+
+test('backoff doubles from 1s and caps at 30s', () => {
+    assert.deepStrictEqual([0, 1, 2, 3, 4, 5, 6].map(backoffDelay), [1000, 2000, 4000, 8000, 16000, 30000, 30000]);
+});
+
+test('connects to the browser endpoint and turns on target discovery', async () => {
+    const manager = createManager(BROWSER);
+    await manager.start();
+    const browser = FakeWebSocket.instances[0];
+    assert.strictEqual(browser.url, 'ws://127.0.0.1:9000/devtools/browser/abc');
+    assert.strictEqual(browser.sent[0].method, 'Target.setDiscoverTargets');
+    manager.stop();
+});
+
+test('opens page sockets for created page targets and skips workers', async () => {
+    const manager = createManager(BROWSER);
+    const connected = [];
+    manager.on('pageConnected', id => connected.push(id));
+
+    const { browser, page } = await startWithPage(manager);
+    browser.receive('Target.targetCreated', { targetInfo: { targetId: 'w-1', type: 'service_worker' } });
+    await settle();
+
+    assert.deepStrictEqual(connected, ['page-1']);
+    assert.strictEqual(page.url, 'ws://127.0.0.1:9000/devtools/page/page-1');
+    assert.deepStrictEqual(page.sent.map(m => m.method), ['Page.enable', 'Runtime.enable']);
+    assert.strictEqual(FakeWebSocket.instances.length, 2);
+    manager.stop();
+});
+
+test('does not rescan ports while the browser endpoint is connected', async () => {
+    let scans = 0;
+    const manager = createManager(BROWSER);
+    const fetchJson = manager.fetchJson;
+    manager.fetchJson = (...args) => { scans++; return fetchJson(...args); };
+
+    await manager.start();
+    const afterFirst = scans;
+    await manager.start();
+    await manager.start();
+    assert.strictEqual(scans, afterFirst);
+    manager.stop();
+});
+
+test('destroyed targets are closed and not reconnected', async () => {
+    const manager = createManager(BROWSER);
+    const { browser, page } = await startWithPage(manager);
+
+    browser.receive('Target.targetDestroyed', { targetId: 'page-1' });
+    await settle();
+
+    assert.strictEqual(page.readyState, 3);
+    assert.strictEqual(manager.connections.size, 0);
+    assert.strictEqual(manager.getHealth().pages.length, 0);
+    manager.stop();
+});
+
+test('a dropped page socket is retried with backoff', async () => {
+    const manager = createManager(BROWSER);
+    const { page } = await startWithPage(manager);
+
+    page.close();
+    await settle();
+
+    const [health] = manager.getHealth().pages;
+    assert.strictEqual(health.connected, false);
+    assert.strictEqual(health.reconnectAttempts, 1);
+    assert.ok(health.nextRetryAt > Date.now());
+    manager.stop();
+});
+
+test('main-frame navigation and context reset report one lost injection', async () => {
+    const manager = createManager(BROWSER);
+    const lost = [];
+    manager.on('pageContextLost', (id, reason) => lost.push(reason));
+    const { page } = await startWithPage(manager);
+    manager.connections.get('page-1').injected = true;
+
+    page.receive('Page.frameNavigated', { frame: { id: 'child', parentId: 'main' } });
+    await sleep(600);
+    assert.deepStrictEqual(lost, [], 'Child frame navigation keeps the injection');
+
+    page.receive('Runtime.executionContextsCleared', {});
+    page.receive('Page.frameNavigated', { frame: { id: 'main' } });
+    await sleep(600);
+
+    assert.deepStrictEqual(lost, ['navigated']);
+    assert.strictEqual(manager.connections.get('page-1').injected, false);
+    manager.stop();
+});
+
+test('other page events are passed through', async () => {
+    const manager = createManager(BROWSER);
+    const messages = [];
+    manager.on('pageMessage', (id, msg) => messages.push(msg.method));
+    const { page } = await startWithPage(manager);
+
+    page.receive('Runtime.bindingCalled', { name: '__autoAcceptEmit', payload: '{}' });
+    assert.deepStrictEqual(messages, ['Runtime.bindingCalled']);
+    manager.stop();
+});
+
+test('schedules discovery retries when no endpoint answers', async () => {
+    const manager = createManager({});
+    await manager.start();
+
+    const health = manager.getHealth();
+    assert.strictEqual(health.browsers.length, 0);
+    assert.ok(health.nextDiscoveryAt > Date.now());
+    assert.strictEqual(manager.discoveryAttempts, 1);
+    manager.stop();
+    assert.strictEqual(manager.getHealth().nextDiscoveryAt, null);
+});
+
+test('falls back to the page list without a browser endpoint', async () => {
+    const manager = createManager({
+        9222: { version: {}, list: [{ id: 'p', type: 'page', webSocketDebuggerUrl: 'ws://127.0.0.1:9222/devtools/page/p' }] }
+    });
+    await manager.start();
+    await settle();
+    assert.ok(manager.connections.has('p'));
+    manager.stop();
+});
+
+test('a configured browser URL is used without asking /json/version', async () => {
+    const manager = createManager({});
+    manager.configure({ host: 'host.docker.internal', ports: [9333], browserUrl: 'ws://host.docker.internal:9333/devtools/browser/x' });
+    const { page } = await startWithPage(manager);
+
+    assert.strictEqual(FakeWebSocket.instances[0].url, 'ws://host.docker.internal:9333/devtools/browser/x');
+    assert.strictEqual(page.url, 'ws://host.docker.internal:9333/devtools/page/page-1');
+    manager.stop();
+});
+
+test('changing the endpoint drops open sockets', async () => {
+    const manager = createManager(BROWSER);
+    const { browser, page } = await startWithPage(manager);
+
+    assert.strictEqual(manager.configure({ host: '127.0.0.1', ports: [9222, 9000] }), false, 'Same endpoint keeps sockets');
+    assert.strictEqual(manager.configure({ host: '127.0.0.1', ports: [9333] }), true);
+    assert.strictEqual(browser.readyState, 3);
+    assert.strictEqual(page.readyState, 3);
+    assert.strictEqual(manager.connections.size, 0);
+    manager.stop();
+});
+
+test('heartbeat terminates sockets that stop answering pings', async () => {
+    const manager = createManager(BROWSER);
+    const { page } = await startWithPage(manager);
+
+    manager.heartbeat();
+    assert.strictEqual(page.pings, 1);
+    manager.heartbeat();
+    assert.strictEqual(page.terminated, true);
+    manager.stop();
+});
+
+// === RUN TESTS ===
+(async () => {
+    console.log('======================================');
+    console.log('  CDP CONNECTION MANAGER TEST SUITE');
+    console.log('======================================\n');
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (error) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${error.message}`);
+            failed++;
+        }
+    }
+
+    console.log('\n======================================');
+    console.log(`  Results: ${passed} passed, ${failed} failed`);
+    console.log('======================================');
+
+    if (failed > 0) {
+        process.exit(1);
+    } else {
+        console.log('\n✓ All tests passed!');
+    }
+})();
@@ -0,0 +1,124 @@
+/**
+ * Conversation Targets Test Suite
+ * Tests how CDPHandler tells windows from conversation targets and configures each for background mode.
+ */
+
+const assert = require('assert');
+const { CDPHandler } = require('../main_scripts/cdp-handler.js');
+
+// Each page answers __autoAcceptDescribeTarget with the given description
+function createHandler(pages) {
+    const handler = new CDPHandler(9000, 9000, null);
+    for (const [pageId, { port = 9222, describe, title = '' }] of Object.entries(pages)) {
+        handler.connections.set(pageId, { ws: { readyState: 3 }, port, injected: true, pushEnabled: true });
+        handler.manager.knownTargets.set(pageId, { target: { targetId: pageId, title }, port });
+    }
+    handler.sendCommand = async (pageId) => {
+        const describe = pages[pageId].describe;
+        return { result: { value: describe ? JSON.stringify(describe) : '' } };
+    };
+    return handler;
+}
+
+const BACKGROUND = { ide: 'antigravity', isBackgroundMode: true };
+
+// Test runner
+const tests = [];
+function test(name, fn) { tests.push({ name, fn }); }
+
+// === TEST CASES ===
+
+test('windows with tabs and single conversations are told apart', async () => {
+    const handler = createHandler({
+        main: { describe: { tabs: 3, conversation: true, title: 'Antigravity' } },
+        chat: { describe: { tabs: 0, conversation: true, title: 'Refactor auth' } },
+        worker: { describe: { tabs: 0, conversation: false, title: '' } }
+    });
+    await handler.classifyTargets();
+
+    assert.strictEqual(handler.connections.get('main').role, 'tabs');
+    assert.strictEqual(handler.connections.get('chat').role, 'conversation');
+    assert.strictEqual(handler.connections.get('worker').role, null);
+});
+
+test('the target title stands in for an empty document title', async () => {
+    const handler = createHandler({ chat: { describe: { tabs: 0, conversation: true, title: '' }, title: 'Fix tests' } });
+    await handler.classifyTargets();
+    assert.strictEqual(handler.connections.get('chat').conversationTitle, 'Fix tests');
+});
+
+test('windows skip conversations reachable on the same browser', async () => {
+    const handler = createHandler({
+        main: { describe: { tabs: 2, conversation: true, title: 'Antigravity' } },
+        chat: { describe: { tabs: 0, conversation: true, title: 'Refactor auth' } },
+        other: { port: 9223, describe: { tabs: 0, conversation: true, title: 'Other window' } }
+    });
+    await handler.classifyTargets();
+
+    assert.deepStrictEqual(handler.configForPage('main', BACKGROUND).directConversations, ['Refactor auth']);
+    assert.strictEqual(handler.configForPage('chat', BACKGROUND).isBackgroundMode, false, 'Accepts in place, no tabs to switch');
+});
+
+test('nothing changes outside background mode', async () => {
+    const handler = createHandler({ chat: { describe: { tabs: 0, conversation: true, title: 'Refactor auth' } } });
+    await handler.classifyTargets();
+    const config = { ide: 'antigravity', isBackgroundMode: false };
+    assert.strictEqual(handler.configForPage('chat', config), config);
+});
+
+test('pages not yet injected or without the bundle stay unclassified', async () => {
+    const handler = createHandler({ main: { describe: null } });
+    handler.connections.set('fresh', { ws: { readyState: 3 }, port: 9222, injected: false });
+    await handler.classifyTargets();
+    assert.strictEqual(handler.connections.get('main').role, undefined);
+    assert.deepStrictEqual(handler.configForPage('main', BACKGROUND).directConversations, []);
+});
+
+test('each window\'s pages start with the config that window shared', () => {
+    const handler = createHandler({
+        api: { title: 'server.js - api - Antigravity' },
+        web: { title: 'App.tsx \u2014 web \u2014 Antigravity' },
+        other: { title: 'Welcome - scratch - Antigravity' }
+    });
+    handler.setWindowConfigs([
+        { label: 'api', config: { bannedCommands: ['terraform apply'], safetyMode: 'allowlist' } },
+        { label: 'web', config: { bannedCommands: [] } }
+    ]);
+    const leader = { ide: 'antigravity', isBackgroundMode: false, bannedCommands: ['rm -rf /'], safetyMode: 'denylist' };
+
+    assert.deepStrictEqual(handler.configForPage('api', leader), { ide: 'antigravity', isBackgroundMode: false, bannedCommands: ['terraform apply'], safetyMode: 'allowlist' });
+    assert.deepStrictEqual(handler.configForPage('web', leader).bannedCommands, []);
+    assert.strictEqual(handler.configForPage('other', leader), leader, 'No window of that name shared a config');
+});
+
+// === RUN TESTS ===
+(async () => {
+    console.log('======================================');
+    console.log('  CONVERSATION TARGETS TEST SUITE');
+    console.log('======================================\n');
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (error) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${error.message}`);
+            failed++;
+        }
+    }
+
+    console.log('\n======================================');
+    console.log(`  Results: ${passed} passed, ${failed} failed`);
+    console.log('======================================');
+
+    if (failed > 0) {
+        process.exit(1);
+    } else {
+        console.log('\n✓ All tests passed!');
+    }
+})();
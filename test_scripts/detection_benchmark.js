@@ -0,0 +1,163 @@
+/**
+ * Detection Benchmark
+ * Compares the static poll loop with the observer engine on chats of growing size.
+ *
+ * Each pass does what the page script does per candidate before it decides to
+ * click: normalize the label, look up the button rule and, for a match, read
+ * computed style and layout. The poll pass first queries every selector across
+ * all documents; the observer pass only searches the subtrees one batch of
+ * mutations touched.
+ *
+ *     node test_scripts/detection_benchmark.js
+ */
+
+const assert = require('assert');
+const { createDom } = require('./helpers/fake-dom.js');
+const Buttons = require('../main_scripts/buttons/rules.js');
+const { createButtonObserver } = require('../main_scripts/detection/observer.js');
+
+const SIZES = [100, 400, 1600];
+const POLL_INTERVAL_MS = 1000;
+const SAFETY_NET_MS = 10000;
+const STREAMED_CHUNKS = 50;
+const BUTTON_SELECTORS = ['button', '[class*="button"]', '[class*="anysphere"]', '.bg-ide-button-background'];
+const RULES = Buttons.compileRules(Buttons.getDefaultRules('antigravity'));
+
+function getComputedStyle() {
+    return { display: 'block', pointerEvents: 'auto', visibility: 'visible' };
+}
+
+// The part of isAcceptButton every candidate goes through
+function evaluate(el) {
+    const text = Buttons.normalizeLabel((el.textContent || '').trim().toLowerCase());
+    if (text.length === 0 || text.length > 50) return false;
+    const rule = Buttons.findButtonRule(el, text, RULES);
+    if (!rule || rule.action === 'ignore') return false;
+    const style = getComputedStyle(el);
+    return style.display !== 'none' && el.getBoundingClientRect().width > 0 && !el.disabled;
+}
+
+function message(i) {
+    return ['div', { class: 'chat-message', 'data-message-index': i },
+        ['p', {}, `Step ${i}: updated the parser and ran the tests.`],
+        ['pre', {}, ['code', {}, 'npm test']],
+        ['div', { class: 'message-actions' },
+            ['button', { class: 'monaco-button' }, 'Copy'],
+            ['div', { class: 'action-button' }, 'Insert'],
+            ['span', { class: 'anysphere-icon' }, '']
+        ]
+    ];
+}
+
+// A window whose chat panel holds `size` messages, split with one iframe
+function createChat(size) {
+    const dom = createDom();
+    const main = dom.createDocument();
+    const frame = dom.createDocument();
+    const panel = dom.build(main, ['div', { id: 'workbench.parts.auxiliarybar' }]);
+    const framed = dom.build(frame, ['div', { class: 'messages' }]);
+    for (let i = 0; i < size; i++) {
+        if (i % 2) framed.appendChild(dom.build(frame, message(i)));
+        else panel.appendChild(dom.build(main, message(i)));
+    }
+    main.body.appendChild(panel);
+    frame.body.appendChild(framed);
+    dom.flush();
+    return { dom, main, frame, framed, documents: [main, frame] };
+}
+
+function pollPass(documents) {
+    const found = [];
+    for (const selector of BUTTON_SELECTORS) {
+        for (const doc of documents) found.push(...doc.querySelectorAll(selector));
+    }
+    const unique = [...new Set(found)];
+    return { evaluated: unique.length, accepted: unique.filter(evaluate) };
+}
+
+function time(fn, runs) {
+    const start = process.hrtime.bigint();
+    let result;
+    for (let i = 0; i < runs; i++) result = fn();
+    return { ms: Number(process.hrtime.bigint() - start) / 1e6 / runs, result };
+}
+
+function measure(size) {
+    const { dom, main, framed, documents } = createChat(size);
+    const runs = Math.max(3, Math.round(4000 / size));
+
+    // Poll: the whole page, every interval
+    const poll = time(() => pollPass(documents), runs);
+
+    // Observer: a new message with an Accept button arrives
+    let batch = [];
+    const observer = createButtonObserver(found => { batch = found; }, { MutationObserver: dom.MutationObserver });
+    observer.sync(documents);
+    const incoming = dom.build(documents[1], ['div', { class: 'chat-message' },
+        ['p', {}, 'Run the migration?'],
+        ['div', { class: 'message-actions' }, ['button', {}, 'Accept'], ['button', {}, 'Reject']]
+    ]);
+    framed.appendChild(incoming);
+    const arrival = time(() => {
+        dom.flush();
+        return batch.filter(evaluate);
+    }, 1);
+    const arrivalEvaluated = batch.length;
+
+    // Observer: the newest message streams in, chunk by chunk
+    batch = [];
+    const streamed = incoming.querySelector('p').childNodes[0];
+    const stream = time(() => {
+        for (let i = 0; i < STREAMED_CHUNKS; i++) {
+            streamed.data += ' more text';
+            dom.flush();
+        }
+        return batch.length;
+    }, 1);
+
+    observer.disconnect();
+
+    assert.ok(arrival.result.some(el => el.textContent === 'Accept'), 'Observer finds the new Accept button');
+    assert.ok(pollPass(documents).accepted.some(el => el.textContent === 'Accept'), 'Poll finds it too');
+    assert.ok(arrivalEvaluated < poll.result.evaluated, 'Observer evaluates fewer candidates');
+    assert.strictEqual(stream.result, 0, 'Streaming text outside buttons yields no candidates');
+
+    return {
+        size,
+        elements: main.querySelectorAll('*').length + documents[1].querySelectorAll('*').length,
+        poll: { ms: poll.ms, evaluated: poll.result.evaluated },
+        arrival: { ms: arrival.ms, evaluated: arrivalEvaluated },
+        streamMs: stream.ms / STREAMED_CHUNKS
+    };
+}
+
+function fixed(n, digits = 2) {
+    return n.toFixed(digits).padStart(9);
+}
+
+console.log('======================================');
+console.log('  DETECTION BENCHMARK');
+console.log('======================================\n');
+console.log(`Poll every ${POLL_INTERVAL_MS}ms vs observer with a ${SAFETY_NET_MS / 1000}s safety net\n`);
+
+measure(SIZES[0]); // Warm up the JIT
+const results = SIZES.map(measure);
+
+console.log('Per detection');
+console.log('  messages  elements |   poll ms  candidates | observer ms  candidates | streamed chunk ms');
+for (const r of results) {
+    console.log(`  ${String(r.size).padStart(8)}  ${String(r.elements).padStart(8)} | ${fixed(r.poll.ms)}  ${String(r.poll.evaluated).padStart(10)} |   ${fixed(r.arrival.ms, 3)}  ${String(r.arrival.evaluated).padStart(10)} |         ${fixed(r.streamMs, 4)}`);
+}
+
+// An idle minute: the poll runs 60 full passes, the observer only its safety net
+console.log('\nPer idle minute (no new buttons)');
+console.log('  messages |   poll ms  observer ms');
+for (const r of results) {
+    const pollMinute = r.poll.ms * (60000 / POLL_INTERVAL_MS);
+    const observerMinute = r.poll.ms * (60000 / SAFETY_NET_MS);
+    console.log(`  ${String(r.size).padStart(8)} | ${fixed(pollMinute)}    ${fixed(observerMinute)}`);
+}
+
+console.log('\nTime from a button appearing to its first evaluation');
+console.log(`  poll:     up to ${POLL_INTERVAL_MS}ms, ${POLL_INTERVAL_MS / 2}ms on average`);
+console.log('  observer: the next mutation delivery, right after the task that added it');
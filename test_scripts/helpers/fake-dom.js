@@ -0,0 +1,274 @@
+/**
+ * A small DOM for tests and benchmarks that run without a browser: elements, text
+ * nodes, shadow roots, the selectors the page script uses, and a MutationObserver
+ * that holds its records until flush() is called.
+ *
+ * Selectors: comma lists of compounds made of a tag or *, .class, #id (with \. escapes),
+ * [attr], [attr="v"], [attr*="v"] and [attr^="v"]. Nothing else parses.
+ */
+
+const SELECTOR_PART = /([a-zA-Z][\w-]*|\*)|\.([\w-]+)|#((?:\\.|[\w-])+)|\[([\w-]+)(?:([*^]?)="([^"]*)")?\]/y;
+
+function compileSelector(selector) {
+    return selector.split(',').map(part => {
+        const text = part.trim();
+        const compound = { tag: null, id: null, classes: [], attrs: [] };
+        SELECTOR_PART.lastIndex = 0;
+        while (SELECTOR_PART.lastIndex < text.length) {
+            const start = SELECTOR_PART.lastIndex;
+            const m = SELECTOR_PART.exec(text);
+            if (!m || (m[1] && start !== 0)) throw new SyntaxError(`Unsupported selector: ${selector}`);
+            if (m[1]) compound.tag = m[1] === '*' ? null : m[1].toUpperCase();
+            else if (m[2]) compound.classes.push(m[2]);
+            else if (m[3]) compound.id = m[3].replace(/\\(.)/g, '$1');
+            else compound.attrs.push({ name: m[4], op: m[5] || (m[6] === undefined ? null : '='), value: m[6] });
+        }
+        if (!text) throw new SyntaxError(`Unsupported selector: ${selector}`);
+        return compound;
+    });
+}
+
+function matchesCompound(el, c) {
+    if (c.tag && el.tagName !== c.tag) return false;
+    if (c.id && el.getAttribute('id') !== c.id) return false;
+    const classes = (el.getAttribute('class') || '').split(/\s+/);
+    if (c.classes.some(name => !classes.includes(name))) return false;
+    return c.attrs.every(({ name, op, value }) => {
+        const actual = el.getAttribute(name);
+        if (actual === null) return false;
+        if (op === '=') return actual === value;
+        if (op === '*') return actual.includes(value);
+        if (op === '^') return actual.startsWith(value);
+        return true;
+    });
+}
+
+function createDom() {
+    const observers = [];
+    const cache = new Map();
+    const compiled = (selector) => {
+        if (!cache.has(selector)) cache.set(selector, compileSelector(selector));
+        return cache.get(selector);
+    };
+
+    function notify(record) {
+        for (const observer of observers) observer.enqueue(record);
+    }
+
+    class Text {
+        constructor(data) {
+            this.nodeType = 3;
+            this.parentNode = null;
+            this._data = String(data);
+        }
+        get parentElement() { return this.parentNode && this.parentNode.nodeType === 1 ? this.parentNode : null; }
+        get textContent() { return this._data; }
+        get data() { return this._data; }
+        set data(value) {
+            this._data = String(value);
+            notify({ type: 'characterData', target: this, addedNodes: [], removedNodes: [] });
+        }
+    }
+
+    class Element {
+        constructor(tagName, ownerDocument) {
+            this.nodeType = 1;
+            this.tagName = tagName.toUpperCase();
+            this.ownerDocument = ownerDocument;
+            this.parentNode = null;
+            this.childNodes = [];
+            this.attributes = new Map();
+            this.contentDocument = null;
+            this.clicks = 0;
+            this._shadowRoot = null;
+            this.rect = null; // Set to place the element
+        }
+        get parentElement() { return this.parentNode && this.parentNode.nodeType === 1 ? this.parentNode : null; }
+        get children() { return this.childNodes.filter(n => n.nodeType === 1); }
+        get className() { return this.getAttribute('class') || ''; }
+        set className(value) { this.setAttribute('class', value); }
+        get id() { return this.getAttribute('id') || ''; }
+        set id(value) { this.setAttribute('id', value); }
+        get disabled() { return this.attributes.has('disabled'); }
+        get isContentEditable() { return false; }
+        get shadowRoot() { return this._shadowRoot && this._shadowRoot.mode === 'open' ? this._shadowRoot : null; }
+        get isConnected() {
+            let node = this.getRootNode();
+            while (node.nodeType === 11) node = node.host.getRootNode();
+            return node.nodeType === 9;
+        }
+        getRootNode() {
+            let node = this;
+            while (node.parentNode) node = node.parentNode;
+            return node;
+        }
+        attachShadow({ mode }) {
+            const root = new Element('#shadow-root', this.ownerDocument);
+            root.nodeType = 11;
+            root.host = this;
+            root.mode = mode;
+            this._shadowRoot = root;
+            return root;
+        }
+        get textContent() { return this.childNodes.map(n => n.textContent).join(''); }
+        set textContent(value) {
+            const removed = this.childNodes;
+            removed.forEach(n => { n.parentNode = null; });
+            this.childNodes = [];
+            const text = new Text(value);
+            text.parentNode = this;
+            this.childNodes.push(text);
+            notify({ type: 'childList', target: this, addedNodes: [text], removedNodes: removed });
+        }
+
+        getAttribute(name) { return this.attributes.has(name) ? this.attributes.get(name) : null; }
+        hasAttribute(name) { return this.attributes.has(name); }
+        setAttribute(name, value) {
+            this.attributes.set(name, String(value));
+            notify({ type: 'attributes', target: this, attributeName: name, addedNodes: [], removedNodes: [] });
+        }
+        removeAttribute(name) {
+            this.attributes.delete(name);
+            notify({ type: 'attributes', target: this, attributeName: name, addedNodes: [], removedNodes: [] });
+        }
+
+        appendChild(node) {
+            if (node.parentNode) node.remove();
+            node.parentNode = this;
+            this.childNodes.push(node);
+            notify({ type: 'childList', target: this, addedNodes: [node], removedNodes: [] });
+            return node;
+        }
+        remove() {
+            const parent = this.parentNode;
+            if (!parent) return;
+            parent.childNodes = parent.childNodes.filter(n => n !== this);
+            this.parentNode = null;
+            notify({ type: 'childList', target: parent, addedNodes: [], removedNodes: [this] });
+        }
+        contains(other) {
+            for (let node = other; node; node = node.parentNode) {
+                if (node === this) return true;
+            }
+            return false;
+        }
+
+        matches(selector) {
+            return compiled(selector).some(c => matchesCompound(this, c));
+        }
+        closest(selector) {
+            for (let el = this; el && el.nodeType === 1; el = el.parentNode) {
+                if (el.matches(selector)) return el;
+            }
+            return null;
+        }
+        querySelectorAll(selector) {
+            const compounds = compiled(selector);
+            const found = [];
+            const walk = (el) => {
+                for (const child of el.children) {
+                    if (compounds.some(c => matchesCompound(child, c))) found.push(child);
+                    walk(child);
+                }
+            };
+            walk(this);
+            return found;
+        }
+        querySelector(selector) {
+            return this.querySelectorAll(selector)[0] || null;
+        }
+
+        getBoundingClientRect() {
+            if (this.rect) return this.rect;
+            const hidden = this.attributes.has('hidden');
+            return { top: 0, left: 0, width: hidden ? 0 : 100, height: hidden ? 0 : 24 };
+        }
+        click() { this.clicks++; }
+        dispatchEvent() { return true; }
+    }
+
+    class Document {
+        constructor() {
+            this.nodeType = 9;
+            this.parentNode = null;
+            this.documentElement = new Element('html', this);
+            this.documentElement.parentNode = this;
+            this.body = new Element('body', this);
+            // An iframe's document points frameElement at the iframe
+            this.defaultView = { frameElement: null, parent: null };
+            this.documentElement.appendChild(this.body);
+        }
+        get children() { return [this.documentElement]; }
+        createElement(tagName) { return new Element(tagName, this); }
+        createTextNode(data) { return new Text(data); }
+        querySelectorAll(selector) {
+            const found = this.documentElement.querySelectorAll(selector);
+            return this.documentElement.matches(selector) ? [this.documentElement, ...found] : found;
+        }
+        querySelector(selector) { return this.querySelectorAll(selector)[0] || null; }
+        getElementById(id) { return this.documentElement.querySelectorAll('[id]').find(el => el.id === id) || null; }
+        contains(other) { return this.documentElement.contains(other); }
+        addEventListener() {}
+    }
+
+    class MutationObserver {
+        constructor(callback) {
+            this.callback = callback;
+            this.targets = [];
+            this.records = [];
+            observers.push(this);
+        }
+        observe(target, options = {}) {
+            this.targets.push({ target, options });
+        }
+        disconnect() {
+            this.targets = [];
+            this.records = [];
+        }
+        takeRecords() {
+            const records = this.records;
+            this.records = [];
+            return records;
+        }
+        enqueue(record) {
+            const watched = this.targets.some(({ target, options }) => {
+                const inside = options.subtree ? target.contains(record.target) : target === record.target;
+                if (!inside) return false;
+                if (record.type === 'childList') return !!options.childList;
+                if (record.type === 'characterData') return !!options.characterData;
+                return !!options.attributes && (!options.attributeFilter || options.attributeFilter.includes(record.attributeName));
+            });
+            if (watched) this.records.push(record);
+        }
+    }
+
+    // Deliver queued records, the way the browser does after each task
+    function flush() {
+        for (const observer of observers) {
+            const records = observer.takeRecords();
+            if (records.length > 0) observer.callback(records, observer);
+        }
+    }
+
+    // Element tree from nested arrays: ['div', {class: 'x'}, 'text', ['button', {}, 'Accept']].
+    // A {shadow: 'open' | 'closed'} attribute puts the children in a shadow root instead.
+    function build(doc, spec) {
+        if (typeof spec === 'string') return doc.createTextNode(spec);
+        const [tag, attrs = {}, ...children] = spec;
+        const el = doc.createElement(tag);
+        for (const [name, value] of Object.entries(attrs)) {
+            if (name !== 'shadow') el.attributes.set(name, String(value));
+        }
+        const parent = attrs.shadow ? el.attachShadow({ mode: attrs.shadow }) : el;
+        for (const child of children) {
+            const node = build(doc, child);
+            node.parentNode = parent;
+            parent.childNodes.push(node);
+        }
+        return el;
+    }
+
+    return { Document, MutationObserver, flush, build, createDocument: () => new Document() };
+}
+
+module.exports = { createDom, compileSelector };
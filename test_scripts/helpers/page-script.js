@@ -0,0 +1,33 @@
+/**
+ * Runs the composed page script against a fake-dom document in a fresh context.
+ * Its timers do not keep the test process alive once the test is done.
+ */
+
+const vm = require('vm');
+const { CDPHandler } = require('../../main_scripts/cdp-handler.js');
+
+/**
+ * @param {Object} dom - From createDom()
+ * @param {Object} doc - The page's document
+ * @param {Object} [globals] - Extra window properties, e.g. __autoAcceptEmit
+ * @returns {Object} The page's window, with __autoAcceptStart and friends
+ */
+function runPageScript(dom, doc, globals = {}) {
+    const unref = (timer) => { timer.unref(); return timer; };
+    const window = {
+        document: doc,
+        console: { log: () => {}, error: () => {} },
+        MutationObserver: dom.MutationObserver,
+        MouseEvent: class MouseEvent { constructor(type) { this.type = type; } },
+        getComputedStyle: () => ({ display: 'block', pointerEvents: 'auto', visibility: 'visible' }),
+        setTimeout: (fn, ms) => unref(setTimeout(fn, ms)),
+        clearTimeout,
+        requestAnimationFrame: (fn) => unref(setTimeout(fn, 16)),
+        ...globals
+    };
+    window.window = window;
+    vm.runInNewContext(new CDPHandler(9000, 9000, null).getComposedScript(), window);
+    return window;
+}
+
+module.exports = { runPageScript };
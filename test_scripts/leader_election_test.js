@@ -0,0 +1,180 @@
+/**
+ * Leader Election Test Suite
+ * Tests the globalState lease that picks one window to drive CDP.
+ */
+
+const assert = require('assert');
+const { LeaderElection, LEASE_TIMEOUT_MS } = require('../main_scripts/leader-election.js');
+
+// globalState stand-in shared by every "window" in a test
+function createState(initial = {}) {
+    const data = { ...initial };
+    return {
+        get: (key) => data[key],
+        keys: () => Object.keys(data),
+        update: async (key, value) => {
+            if (value === undefined) delete data[key];
+            else data[key] = value;
+        }
+    };
+}
+
+function createWindows(state, clock, ...ids) {
+    return ids.map(id => new LeaderElection({
+        state,
+        key: 'antigravity-instance-lock',
+        instanceId: id,
+        label: `window ${id}`,
+        logger: null,
+        now: () => clock.now
+    }));
+}
+
+// Test runner
+const tests = [];
+function test(name, fn) { tests.push({ name, fn }); }
+
+// === TEST CASES ===
+
+test('the first window to tick leads, later ones follow', async () => {
+    const clock = { now: 1000 };
+    const [a, b] = createWindows(createState(), clock, 'b1', 'a1');
+
+    assert.strictEqual(await a.tick(), 'leader');
+    assert.strictEqual(await b.tick(), 'follower', 'A live lease is respected even from a higher id');
+    assert.strictEqual(b.getLeader().label, 'window b1');
+});
+
+test('followers read the status the leader published', async () => {
+    const clock = { now: 1000 };
+    const [leader, follower] = createWindows(createState(), clock, 'a', 'b');
+
+    leader.publishStatus({ pages: 3, injected: 2 });
+    await leader.tick();
+    await follower.tick();
+
+    assert.deepStrictEqual(follower.getLeader().status, { pages: 3, injected: 2, updatedAt: 1000 });
+});
+
+test('renewing keeps the original election time', async () => {
+    const clock = { now: 1000 };
+    const [a] = createWindows(createState(), clock, 'a');
+    await a.tick();
+    clock.now = 6000;
+    await a.tick();
+    assert.strictEqual(a.getLeader().since, 1000);
+    assert.strictEqual(a.getLeader().heartbeat, 6000);
+});
+
+test('released leadership is taken on the next tick', async () => {
+    const clock = { now: 1000 };
+    const [a, b] = createWindows(createState(), clock, 'a', 'b');
+    const roles = [];
+    b.on('roleChanged', role => roles.push(role));
+
+    await a.tick();
+    await b.tick();
+    await a.release();
+    assert.strictEqual(a.isLeader(), false);
+
+    assert.strictEqual(await b.tick(), 'leader');
+    assert.deepStrictEqual(roles, ['follower', 'leader']);
+});
+
+test('an expired lease is taken over', async () => {
+    const clock = { now: 1000 };
+    const [a, b] = createWindows(createState(), clock, 'a', 'b');
+    await a.tick();
+    await b.tick();
+
+    clock.now += LEASE_TIMEOUT_MS;
+    assert.strictEqual(a.getLeader(), null);
+    assert.strictEqual(await b.tick(), 'leader');
+});
+
+test('simultaneous claims converge on the lower id', async () => {
+    const clock = { now: 1000 };
+    const [a, b] = createWindows(createState(), clock, 'a', 'b');
+    // Both claimed before seeing each other's write
+    a.role = 'leader';
+    b.role = 'leader';
+    await b.state.update(b.key, { id: 'b', label: 'window b', since: 1000, heartbeat: 1000 });
+
+    assert.strictEqual(await a.tick(), 'leader', 'Lower id keeps claiming');
+    assert.strictEqual(await b.tick(), 'follower');
+    assert.strictEqual(await a.tick(), 'leader');
+});
+
+test('ignores the bare id written by older versions', async () => {
+    const clock = { now: 1000 };
+    const state = createState({ 'antigravity-instance-lock': 'publisher.auto-accept' });
+    const [a] = createWindows(state, clock, 'a');
+    assert.strictEqual(await a.tick(), 'leader');
+});
+
+test('release is a no-op for followers', async () => {
+    const clock = { now: 1000 };
+    const [a, b] = createWindows(createState(), clock, 'a', 'b');
+    await a.tick();
+    await b.tick();
+    await b.release();
+    assert.strictEqual(b.getLeader().id, 'a');
+});
+
+test('the leader reads the config each live window shares', async () => {
+    const clock = { now: 1000 };
+    const [leader, follower] = createWindows(createState(), clock, 'a', 'b');
+    await leader.tick();
+    await follower.shareConfig({ bannedCommands: ['terraform apply'] });
+    await follower.tick();
+
+    assert.deepStrictEqual(leader.getWindowConfigs(), [{ id: 'b', label: 'window b', config: { bannedCommands: ['terraform apply'] } }]);
+
+    await follower.shareConfig({ bannedCommands: [] });
+    assert.deepStrictEqual(leader.getWindowConfigs()[0].config, { bannedCommands: [] }, 'Changes arrive without waiting for a tick');
+});
+
+test('a window that stops ticking or releases no longer shares its config', async () => {
+    const clock = { now: 1000 };
+    const [a, b, c] = createWindows(createState(), clock, 'a', 'b', 'c');
+    await a.shareConfig({ pollInterval: 1000 });
+    await b.shareConfig({ pollInterval: 2000 });
+    await c.shareConfig({ pollInterval: 3000 });
+
+    clock.now += LEASE_TIMEOUT_MS;
+    await a.tick();
+    await c.release();
+    assert.deepStrictEqual(a.getWindowConfigs().map(w => w.id), ['a']);
+});
+
+// === RUN TESTS ===
+(async () => {
+    console.log('======================================');
+    console.log('  LEADER ELECTION TEST SUITE');
+    console.log('======================================\n');
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (error) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${error.message}`);
+            failed++;
+        }
+    }
+
+    console.log('\n======================================');
+    console.log(`  Results: ${passed} passed, ${failed} failed`);
+    console.log('======================================');
+
+    if (failed > 0) {
+        process.exit(1);
+    } else {
+        console.log('\n✓ All tests passed!');
+    }
+})();
@@ -0,0 +1,80 @@
+/**
+ * Notification Throttle Test Suite
+ * Tests the per-conversation limit on blocked-command notifications.
+ */
+
+const assert = require('assert');
+const { NotificationThrottle, DEFAULT_WINDOW_MS } = require('../main_scripts/notification-throttle.js');
+
+function createThrottle() {
+    const clock = { now: 1000 };
+    const throttle = new NotificationThrottle({ now: () => clock.now });
+    return { clock, throttle };
+}
+
+// Test runner
+const tests = [];
+function test(name, fn) { tests.push({ name, fn }); }
+
+// === TEST CASES ===
+
+test('the first notice for a conversation goes out', () => {
+    const { throttle } = createThrottle();
+    assert.strictEqual(throttle.take('page-a:Refactor auth'), 0);
+});
+
+test('repeats inside the window are held back', () => {
+    const { clock, throttle } = createThrottle();
+    throttle.take('page-a:Refactor auth');
+    clock.now += DEFAULT_WINDOW_MS - 1;
+    assert.strictEqual(throttle.take('page-a:Refactor auth'), null);
+    assert.strictEqual(throttle.take('page-a:Refactor auth'), null);
+});
+
+test('the next notice reports how many were skipped', () => {
+    const { clock, throttle } = createThrottle();
+    throttle.take('k');
+    throttle.take('k');
+    throttle.take('k');
+    clock.now += DEFAULT_WINDOW_MS;
+    assert.strictEqual(throttle.take('k'), 2);
+    clock.now += DEFAULT_WINDOW_MS;
+    assert.strictEqual(throttle.take('k'), 0);
+});
+
+test('conversations are throttled separately', () => {
+    const { throttle } = createThrottle();
+    throttle.take('page-a:one');
+    assert.strictEqual(throttle.take('page-a:two'), 0);
+    assert.strictEqual(throttle.take('page-b:one'), 0);
+});
+
+// === RUN TESTS ===
+console.log('======================================');
+console.log('  NOTIFICATION THROTTLE TEST SUITE');
+console.log('======================================\n');
+
+let passed = 0;
+let failed = 0;
+
+for (const { name, fn } of tests) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+console.log('\n======================================');
+console.log(`  Results: ${passed} passed, ${failed} failed`);
+console.log('======================================');
+
+if (failed > 0) {
+    process.exit(1);
+} else {
+    console.log('\n✓ All tests passed!');
+}
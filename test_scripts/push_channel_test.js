@@ -0,0 +1,115 @@
+/**
+ * Push Channel Test Suite
+ * Tests Runtime.bindingCalled handling and event-driven stats in CDPHandler.
+ */
+
+const assert = require('assert');
+const { CDPHandler, BINDING_NAME } = require('../main_scripts/cdp-handler.js');
+
+function createHandler(pages) {
+    const handler = new CDPHandler(9000, 9000, null);
+    for (const [pageId, pushEnabled] of Object.entries(pages)) {
+        handler.connections.set(pageId, { ws: { readyState: 3 }, injected: true, pushEnabled });
+    }
+    return handler;
+}
+
+function push(handler, pageId, event) {
+    handler.handlePageEvent(pageId, JSON.stringify({ timestamp: Date.now(), ...event }));
+}
+
+// Test runner
+const tests = [];
+function test(name, fn) { tests.push({ name, fn }); }
+
+// === TEST CASES ===
+
+test('binding name matches the function the bundle calls', () => {
+    assert.strictEqual(BINDING_NAME, '__autoAcceptEmit');
+});
+
+test('re-emits pushed events with the page id', () => {
+    const handler = createHandler({ 'page-a': true });
+    const received = [];
+    handler.on('pageEvent', e => received.push(e));
+
+    push(handler, 'page-a', { type: 'tab-switch', tab: 'Refactor auth' });
+
+    assert.strictEqual(received.length, 1);
+    assert.strictEqual(received[0].pageId, 'page-a');
+    assert.strictEqual(received[0].tab, 'Refactor auth');
+});
+
+test('ignores malformed payloads', () => {
+    const handler = createHandler({ 'page-a': true });
+    let count = 0;
+    handler.on('pageEvent', () => count++);
+    handler.handlePageEvent('page-a', '{not json');
+    assert.strictEqual(count, 0);
+});
+
+test('tallies pushed clicks by category and away state', async () => {
+    const handler = createHandler({ 'page-a': true });
+    push(handler, 'page-a', { type: 'click', category: 'terminal_command', away: true });
+    push(handler, 'page-a', { type: 'click', category: 'file_edit', away: false });
+    push(handler, 'page-a', { type: 'click', category: 'retry', away: false });
+    push(handler, 'page-a', { type: 'click', category: 'permission', away: false });
+    push(handler, 'page-a', { type: 'blocked', rule: 'rm -rf /' });
+
+    const stats = await handler.getStats();
+    assert.deepStrictEqual(stats, { clicks: 4, blocked: 1, fileEdits: 1, terminalCommands: 1, retries: 1, permissions: 1, actionsWhileAway: 1 });
+});
+
+test('resetStats hands over pushed clicks exactly once', async () => {
+    const handler = createHandler({ 'page-a': true });
+    push(handler, 'page-a', { type: 'click', category: 'file_edit' });
+
+    assert.strictEqual((await handler.resetStats()).clicks, 1);
+    assert.strictEqual((await handler.resetStats()).clicks, 0);
+    assert.strictEqual((await handler.getSessionSummary()).fileEdits, 1, 'Session totals survive the ROI reset');
+});
+
+test('away actions are consumed once', async () => {
+    const handler = createHandler({ 'page-a': true });
+    push(handler, 'page-a', { type: 'click', category: 'file_edit', away: true });
+
+    assert.strictEqual(await handler.getAwayActions(), 1);
+    assert.strictEqual(await handler.getAwayActions(), 0);
+});
+
+test('only pages without the binding are polled', () => {
+    const handler = createHandler({ 'page-a': true, 'page-b': false });
+    assert.deepStrictEqual(handler.polledPageIds(), ['page-b']);
+});
+
+// === RUN TESTS ===
+(async () => {
+    console.log('======================================');
+    console.log('  PUSH CHANNEL TEST SUITE');
+    console.log('======================================\n');
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (error) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${error.message}`);
+            failed++;
+        }
+    }
+
+    console.log('\n======================================');
+    console.log(`  Results: ${passed} passed, ${failed} failed`);
+    console.log('======================================');
+
+    if (failed > 0) {
+        process.exit(1);
+    } else {
+        console.log('\n✓ All tests passed!');
+    }
+})();
@@ -0,0 +1,167 @@
+/**
+ * Script Bundler Test Suite
+ * Tests building the injected script from ES modules.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const { ScriptBundler, parseModule } = require('../main_scripts/script-bundler.js');
+
+const CORE_SCRIPT = path.join(__dirname, '..', 'main_scripts', 'full_cdp_script.js');
+
+const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bundler-test-'));
+
+function writeModules(files) {
+    const dir = fs.mkdtempSync(path.join(fixtureDir, 'case-'));
+    for (const [name, source] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+        fs.writeFileSync(path.join(dir, name), source);
+    }
+    return (name) => path.join(dir, name);
+}
+
+// Runs a bundle with a window object and returns what it left there
+function run(script) {
+    const window = {};
+    vm.runInNewContext(script, { window });
+    return window;
+}
+
+// Test runner
+const tests = [];
+function test(name, fn) { tests.push({ name, fn }); }
+
+// === TEST CASES ===
+
+test('named and namespace imports resolve to the dependency', () => {
+    const file = writeModules({
+        'lib/math.js': 'export function double(x) { return x * 2; }\nexport const OFFSET = 1;\n',
+        'text.js': "import { OFFSET } from './lib/math.js';\nfunction shout(s) { return s.toUpperCase() + OFFSET; }\nexport { shout };\n",
+        'main.js': "import * as math from './lib/math.js';\nimport { shout as loud } from './text.js';\nwindow.result = math.double(21) + ':' + loud('hi');\n"
+    });
+    const script = new ScriptBundler(null).bundle(file('main.js'));
+    assert.ok(!/^\s*(import|export)\b/m.test(script), 'No module syntax left');
+    assert.ok(script.includes('double(21)'), 'Namespace flattened');
+    assert.strictEqual(run(script).result, '42:HI1');
+});
+
+test('each module is included once, dependencies first', () => {
+    const file = writeModules({
+        'a.js': 'export const A = 1;\n',
+        'b.js': "import { A } from './a.js';\nexport const B = A + 1;\n",
+        'main.js': "import { A } from './a.js';\nimport { B } from './b.js';\nwindow.result = A + B;\n"
+    });
+    const script = new ScriptBundler(null).bundle(file('main.js'));
+    assert.strictEqual(script.match(/const A = 1/g).length, 1);
+    assert.ok(script.indexOf('// --- a.js ---') < script.indexOf('// --- b.js ---'));
+    assert.strictEqual(run(script).result, 3);
+});
+
+test('the bundle does nothing outside a browser', () => {
+    const file = writeModules({ 'main.js': 'globalThis.ran = true;\n' });
+    const context = {};
+    vm.runInNewContext(new ScriptBundler(null).bundle(file('main.js')), context);
+    assert.strictEqual(context.ran, undefined);
+});
+
+test('plain scripts run ahead of the bundle', () => {
+    const file = writeModules({
+        'page.js': 'window.__page = { answer: 42 };\n',
+        'main.js': 'window.result = window.__page.answer;\n'
+    });
+    const script = new ScriptBundler(null).bundle(file('main.js'), { scripts: [file('page.js')] });
+    assert.strictEqual(run(script).result, 42);
+});
+
+test('results are cached until a file changes', () => {
+    const file = writeModules({
+        'dep.js': 'export const VALUE = 1;\n',
+        'main.js': "import { VALUE } from './dep.js';\nwindow.result = VALUE;\n"
+    });
+    const bundler = new ScriptBundler(null);
+    let reads = 0;
+    const read = bundler.read.bind(bundler);
+    bundler.read = (f) => { reads++; return read(f); };
+
+    bundler.bundle(file('main.js'));
+    const afterFirst = reads;
+    bundler.bundle(file('main.js'));
+    assert.strictEqual(reads, afterFirst, 'Served from cache');
+
+    fs.writeFileSync(file('dep.js'), 'export const VALUE = 2;\n');
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(file('dep.js'), later, later);
+    assert.strictEqual(run(bundler.bundle(file('main.js'))).result, 2);
+});
+
+test('broken module graphs are reported', () => {
+    const cycle = writeModules({
+        'a.js': "import { B } from './b.js';\nexport const A = 1;\n",
+        'b.js': "import { A } from './a.js';\nexport const B = 2;\n"
+    });
+    assert.throws(() => new ScriptBundler(null).bundle(cycle('a.js')), /Import cycle: a\.js -> b\.js -> a\.js/);
+
+    const missing = writeModules({
+        'a.js': 'export const A = 1;\n',
+        'main.js': "import { Z } from './a.js';\n"
+    });
+    assert.throws(() => new ScriptBundler(null).bundle(missing('main.js')), /does not export "Z"/);
+
+    const clash = writeModules({
+        'a.js': 'export function helper() {}\n',
+        'main.js': "import { helper } from './a.js';\nfunction helper() {}\n"
+    });
+    assert.throws(() => new ScriptBundler(null).bundle(clash('main.js')), /"helper" is declared by both a\.js and main\.js/);
+
+    assert.throws(() => new ScriptBundler(null).bundle(missing('nope.js')), /Script file not found/);
+});
+
+test('unsupported syntax is rejected', () => {
+    assert.throws(() => parseModule('export default function () {}'), /default/);
+    assert.throws(() => parseModule("import thing from './x.js';"), /default/);
+    assert.throws(() => parseModule('const a = 1;\nexport { a as b };'), /renamed export/);
+});
+
+test('the core script bundles with its modules', () => {
+    const script = new ScriptBundler(null).bundle(CORE_SCRIPT);
+    assert.ok(!/^\s*(import|export)\s/m.test(script));
+    for (const name of ['utils.js', 'overlay.js', 'full_cdp_script.js']) {
+        assert.ok(script.includes(`// --- ${name} ---`), name);
+    }
+    assert.doesNotThrow(() => new Function(script));
+});
+
+// === RUN TESTS ===
+console.log('======================================');
+console.log('  SCRIPT BUNDLER TEST SUITE');
+console.log('======================================\n');
+
+let passed = 0;
+let failed = 0;
+
+for (const { name, fn } of tests) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+fs.rmSync(fixtureDir, { recursive: true, force: true });
+
+console.log('\n======================================');
+console.log(`  Results: ${passed} passed, ${failed} failed`);
+console.log('======================================');
+
+if (failed > 0) {
+    process.exit(1);
+} else {
+    console.log('\n✓ All tests passed!');
+}
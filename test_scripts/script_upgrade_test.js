@@ -0,0 +1,169 @@
+/**
+ * Script Upgrade Test Suite
+ * Tests the version handshake between CDPHandler and the script already running in a page.
+ */
+
+const assert = require('assert');
+const { CDPHandler } = require('../main_scripts/cdp-handler.js');
+
+// A page answers the handler's evaluations the way the browser would: it reports which
+// script it runs, stops it on request, and runs the composed script when sent.
+function createHandler(pages) {
+    const handler = new CDPHandler(9000, 9000, null);
+    const script = handler.getComposedScript();
+    for (const pageId of Object.keys(pages)) {
+        handler.connections.set(pageId, { ws: { readyState: 3 }, port: 9222, injected: false, injections: 0 });
+        handler.manager.knownTargets.set(pageId, { target: { targetId: pageId, title: pageId }, port: 9222 });
+        pages[pageId] = { loaded: false, version: null, evaluated: 0, stopped: 0, fails: false, ...pages[pageId] };
+        if (pages[pageId].version === 'current') pages[pageId].version = handler.getScriptVersion();
+    }
+    handler.sendCommand = async (pageId, method, { expression }) => {
+        const page = pages[pageId];
+        if (expression === script) {
+            if (page.fails) return { exceptionDetails: { text: 'Uncaught', exception: { description: 'SyntaxError' } } };
+            page.evaluated++;
+            page.loaded = true;
+            page.version = handler.getScriptVersion();
+            return { result: {} };
+        }
+        if (expression.includes('__autoAcceptVersion')) {
+            return { result: { value: JSON.stringify({ version: page.version, loaded: page.loaded }) } };
+        }
+        if (expression.includes('__autoAcceptStop')) {
+            page.stopped++;
+            return { result: {} };
+        }
+        if (expression.includes('__autoAcceptStart')) {
+            return { result: { value: page.loaded ? 'started' : 'not_found' } };
+        }
+        return { result: {} };
+    };
+    return handler;
+}
+
+const CONFIG = { ide: 'antigravity', isBackgroundMode: false };
+
+// Test runner
+const tests = [];
+function test(name, fn) { tests.push({ name, fn }); }
+
+// === TEST CASES ===
+
+test('the composed script stamps the page with its version', () => {
+    const handler = new CDPHandler(9000, 9000, null);
+    const script = handler.getComposedScript();
+    const version = handler.getScriptVersion();
+    assert.ok(/^\d+\.\d+\.\d+\+[0-9a-f]{12}$/.test(version), version);
+    assert.ok(script.includes(`window.__autoAcceptVersion = ${JSON.stringify(version)}`));
+    assert.strictEqual(handler.getComposedScript(), script, 'Same script, same version');
+});
+
+test('a fresh page is injected and records the version', async () => {
+    const pages = { fresh: {} };
+    const handler = createHandler(pages);
+    await handler.injectAndStart('fresh', CONFIG, true);
+
+    const conn = handler.connections.get('fresh');
+    assert.strictEqual(pages.fresh.evaluated, 1);
+    assert.strictEqual(pages.fresh.stopped, 0);
+    assert.strictEqual(conn.injected, true);
+    assert.strictEqual(conn.scriptVersion, handler.getScriptVersion());
+    assert.strictEqual(conn.upgradedFrom, undefined);
+});
+
+test('a page already running this version is adopted, not re-injected', async () => {
+    const pages = { alive: { loaded: true, version: 'current' } };
+    const handler = createHandler(pages);
+    const injected = [];
+    handler.on('pageInjected', pageId => injected.push(pageId));
+    await handler.injectAndStart('alive', CONFIG, true);
+
+    assert.strictEqual(pages.alive.evaluated, 0);
+    assert.strictEqual(handler.connections.get('alive').injected, true);
+    assert.deepStrictEqual(injected, []);
+});
+
+test('older and unversioned scripts are stopped and replaced', async () => {
+    const pages = { older: { loaded: true, version: '1.0.0+0123456789ab' }, ancient: { loaded: true } };
+    const handler = createHandler(pages);
+    const upgrades = [];
+    handler.on('scriptUpgraded', event => upgrades.push(event));
+    await handler.injectAndStart('older', CONFIG, true);
+    await handler.injectAndStart('ancient', CONFIG, true);
+
+    const version = handler.getScriptVersion();
+    assert.strictEqual(pages.older.stopped, 1);
+    assert.strictEqual(pages.older.evaluated, 1);
+    assert.strictEqual(handler.connections.get('older').upgradedFrom, '1.0.0+0123456789ab');
+    assert.strictEqual(handler.connections.get('ancient').upgradedFrom, 'unversioned');
+    assert.deepStrictEqual(upgrades, [
+        { pageId: 'older', from: '1.0.0+0123456789ab', to: version },
+        { pageId: 'ancient', from: 'unversioned', to: version }
+    ]);
+});
+
+test('a failed upgrade is reported as a version mismatch', async () => {
+    const pages = { stuck: { loaded: true, version: '1.0.0+0123456789ab', fails: true }, fresh: {} };
+    const handler = createHandler(pages);
+    await handler.injectAndStart('stuck', CONFIG, true);
+    await handler.injectAndStart('fresh', CONFIG, true);
+
+    const health = handler.getConnectionHealth();
+    const byId = Object.fromEntries(health.pages.map(page => [page.pageId, page]));
+    assert.strictEqual(health.scriptVersion, handler.getScriptVersion());
+    assert.strictEqual(byId.stuck.versionMismatch, true);
+    assert.strictEqual(byId.stuck.scriptVersion, '1.0.0+0123456789ab');
+    assert.strictEqual(byId.fresh.versionMismatch, false);
+});
+
+test('start upgrades injected pages when the script changes', async () => {
+    const pages = { main: {} };
+    const handler = createHandler(pages);
+    handler.manager.start = async () => {};
+    handler.logDiagnostics = async () => {};
+    handler.startKeyboardShortcutLoop = () => {};
+
+    await handler.start(CONFIG);
+    assert.strictEqual(pages.main.evaluated, 1);
+    await handler.start(CONFIG);
+    assert.strictEqual(pages.main.evaluated, 1, 'Nothing to upgrade');
+
+    // What a rebuild of the modules on disk looks like from the handler
+    handler.stamped = { ...handler.stamped, version: '9.9.9+fedcba987654' };
+    await handler.start(CONFIG);
+    assert.strictEqual(pages.main.stopped, 1);
+    assert.strictEqual(pages.main.evaluated, 2);
+    assert.strictEqual(handler.connections.get('main').scriptVersion, '9.9.9+fedcba987654');
+});
+
+// === RUN TESTS ===
+(async () => {
+    console.log('======================================');
+    console.log('  SCRIPT UPGRADE TEST SUITE');
+    console.log('======================================\n');
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (error) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${error.message}`);
+            failed++;
+        }
+    }
+
+    console.log('\n======================================');
+    console.log(`  Results: ${passed} passed, ${failed} failed`);
+    console.log('======================================');
+
+    if (failed > 0) {
+        process.exit(1);
+    } else {
+        console.log('\n✓ All tests passed!');
+    }
+})();
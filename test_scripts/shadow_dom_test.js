@@ -0,0 +1,182 @@
+/**
+ * Shadow DOM Test Suite
+ * Tests that the click engine finds buttons nested in open shadow roots, in the page and in iframes.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const { createDom } = require('./helpers/fake-dom.js');
+const { runPageScript } = require('./helpers/page-script.js');
+const { ScriptBundler } = require('../main_scripts/script-bundler.js');
+
+const UTILS_PATH = path.join(__dirname, '..', 'main_scripts', 'utils.js');
+
+// utils.js is an ES module: bundle a small entry that hands its exports to the test
+const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shadow-test-'));
+const entry = path.join(fixtureDir, 'entry.js');
+const utilsSpecifier = path.relative(fixtureDir, UTILS_PATH).split(path.sep).join('/');
+fs.writeFileSync(entry, `import { getDocuments, getShadowRoots, queryAll } from '${utilsSpecifier.startsWith('.') ? '' : './'}${utilsSpecifier}';\nwindow.utils = { getDocuments, getShadowRoots, queryAll };\n`);
+const utilsScript = new ScriptBundler(null).bundle(entry);
+
+function loadUtils(doc, clock = { now: 0 }) {
+    const window = { document: doc, console: { log: () => {} }, Date: { now: () => clock.now } };
+    window.window = window;
+    vm.runInNewContext(utilsScript, window);
+    return window.utils;
+}
+
+// Buttons at every level a page can hide them: plain, in a shadow root, in one nested
+// inside another, behind a closed root, and in an iframe's shadow root
+function createFixture() {
+    const dom = createDom();
+    const doc = dom.createDocument();
+    const frameDoc = dom.createDocument();
+    doc.body.appendChild(dom.build(doc, ['div', {},
+        ['button', {}, 'Plain'],
+        ['chat-panel', { shadow: 'open' },
+            ['button', {}, 'Accept'],
+            ['tool-call', { shadow: 'open' }, ['div', {}, ['pre', {}, 'npm test'], ['button', {}, 'Run']]]
+        ],
+        ['secret-box', { shadow: 'closed' }, ['button', {}, 'Hidden']]
+    ]));
+    const iframe = dom.build(doc, ['iframe', {}]);
+    iframe.contentDocument = frameDoc;
+    doc.body.appendChild(iframe);
+    frameDoc.body.appendChild(dom.build(frameDoc, ['diff-view', { shadow: 'open' }, ['button', {}, 'Accept all']]));
+    return { dom, doc, frameDoc };
+}
+
+// A chain of open shadow roots, `levels` deep, with a button at the bottom
+function nested(levels, label) {
+    let spec = ['button', {}, label];
+    for (let i = 0; i < levels; i++) spec = ['x-level', { shadow: 'open' }, spec];
+    return spec;
+}
+
+// Arrays from the script's realm, copied so deepStrictEqual compares contents
+const labels = (elements) => [...elements].map(el => el.textContent).sort();
+
+// Test runner
+const tests = [];
+function test(name, fn) { tests.push({ name, fn }); }
+
+// === TEST CASES ===
+
+test('queryAll reaches buttons in open shadow roots, nested ones and iframes', () => {
+    const { doc } = createFixture();
+    const utils = loadUtils(doc);
+    assert.deepStrictEqual(labels(utils.queryAll('button')), ['Accept', 'Accept all', 'Plain', 'Run']);
+});
+
+test('closed shadow roots stay out of reach', () => {
+    const { doc } = createFixture();
+    assert.ok(!labels(loadUtils(doc).queryAll('button')).includes('Hidden'));
+});
+
+test('nesting is followed down to the depth limit', () => {
+    const dom = createDom();
+    const doc = dom.createDocument();
+    doc.body.appendChild(dom.build(doc, ['div', {}, nested(10, 'Deepest reachable'), nested(11, 'Too deep')]));
+    assert.deepStrictEqual(labels(loadUtils(doc).queryAll('button')), ['Deepest reachable']);
+});
+
+test('iframes inside shadow roots are searched too', () => {
+    const dom = createDom();
+    const doc = dom.createDocument();
+    const frameDoc = dom.createDocument();
+    frameDoc.body.appendChild(dom.build(frameDoc, ['button', {}, 'Allow']));
+    const host = dom.build(doc, ['agent-view', { shadow: 'open' }, ['iframe', {}]]);
+    host.shadowRoot.querySelector('iframe').contentDocument = frameDoc;
+    doc.body.appendChild(host);
+
+    const utils = loadUtils(doc);
+    assert.strictEqual(utils.getDocuments().length, 2);
+    assert.deepStrictEqual(labels(utils.queryAll('button')), ['Allow']);
+});
+
+test('discovered roots are cached until the rescan interval', () => {
+    const { dom, doc } = createFixture();
+    const clock = { now: 0 };
+    const utils = loadUtils(doc, clock);
+    assert.strictEqual(utils.getShadowRoots(doc).length, 2);
+
+    doc.body.appendChild(dom.build(doc, ['late-widget', { shadow: 'open' }, ['button', {}, 'Late']]));
+    clock.now = 4999;
+    assert.strictEqual(utils.getShadowRoots(doc).length, 2, 'Served from cache');
+    clock.now = 5000;
+    assert.strictEqual(utils.getShadowRoots(doc).length, 3, 'Rescanned');
+    assert.ok(labels(utils.queryAll('button')).includes('Late'));
+});
+
+test('roots whose host left the page are dropped without a rescan', () => {
+    const { doc } = createFixture();
+    const clock = { now: 0 };
+    const utils = loadUtils(doc, clock);
+    assert.strictEqual(utils.getShadowRoots(doc).length, 2);
+
+    doc.querySelector('chat-panel').remove();
+    clock.now = 1000;
+    assert.strictEqual(utils.getShadowRoots(doc).length, 0);
+    assert.deepStrictEqual(labels(utils.queryAll('button')), ['Accept all', 'Plain']);
+});
+
+test('the page script clicks an Accept button inside a shadow root', async () => {
+    const { dom, doc, frameDoc } = createFixture();
+    const panel = doc.querySelector('chat-panel').shadowRoot;
+    const tool = panel.querySelector('tool-call').shadowRoot;
+    const accept = panel.querySelector('button');
+    // Clicked buttons go away, so the engine does not wait for them to
+    const buttons = [accept, tool.querySelector('button'), frameDoc.querySelector('diff-view').shadowRoot.querySelector('button')];
+    buttons.forEach(button => { button.click = () => button.remove(); });
+
+    const window = runPageScript(dom, doc);
+    window.__autoAcceptStart({ ide: 'antigravity', pollInterval: 1000, safetyNetInterval: 60000 });
+    await new Promise(r => setTimeout(r, 200));
+    assert.deepStrictEqual(buttons.map(button => button.isConnected), [false, false, false], 'Clicked by the poll');
+
+    // A button added to an observed shadow root afterwards is the observer's
+    const late = dom.build(doc, ['button', {}, 'Accept']);
+    late.click = () => late.remove();
+    tool.appendChild(late);
+    dom.flush();
+    await new Promise(r => setTimeout(r, 200));
+    window.__autoAcceptStop();
+    assert.strictEqual(late.isConnected, false, 'Clicked by the observer');
+});
+
+// === RUN TESTS ===
+(async () => {
+    console.log('======================================');
+    console.log('  SHADOW DOM TEST SUITE');
+    console.log('======================================\n');
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (error) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${error.message}`);
+            failed++;
+        }
+    }
+
+    fs.rmSync(fixtureDir, { recursive: true, force: true });
+
+    console.log('\n======================================');
+    console.log(`  Results: ${passed} passed, ${failed} failed`);
+    console.log('======================================');
+
+    if (failed > 0) {
+        process.exit(1);
+    } else {
+        console.log('\n✓ All tests passed!');
+    }
+})();
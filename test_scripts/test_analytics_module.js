@@ -88,6 +88,27 @@ function test_initialize_migrates_missing_fields() {
     console.log('✅ PASS: initialize migrates missing fields');
 }
 
+function test_migrateState_upgrades_state_from_older_script() {
+    resetState();
+    global.window.__autoAcceptState = {
+        isRunning: false,
+        sessionID: 7,
+        tabNames: ['Fix tests'],
+        stats: { clicksThisSession: 12, blockedThisSession: 2 }
+    };
+    const added = analytics.migrateState(mockLog);
+    const state = global.window.__autoAcceptState;
+
+    assert.ok(added.includes('completionStatus'), 'Missing top-level field reported');
+    assert.ok(added.includes('stats.retriesThisSession'), 'Missing stats field reported');
+    assert.deepStrictEqual(state.completionStatus, {}, 'completionStatus added');
+    assert.strictEqual(state.stats.permissionsThisSession, 0, 'permissionsThisSession added');
+    assert.strictEqual(state.sessionID, 7, 'sessionID kept, so old loops see a new session');
+    assert.strictEqual(state.stats.clicksThisSession, 12, 'Counters kept');
+    assert.deepStrictEqual(analytics.migrateState(mockLog), [], 'Nothing left to migrate');
+    console.log('✅ PASS: migrateState upgrades state from an older script');
+}
+
 // ==========================================
 // TEST SUITE: Click Tracking
 // ==========================================
@@ -132,6 +153,21 @@ function test_trackClick_categorizes_file_edits() {
     console.log('✅ PASS: trackClick categorizes file edits');
 }
 
+function test_trackClick_uses_rule_action_type() {
+    resetState();
+    analytics.initialize(mockLog);
+
+    analytics.trackClick('Try again', mockLog, 'retry');
+    analytics.trackClick('Yes', mockLog, 'permission');
+    analytics.trackClick('Allow once', mockLog);
+
+    const summary = analytics.getSessionSummary();
+    assert.strictEqual(summary.retries, 1, 'Retries should be 1');
+    assert.strictEqual(summary.permissions, 2, 'Permissions should be 2');
+    assert.strictEqual(summary.fileEdits, 0, 'File edits should be 0');
+    console.log('✅ PASS: trackClick counts the rule action type');
+}
+
 function test_trackClick_tracks_away_actions() {
     resetState();
     analytics.initialize(mockLog);
@@ -372,11 +408,13 @@ function runAllTests() {
         test_initialize_creates_fresh_state,
         test_initialize_preserves_existing_state,
         test_initialize_migrates_missing_fields,
+        test_migrateState_upgrades_state_from_older_script,
 
         // Click Tracking
         test_trackClick_increments_total,
         test_trackClick_categorizes_terminal_commands,
         test_trackClick_categorizes_file_edits,
+        test_trackClick_uses_rule_action_type,
         test_trackClick_tracks_away_actions,
         test_trackClick_no_away_when_focused,
 
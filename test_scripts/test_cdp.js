@@ -45,6 +45,8 @@ class MockWS extends EventEmitter {
 
 async function testCommands() {
     const mockWS = new MockWS();
+    // Replies reach the pending command the way the manager's page sockets route them
+    mockWS.on('message', (data) => handler.manager.parseMessage(data));
     handler.connections.set('p1', { ws: mockWS, injected: false });
 
     const res = await handler.sendCommand('p1', 'Runtime.evaluate', { expression: '1+1' });
@@ -0,0 +1,250 @@
+/**
+ * Trusted Click Test Suite
+ * Tests clicks the host performs through CDP Input.dispatchMouseEvent, from the page's
+ * request to the mouse events sent back.
+ */
+
+const assert = require('assert');
+const vm = require('vm');
+const { CDPHandler } = require('../main_scripts/cdp-handler.js');
+const { createDom } = require('./helpers/fake-dom.js');
+const { runPageScript } = require('./helpers/page-script.js');
+
+const PAGE_ID = 'page-1';
+
+// A handler whose commands are recorded; onCommand may answer or throw
+function createHandler(onCommand = () => ({})) {
+    const handler = new CDPHandler(9000, 9000, null);
+    handler.connections.set(PAGE_ID, { ws: { readyState: 3 }, injected: true, pushEnabled: true });
+    handler.commands = [];
+    handler.sendCommand = async (pageId, method, params) => {
+        handler.commands.push({ pageId, method, params });
+        return onCommand(method, params);
+    };
+    return handler;
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * A page wired to a handler through the push channel. Its buttons ignore clicks from
+ * page script, like handlers that check isTrusted; a mouse release over one removes it.
+ * rewrite stands in for another script that wraps the binding.
+ */
+function createPage(config = {}, rewrite = (event) => event) {
+    const dom = createDom();
+    const doc = dom.createDocument();
+    const pressed = [];
+    const sent = [];
+    let window = null;
+    const handler = createHandler((method, params) => {
+        if (method === 'Runtime.evaluate') return { result: { value: vm.runInContext(params.expression, window) } };
+        if (params.type !== 'mouseReleased') return {};
+        const hit = doc.querySelectorAll('button').find(el => {
+            const r = el.getBoundingClientRect();
+            return params.x >= r.left && params.x <= r.left + r.width && params.y >= r.top && params.y <= r.top + r.height;
+        });
+        if (hit) {
+            pressed.push(hit.textContent);
+            hit.remove();
+        }
+        return {};
+    });
+    const events = [];
+    handler.on('pageEvent', event => events.push(event));
+
+    window = runPageScript(dom, doc, {
+        __autoAcceptEmit: (payload) => {
+            const event = rewrite(JSON.parse(payload));
+            sent.push(event);
+            handler.handlePageEvent(PAGE_ID, JSON.stringify(event));
+        }
+    });
+    const start = () => window.__autoAcceptStart({ ide: 'antigravity', pollInterval: 60000, detection: 'poll', ...config });
+    return { dom, doc, handler, window, start, events, pressed, sent };
+}
+
+const TRUSTED_ACCEPT = { buttonRules: [{ id: 'accept', match: { text: 'accept' }, action: 'click', category: 'accept', click: 'trusted' }] };
+
+const mouseEvents = (handler) => handler.commands
+    .filter(c => c.method === 'Input.dispatchMouseEvent')
+    .map(c => c.params.type);
+
+// Test runner
+const tests = [];
+function test(name, fn) { tests.push({ name, fn }); }
+
+// === TEST CASES ===
+
+test('a trusted click moves, presses and releases the mouse there', async () => {
+    const handler = createHandler();
+    assert.strictEqual(await handler.dispatchTrustedClick(PAGE_ID, 120, 48, 'Accept'), true);
+
+    assert.deepStrictEqual(mouseEvents(handler), ['mouseMoved', 'mousePressed', 'mouseReleased']);
+    handler.commands.forEach(({ pageId, params }) => {
+        assert.strictEqual(pageId, PAGE_ID);
+        assert.strictEqual(params.x, 120);
+        assert.strictEqual(params.y, 48);
+    });
+    assert.deepStrictEqual(handler.commands[1].params, { type: 'mousePressed', x: 120, y: 48, button: 'left', buttons: 1, clickCount: 1 });
+    assert.strictEqual(handler.commands[2].params.buttons, 0);
+});
+
+test('a request the page script did not make presses nothing', async () => {
+    const { dom, doc, handler, start, events } = createPage();
+    doc.body.appendChild(dom.build(doc, ['div', {}, 'No buttons here']));
+    start();
+    for (const forged of [{ x: 120, y: 48 }, { id: 't1-1', x: 120, y: 48 }]) {
+        handler.handlePageEvent(PAGE_ID, JSON.stringify({ type: 'trusted-click', timestamp: Date.now(), ...forged }));
+    }
+    await sleep(20);
+
+    assert.deepStrictEqual(mouseEvents(handler), []);
+    assert.deepStrictEqual(events, [], 'Not a page event for the extension');
+});
+
+test('a request is served once, and only inside the button it was made for', async () => {
+    const { dom, doc, handler, window, start, sent, pressed } = createPage(TRUSTED_ACCEPT);
+    const button = dom.build(doc, ['button', {}, 'Accept']);
+    button.rect = { top: 200, left: 300, width: 80, height: 20 };
+    doc.body.appendChild(button);
+    start();
+    await sleep(100);
+    window.__autoAcceptStop();
+    assert.deepStrictEqual(pressed, ['Accept']);
+
+    // Replayed by another script
+    const request = sent.find(e => e.type === 'trusted-click');
+    handler.handlePageEvent(PAGE_ID, JSON.stringify(request));
+    await sleep(20);
+    assert.strictEqual(mouseEvents(handler).length, 3);
+});
+
+test('a request moved off its button presses nothing', async () => {
+    const moved = (event) => event.type === 'trusted-click' ? { ...event, x: 10, y: 10 } : event;
+    const { dom, doc, handler, window, start, pressed } = createPage(TRUSTED_ACCEPT, moved);
+    const button = dom.build(doc, ['button', {}, 'Accept']);
+    button.rect = { top: 200, left: 300, width: 80, height: 20 };
+    doc.body.appendChild(button);
+    start();
+    await sleep(100);
+    window.__autoAcceptStop();
+
+    assert.deepStrictEqual(mouseEvents(handler), []);
+    assert.deepStrictEqual(pressed, []);
+});
+
+test('requests without a position are ignored', async () => {
+    const handler = createHandler();
+    assert.strictEqual(await handler.dispatchTrustedClick(PAGE_ID, undefined, 10), false);
+    assert.strictEqual(await handler.dispatchTrustedClick(PAGE_ID, 10, NaN), false);
+    assert.deepStrictEqual(handler.commands, []);
+});
+
+test('a failed mouse event stops the click and reports it', async () => {
+    const handler = createHandler((method, params) => {
+        if (params.type === 'mousePressed') throw new Error('Target closed');
+        return {};
+    });
+    assert.strictEqual(await handler.dispatchTrustedClick(PAGE_ID, 5, 5), false);
+    assert.deepStrictEqual(mouseEvents(handler), ['mouseMoved', 'mousePressed']);
+});
+
+test('a button that ignores the synthetic click gets a trusted one', async () => {
+    const { dom, doc, handler, window, start, events, pressed } = createPage();
+    const button = dom.build(doc, ['button', {}, 'Accept']);
+    button.rect = { top: 200, left: 300, width: 80, height: 20 };
+    doc.body.appendChild(button);
+    start();
+    await sleep(1200);
+    window.__autoAcceptStop();
+
+    assert.strictEqual(button.clicks, 1, 'Tried from the page first, once');
+    assert.deepStrictEqual(pressed, ['Accept']);
+    const [move] = handler.commands.filter(c => c.method === 'Input.dispatchMouseEvent');
+    assert.deepStrictEqual([move.params.x, move.params.y], [340, 210], 'At its center');
+    const click = events.find(e => e.type === 'click');
+    assert.ok(click, 'Counted as a click');
+    assert.strictEqual(click.method, 'trusted');
+});
+
+test('a trusted rule skips the synthetic click', async () => {
+    const { dom, doc, window, start, events, pressed } = createPage({
+        buttonRules: [{ id: 'run', match: { text: 'run' }, action: 'click', category: 'run', click: 'trusted' }]
+    });
+    const card = dom.build(doc, ['div', {}, ['pre', {}, 'npm test'], ['button', {}, 'Run']]);
+    const button = card.querySelector('button');
+    doc.body.appendChild(card);
+    start();
+    await sleep(200);
+    window.__autoAcceptStop();
+
+    assert.strictEqual(button.clicks, 0);
+    assert.deepStrictEqual(pressed, ['Run']);
+    assert.strictEqual(events.find(e => e.type === 'click').method, 'trusted');
+});
+
+test('buttons that react to the synthetic click are not clicked again', async () => {
+    const { dom, doc, handler, window, start, events } = createPage();
+    const button = dom.build(doc, ['button', {}, 'Accept']);
+    button.click = () => { button.clicks++; button.remove(); };
+    doc.body.appendChild(button);
+    start();
+    await sleep(200);
+    window.__autoAcceptStop();
+
+    assert.strictEqual(button.clicks, 1);
+    assert.deepStrictEqual(handler.commands, []);
+    assert.strictEqual(events.find(e => e.type === 'click').method, 'synthetic');
+});
+
+test('the position of a button in an iframe includes the frame offset', async () => {
+    const { dom, doc, handler, window, start } = createPage(TRUSTED_ACCEPT);
+    const frameDoc = dom.createDocument();
+    const iframe = dom.build(doc, ['iframe', {}]);
+    iframe.rect = { top: 100, left: 40, width: 600, height: 400 };
+    iframe.contentDocument = frameDoc;
+    frameDoc.defaultView = { frameElement: iframe, parent: null };
+    doc.body.appendChild(iframe);
+    const button = dom.build(frameDoc, ['button', {}, 'Accept']);
+    button.rect = { top: 10, left: 20, width: 60, height: 20 };
+    frameDoc.body.appendChild(button);
+    start();
+    await sleep(100);
+    window.__autoAcceptStop();
+
+    const [move] = handler.commands.filter(c => c.method === 'Input.dispatchMouseEvent');
+    assert.deepStrictEqual([move.params.x, move.params.y], [40 + 20 + 30, 100 + 10 + 10]);
+});
+
+// === RUN TESTS ===
+(async () => {
+    console.log('======================================');
+    console.log('  TRUSTED CLICK TEST SUITE');
+    console.log('======================================\n');
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (error) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${error.message}`);
+            failed++;
+        }
+    }
+
+    console.log('\n======================================');
+    console.log(`  Results: ${passed} passed, ${failed} failed`);
+    console.log('======================================');
+
+    if (failed > 0) {
+        process.exit(1);
+    } else {
+        console.log('\n✓ All tests passed!');
+    }
+})();
@@ -0,0 +1,150 @@
+/**
+ * Workspace Policy Test Suite
+ * Tests loading .autoaccept.json and merging it with the global settings.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WorkspacePolicy, validatePolicy, mergePolicy, POLICY_FILE_NAME } = require('../main_scripts/workspace-policy.js');
+
+const GLOBAL = {
+    bannedCommands: ['rm -rf /', 'format c:'],
+    allowedCommands: ['npm test'],
+    safetyMode: 'denylist',
+    pollFrequency: 1000
+};
+
+function withPolicyFile(contents, fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'autoaccept-policy-'));
+    try {
+        if (contents !== null) {
+            fs.writeFileSync(path.join(dir, POLICY_FILE_NAME), contents);
+        }
+        return fn(dir);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+// Test runner
+const tests = [];
+function test(name, fn) { tests.push({ name, fn }); }
+
+// === VALIDATION ===
+
+test('keeps well-formed fields', () => {
+    const { policy, warnings } = validatePolicy({
+        bannedCommands: ['git push --force'],
+        allowedCommands: ['make test'],
+        safetyMode: 'allowlist',
+        disabledButtonKinds: ['Run', 'retry'],
+        pollInterval: 2500
+    });
+    assert.deepStrictEqual(warnings, []);
+    assert.deepStrictEqual(policy.disabledButtonKinds, ['run', 'retry']);
+    assert.strictEqual(policy.pollInterval, 2500);
+});
+
+test('drops malformed fields with a warning', () => {
+    const { policy, warnings } = validatePolicy({
+        bannedCommands: 'rm -rf /',
+        safetyMode: 'yolo',
+        disabledButtonKinds: ['run', 'explode'],
+        pollInterval: 5
+    });
+    assert.strictEqual(policy.bannedCommands, undefined);
+    assert.strictEqual(policy.safetyMode, undefined);
+    assert.strictEqual(policy.pollInterval, undefined);
+    assert.deepStrictEqual(policy.disabledButtonKinds, ['run']);
+    assert.strictEqual(warnings.length, 4);
+});
+
+// === MERGING ===
+
+test('workspace patterns are added to the global lists with their source', () => {
+    const effective = mergePolicy(GLOBAL, { bannedCommands: ['git push --force', 'rm -rf /'] });
+    assert.deepStrictEqual(effective.bannedCommands, ['rm -rf /', 'format c:', 'git push --force']);
+    assert.deepStrictEqual(effective.sources.bannedCommands.map(e => e.source), ['global', 'global', 'workspace']);
+});
+
+test('workspace can tighten to allowlist but not relax a global allowlist', () => {
+    assert.strictEqual(mergePolicy(GLOBAL, { safetyMode: 'allowlist' }).safetyMode, 'allowlist');
+    const strictGlobal = { ...GLOBAL, safetyMode: 'allowlist' };
+    const effective = mergePolicy(strictGlobal, { safetyMode: 'denylist' });
+    assert.strictEqual(effective.safetyMode, 'allowlist');
+    assert.strictEqual(effective.sources.safetyMode, 'global');
+});
+
+test('workspace poll interval pins the global frequency', () => {
+    const effective = mergePolicy(GLOBAL, { pollInterval: 3000 });
+    assert.strictEqual(effective.pollFrequency, 3000);
+    assert.strictEqual(effective.sources.pollFrequency, 'workspace');
+    assert.strictEqual(mergePolicy(GLOBAL, null).pollFrequency, 1000);
+});
+
+test('no policy leaves the global settings untouched', () => {
+    const effective = mergePolicy(GLOBAL, null);
+    assert.deepStrictEqual(effective.bannedCommands, GLOBAL.bannedCommands);
+    assert.deepStrictEqual(effective.disabledButtonKinds, []);
+    assert.strictEqual(effective.policyFile, null);
+});
+
+// === LOADING ===
+
+test('loads the policy file from the workspace root', () => {
+    withPolicyFile(JSON.stringify({ disabledButtonKinds: ['run'] }), (dir) => {
+        const policy = new WorkspacePolicy(null);
+        policy.load(dir);
+        const effective = policy.merge(GLOBAL);
+        assert.deepStrictEqual(effective.disabledButtonKinds, ['run']);
+        assert.strictEqual(effective.policyFile, path.join(dir, POLICY_FILE_NAME));
+    });
+});
+
+test('a missing file clears a previously loaded policy', () => {
+    const policy = new WorkspacePolicy(null);
+    withPolicyFile(JSON.stringify({ pollInterval: 3000 }), (dir) => policy.load(dir));
+    withPolicyFile(null, (dir) => policy.load(dir));
+    assert.strictEqual(policy.policy, null);
+    assert.strictEqual(policy.merge(GLOBAL).pollFrequency, 1000);
+});
+
+test('invalid JSON is reported instead of throwing', () => {
+    withPolicyFile('{ "bannedCommands": [', (dir) => {
+        const policy = new WorkspacePolicy(null);
+        assert.strictEqual(policy.load(dir), null);
+        assert.strictEqual(policy.warnings.length, 1);
+    });
+});
+
+// === RUN TESTS ===
+console.log('======================================');
+console.log('  WORKSPACE POLICY TEST SUITE');
+console.log('======================================\n');
+
+let passed = 0;
+let failed = 0;
+
+for (const { name, fn } of tests) {
+    try {
+        fn();
+        console.log(`✓ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`✗ ${name}`);
+        console.log(`  Error: ${error.message}`);
+        failed++;
+    }
+}
+
+console.log('\n======================================');
+console.log(`  Results: ${passed} passed, ${failed} failed`);
+console.log('======================================');
+
+if (failed > 0) {
+    process.exit(1);
+} else {
+    console.log('\n✓ All tests passed!');
+}